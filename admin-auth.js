@@ -0,0 +1,164 @@
+require('dotenv').config();
+
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const {
+  countAdminUsers,
+  getAdminUserForLogin,
+  getAdminUserById,
+  createAdminUser,
+  touchAdminLogin,
+  claimAdminTwoFactorStep
+} = require('./database');
+const { matchTotp } = require('./two-factor');
+
+const ADMIN_JWT_SECRET = process.env.JWT_SECRET || 'admin-secret-key';
+const ADMIN_TOKEN_TTL = '24h';
+
+// Papel → permissões. legal é o único com acesso a legal_retention (nem o superadmin
+// lê dados retidos por ordem judicial); admins:manage e audit:read só o superadmin
+const ROLE_PERMISSIONS = {
+  support: [
+    'dashboard:read', 'whatsapp:manage', 'announcement:manage',
+    'opt_outs:read', 'opt_outs:manage', 'reports:read'
+  ],
+  moderator: [
+    'dashboard:read', 'opt_outs:read', 'reports:read', 'reports:act',
+    'users:moderate', 'review:manage', 'moderation:manage'
+  ],
+  legal: [
+    'dashboard:read', 'reports:read', 'legal:read', 'legal:hold'
+  ],
+  superadmin: [
+    'dashboard:read', 'whatsapp:manage', 'announcement:manage',
+    'opt_outs:read', 'opt_outs:manage', 'reports:read', 'reports:act',
+    'users:moderate', 'review:manage', 'moderation:manage',
+    'settings:manage', 'admins:manage', 'audit:read'
+  ]
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Conta ativa e papel atual ficam em memória por pouco tempo; alterações feitas por
+// esta instância limpam o cache na hora
+const ADMIN_CACHE_TTL_MS = 30 * 1000;
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+class AdminAuth {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Sem nenhum admin cadastrado, ADMIN_USER/ADMIN_PASS do .env criam o superadmin inicial
+  async bootstrap(username, password) {
+    const envUser = process.env.ADMIN_USER || 'admin';
+    const envPass = process.env.ADMIN_PASS;
+
+    if (!envPass || username !== envUser || password !== envPass) {
+      return false;
+    }
+    if (await countAdminUsers() > 0) {
+      return false;
+    }
+
+    await createAdminUser({
+      username: envUser,
+      name: 'Administrador',
+      password: envPass,
+      role: 'superadmin',
+      twoFactorSecret: process.env.ADMIN_TOTP_SECRET || null
+    });
+    console.log(`[Admin] Superadmin inicial "${envUser}" criado a partir do .env`);
+    return true;
+  }
+
+  // Conta (com hash e segredos) se usuário e senha conferem, senão null
+  async authenticate(username, password) {
+    if (!username || !password) return null;
+
+    let admin = await getAdminUserForLogin(username);
+    if (!admin && await this.bootstrap(username, password)) {
+      admin = await getAdminUserForLogin(username);
+    }
+
+    if (!admin || !admin.active) return null;
+    return await bcrypt.compare(password, admin.password_hash) ? admin : null;
+  }
+
+  async issueToken(admin) {
+    await touchAdminLogin(admin.id);
+    return jwt.sign(
+      { isAdmin: true, adminId: admin.id, username: admin.username, role: admin.role },
+      ADMIN_JWT_SECRET,
+      { expiresIn: ADMIN_TOKEN_TTL }
+    );
+  }
+
+  // Admin atual do token (papel lido do banco), ou null se inválido/revogado.
+  // Tokens antigos, sem adminId, são do login único do .env e deixam de valer
+  async verifyToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, ADMIN_JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    if (!decoded.isAdmin || !decoded.adminId) return null;
+
+    const admin = await this.getActiveAdmin(decoded.adminId);
+    if (!admin) return null;
+
+    if (admin.tokens_valid_after && decoded.iat < Math.floor(new Date(admin.tokens_valid_after).getTime() / 1000)) {
+      return null;
+    }
+    return admin;
+  }
+
+  async getActiveAdmin(adminId) {
+    const cached = this.cache.get(adminId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.admin;
+    }
+
+    const admin = await getAdminUserById(adminId);
+    const active = admin && admin.active ? admin : null;
+    this.cache.set(adminId, { admin: active, expiresAt: Date.now() + ADMIN_CACHE_TTL_MS });
+    return active;
+  }
+
+  forget(adminId) {
+    this.cache.delete(adminId);
+  }
+
+  async verifyTwoFactor(admin, code) {
+    const step = matchTotp(admin.two_factor_secret, String(code || '').trim());
+    if (step === null) return false;
+    return claimAdminTwoFactorStep(admin.id, step);
+  }
+}
+
+let instance = null;
+
+function getAdminAuth() {
+  if (!instance) {
+    instance = new AdminAuth();
+  }
+  return instance;
+}
+
+module.exports = {
+  getAdminAuth,
+  AdminAuth,
+  ADMIN_ROLES,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermission
+};
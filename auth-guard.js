@@ -0,0 +1,183 @@
+require('dotenv').config();
+
+const {
+  hashMessage,
+  getAuthThrottles,
+  saveAuthThrottle,
+  clearAuthThrottle,
+  logSecurityEvent,
+  createNotification
+} = require('./database');
+
+// Proteção contra força bruta em login ('login') e códigos de verificação ('code').
+// Cada falha conta para o identificador (email/telefone) e para o IP: depois das
+// tentativas livres cada nova falha impõe uma espera que dobra, e ao atingir
+// lockoutAfter o sujeito fica bloqueado por lockoutSeconds. Falhas mais antigas que
+// windowSeconds deixam de contar. Tudo fica em auth_throttles (sobrevive a reinícios).
+const GUARD_POLICIES = {
+  identifier: { freeAttempts: 3, baseDelaySeconds: 2, maxDelaySeconds: 60, lockoutAfter: 10, lockoutSeconds: 15 * 60, windowSeconds: 60 * 60 },
+  ip: { freeAttempts: 10, baseDelaySeconds: 2, maxDelaySeconds: 60, lockoutAfter: 50, lockoutSeconds: 60 * 60, windowSeconds: 60 * 60 }
+};
+
+const LOCKED_MESSAGES = {
+  login: 'Muitas tentativas de login. Aguarde antes de tentar novamente.',
+  code: 'Muitas tentativas com código incorreto. Aguarde antes de tentar novamente.'
+};
+
+function normalizeIdentifier(identifier) {
+  const value = String(identifier || '').trim().toLowerCase();
+  return value.includes('@') ? value : value.replace(/\D/g, '');
+}
+
+function retryAfterSeconds(lockedUntil) {
+  return Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+}
+
+class AuthGuard {
+  subjects(action, { identifier, ip }) {
+    const subjects = [];
+    const normalized = normalizeIdentifier(identifier);
+
+    if (normalized) {
+      subjects.push({ scope: 'identifier', subjectHash: hashMessage(`${action}:${normalized}`) });
+    }
+    if (ip && ip !== 'unknown') {
+      subjects.push({ scope: 'ip', subjectHash: hashMessage(`${action}:${ip}`) });
+    }
+    return subjects;
+  }
+
+  // Antes de validar credenciais: { allowed, retryAfter, locked, error }.
+  // Se o banco falhar a tentativa passa (o limite por IP do rate-limiter continua valendo)
+  async check(action, { identifier, ip }) {
+    const subjects = this.subjects(action, { identifier, ip });
+    if (subjects.length === 0) return { allowed: true };
+
+    try {
+      const rows = await getAuthThrottles(action, subjects);
+      const blocking = rows
+        .filter(row => row.locked_until && new Date(row.locked_until) > new Date())
+        .sort((a, b) => new Date(b.locked_until) - new Date(a.locked_until))[0];
+
+      if (blocking) {
+        return {
+          allowed: false,
+          locked: blocking.lockout,
+          retryAfter: retryAfterSeconds(blocking.locked_until),
+          error: LOCKED_MESSAGES[action]
+        };
+      }
+    } catch (error) {
+      console.error('[AuthGuard] Erro ao consultar tentativas:', error.message);
+    }
+
+    return { allowed: true };
+  }
+
+  // codeInvalidated: a falha esgotou as tentativas do código (ele já foi descartado)
+  async recordFailure(action, { identifier, ip, userAgent = null, userId = null, reason = null, codeInvalidated = false }) {
+    const subjects = this.subjects(action, { identifier, ip });
+    let result = { retryAfter: 0, locked: false };
+
+    try {
+      const rows = await getAuthThrottles(action, subjects);
+
+      for (const subject of subjects) {
+        const policy = GUARD_POLICIES[subject.scope];
+        const row = rows.find(r => r.scope === subject.scope && r.subject_hash === subject.subjectHash);
+        const stale = !row || !row.last_failure_at ||
+          Date.now() - new Date(row.last_failure_at).getTime() > policy.windowSeconds * 1000;
+        const failures = (stale ? 0 : row.failures) + 1;
+
+        let delaySeconds = 0;
+        let lockout = false;
+        if (failures >= policy.lockoutAfter) {
+          delaySeconds = policy.lockoutSeconds;
+          lockout = true;
+        } else if (failures > policy.freeAttempts) {
+          delaySeconds = Math.min(policy.baseDelaySeconds * 2 ** (failures - policy.freeAttempts - 1), policy.maxDelaySeconds);
+        }
+
+        await saveAuthThrottle({
+          scope: subject.scope,
+          action,
+          subject_hash: subject.subjectHash,
+          failures,
+          lockout,
+          locked_until: delaySeconds > 0 ? new Date(Date.now() + delaySeconds * 1000).toISOString() : null,
+          last_failure_at: new Date().toISOString()
+        });
+
+        if (delaySeconds > result.retryAfter) {
+          result = { retryAfter: delaySeconds, locked: lockout };
+        }
+
+        // Bloqueio da conta (não do IP) é avisado ao dono uma vez, quando acontece
+        if (lockout && subject.scope === 'identifier' && failures === policy.lockoutAfter && userId) {
+          await this.notifyLockout(userId, action, policy.lockoutSeconds);
+        }
+      }
+    } catch (error) {
+      console.error('[AuthGuard] Erro ao registrar falha:', error.message);
+    }
+
+    let eventType = `${action}_failed`;
+    if (result.locked) {
+      eventType = `${action}_locked`;
+    } else if (codeInvalidated) {
+      eventType = 'code_invalidated';
+    }
+
+    await logSecurityEvent({
+      userId,
+      eventType,
+      ipAddress: ip,
+      userAgent,
+      metadata: { reason, retryAfter: result.retryAfter || null }
+    });
+
+    return result;
+  }
+
+  // Sucesso zera as falhas do identificador; as do IP continuam (pode ser um atacante
+  // acertando uma conta entre muitas)
+  async recordSuccess(action, { identifier, ip, userAgent = null, userId = null }) {
+    const [subject] = this.subjects(action, { identifier });
+
+    try {
+      if (subject) {
+        await clearAuthThrottle(subject.scope, action, subject.subjectHash);
+      }
+    } catch (error) {
+      console.error('[AuthGuard] Erro ao limpar tentativas:', error.message);
+    }
+
+    if (action === 'login' && userId) {
+      await logSecurityEvent({ userId, eventType: 'login_success', ipAddress: ip, userAgent });
+    }
+  }
+
+  async notifyLockout(userId, action, lockoutSeconds) {
+    const minutes = Math.round(lockoutSeconds / 60);
+    const message = action === 'login'
+      ? `Detectamos várias tentativas de login com senha errada na sua conta. Novas tentativas ficam bloqueadas por ${minutes} minutos. Se não foi você, troque sua senha.`
+      : `Detectamos várias tentativas com código de verificação errado no seu telefone. Novas tentativas ficam bloqueadas por ${minutes} minutos.`;
+
+    await createNotification(userId, 'security', 'Tentativas suspeitas na sua conta', message);
+  }
+}
+
+let instance = null;
+
+function getAuthGuard() {
+  if (!instance) {
+    instance = new AuthGuard();
+  }
+  return instance;
+}
+
+module.exports = {
+  getAuthGuard,
+  AuthGuard,
+  GUARD_POLICIES
+};
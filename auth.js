@@ -1,9 +1,39 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const {
+  hashMessage,
+  createUserSession,
+  getUserSessionByRefreshHash,
+  rotateUserSession,
+  getUserSessionAuth,
+  getUserTokensValidAfter,
+  touchUserSession,
+  revokeUserSession,
+  revokeUserSessions,
+  logSecurityEvent
+} = require('./database');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'sua-chave-secreta-muito-segura-aqui-mude-em-producao';
 
-function generateToken(userId) {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+// Access token curto (JWT com o id da sessão em sid) + refresh token opaco, guardado em
+// hash na tabela user_sessions e trocado a cada renovação
+const ACCESS_TOKEN_TTL_SECONDS = (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh token antigo apresentado logo depois da troca costuma ser outra aba renovando
+// ao mesmo tempo; depois disso é tratado como roubo e derruba a sessão
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+// Sessões válidas ficam em memória por pouco tempo para não consultar o banco a cada
+// requisição. Revogações feitas por esta instância limpam o cache na hora; nas
+// demais instâncias valem em até SESSION_CACHE_TTL_MS.
+const SESSION_CACHE_TTL_MS = 30 * 1000;
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+const sessionCache = new Map();
+
+function generateToken(userId, sessionId = null) {
+  const payload = sessionId ? { userId, sid: sessionId } : { userId };
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
 }
 
 function verifyToken(token) {
@@ -14,25 +44,222 @@ function verifyToken(token) {
   }
 }
 
-function authMiddleware(req, res, next) {
+// Desafio do segundo fator: prova que a senha já foi conferida. Assinado com outra
+// chave para nunca ser aceito como access token pelo authMiddleware
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_SECRET = crypto.createHash('sha256').update(`2fa-challenge:${JWT_SECRET}`).digest('hex');
+
+function createTwoFactorChallenge(payload) {
+  return jwt.sign({ ...payload, purpose: '2fa' }, CHALLENGE_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS });
+}
+
+function verifyTwoFactorChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(String(challengeToken || ''), CHALLENGE_SECRET);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Vincular um provedor OIDC começa numa navegação (sem o header Authorization): o
+// usuário logado recebe este ticket curto, assinado com a mesma chave dos desafios
+const OIDC_LINK_TICKET_TTL_SECONDS = 5 * 60;
+
+function createOidcLinkTicket(userId, provider) {
+  return jwt.sign({ userId, provider, purpose: 'oidc-link' }, CHALLENGE_SECRET, { expiresIn: OIDC_LINK_TICKET_TTL_SECONDS });
+}
+
+function verifyOidcLinkTicket(ticket) {
+  try {
+    const decoded = jwt.verify(String(ticket || ''), CHALLENGE_SECRET);
+    return decoded.purpose === 'oidc-link' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function tokenPair(userId, sessionId, refreshToken) {
+  return {
+    token: generateToken(userId, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId
+  };
+}
+
+// Login concluído: abre uma sessão para o dispositivo. clientInfo vem de getClientInfo
+async function createSession(userId, clientInfo = {}) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  const session = await createUserSession({
+    userId,
+    refreshTokenHash: hashMessage(refreshToken),
+    ipAddress: clientInfo.ipAddress || null,
+    userAgent: clientInfo.userAgent || null,
+    expiresAt: refreshExpiry()
+  });
+
+  return tokenPair(userId, session.id, refreshToken);
+}
+
+// { success, token, refreshToken, expiresIn } ou { success: false, error, reused }
+async function refreshSession(refreshToken, clientInfo = {}) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return { success: false, error: 'Refresh token não fornecido' };
+  }
+
+  const presentedHash = hashMessage(refreshToken);
+  const session = await getUserSessionByRefreshHash(presentedHash);
+
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return { success: false, error: 'Sessão expirada. Faça login novamente.' };
+  }
+
+  if (session.refresh_token_hash !== presentedHash) {
+    const rotatedAgo = Date.now() - new Date(session.rotated_at).getTime();
+    if (rotatedAgo <= REFRESH_REUSE_GRACE_MS) {
+      return { success: false, error: 'Sessão renovada em outra aba. Tente novamente.' };
+    }
+
+    await revokeSession(session.user_id, session.id, 'refresh_reused');
+    await logSecurityEvent({
+      userId: session.user_id,
+      eventType: 'refresh_token_reused',
+      ipAddress: clientInfo.ipAddress || null,
+      userAgent: clientInfo.userAgent || null,
+      metadata: { sessionId: session.id }
+    });
+    console.warn(`[Auth] Refresh token reutilizado na sessão ${session.id}; sessão revogada`);
+    return { success: false, reused: true, error: 'Sessão encerrada por segurança. Faça login novamente.' };
+  }
+
+  const newRefreshToken = crypto.randomBytes(32).toString('base64url');
+  const rotated = await rotateUserSession(session.id, presentedHash, {
+    refreshTokenHash: hashMessage(newRefreshToken),
+    ipAddress: clientInfo.ipAddress || session.ip_address,
+    userAgent: clientInfo.userAgent || session.user_agent,
+    expiresAt: refreshExpiry()
+  });
+
+  if (!rotated) {
+    return { success: false, error: 'Sessão renovada em outra aba. Tente novamente.' };
+  }
+
+  return { success: true, ...tokenPair(session.user_id, session.id, newRefreshToken) };
+}
+
+function forgetUserSessions(userId) {
+  for (const [key, entry] of sessionCache) {
+    if (entry.userId === userId) {
+      sessionCache.delete(key);
+    }
+  }
+}
+
+async function revokeSession(userId, sessionId, reason = 'logout') {
+  const revoked = await revokeUserSession(userId, sessionId, reason);
+  sessionCache.delete(sessionId);
+  return revoked;
+}
+
+async function revokeAllSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+  const count = await revokeUserSessions(userId, { exceptSessionId, reason });
+  forgetUserSessions(userId);
+  return count;
+}
+
+// Token emitido antes de tokens_valid_after (troca de senha, "sair de todos") não vale mais
+function issuedBeforeCutoff(decoded, tokensValidAfter) {
+  if (!tokensValidAfter) return false;
+  return decoded.iat < Math.floor(new Date(tokensValidAfter).getTime() / 1000);
+}
+
+// Confere no banco se o token ainda vale. Tokens antigos, sem sid, são do formato de
+// 7 dias anterior às sessões: continuam aceitos até expirar, exceto depois de troca de
+// senha ou "sair de todos os dispositivos"
+async function isTokenActive(decoded) {
+  const key = decoded.sid || `legacy:${decoded.userId}`;
+  const cached = sessionCache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return !issuedBeforeCutoff(decoded, cached.tokensValidAfter);
+  }
+
+  let tokensValidAfter;
+  if (decoded.sid) {
+    const session = await getUserSessionAuth(decoded.sid);
+    if (!session || session.user_id !== decoded.userId || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      sessionCache.delete(key);
+      return false;
+    }
+    tokensValidAfter = session.users?.tokens_valid_after || null;
+
+    if (!session.last_seen_at || Date.now() - new Date(session.last_seen_at).getTime() > LAST_SEEN_INTERVAL_MS) {
+      touchUserSession(session.id);
+    }
+  } else {
+    const user = await getUserTokensValidAfter(decoded.userId);
+    if (!user) {
+      return false;
+    }
+    tokensValidAfter = user.tokens_valid_after || null;
+  }
+
+  sessionCache.set(key, { userId: decoded.userId, tokensValidAfter, expiresAt: Date.now() + SESSION_CACHE_TTL_MS });
+  return !issuedBeforeCutoff(decoded, tokensValidAfter);
+}
+
+async function authMiddleware(req, res, next) {
   const token = req.headers.authorization?.replace('Bearer ', '');
 
   if (!token) {
     return res.status(401).json({ success: false, error: 'Token não fornecido' });
   }
 
-  const decoded = verifyToken(token);
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    // tokenExpired: o frontend renova com o refresh token e repete a chamada
+    return res.status(401).json({
+      success: false,
+      error: 'Token inválido ou expirado',
+      tokenExpired: error.name === 'TokenExpiredError'
+    });
+  }
 
-  if (!decoded) {
-    return res.status(401).json({ success: false, error: 'Token inválido ou expirado' });
+  try {
+    if (!await isTokenActive(decoded)) {
+      return res.status(401).json({ success: false, error: 'Sessão encerrada. Faça login novamente.', tokenExpired: true });
+    }
+  } catch (error) {
+    console.error('[Auth] Erro ao validar sessão:', error.message);
+    return res.status(500).json({ success: false, error: 'Erro ao validar sessão' });
   }
 
   req.userId = decoded.userId;
+  req.sessionId = decoded.sid || null;
   next();
 }
 
 module.exports = {
   generateToken,
   verifyToken,
-  authMiddleware
+  authMiddleware,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  forgetUserSessions,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createOidcLinkTicket,
+  verifyOidcLinkTicket,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS
 };
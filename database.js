@@ -17,11 +17,16 @@ const RETENTION_POLICY = {
   replies: 90             
 };
 
+// "by" + 8 caracteres (~8×10¹³ combinações). Códigos antigos tinham 4 caracteres e
+// continuam sendo reconhecidos nas respostas
+const TRACKING_CODE_LENGTH = 8;
+const TRACKING_CODE_ATTEMPTS = 5;
+
 function generateTrackingCode() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
   let code = 'by';
-  for (let i = 0; i < 4; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+  for (let i = 0; i < TRACKING_CODE_LENGTH; i++) {
+    code += chars.charAt(crypto.randomInt(chars.length));
   }
   return code;
 }
@@ -29,7 +34,7 @@ function generateTrackingCode() {
 
 function extractTrackingCode(message) {
 
-  const match = message.match(/by([A-HJ-NP-Za-hj-np-z2-9]{4})/i);
+  const match = message.match(/by([A-HJ-NP-Za-hj-np-z2-9]{8}|[A-HJ-NP-Za-hj-np-z2-9]{4})/i);
   return match ? 'by' + match[1] : null;
 }
 
@@ -261,12 +266,17 @@ async function getUserByEmailOrPhone(identifier) {
 }
 
 
+// Tentativas erradas até o código de verificação ser invalidado
+const MAX_CODE_ATTEMPTS = 5;
+
 function generateVerificationCode() {
 
   return Math.floor(100000 + Math.random() * 900000).toString();
 }
 
-async function createPhoneVerificationCode(userId, phone) {
+// purpose separa os códigos públicos (opt-out) dos de conta: pedir um código só
+// invalida os pendentes do mesmo propósito, e cada código só confirma o seu
+async function createPhoneVerificationCode(userId, phone, purpose = 'verification') {
   const code = generateVerificationCode();
   const expiresAt = new Date(Date.now() + 10 * 60 * 1000); 
 
@@ -275,6 +285,7 @@ async function createPhoneVerificationCode(userId, phone) {
     .from('phone_verifications')
     .update({ verified: true })
     .eq('phone', phone)
+    .eq('purpose', purpose)
     .eq('verified', false);
 
   const { data, error } = await supabase
@@ -283,6 +294,7 @@ async function createPhoneVerificationCode(userId, phone) {
       user_id: userId,
       phone: phone,
       code: code,
+      purpose,
       expires_at: expiresAt.toISOString()
     }])
     .select()
@@ -292,17 +304,18 @@ async function createPhoneVerificationCode(userId, phone) {
   return code;
 }
 
-async function verifyPhoneCode(phone, code) {
+async function verifyPhoneCode(phone, code, purpose = 'verification') {
   const { data, error } = await supabase
     .from('phone_verifications')
     .select('*')
     .eq('phone', phone)
     .eq('code', code)
+    .eq('purpose', purpose)
     .eq('verified', false)
     .single();
 
   if (error || !data) {
-    throw new Error('Código inválido ou já utilizado');
+    throw await wrongPhoneCodeError(phone, purpose);
   }
 
   
@@ -311,7 +324,7 @@ async function verifyPhoneCode(phone, code) {
   }
 
   
-  if (data.attempts >= 5) {
+  if (data.attempts >= MAX_CODE_ATTEMPTS) {
     throw new Error('Muitas tentativas. Solicite um novo código.');
   }
 
@@ -328,10 +341,12 @@ async function verifyPhoneCode(phone, code) {
     .eq('id', data.id);
 
  
-  await supabase
-    .from('users')
-    .update({ phone_verified: true })
-    .eq('id', data.user_id);
+  if (data.user_id) {
+    await supabase
+      .from('users')
+      .update({ phone_verified: true })
+      .eq('id', data.user_id);
+  }
 
   return data.user_id;
 }
@@ -341,12 +356,42 @@ async function isPhoneVerified(userId) {
   return user.phone_verified === true;
 }
 
-async function incrementPhoneVerificationAttempts(phone, code) {
-  await supabase
+// Código errado conta contra o código pendente do telefone; na última tentativa ele é
+// invalidado (marcado como usado, igual aos códigos substituídos por um novo)
+async function incrementPhoneVerificationAttempts(phone, purpose = 'verification') {
+  const { data, error } = await supabase
     .from('phone_verifications')
-    .update({ attempts: supabase.raw('attempts + 1') })
+    .select('id, user_id, attempts')
     .eq('phone', phone)
-    .eq('code', code);
+    .eq('purpose', purpose)
+    .eq('verified', false)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error || !data) return null;
+
+  const attempts = (data.attempts || 0) + 1;
+  const invalidated = attempts >= MAX_CODE_ATTEMPTS;
+
+  await supabase
+    .from('phone_verifications')
+    .update(invalidated ? { attempts, verified: true } : { attempts })
+    .eq('id', data.id);
+
+  return { userId: data.user_id, attempts, invalidated };
+}
+
+async function wrongPhoneCodeError(phone, purpose = 'verification') {
+  const result = await incrementPhoneVerificationAttempts(phone, purpose);
+  const error = new Error(result && result.invalidated
+    ? 'Muitas tentativas incorretas. O código foi invalidado; solicite um novo.'
+    : 'Código inválido ou já utilizado');
+  error.invalidCode = true;
+  error.codeInvalidated = !!(result && result.invalidated);
+  error.userId = result ? result.userId : null;
+  return error;
 }
 
 async function getUserByEmail(email) {
@@ -363,7 +408,7 @@ async function getUserByEmail(email) {
 async function getUserById(id) {
   const { data, error } = await supabase
     .from('users')
-    .select('id, email, phone, name, cpf, whatsapp_credits, sms_credits, email_verified, phone_verified, created_at, password')
+    .select('id, email, phone, name, cpf, whatsapp_credits, sms_credits, email_verified, phone_verified, created_at, password, suspended_until, suspension_reason, banned_at, two_factor_method')
     .eq('id', id)
     .single();
 
@@ -473,6 +518,177 @@ async function useCredit(userId, phone, message, channel = 'whatsapp', trackingC
   return { success: true, trackingCode: code };
 }
 
+// RPC ausente no banco (migração não aplicada): PostgREST responde PGRST202, o Postgres 42883.
+// Qualquer outro erro pode ter acontecido depois do débito e não justifica repetir a operação
+function isMissingFunctionError(error) {
+  return !!error && (error.code === 'PGRST202' || error.code === '42883');
+}
+
+async function reserveCredit(userId, channel = 'whatsapp') {
+  const creditColumn = channel === 'whatsapp' ? 'whatsapp_credits' : 'sms_credits';
+  const insufficientMessage = `Créditos de ${channel === 'whatsapp' ? 'WhatsApp' : 'SMS'} insuficientes`;
+
+  const { data, error } = await supabase.rpc('reserve_credit_transaction', {
+    p_user_id: userId,
+    p_credit_type: channel
+  });
+
+  if (!error) {
+    return data;
+  }
+
+  if (error.message && error.message.includes('insufficient_credits')) {
+    throw new Error(insufficientMessage);
+  }
+
+  if (!isMissingFunctionError(error)) throw error;
+
+  // Sem a função no banco: débito condicionado ao saldo lido (compare-and-set)
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const user = await getUserById(userId);
+    const credits = user ? user[creditColumn] : 0;
+
+    if (!user || credits < 1) {
+      throw new Error(insufficientMessage);
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('users')
+      .update({ [creditColumn]: credits - 1 })
+      .eq('id', userId)
+      .eq(creditColumn, credits)
+      .select('id')
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (!updated) continue;
+
+    const { data: transaction, error: transactionError } = await supabase
+      .from('transactions')
+      .insert([{
+        user_id: userId,
+        type: 'usage',
+        credit_type: channel,
+        amount: 1,
+        credits_added: -1,
+        status: 'reserved'
+      }])
+      .select('id')
+      .single();
+
+    if (transactionError) throw transactionError;
+    return transaction.id;
+  }
+
+  throw new Error('Não foi possível reservar o crédito. Tente novamente.');
+}
+
+async function commitCredit(reservationId, { userId, phone, message, channel = 'whatsapp', trackingCode = null }) {
+  const { data, error } = await supabase
+    .from('transactions')
+    .update({ status: 'committed', settled_at: new Date().toISOString() })
+    .eq('id', reservationId)
+    .eq('status', 'reserved')
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw new Error(`Reserva de crédito ${reservationId} não está mais aberta`);
+  }
+
+  await recordSentMessage(userId, phone, message, channel, trackingCode);
+  return true;
+}
+
+async function releaseCredit(reservationId, reason = null) {
+  const { data, error } = await supabase.rpc('release_credit_transaction', {
+    p_reservation_id: reservationId,
+    p_reason: reason
+  });
+
+  if (!error) {
+    return data === true;
+  }
+
+  if (!isMissingFunctionError(error)) throw error;
+
+  // Sem a função no banco. Fecha a reserva primeiro: se já foi confirmada ou devolvida, nada acontece
+  const { data: reservation, error: releaseError } = await supabase
+    .from('transactions')
+    .update({ status: 'released', settled_at: new Date().toISOString(), release_reason: reason })
+    .eq('id', reservationId)
+    .eq('status', 'reserved')
+    .select('id, user_id, credit_type')
+    .maybeSingle();
+
+  if (releaseError) throw releaseError;
+  if (!reservation) return false;
+
+  // Crédito devolvido com o mesmo compare-and-set do reserveCredit: compras e devoluções
+  // simultâneas não se sobrescrevem
+  const creditColumn = reservation.credit_type === 'whatsapp' ? 'whatsapp_credits' : 'sms_credits';
+  let refunded = false;
+
+  for (let attempt = 1; attempt <= 5 && !refunded; attempt++) {
+    const user = await getUserById(reservation.user_id);
+    if (!user) throw new Error(`Usuário ${reservation.user_id} não encontrado ao devolver crédito`);
+
+    const { data: updated, error: updateError } = await supabase
+      .from('users')
+      .update({ [creditColumn]: user[creditColumn] + 1 })
+      .eq('id', reservation.user_id)
+      .eq(creditColumn, user[creditColumn])
+      .select('id')
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    refunded = !!updated;
+  }
+
+  if (!refunded) {
+    throw new Error(`Não foi possível devolver o crédito da reserva ${reservationId}`);
+  }
+
+  const { error: transactionError } = await supabase
+    .from('transactions')
+    .insert([{
+      user_id: reservation.user_id,
+      type: 'refund',
+      credit_type: reservation.credit_type,
+      amount: 1,
+      credits_added: 1,
+      status: 'completed',
+      reference_id: reservationId,
+      release_reason: reason
+    }]);
+
+  if (transactionError) throw transactionError;
+  return true;
+}
+
+
+async function recordSentMessage(userId, phone, message, channel = 'whatsapp', trackingCode = null) {
+  const code = trackingCode || await reserveTrackingCode({ userId, phone, channel });
+  const thread = await getOrCreateThread({ userId, phone, trackingCode: code, channel });
+
+  const { error } = await supabase
+    .from('messages')
+    .insert([{
+      user_id: userId,
+      phone: phone,
+      message: message,
+      channel: channel,
+      tracking_code: code,
+      thread_id: thread.id
+    }]);
+
+  if (error) throw error;
+
+  await touchThread(thread.id);
+  return true;
+}
+
 async function getUserTransactions(userId, limit = 20) {
   const { data, error } = await supabase
     .from('transactions')
@@ -494,7 +710,33 @@ async function getUserMessages(userId, limit = 20) {
     .limit(limit);
 
   if (error) throw error;
-  return data || [];
+
+  // Agendamentos ainda não entregues aparecem no histórico com o status atual
+  const { data: scheduled, error: scheduledError } = await supabase
+    .from('message_queue')
+    .select('id, phone, payload, tracking_code, status, scheduled_for, created_at')
+    .eq('user_id', userId)
+    .not('scheduled_for', 'is', null)
+    .neq('status', 'sent')
+    .order('scheduled_for', { ascending: true })
+    .limit(limit);
+
+  if (scheduledError && scheduledError.code !== '42P01') throw scheduledError;
+
+  const pending = (scheduled || []).map(item => ({
+    id: item.id,
+    phone: item.phone,
+    message: item.payload?.message || null,
+    channel: 'whatsapp',
+    tracking_code: item.tracking_code,
+    has_reply: false,
+    scheduled: true,
+    status: item.status,
+    scheduled_for: item.scheduled_for,
+    created_at: item.created_at
+  }));
+
+  return [...pending, ...(data || []).map(msg => ({ ...msg, status: 'sent' }))];
 }
 
 async function getUserReplies(userId, limit = 20) {
@@ -601,7 +843,8 @@ async function findMessageByPhone(phone, channel = null) {
   }
 }
 
-async function saveReplyFromWebhook(fromPhone, replyMessage, channel, isLid = false, audioUrl = null) {
+// attachment: { url, type: 'image' | 'video' } para respostas com imagem ou vídeo
+async function saveReplyFromWebhook(fromPhone, replyMessage, channel, isLid = false, audioUrl = null, attachment = null) {
   let originalMessage = null;
   let phoneToSearch = fromPhone;
 
@@ -644,9 +887,21 @@ async function saveReplyFromWebhook(fromPhone, replyMessage, channel, isLid = fa
     return null;
   }
 
+  let threadId = originalMessage.thread_id || null;
+  if (!threadId && originalMessage.tracking_code) {
+    const thread = await getOrCreateThread({
+      userId: originalMessage.user_id,
+      phone: originalMessage.phone,
+      trackingCode: originalMessage.tracking_code,
+      channel: originalMessage.channel || channel
+    });
+    threadId = thread.id;
+  }
+
   const insertData = {
     user_id: originalMessage.user_id,
     message_id: originalMessage.id,
+    thread_id: threadId,
     from_phone: fromPhone,
     message: replyMessage,
     channel: channel
@@ -657,6 +912,11 @@ async function saveReplyFromWebhook(fromPhone, replyMessage, channel, isLid = fa
     insertData.audio_url = audioUrl;
   }
 
+  if (attachment) {
+    insertData.attachment_url = attachment.url;
+    insertData.attachment_type = attachment.type;
+  }
+
   const { data, error } = await supabase
     .from('replies')
     .insert([insertData])
@@ -677,6 +937,10 @@ async function saveReplyFromWebhook(fromPhone, replyMessage, channel, isLid = fa
     console.error(`[Database] Erro ao atualizar has_reply: ${updateError.message}`);
   }
 
+  if (threadId) {
+    await touchThread(threadId);
+  }
+
   return {
     reply: data,
     originalMessage: originalMessage,
@@ -781,7 +1045,7 @@ async function resetPassword(token, newPassword) {
 
   const { error: updateError } = await supabase
     .from('users')
-    .update({ password: hashedPassword })
+    .update({ password: hashedPassword, tokens_valid_after: new Date().toISOString() })
     .eq('id', userId);
 
   if (updateError) throw updateError;
@@ -791,7 +1055,7 @@ async function resetPassword(token, newPassword) {
     .update({ used: true, used_at: new Date().toISOString() })
     .eq('token', token);
 
-  return true;
+  return userId;
 }
 
 
@@ -804,6 +1068,7 @@ async function createPasswordResetCodeByPhone(userId, phone) {
     .from('phone_verifications')
     .update({ verified: true })
     .eq('phone', phone)
+    .eq('purpose', 'verification')
     .eq('verified', false);
 
   const { data, error } = await supabase
@@ -827,18 +1092,19 @@ async function verifyPasswordResetCodeByPhone(phone, code) {
     .select('*')
     .eq('phone', phone)
     .eq('code', code)
+    .eq('purpose', 'verification')
     .eq('verified', false)
     .single();
 
   if (error || !data) {
-    throw new Error('Código inválido ou já utilizado');
+    throw await wrongPhoneCodeError(phone);
   }
 
   if (new Date(data.expires_at) < new Date()) {
     throw new Error('Código expirado. Solicite um novo código.');
   }
 
-  if (data.attempts >= 5) {
+  if (data.attempts >= MAX_CODE_ATTEMPTS) {
     throw new Error('Muitas tentativas. Solicite um novo código.');
   }
 
@@ -857,7 +1123,7 @@ async function resetPasswordByPhone(phone, code, newPassword) {
 
   const { error: updateError } = await supabase
     .from('users')
-    .update({ password: hashedPassword })
+    .update({ password: hashedPassword, tokens_valid_after: new Date().toISOString() })
     .eq('id', userId);
 
   if (updateError) throw updateError;
@@ -867,17 +1133,181 @@ async function resetPasswordByPhone(phone, code, newPassword) {
     .from('phone_verifications')
     .update({ verified: true, verified_at: new Date().toISOString() })
     .eq('phone', phone)
-    .eq('code', code);
+    .eq('code', code)
+    .eq('purpose', 'verification');
 
-  return true;
+  return userId;
+}
+
+// ==========================================
+// LOGIN SEM SENHA (LINK POR EMAIL / CÓDIGO POR WHATSAPP)
+// ==========================================
+
+const LOGIN_LINK_TTL_MINUTES = 15;
+const LOGIN_CODE_TTL_MINUTES = 10;
+
+function loginCodeHash(userId, code) {
+  return hashMessage(`login:${userId}:${code}`);
+}
+
+// Um pedido novo descarta os anteriores do mesmo canal (como os códigos de telefone)
+async function discardPendingLoginCodes(userId, channel) {
+  await supabase
+    .from('login_codes')
+    .update({ discarded_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('channel', channel)
+    .is('used_at', null)
+    .is('discarded_at', null);
+}
+
+async function insertLoginCode(userId, channel, codeHash, ttlMinutes, clientInfo = {}) {
+  const { error } = await supabase
+    .from('login_codes')
+    .insert([{
+      user_id: userId,
+      channel,
+      code_hash: codeHash,
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString(),
+      ip_address: clientInfo.ipAddress || null,
+      user_agent: clientInfo.userAgent || null
+    }]);
+
+  if (error) throw error;
+}
+
+// Marca como usado só se ainda estiver pendente: duas requisições com o mesmo código
+// não geram duas sessões
+async function claimLoginCode(id) {
+  const { data, error } = await supabase
+    .from('login_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('used_at', null)
+    .is('discarded_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+}
+
+// Token do link (só o hash fica no banco)
+async function createLoginLinkToken(userId, clientInfo = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await discardPendingLoginCodes(userId, 'email');
+  await insertLoginCode(userId, 'email', hashMessage(`login-link:${token}`), LOGIN_LINK_TTL_MINUTES, clientInfo);
+
+  return { token, expiresMinutes: LOGIN_LINK_TTL_MINUTES };
+}
+
+async function consumeLoginLinkToken(token) {
+  const { data, error } = await supabase
+    .from('login_codes')
+    .select('id, user_id, expires_at, used_at, discarded_at')
+    .eq('channel', 'email')
+    .eq('code_hash', hashMessage(`login-link:${String(token || '')}`))
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data || data.used_at || data.discarded_at) {
+    throw new Error('Link inválido ou já utilizado. Solicite um novo.');
+  }
+
+  if (new Date(data.expires_at) < new Date()) {
+    throw new Error('Link expirado. Solicite um novo.');
+  }
+
+  if (!await claimLoginCode(data.id)) {
+    throw new Error('Link inválido ou já utilizado. Solicite um novo.');
+  }
+
+  await supabase
+    .from('users')
+    .update({ email_verified: true })
+    .eq('id', data.user_id);
+
+  return data.user_id;
+}
+
+async function createLoginCode(userId, clientInfo = {}) {
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  await discardPendingLoginCodes(userId, 'whatsapp');
+  await insertLoginCode(userId, 'whatsapp', loginCodeHash(userId, code), LOGIN_CODE_TTL_MINUTES, clientInfo);
+
+  return { code, expiresMinutes: LOGIN_CODE_TTL_MINUTES };
+}
+
+// Confere o código pendente da conta. Erros com invalidCode contam como falha no
+// auth-guard; na última tentativa errada o código é descartado
+async function verifyLoginCode(userId, code) {
+  const { data, error } = await supabase
+    .from('login_codes')
+    .select('id, code_hash, attempts')
+    .eq('user_id', userId)
+    .eq('channel', 'whatsapp')
+    .is('used_at', null)
+    .is('discarded_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const invalid = (message, codeInvalidated = false) => {
+    const err = new Error(message);
+    err.invalidCode = true;
+    err.codeInvalidated = codeInvalidated;
+    err.userId = userId;
+    return err;
+  };
+
+  if (!data) {
+    throw invalid('Código inválido ou expirado. Solicite um novo.');
+  }
+
+  const expected = Buffer.from(data.code_hash);
+  const received = Buffer.from(loginCodeHash(userId, String(code || '').trim()));
+  if (!crypto.timingSafeEqual(expected, received)) {
+    const attempts = (data.attempts || 0) + 1;
+    const invalidated = attempts >= MAX_CODE_ATTEMPTS;
+
+    await supabase
+      .from('login_codes')
+      .update(invalidated ? { attempts, discarded_at: new Date().toISOString() } : { attempts })
+      .eq('id', data.id);
+
+    throw invalid(invalidated
+      ? 'Muitas tentativas incorretas. O código foi invalidado; solicite um novo.'
+      : 'Código inválido ou já utilizado', invalidated);
+  }
+
+  if (!await claimLoginCode(data.id)) {
+    throw invalid('Código inválido ou já utilizado');
+  }
+
+  await supabase
+    .from('users')
+    .update({ phone_verified: true })
+    .eq('id', userId);
+
+  return userId;
+}
+
+function whatsAppStatsKey(sessionId) {
+  return !sessionId || sessionId === 'whatsapp-main' ? 'whatsapp_stats' : `whatsapp_stats:${sessionId}`;
 }
 
-async function getWhatsAppStats() {
+async function getWhatsAppStats(sessionId = 'whatsapp-main') {
   try {
     const { data, error } = await supabase
       .from('system_settings')
       .select('value')
-      .eq('key', 'whatsapp_stats')
+      .eq('key', whatsAppStatsKey(sessionId))
       .single();
 
     if (error) {
@@ -913,7 +1343,7 @@ async function getWhatsAppStats() {
   }
 }
 
-async function saveWhatsAppStats(stats, status = null) {
+async function saveWhatsAppStats(stats, status = null, sessionId = 'whatsapp-main') {
   try {
     const value = {
       successCount: stats.successCount || 0,
@@ -930,7 +1360,7 @@ async function saveWhatsAppStats(stats, status = null) {
     const { error } = await supabase
       .from('system_settings')
       .upsert({
-        key: 'whatsapp_stats',
+        key: whatsAppStatsKey(sessionId),
         value: value,
         updated_at: new Date().toISOString()
       }, {
@@ -969,7 +1399,8 @@ async function logModerationEvent(data) {
     
       metadata: {
         detected_types: data.detectedTypes || [],
-        matched_rule: data.matchedWord || null
+        matched_rule: data.matchedWord || null,
+        flags: data.flags || []
       }
     };
 
@@ -981,6 +1412,13 @@ async function logModerationEvent(data) {
       console.error('[Database] Erro ao salvar log de moderação:', error.message);
     }
 
+    if (data.action === 'blocked' && data.userId) {
+      await require('./strike-service').getStrikeService().recordModerationBlock(data.userId, {
+        category: data.category,
+        riskScore: data.riskScore || 0
+      });
+    }
+
     return true;
   } catch (error) {
     console.error('[Database] Erro ao criar log de moderação:', error.message);
@@ -989,7 +1427,8 @@ async function logModerationEvent(data) {
 }
 
 
-async function saveToLegalRetention(userId) {
+async function saveToLegalRetention(userId, options = {}) {
+  const { deletedBy = 'user' } = options;
   try {
   
     const { data: user, error: userError } = await supabase
@@ -1061,7 +1500,7 @@ async function saveToLegalRetention(userId) {
         ip_logs: ipLogs,
         transactions_summary: transactionsSummary,
         total_spent: totalSpent,
-        deleted_by: 'user',
+        deleted_by: deletedBy,
         retention_expires_at: new Date(Date.now() + 2 * 365 * 24 * 60 * 60 * 1000).toISOString() 
       })
       .select()
@@ -1128,6 +1567,18 @@ async function deleteUserData(userId, options = {}) {
       results.deleted.push('messages');
     }
 
+
+    const { error: threadsError } = await supabase
+      .from('threads')
+      .delete()
+      .eq('user_id', userId);
+
+    if (threadsError && threadsError.code !== 'PGRST116') {
+      results.errors.push({ table: 'threads', error: threadsError.message });
+    } else {
+      results.deleted.push('threads');
+    }
+
  
     if (keepTransactionsForTax) {
       const { error: transactionsError } = await supabase
@@ -1251,7 +1702,7 @@ async function exportUserData(userId) {
   
     const { data: repliesData } = await supabase
       .from('replies')
-      .select('id, message, channel, created_at, audio_url')
+      .select('id, message, channel, created_at, audio_url, attachment_url, attachment_type')
       .eq('user_id', userId)
       .order('created_at', { ascending: false });
 
@@ -1378,6 +1829,88 @@ async function cleanupExpiredData() {
       results.cleaned.push({ table: 'password_resets (expired)' });
     }
 
+
+    const { error: loginCodesError } = await supabase
+      .from('login_codes')
+      .delete()
+      .lt('expires_at', now.toISOString());
+
+    if (!loginCodesError) {
+      results.cleaned.push({ table: 'login_codes (expired)' });
+    }
+
+
+    const { error: oauthStatesError } = await supabase
+      .from('oauth_states')
+      .delete()
+      .lt('expires_at', now.toISOString());
+
+    if (!oauthStatesError) {
+      results.cleaned.push({ table: 'oauth_states (expired)' });
+    }
+
+
+    const { error: cacheError } = await supabase
+      .from('moderation_cache')
+      .delete()
+      .lt('expires_at', now.toISOString());
+
+    if (!cacheError) {
+      results.cleaned.push({ table: 'moderation_cache (expired)' });
+    }
+
+
+    // Maior janela padrão é de um dia; dois dias cobrem políticas editadas no painel
+    const hitsExpiry = new Date(now);
+    hitsExpiry.setDate(hitsExpiry.getDate() - 2);
+
+    const { error: hitsError } = await supabase
+      .from('rate_limit_hits')
+      .delete()
+      .lt('created_at', hitsExpiry.toISOString());
+
+    if (!hitsError) {
+      results.cleaned.push({ table: 'rate_limit_hits (expired)' });
+    }
+
+
+    const { error: throttleError } = await supabase
+      .from('auth_throttles')
+      .delete()
+      .lt('last_failure_at', hitsExpiry.toISOString())
+      .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`);
+
+    if (!throttleError) {
+      results.cleaned.push({ table: 'auth_throttles (expired)' });
+    }
+
+
+    const securityExpiry = new Date(now);
+    securityExpiry.setDate(securityExpiry.getDate() - RETENTION_POLICY.logs_technical);
+
+    const { error: securityError } = await supabase
+      .from('security_events')
+      .delete()
+      .lt('created_at', securityExpiry.toISOString());
+
+    if (!securityError) {
+      results.cleaned.push({ table: 'security_events' });
+    }
+
+
+    // Sessões expiradas ou revogadas ficam um tempo para aparecer no histórico
+    const sessionsExpiry = new Date(now);
+    sessionsExpiry.setDate(sessionsExpiry.getDate() - 30);
+
+    const { error: sessionsError } = await supabase
+      .from('user_sessions')
+      .delete()
+      .or(`expires_at.lt.${sessionsExpiry.toISOString()},revoked_at.lt.${sessionsExpiry.toISOString()}`);
+
+    if (!sessionsError) {
+      results.cleaned.push({ table: 'user_sessions (expired/revoked)' });
+    }
+
     return results;
   } catch (error) {
     console.error('[Database] Erro na limpeza de dados:', error.message);
@@ -1723,7 +2256,8 @@ async function getRecentAccesses(limit = 50) {
 
 
 
-async function blockUser(phone, userId) {
+// strike: false quando o dono do LID foi adivinhado e o remetente pode não ser o bloqueado
+async function blockUser(phone, userId, { strike = true } = {}) {
   try {
     const normalizedPhone = phone.replace(/\D/g, '');
 
@@ -1745,7 +2279,10 @@ async function blockUser(phone, userId) {
       throw error;
     }
 
-   
+    if (strike) {
+      await require('./strike-service').getStrikeService().recordRecipientBlock(userId, data.id, normalizedPhone);
+    }
+
     return { success: true, data };
   } catch (error) {
     console.error('[Block] Erro ao bloquear:', error.message);
@@ -1978,6 +2515,1769 @@ async function markAllNotificationsAsRead(userId) {
   }
 }
 
+// review: { reason, category, riskScore } retém o job ('held') até a decisão de um admin
+async function enqueueMessageJob({ userId, type = 'text', phone, payload, trackingCode = null, maxAttempts = 5, scheduledFor = null, creditReservationId = null, review = null }) {
+  const insertData = {
+    user_id: userId,
+    type,
+    phone,
+    payload,
+    tracking_code: trackingCode,
+    status: review ? 'held' : (scheduledFor ? 'scheduled' : 'queued'),
+    max_attempts: maxAttempts,
+    next_attempt_at: scheduledFor || new Date().toISOString(),
+    credit_reservation_id: creditReservationId
+  };
+
+  if (scheduledFor) {
+    insertData.scheduled_for = scheduledFor;
+  }
+
+  if (review) {
+    insertData.review_reason = review.reason || null;
+    insertData.review_risk_score = review.riskScore || 0;
+    insertData.moderation_category = review.category || null;
+  }
+
+  const { data, error } = await supabase
+    .from('message_queue')
+    .insert(insertData)
+    .select('id, status, tracking_code, scheduled_for, created_at')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function getMessageJob(jobId, userId = null) {
+  let query = supabase
+    .from('message_queue')
+    .select('id, user_id, type, phone, tracking_code, status, attempts, max_attempts, next_attempt_at, last_error, result, sent_at, created_at, updated_at')
+    .eq('id', jobId);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+
+async function claimNextMessageJob() {
+  const { data: candidates, error } = await supabase
+    .from('message_queue')
+    .select('id, status')
+    .in('status', ['queued', 'failed'])
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(5);
+
+  if (error) throw error;
+
+  for (const candidate of candidates || []) {
+    // Update condicionado ao status anterior: se outro worker pegou o job, nenhuma linha volta
+    const { data: claimed, error: claimError } = await supabase
+      .from('message_queue')
+      .update({
+        status: 'sending',
+        locked_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', candidate.id)
+      .eq('status', candidate.status)
+      .select('*')
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (claimed) return claimed;
+  }
+
+  return null;
+}
+
+async function updateMessageJob(jobId, updates) {
+  const { data, error } = await supabase
+    .from('message_queue')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+
+async function transitionMessageJob(jobId, fromStatus, updates) {
+  const { data, error } = await supabase
+    .from('message_queue')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', fromStatus)
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+
+async function releaseMessageJobCredit(jobId, reason = null) {
+  const { data: job, error } = await supabase
+    .from('message_queue')
+    .select('id, credit_reservation_id')
+    .eq('id', jobId)
+    .single();
+
+  if (error) throw error;
+  if (!job || !job.credit_reservation_id) return false;
+
+  const released = await releaseCredit(job.credit_reservation_id, reason);
+
+  if (released) {
+    await supabase
+      .from('message_queue')
+      .update({ refunded_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', jobId);
+  }
+
+  return released;
+}
+
+
+async function listHeldMessages(limit = 50) {
+  const { data, error } = await supabase
+    .from('message_queue')
+    .select('id, user_id, type, phone, payload, tracking_code, scheduled_for, moderation_category, review_reason, review_risk_score, created_at, users(id, name, email)')
+    .eq('status', 'held')
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  // O áudio/mídia em base64 não vai para o painel (a mídia aparece pela URL do storage)
+  return (data || []).map(({ payload, users, ...job }) => ({
+    ...job,
+    message: payload?.message || null,
+    caption: payload?.caption || null,
+    transcription: payload?.transcription || null,
+    media_url: payload?.mediaUrl || null,
+    sender: users || null
+  }));
+}
+
+async function getHeldMessage(jobId) {
+  const { data, error } = await supabase
+    .from('message_queue')
+    .select('*')
+    .eq('id', jobId)
+    .eq('status', 'held')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+
+async function getScheduledMessages(userId, limit = 50) {
+  const { data, error } = await supabase
+    .from('message_queue')
+    .select('id, phone, payload, tracking_code, status, scheduled_for, attempts, last_error, moderation_category, refunded_at, sent_at, created_at, updated_at')
+    .eq('user_id', userId)
+    .not('scheduled_for', 'is', null)
+    .order('scheduled_for', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return (data || []).map(({ payload, ...item }) => ({
+    ...item,
+    message: payload?.message || null
+  }));
+}
+
+async function getScheduledMessage(jobId, userId) {
+  const { data, error } = await supabase
+    .from('message_queue')
+    .select('id, user_id, phone, payload, tracking_code, status, scheduled_for, credit_reservation_id, refunded_at, created_at')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .not('scheduled_for', 'is', null)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+// next_attempt_at começa igual a scheduled_for e é adiado quando o remetente está limitado
+async function getDueScheduledMessages(limit = 20) {
+  const { data, error } = await supabase
+    .from('message_queue')
+    .select('*')
+    .eq('status', 'scheduled')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function recoverStuckMessageJobs(olderThanMinutes = 5) {
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('message_queue')
+    .update({
+      status: 'queued',
+      locked_at: null,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('status', 'sending')
+    .lt('locked_at', cutoff)
+    .select('id');
+
+  if (error) {
+    console.error('[Queue] Erro ao recuperar jobs presos:', error.message);
+    return 0;
+  }
+
+  return data?.length || 0;
+}
+
+// Código de rastreio novo, já reservado numa conversa do remetente com o destinatário.
+// O índice único de threads.tracking_code decide: em colisão (23505) sorteia outro
+async function reserveTrackingCode({ userId, phone, channel = 'whatsapp' }) {
+  for (let attempt = 0; attempt < TRACKING_CODE_ATTEMPTS; attempt++) {
+    const trackingCode = generateTrackingCode();
+
+    const { error } = await supabase
+      .from('threads')
+      .insert([{
+        user_id: userId,
+        phone,
+        tracking_code: trackingCode,
+        channel
+      }]);
+
+    if (!error) return trackingCode;
+    if (error.code !== '23505') throw error;
+  }
+
+  throw new Error('Não foi possível gerar um código de rastreio. Tente novamente.');
+}
+
+async function findThread({ userId, phone, trackingCode }) {
+  const { data, error } = await supabase
+    .from('threads')
+    .select('*')
+    .eq('tracking_code', trackingCode)
+    .eq('user_id', userId)
+    .eq('phone', phone)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Códigos antigos (4 caracteres) podem se repetir entre remetentes: a conversa é sempre
+// do mesmo remetente com o mesmo destinatário
+async function getOrCreateThread({ userId, phone, trackingCode, channel = 'whatsapp' }) {
+  const existing = await findThread({ userId, phone, trackingCode });
+  if (existing) return existing;
+
+  const { data, error: insertError } = await supabase
+    .from('threads')
+    .insert([{
+      user_id: userId,
+      phone,
+      tracking_code: trackingCode,
+      channel
+    }])
+    .select()
+    .single();
+
+  // Outra requisição criou a mesma conversa ao mesmo tempo; se o código for de outra
+  // conversa, não reaproveita
+  if (insertError && insertError.code === '23505') {
+    const created = await findThread({ userId, phone, trackingCode });
+    if (!created) {
+      throw new Error(`Código de rastreio ${trackingCode} já pertence a outra conversa`);
+    }
+    return created;
+  }
+
+  if (insertError) throw insertError;
+  return data;
+}
+
+async function touchThread(threadId) {
+  const { error } = await supabase
+    .from('threads')
+    .update({ last_message_at: new Date().toISOString() })
+    .eq('id', threadId);
+
+  if (error) {
+    console.error(`[Database] Erro ao atualizar conversa ${threadId}: ${error.message}`);
+  }
+}
+
+async function getUserThreads(userId, limit = 20) {
+  const { data, error } = await supabase
+    .from('threads')
+    // !inner: conversas reservadas cujo envio não aconteceu (bloqueio, falha) ficam de fora
+    .select('*, messages!inner(id, message, created_at), replies(id, message, audio_url, attachment_url, attachment_type, created_at)')
+    .eq('user_id', userId)
+    .order('last_message_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return (data || []).map(({ messages, replies, ...thread }) => {
+    const entries = buildThreadEntries(messages, replies);
+    const last = entries[entries.length - 1] || null;
+
+    return {
+      ...thread,
+      message_count: (messages || []).length,
+      reply_count: (replies || []).length,
+      last_entry: last
+    };
+  });
+}
+
+async function getThread(threadId, userId) {
+  const { data, error } = await supabase
+    .from('threads')
+    .select('*, messages(id, message, created_at), replies(id, message, from_phone, audio_url, attachment_url, attachment_type, created_at)')
+    .eq('id', threadId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!data) return null;
+
+  const { messages, replies, ...thread } = data;
+
+  return {
+    ...thread,
+    entries: buildThreadEntries(messages, replies)
+  };
+}
+
+function buildThreadEntries(messages, replies) {
+  const outbound = (messages || []).map(msg => ({
+    id: msg.id,
+    direction: 'outbound',
+    message: msg.message,
+    created_at: msg.created_at
+  }));
+
+  const inbound = (replies || []).map(reply => ({
+    id: reply.id,
+    direction: 'inbound',
+    message: reply.message,
+    audio_url: reply.audio_url || null,
+    attachment_url: reply.attachment_url || null,
+    attachment_type: reply.attachment_type || null,
+    created_at: reply.created_at
+  }));
+
+  return [...outbound, ...inbound].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+
+async function listWhatsAppNumbers() {
+  const { data, error } = await supabase
+    .from('whatsapp_numbers')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    if (error.code === '42P01') return null;
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function getWhatsAppNumber(numberId) {
+  const { data, error } = await supabase
+    .from('whatsapp_numbers')
+    .select('*')
+    .eq('id', numberId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || null;
+}
+
+async function createWhatsAppNumber({ sessionId, label, transport = 'webjs', config = {} }) {
+  const { data, error } = await supabase
+    .from('whatsapp_numbers')
+    .insert([{
+      session_id: sessionId,
+      label,
+      transport,
+      config,
+      state: 'pending'
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateWhatsAppNumber(sessionId, updates) {
+  const { data, error } = await supabase
+    .from('whatsapp_numbers')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('session_id', sessionId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    if (error.code === '42P01') return null;
+    throw error;
+  }
+
+  return data;
+}
+
+async function deleteWhatsAppNumber(numberId) {
+  const { error } = await supabase
+    .from('whatsapp_numbers')
+    .delete()
+    .eq('id', numberId);
+
+  if (error) throw error;
+
+  return true;
+}
+
+
+// Chave estável do destinatário: 55 + DDD + 8 últimos dígitos, ignorando o nono dígito,
+// para que "11987654321" e "551187654321" caiam no mesmo hash
+function recipientPhoneKey(phone) {
+  let digits = (phone || '').replace(/\D/g, '');
+  if (!digits.startsWith('55') && (digits.length === 10 || digits.length === 11)) {
+    digits = '55' + digits;
+  }
+  if (!digits.startsWith('55') || digits.length < 12) {
+    return digits;
+  }
+  return digits.slice(0, 4) + digits.slice(-8);
+}
+
+function hashRecipientPhone(phone) {
+  return hashMessage(recipientPhoneKey(phone));
+}
+
+async function addRecipientOptOut(phone, source = 'whatsapp', note = null) {
+  try {
+    const { error } = await supabase
+      .from('recipient_opt_outs')
+      .insert({ phone_hash: hashRecipientPhone(phone), source, note });
+
+    if (error) {
+      if (error.code === '23505') {
+        return { success: true, alreadyOptedOut: true };
+      }
+      throw error;
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('[OptOut] Erro ao registrar:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+async function isRecipientOptedOut(phone) {
+  try {
+    const { data, error } = await supabase
+      .from('recipient_opt_outs')
+      .select('id')
+      .eq('phone_hash', hashRecipientPhone(phone))
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '42P01') return false;
+      throw error;
+    }
+
+    return !!data;
+  } catch (error) {
+    console.error('[OptOut] Erro ao verificar:', error.message);
+    return false;
+  }
+}
+
+async function removeRecipientOptOut(phone) {
+  try {
+    const { data, error } = await supabase
+      .from('recipient_opt_outs')
+      .delete()
+      .eq('phone_hash', hashRecipientPhone(phone))
+      .select('id');
+
+    if (error) throw error;
+
+    return { success: true, removed: (data || []).length > 0 };
+  } catch (error) {
+    console.error('[OptOut] Erro ao remover:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+async function listRecipientOptOuts(limit = 50, offset = 0, phone = null) {
+  let query = supabase
+    .from('recipient_opt_outs')
+    .select('id, phone_hash, source, note, created_at', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (phone) {
+    query = query.eq('phone_hash', hashRecipientPhone(phone));
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) throw error;
+
+  return {
+    total: count || 0,
+    // O hash completo não é exibido: o prefixo basta para identificar a entrada
+    entries: (data || []).map(entry => ({
+      id: entry.id,
+      hash_prefix: entry.phone_hash.substring(0, 12),
+      source: entry.source,
+      note: entry.note,
+      created_at: entry.created_at
+    }))
+  };
+}
+
+async function getRecipientOptOutStats() {
+  const { data, error } = await supabase
+    .from('recipient_opt_outs')
+    .select('source, created_at');
+
+  if (error) throw error;
+
+  const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+  const stats = { total: 0, last7Days: 0, bySource: { whatsapp: 0, web: 0, admin: 0 } };
+
+  (data || []).forEach(entry => {
+    stats.total++;
+    stats.bySource[entry.source] = (stats.bySource[entry.source] || 0) + 1;
+    if (new Date(entry.created_at).getTime() >= weekAgo) {
+      stats.last7Days++;
+    }
+  });
+
+  return stats;
+}
+
+async function deleteRecipientOptOut(optOutId) {
+  const { error } = await supabase
+    .from('recipient_opt_outs')
+    .delete()
+    .eq('id', optOutId);
+
+  if (error) throw error;
+
+  return true;
+}
+
+async function logRecipientCommand({ phone, command, messageId = null, source = null }) {
+  const { error } = await supabase
+    .from('recipient_commands')
+    .insert({
+      phone_hash: hashRecipientPhone(phone),
+      command,
+      message_id: messageId,
+      source
+    });
+
+  if (error && error.code !== '42P01') {
+    console.error('[Commands] Erro ao registrar comando:', error.message);
+  }
+}
+
+async function createAbuseReport({ message, reporterPhone = null, source = 'whatsapp', reason = null, details = null }) {
+  try {
+    // Denúncias repetidas da mesma mensagem enquanto ela ainda está na fila não geram nova entrada
+    const { data: existing } = await supabase
+      .from('abuse_reports')
+      .select('*')
+      .eq('message_id', message.id)
+      .eq('status', 'pending')
+      .limit(1)
+      .maybeSingle();
+
+    if (existing) {
+      return { success: true, report: existing, alreadyReported: true };
+    }
+
+    const { data, error } = await supabase
+      .from('abuse_reports')
+      .insert({
+        message_id: message.id,
+        thread_id: message.thread_id || null,
+        sender_user_id: message.user_id,
+        tracking_code: message.tracking_code || null,
+        reporter_phone_hash: reporterPhone ? hashRecipientPhone(reporterPhone) : null,
+        source,
+        reason,
+        details
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, report: data };
+  } catch (error) {
+    console.error('[Report] Erro ao registrar denúncia:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+async function listAbuseReports(status = 'pending', limit = 50) {
+  let query = supabase
+    .from('abuse_reports')
+    .select('*, messages(id, phone, message, tracking_code, created_at), users(id, name, email, suspended_until)')
+    .order('created_at', { ascending: status === 'pending' })
+    .limit(limit);
+
+  if (status !== 'all') {
+    query = query.eq('status', status);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || []).map(formatAbuseReport);
+}
+
+function formatAbuseReport({ messages, users, ...report }) {
+  return { ...report, message: messages || null, sender: users || null };
+}
+
+async function getAbuseReport(reportId) {
+  const { data, error } = await supabase
+    .from('abuse_reports')
+    .select('*, messages(id, phone, message, tracking_code, created_at), users(id, name, email, suspended_until)')
+    .eq('id', reportId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const { data: actions } = await supabase
+    .from('abuse_report_actions')
+    .select('*')
+    .eq('report_id', reportId)
+    .order('created_at', { ascending: true });
+
+  let senderReportCount = 0;
+  if (data.sender_user_id) {
+    const { count } = await supabase
+      .from('abuse_reports')
+      .select('id', { count: 'exact', head: true })
+      .eq('sender_user_id', data.sender_user_id);
+    senderReportCount = count || 0;
+  }
+
+  return {
+    ...formatAbuseReport(data),
+    actions: actions || [],
+    senderReportCount
+  };
+}
+
+// Decisão do admin: a transição só acontece a partir de 'pending', então dois admins (ou
+// dois cliques) não decidem a mesma denúncia duas vezes. null se já foi decidida
+async function claimAbuseReport(reportId, { status, adminUser }) {
+  const { data, error } = await supabase
+    .from('abuse_reports')
+    .update({
+      status,
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: adminUser
+    })
+    .eq('id', reportId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Desfaz claimAbuseReport quando a ação falhou antes de ser registrada
+async function reopenAbuseReport(reportId, status) {
+  const { error } = await supabase
+    .from('abuse_reports')
+    .update({ status: 'pending', reviewed_at: null, reviewed_by: null })
+    .eq('id', reportId)
+    .eq('status', status);
+
+  if (error) {
+    console.error(`[Database] Erro ao reabrir denúncia ${reportId}: ${error.message}`);
+  }
+}
+
+// Registra a ação de uma denúncia já decidida (claimAbuseReport)
+async function recordAbuseReportAction(report, { action, adminUser, note = null, details = {} }) {
+  const { error: actionError } = await supabase
+    .from('abuse_report_actions')
+    .insert({
+      report_id: report.id,
+      action,
+      admin_user: adminUser,
+      note,
+      details
+    });
+
+  if (actionError) throw actionError;
+
+  // Denúncia procedente conta como strike para o remetente
+  if (report.status !== 'dismissed' && report.sender_user_id) {
+    await require('./strike-service').getStrikeService().recordUpheldReport(report.sender_user_id, report.id);
+  }
+
+  return report;
+}
+
+async function suspendUser(userId, days, reason = null) {
+  const suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  await setUserSuspension(userId, suspendedUntil, reason);
+  return suspendedUntil;
+}
+
+async function setUserSuspension(userId, suspendedUntil, reason = null) {
+  const { error } = await supabase
+    .from('users')
+    .update({
+      suspended_until: suspendedUntil ? suspendedUntil.toISOString() : null,
+      suspension_reason: reason
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+async function banUser(userId, reason = null) {
+  const { error } = await supabase
+    .from('users')
+    .update({
+      banned_at: new Date().toISOString(),
+      suspension_reason: reason
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+async function liftUserSuspension(userId) {
+  const { error } = await supabase
+    .from('users')
+    .update({
+      suspended_until: null,
+      banned_at: null,
+      suspension_reason: null
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+function isUserSuspended(user) {
+  if (!user) return false;
+  if (user.banned_at) return true;
+  return !!(user.suspended_until && new Date(user.suspended_until) > new Date());
+}
+
+// Com referenceKey, vale no máximo um strike ativo por (usuário, origem, chave): repetir
+// retorna null e um strike já vencido com a mesma chave é renovado
+async function addUserStrike({ userId, source, points = 1, reason = null, referenceId = null, referenceKey = null, ttlDays = 90 }) {
+  const fields = {
+    points,
+    reason,
+    reference_id: referenceId ? referenceId.toString() : null,
+    expires_at: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString()
+  };
+
+  const { data, error } = await supabase
+    .from('user_strikes')
+    .insert({ user_id: userId, source, reference_key: referenceKey, ...fields })
+    .select()
+    .single();
+
+  if (!error) return data;
+  if (error.code !== '23505' || !referenceKey) throw error;
+
+  const { data: renewed, error: renewError } = await supabase
+    .from('user_strikes')
+    .update({ ...fields, created_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('source', source)
+    .eq('reference_key', referenceKey)
+    .lte('expires_at', new Date().toISOString())
+    .select();
+
+  if (renewError) throw renewError;
+
+  return renewed && renewed.length > 0 ? renewed[0] : null;
+}
+
+async function getActiveStrikes(userId) {
+  const { data, error } = await supabase
+    .from('user_strikes')
+    .select('id, source, points, reason, created_at, expires_at')
+    .eq('user_id', userId)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    if (error.code === '42P01') return [];
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function getRecentMessageTimes(userId, sinceMinutes = 60) {
+  const since = new Date(Date.now() - sinceMinutes * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('messages')
+    .select('created_at')
+    .eq('user_id', userId)
+    .gte('created_at', since)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  return (data || []).map(m => new Date(m.created_at));
+}
+async function listModerationRules(enabledOnly = false) {
+  let query = supabase
+    .from('moderation_rules')
+    .select('*')
+    .order('stage', { ascending: true })
+    .order('priority', { ascending: true });
+
+  if (enabledOnly) {
+    query = query.eq('enabled', true);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return data || [];
+}
+
+async function createModerationRule(rule) {
+  const { data, error } = await supabase
+    .from('moderation_rules')
+    .insert(rule)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return data;
+}
+
+async function updateModerationRule(ruleId, updates) {
+  const { data, error } = await supabase
+    .from('moderation_rules')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', ruleId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+async function deleteModerationRule(ruleId) {
+  const { error } = await supabase
+    .from('moderation_rules')
+    .delete()
+    .eq('id', ruleId);
+
+  if (error) throw error;
+
+  return true;
+}
+
+async function getModerationCacheEntry(messageHash) {
+  const { data, error } = await supabase
+    .from('moderation_cache')
+    .select('result, hits')
+    .eq('message_hash', messageHash)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  // Contador sem RPC: uma corrida entre instâncias só perde um hit
+  supabase
+    .from('moderation_cache')
+    .update({ hits: (data.hits || 0) + 1, last_hit_at: new Date().toISOString() })
+    .eq('message_hash', messageHash)
+    .then(({ error: hitError }) => {
+      if (hitError) console.error('[Database] Erro ao contar hit do cache de moderação:', hitError.message);
+    });
+
+  return data.result;
+}
+
+async function saveModerationCacheEntry(messageHash, result, ttlMs) {
+  const { error } = await supabase
+    .from('moderation_cache')
+    .upsert({
+      message_hash: messageHash,
+      result,
+      provider: result.provider || null,
+      hits: 0,
+      last_hit_at: null,
+      expires_at: new Date(Date.now() + ttlMs).toISOString(),
+      created_at: new Date().toISOString()
+    }, { onConflict: 'message_hash' });
+
+  if (error) throw error;
+}
+
+async function clearModerationCache() {
+  const { error, count } = await supabase
+    .from('moderation_cache')
+    .delete({ count: 'exact' })
+    .not('message_hash', 'is', null);
+
+  if (error) throw error;
+
+  return count || 0;
+}
+
+async function getModerationCacheStats() {
+  const now = new Date().toISOString();
+
+  const [total, active] = await Promise.all([
+    supabase.from('moderation_cache').select('*', { count: 'exact', head: true }),
+    supabase.from('moderation_cache').select('*', { count: 'exact', head: true }).gt('expires_at', now)
+  ]);
+
+  if (total.error) throw total.error;
+  if (active.error) throw active.error;
+
+  return { entries: total.count || 0, active: active.count || 0 };
+}
+
+async function listRateLimitPolicies() {
+  const { data, error } = await supabase
+    .from('rate_limit_policies')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+async function updateRateLimitPolicy(name, updates) {
+  const { data, error } = await supabase
+    .from('rate_limit_policies')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('name', name)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Requisições aceitas dentro da janela e a mais antiga delas (para o Retry-After)
+async function countRateLimitHits(policy, subjectHash, windowSeconds) {
+  const since = new Date(Date.now() - windowSeconds * 1000).toISOString();
+
+  const { data, error, count } = await supabase
+    .from('rate_limit_hits')
+    .select('created_at', { count: 'exact' })
+    .eq('policy', policy)
+    .eq('subject_hash', subjectHash)
+    .gte('created_at', since)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) throw error;
+
+  return {
+    count: count || 0,
+    oldest: data && data.length > 0 ? new Date(data[0].created_at) : null
+  };
+}
+
+async function recordRateLimitHits(hits) {
+  const { error } = await supabase
+    .from('rate_limit_hits')
+    .insert(hits.map(hit => ({ policy: hit.policy, subject_hash: hit.subjectHash })));
+
+  if (error) throw error;
+}
+
+async function getAuthThrottles(action, subjects) {
+  const { data, error } = await supabase
+    .from('auth_throttles')
+    .select('*')
+    .eq('action', action)
+    .in('subject_hash', subjects.map(subject => subject.subjectHash));
+
+  if (error) throw error;
+
+  return (data || []).filter(row => subjects.some(subject => subject.scope === row.scope && subject.subjectHash === row.subject_hash));
+}
+
+async function saveAuthThrottle(row) {
+  const { error } = await supabase
+    .from('auth_throttles')
+    .upsert(row, { onConflict: 'scope,action,subject_hash' });
+
+  if (error) throw error;
+}
+
+async function clearAuthThrottle(scope, action, subjectHash) {
+  const { error } = await supabase
+    .from('auth_throttles')
+    .delete()
+    .eq('scope', scope)
+    .eq('action', action)
+    .eq('subject_hash', subjectHash);
+
+  if (error) throw error;
+}
+
+async function logSecurityEvent({ userId = null, eventType, ipAddress = null, userAgent = null, metadata = {} }) {
+  try {
+    const { error } = await supabase
+      .from('security_events')
+      .insert({
+        user_id: userId,
+        event_type: eventType,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        metadata
+      });
+
+    if (error && error.code !== '42P01') {
+      console.error('[Security] Erro ao registrar evento:', error.message);
+    }
+  } catch (error) {
+    console.error('[Security] Erro ao registrar evento:', error.message);
+  }
+}
+
+async function getUserSecurityEvents(userId, limit = 30) {
+  const { data, error } = await supabase
+    .from('security_events')
+    .select('id, event_type, ip_address, user_agent, metadata, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+// ==========================================
+// SESSÕES (REFRESH TOKENS)
+// ==========================================
+// Uma linha por dispositivo logado. O refresh token só é guardado em hash e troca a
+// cada uso; o anterior fica em previous_refresh_hash para detectar reuso (token roubado).
+
+async function createUserSession({ userId, refreshTokenHash, ipAddress = null, userAgent = null, expiresAt }) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .insert({
+      user_id: userId,
+      refresh_token_hash: refreshTokenHash,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      expires_at: expiresAt,
+      last_seen_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Sessão dona do refresh token atual ou do anterior (reuso)
+async function getUserSessionByRefreshHash(refreshTokenHash) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('*')
+    .or(`refresh_token_hash.eq.${refreshTokenHash},previous_refresh_hash.eq.${refreshTokenHash}`)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Troca o refresh token só se ele ainda for o atual: duas renovações simultâneas
+// não geram dois tokens válidos
+async function rotateUserSession(sessionId, currentHash, { refreshTokenHash, ipAddress, userAgent, expiresAt }) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .update({
+      refresh_token_hash: refreshTokenHash,
+      previous_refresh_hash: currentHash,
+      rotated_at: now,
+      last_seen_at: now,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      expires_at: expiresAt
+    })
+    .eq('id', sessionId)
+    .eq('refresh_token_hash', currentHash)
+    .is('revoked_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// O que o authMiddleware precisa: a sessão e desde quando os tokens do usuário valem
+async function getUserSessionAuth(sessionId) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('id, user_id, revoked_at, expires_at, last_seen_at, users(tokens_valid_after)')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function getUserTokensValidAfter(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, tokens_valid_after')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function setUserTokensValidAfter(userId, date = new Date()) {
+  const { error } = await supabase
+    .from('users')
+    .update({ tokens_valid_after: date.toISOString() })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+async function touchUserSession(sessionId) {
+  const { error } = await supabase
+    .from('user_sessions')
+    .update({ last_seen_at: new Date().toISOString() })
+    .eq('id', sessionId);
+
+  if (error) {
+    console.error('[Sessions] Erro ao atualizar last_seen_at:', error.message);
+  }
+}
+
+async function listUserSessions(userId) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('id, ip_address, user_agent, created_at, last_seen_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_seen_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function revokeUserSession(userId, sessionId, reason = 'logout') {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Revoga todas as sessões ativas (menos exceptSessionId) e devolve quantas eram
+async function revokeUserSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) throw error;
+  return (data || []).length;
+}
+
+// ==========================================
+// VERIFICAÇÃO EM DUAS ETAPAS
+// ==========================================
+// Segredos TOTP são guardados criptografados; códigos de recuperação só em hash.
+
+function encryptSecret(secret) {
+  if (!secret) return null;
+  const encrypted = encryptMessage(secret);
+  if (!encrypted) throw new Error('Erro ao proteger o segredo de verificação');
+  return JSON.stringify(encrypted);
+}
+
+function decryptSecret(stored) {
+  if (!stored) return null;
+  try {
+    return decryptMessage(JSON.parse(stored));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function getUserTwoFactor(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, email, phone, phone_verified, two_factor_method, two_factor_secret, two_factor_pending_secret, two_factor_last_step, two_factor_enabled_at')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const secret = decryptSecret(data.two_factor_secret);
+  if (data.two_factor_method === 'totp' && !secret) {
+    console.error(`[TwoFactor] Segredo TOTP ilegível para o usuário ${userId} (MESSAGE_ENCRYPTION_KEY mudou?)`);
+  }
+
+  return {
+    userId: data.id,
+    email: data.email,
+    phone: data.phone,
+    phoneVerified: data.phone_verified === true,
+    method: data.two_factor_method || null,
+    secret,
+    pendingSecret: decryptSecret(data.two_factor_pending_secret),
+    lastStep: data.two_factor_last_step,
+    enabledAt: data.two_factor_enabled_at
+  };
+}
+
+async function setTwoFactorPendingSecret(userId, secret) {
+  const { error } = await supabase
+    .from('users')
+    .update({ two_factor_pending_secret: encryptSecret(secret) })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+async function enableTwoFactor(userId, method, secret = null) {
+  const { error } = await supabase
+    .from('users')
+    .update({
+      two_factor_method: method,
+      two_factor_secret: encryptSecret(secret),
+      two_factor_pending_secret: null,
+      two_factor_last_step: null,
+      two_factor_enabled_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+async function disableTwoFactor(userId) {
+  const { error } = await supabase
+    .from('users')
+    .update({
+      two_factor_method: null,
+      two_factor_secret: null,
+      two_factor_pending_secret: null,
+      two_factor_last_step: null,
+      two_factor_enabled_at: null
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+
+  await supabase
+    .from('two_factor_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+}
+
+// Aceita o passo TOTP só se for mais novo que o último usado: o mesmo código não
+// entra duas vezes, nem em duas requisições simultâneas
+async function claimTwoFactorStep(userId, step) {
+  const { data, error } = await supabase
+    .from('users')
+    .update({ two_factor_last_step: step })
+    .eq('id', userId)
+    .or(`two_factor_last_step.is.null,two_factor_last_step.lt.${step}`)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+async function replaceRecoveryCodes(userId, codeHashes) {
+  const { error: deleteError } = await supabase
+    .from('two_factor_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) throw deleteError;
+
+  const { error } = await supabase
+    .from('two_factor_recovery_codes')
+    .insert(codeHashes.map(codeHash => ({ user_id: userId, code_hash: codeHash })));
+
+  if (error) throw error;
+}
+
+async function consumeRecoveryCode(userId, codeHash) {
+  const { data, error } = await supabase
+    .from('two_factor_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('code_hash', codeHash)
+    .is('used_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+async function countRecoveryCodes(userId) {
+  const { count, error } = await supabase
+    .from('two_factor_recovery_codes')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('used_at', null);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// ==========================================
+// ADMINISTRADORES E AUDITORIA
+// ==========================================
+
+const ADMIN_PUBLIC_FIELDS = 'id, username, name, role, active, two_factor_secret, last_login_at, created_at, updated_at';
+
+function toAdminUser(row) {
+  if (!row) return null;
+  const { two_factor_secret, two_factor_pending_secret, ...admin } = row;
+  return {
+    ...admin,
+    two_factor_enabled: !!two_factor_secret
+  };
+}
+
+async function countAdminUsers() {
+  const { count, error } = await supabase
+    .from('admin_users')
+    .select('id', { count: 'exact', head: true });
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Inclui o hash da senha e os segredos 2FA já descriptografados: uso interno do login
+async function getAdminUserForLogin(username) {
+  const { data, error } = await supabase
+    .from('admin_users')
+    .select('*')
+    .eq('username', String(username || '').trim().toLowerCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  return {
+    ...data,
+    two_factor_secret: decryptSecret(data.two_factor_secret),
+    two_factor_pending_secret: decryptSecret(data.two_factor_pending_secret)
+  };
+}
+
+async function getAdminUserById(adminId, { withSecrets = false } = {}) {
+  const { data, error } = await supabase
+    .from('admin_users')
+    .select(withSecrets ? '*' : `${ADMIN_PUBLIC_FIELDS}, tokens_valid_after`)
+    .eq('id', adminId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || !withSecrets) return toAdminUser(data);
+
+  return {
+    ...data,
+    two_factor_secret: decryptSecret(data.two_factor_secret),
+    two_factor_pending_secret: decryptSecret(data.two_factor_pending_secret)
+  };
+}
+
+async function listAdminUsers() {
+  const { data, error } = await supabase
+    .from('admin_users')
+    .select(ADMIN_PUBLIC_FIELDS)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(toAdminUser);
+}
+
+async function countActiveSuperadmins() {
+  const { count, error } = await supabase
+    .from('admin_users')
+    .select('id', { count: 'exact', head: true })
+    .eq('role', 'superadmin')
+    .eq('active', true);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+async function createAdminUser({ username, name = null, password, role, createdBy = null, twoFactorSecret = null }) {
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  const { data, error } = await supabase
+    .from('admin_users')
+    .insert({
+      username: String(username).trim().toLowerCase(),
+      name,
+      password_hash: passwordHash,
+      role,
+      two_factor_secret: encryptSecret(twoFactorSecret),
+      created_by: createdBy
+    })
+    .select(ADMIN_PUBLIC_FIELDS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') throw new Error('Já existe um administrador com este usuário');
+    throw error;
+  }
+  return toAdminUser(data);
+}
+
+// updates: name, role, active, password, twoFactorSecret, twoFactorPendingSecret.
+// Mudanças de senha, papel ou status derrubam os tokens emitidos antes
+async function updateAdminUser(adminId, updates) {
+  const row = { updated_at: new Date().toISOString() };
+
+  if (updates.name !== undefined) row.name = updates.name;
+  if (updates.role !== undefined) row.role = updates.role;
+  if (updates.active !== undefined) row.active = updates.active;
+  if (updates.password) row.password_hash = await bcrypt.hash(updates.password, 10);
+  if (updates.twoFactorSecret !== undefined) {
+    row.two_factor_secret = encryptSecret(updates.twoFactorSecret);
+    row.two_factor_last_step = null;
+  }
+  if (updates.twoFactorPendingSecret !== undefined) {
+    row.two_factor_pending_secret = encryptSecret(updates.twoFactorPendingSecret);
+  }
+  if (row.role !== undefined || row.active !== undefined || row.password_hash) {
+    row.tokens_valid_after = row.updated_at;
+  }
+
+  const { data, error } = await supabase
+    .from('admin_users')
+    .update(row)
+    .eq('id', adminId)
+    .select(ADMIN_PUBLIC_FIELDS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return toAdminUser(data);
+}
+
+async function touchAdminLogin(adminId) {
+  await supabase
+    .from('admin_users')
+    .update({ last_login_at: new Date().toISOString() })
+    .eq('id', adminId);
+}
+
+async function claimAdminTwoFactorStep(adminId, step) {
+  const { data, error } = await supabase
+    .from('admin_users')
+    .update({ two_factor_last_step: step })
+    .eq('id', adminId)
+    .or(`two_factor_last_step.is.null,two_factor_last_step.lt.${step}`)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Falha ao registrar auditoria não derruba a ação, mas fica no log do servidor
+async function logAdminAudit(entry) {
+  try {
+    const { error } = await supabase
+      .from('admin_audit_log')
+      .insert({
+        admin_id: entry.adminId || null,
+        admin_username: entry.adminUsername || null,
+        admin_role: entry.adminRole || null,
+        action: entry.action,
+        target_type: entry.targetType || null,
+        target_id: entry.targetId != null ? String(entry.targetId) : null,
+        status_code: entry.statusCode || null,
+        ip_address: entry.ipAddress || null,
+        user_agent: entry.userAgent || null,
+        metadata: entry.metadata || {}
+      });
+
+    if (error) {
+      console.error('[AdminAudit] Erro ao registrar auditoria:', error.message, entry.action);
+    }
+  } catch (error) {
+    console.error('[AdminAudit] Erro ao registrar auditoria:', error.message, entry.action);
+  }
+}
+
+async function getAdminAuditLog({ adminId, targetType, targetId, action, before, limit = 100 } = {}) {
+  let query = supabase
+    .from('admin_audit_log')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(Math.min(parseInt(limit) || 100, 500));
+
+  if (adminId) query = query.eq('admin_id', adminId);
+  if (targetType) query = query.eq('target_type', targetType);
+  if (targetId) query = query.eq('target_id', String(targetId));
+  if (action) query = query.ilike('action', `%${action}%`);
+  if (before) query = query.lt('created_at', before);
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ==========================================
+// LOGIN COM PROVEDORES OIDC (GOOGLE E OUTROS)
+// ==========================================
+// oauth_states acompanha cada login em andamento: state, nonce e code_verifier até o
+// callback do provedor, depois a identidade verificada até o frontend concluir.
+// Cada etapa só vale uma vez.
+
+const OAUTH_STATE_TTL_MINUTES = 15;
+
+async function createOAuthState({ provider, state, bindingHash, nonce, codeVerifier, linkUserId = null }) {
+  const { error } = await supabase
+    .from('oauth_states')
+    .insert([{
+      state_hash: hashMessage(`oauth-state:${state}`),
+      binding_hash: bindingHash,
+      provider,
+      nonce,
+      code_verifier: codeVerifier,
+      link_user_id: linkUserId,
+      expires_at: new Date(Date.now() + OAUTH_STATE_TTL_MINUTES * 60 * 1000).toISOString()
+    }]);
+
+  if (error) throw error;
+}
+
+// Login que ainda espera o callback do provedor
+async function getPendingOAuthState(state) {
+  const { data, error } = await supabase
+    .from('oauth_states')
+    .select('*')
+    .eq('state_hash', hashMessage(`oauth-state:${String(state || '')}`))
+    .is('result_hash', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Guarda a identidade verificada e devolve o token que o frontend troca pela sessão,
+// ou null se o state já foi usado (callback repetido não gera outro resultado)
+async function storeOAuthIdentity(id, identity) {
+  const resultToken = crypto.randomBytes(32).toString('hex');
+
+  const { data, error } = await supabase
+    .from('oauth_states')
+    .update({
+      result_hash: hashMessage(`oauth-result:${resultToken}`),
+      subject: identity.subject,
+      email: identity.email,
+      email_verified: identity.emailVerified,
+      name: identity.name,
+      nonce: null,
+      code_verifier: null,
+      authenticated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .is('result_hash', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? resultToken : null;
+}
+
+async function getOAuthResult(resultToken) {
+  const { data, error } = await supabase
+    .from('oauth_states')
+    .select('id, provider, link_user_id, subject, email, email_verified, name')
+    .eq('result_hash', hashMessage(`oauth-result:${String(resultToken || '')}`))
+    .is('completed_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function claimOAuthResult(id) {
+  const { data, error } = await supabase
+    .from('oauth_states')
+    .update({ completed_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('completed_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+}
+
+async function getUserIdentity(provider, subject) {
+  const { data, error } = await supabase
+    .from('user_identities')
+    .select('*')
+    .eq('provider', provider)
+    .eq('subject', subject)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function listUserIdentities(userId) {
+  const { data, error } = await supabase
+    .from('user_identities')
+    .select('id, provider, email, created_at, last_login_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function linkUserIdentity(userId, { provider, subject, email }) {
+  const { data, error } = await supabase
+    .from('user_identities')
+    .insert([{
+      user_id: userId,
+      provider,
+      subject,
+      email,
+      last_login_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error && error.code === '23505') {
+    throw new Error('Esta conta do provedor já está vinculada a um usuário, ou você já vinculou outra conta deste provedor');
+  }
+  if (error) throw error;
+  return data;
+}
+
+async function touchUserIdentity(id) {
+  await supabase
+    .from('user_identities')
+    .update({ last_login_at: new Date().toISOString() })
+    .eq('id', id);
+}
+
+async function unlinkUserIdentity(userId, provider) {
+  const { data, error } = await supabase
+    .from('user_identities')
+    .delete()
+    .eq('user_id', userId)
+    .eq('provider', provider)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Conta nova vinda do provedor: email já verificado por ele e senha aleatória
+// (o usuário pode definir uma em "Esqueci a senha" ou entrar sem senha)
+async function createUserFromIdentity({ email, name, acceptedTermsAt, termsVersion }) {
+  const result = await createUser(email, crypto.randomBytes(32).toString('hex'), null, name, null, acceptedTermsAt, termsVersion);
+
+  await supabase
+    .from('users')
+    .update({ email_verified: true })
+    .eq('id', result.id);
+
+  return result;
+}
+
+// Vínculo por email a uma conta cujo email nunca foi confirmado: quem cadastrou pode não
+// ser o dono do email, então a senha dele deixa de valer e os tokens emitidos caem
+async function claimUnverifiedAccount(userId) {
+  const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      password: hashedPassword,
+      email_verified: true,
+      tokens_valid_after: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
 module.exports = {
   supabase,
   createUser,
@@ -2006,6 +4306,7 @@ module.exports = {
   getWhatsAppStats,
   saveWhatsAppStats,
   generateTrackingCode,
+  reserveTrackingCode,
   extractTrackingCode,
   saveLidMapping,
   getPhoneByLid,
@@ -2013,6 +4314,10 @@ module.exports = {
  
   createPhoneVerificationCode,
   verifyPhoneCode,
+  createLoginLinkToken,
+  consumeLoginLinkToken,
+  createLoginCode,
+  verifyLoginCode,
   isPhoneVerified,
 
   createPasswordResetCodeByPhone,
@@ -2055,5 +4360,116 @@ module.exports = {
   getUserNotifications,
   getUnreadNotificationsCount,
   markNotificationAsRead,
-  markAllNotificationsAsRead
+  markAllNotificationsAsRead,
+
+  enqueueMessageJob,
+  getMessageJob,
+  claimNextMessageJob,
+  updateMessageJob,
+  transitionMessageJob,
+  releaseMessageJobCredit,
+  getScheduledMessages,
+  getScheduledMessage,
+  getDueScheduledMessages,
+  listHeldMessages,
+  getHeldMessage,
+  recoverStuckMessageJobs,
+
+  reserveCredit,
+  commitCredit,
+  releaseCredit,
+  recordSentMessage,
+
+  getOrCreateThread,
+  getUserThreads,
+  getThread,
+
+  listWhatsAppNumbers,
+  getWhatsAppNumber,
+  createWhatsAppNumber,
+  updateWhatsAppNumber,
+  deleteWhatsAppNumber,
+
+  hashRecipientPhone,
+  addRecipientOptOut,
+  isRecipientOptedOut,
+  removeRecipientOptOut,
+  listRecipientOptOuts,
+  getRecipientOptOutStats,
+  deleteRecipientOptOut,
+  logRecipientCommand,
+  createAbuseReport,
+  listAbuseReports,
+  getAbuseReport,
+  claimAbuseReport,
+  reopenAbuseReport,
+  recordAbuseReportAction,
+  suspendUser,
+  setUserSuspension,
+  banUser,
+  liftUserSuspension,
+  isUserSuspended,
+  addUserStrike,
+  getActiveStrikes,
+  getRecentMessageTimes,
+
+  listModerationRules,
+  createModerationRule,
+  updateModerationRule,
+  deleteModerationRule,
+  getModerationCacheEntry,
+  saveModerationCacheEntry,
+  clearModerationCache,
+  getModerationCacheStats,
+  listRateLimitPolicies,
+  updateRateLimitPolicy,
+  countRateLimitHits,
+  recordRateLimitHits,
+  getAuthThrottles,
+  saveAuthThrottle,
+  clearAuthThrottle,
+  logSecurityEvent,
+  getUserSecurityEvents,
+  createUserSession,
+  getUserSessionByRefreshHash,
+  rotateUserSession,
+  getUserSessionAuth,
+  getUserTokensValidAfter,
+  setUserTokensValidAfter,
+  touchUserSession,
+  listUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
+  getUserTwoFactor,
+  setTwoFactorPendingSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  claimTwoFactorStep,
+  replaceRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  countAdminUsers,
+  getAdminUserForLogin,
+  getAdminUserById,
+  listAdminUsers,
+  countActiveSuperadmins,
+  createAdminUser,
+  updateAdminUser,
+  touchAdminLogin,
+  claimAdminTwoFactorStep,
+  logAdminAudit,
+  getAdminAuditLog,
+  createOAuthState,
+  getPendingOAuthState,
+  storeOAuthIdentity,
+  getOAuthResult,
+  claimOAuthResult,
+  getUserIdentity,
+  listUserIdentities,
+  linkUserIdentity,
+  touchUserIdentity,
+  unlinkUserIdentity,
+  createUserFromIdentity,
+  claimUnverifiedAccount,
+  MAX_CODE_ATTEMPTS
 };
@@ -344,6 +344,117 @@ async function sendPasswordResetEmail(email, resetToken) {
   return { success: true, messageId: info.messageId };
 }
 
+// Link de login sem senha. O token vai no fragmento (#), que não é enviado ao servidor
+// nem consumido por pré-visualizadores de link: quem troca pela sessão é a página
+async function sendLoginLinkEmail(email, loginToken, name = '', expiresMinutes = 15) {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  const loginUrl = `${baseUrl}/#login-link=${loginToken}`;
+  const displayName = name ? name.split(' ')[0] : '';
+
+  const mailOptions = {
+    from: `"Zap Anônimo" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'Seu link de acesso - Zap Anônimo',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+          }
+          .container {
+            background-color: #f9f9f9;
+            border-radius: 10px;
+            padding: 30px;
+            border: 1px solid #ddd;
+          }
+          .header {
+            text-align: center;
+            margin-bottom: 30px;
+          }
+          .header h1 {
+            color: #4f46e5;
+            margin: 0;
+          }
+          .content {
+            background-color: white;
+            padding: 20px;
+            border-radius: 5px;
+          }
+          .button {
+            display: inline-block;
+            padding: 15px 30px;
+            background-color: #4f46e5;
+            color: white !important;
+            text-decoration: none;
+            border-radius: 5px;
+            font-weight: bold;
+            margin: 20px 0;
+          }
+          .button:hover {
+            background-color: #4338ca;
+          }
+          .footer {
+            margin-top: 30px;
+            text-align: center;
+            font-size: 12px;
+            color: #666;
+          }
+          .warning {
+            background-color: #fff3cd;
+            border: 1px solid #ffc107;
+            border-radius: 5px;
+            padding: 10px;
+            margin-top: 20px;
+            font-size: 14px;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔑 Zap Anônimo</h1>
+          </div>
+
+          <div class="content">
+            <h2>Olá${displayName ? ', ' + displayName : ''}!</h2>
+            <p>Recebemos um pedido para entrar na sua conta do Zap Anônimo sem senha.</p>
+            <p>Clique no botão abaixo para entrar:</p>
+
+            <center>
+              <a href="${loginUrl}" class="button">Entrar no Zap Anônimo</a>
+            </center>
+
+            <p>Ou copie e cole o link abaixo no seu navegador:</p>
+            <p style="word-break: break-all; background-color: #f5f5f5; padding: 10px; border-radius: 5px;">
+              ${loginUrl}
+            </p>
+
+            <div class="warning">
+              ⚠️ <strong>Importante:</strong> Este link expira em ${expiresMinutes} minutos e só pode ser usado uma vez. Não encaminhe este email para ninguém.
+            </div>
+          </div>
+
+          <div class="footer">
+            <p>Se não foi você quem pediu o link, ignore este email: ninguém entra na sua conta sem ele.</p>
+            <p>&copy; ${new Date().getFullYear()} Zap Anônimo. Todos os direitos reservados.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  const info = await transporter.sendMail(mailOptions);
+  return { success: true, messageId: info.messageId };
+}
+
 async function sendContactEmail(name, email, subject, message) {
   const subjectLabels = {
     'duvida': 'Dúvida sobre o serviço',
@@ -491,5 +602,6 @@ module.exports = {
   resendVerificationEmail,
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendLoginLinkEmail,
   sendContactEmail
 };
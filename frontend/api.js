@@ -13,6 +13,21 @@ const API = {
 
         try {
             const response = await fetch(url, options);
+
+            // Access token vencido ou sessão renovada: troca pelo refresh token e repete uma vez
+            if (response.status === 401 && options.headers['Authorization'] && !options._retried) {
+                const body = await response.clone().json().catch(() => ({}));
+                if (body.tokenExpired) {
+                    const sentToken = options.headers['Authorization'].replace('Bearer ', '');
+                    const newToken = await this.refreshToken(sentToken);
+                    if (newToken) {
+                        options.headers['Authorization'] = `Bearer ${newToken}`;
+                        options._retried = true;
+                        return fetch(url, options);
+                    }
+                }
+            }
+
             return response;
         } catch (error) {
             console.error(`Erro ao chamar ${endpoint}:`, error);
@@ -20,6 +35,51 @@ const API = {
         }
     },
 
+    _refreshing: null,
+
+    // Devolve um access token novo (ou null se a sessão acabou). Chamadas simultâneas
+    // compartilham a mesma renovação, já que cada refresh token só pode ser usado uma vez
+    async refreshToken(expiredToken) {
+        const stored = localStorage.getItem('token');
+        if (stored && stored !== expiredToken) {
+            return stored;
+        }
+
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return null;
+
+        if (!this._refreshing) {
+            this._refreshing = (async () => {
+                try {
+                    const response = await fetch(`${window.API_CONFIG.baseURL}/api/auth/refresh`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refreshToken })
+                    });
+                    const data = await response.json();
+
+                    if (!data.success) {
+                        // Outra aba pode ter renovado no meio do caminho
+                        const current = localStorage.getItem('token');
+                        return current && current !== expiredToken ? current : null;
+                    }
+
+                    localStorage.setItem('token', data.token);
+                    localStorage.setItem('refreshToken', data.refreshToken);
+                    window.dispatchEvent(new CustomEvent('auth-token-refreshed', { detail: { token: data.token } }));
+                    return data.token;
+                } catch (error) {
+                    console.error('Erro ao renovar sessão:', error);
+                    return null;
+                } finally {
+                    this._refreshing = null;
+                }
+            })();
+        }
+
+        return this._refreshing;
+    },
+
     async get(endpoint, token = null) {
         const options = {};
         if (token) {
@@ -0,0 +1,356 @@
+require('dotenv').config();
+
+const {
+  saveReplyFromWebhook,
+  findMessageByPhone,
+  findRecentMessageWithoutReply,
+  getPhoneByLid,
+  blockUser,
+  unblockUser,
+  createNotification,
+  addRecipientOptOut,
+  logRecipientCommand,
+  createAbuseReport
+} = require('./database');
+const { uploadAudio, uploadMedia } = require('./supabase-store');
+const { getMediaModeration, mediaKind } = require('./media-moderation');
+
+const BLOCK_CONFIRMATION = '✅ Você bloqueou este remetente.\n\nVocê não receberá mais mensagens anônimas desta pessoa.\n\nPara desbloquear, envie: *desbloquear*';
+const UNBLOCK_CONFIRMATION = '✅ Remetente desbloqueado.\n\nVocê voltará a receber mensagens anônimas desta pessoa.';
+const HELP_MESSAGE = `*Zap Anônimo - Comandos*
+
+*bloquear* - bloqueia quem enviou a última mensagem
+*desbloquear* - desbloqueia quem enviou a última mensagem
+*denunciar* - denuncia a última mensagem para nossa equipe
+*parar* - deixa de receber mensagens anônimas de qualquer remetente
+*privacidade* - nossa política de privacidade
+
+Qualquer outro texto é entregue ao remetente como resposta.`;
+const REPORT_CONFIRMATION = '✅ Denúncia registrada. Nossa equipe vai analisar a mensagem.\n\nSe quiser também bloquear o remetente, envie: *bloquear*';
+const NO_MESSAGE_TO_REPORT = 'Não encontramos nenhuma mensagem anônima recente enviada para você.';
+
+// Só bloquear/desbloquear aceitam adivinhar o dono de um LID sem mapeamento (comportamento
+// antigo). Opt-out, denúncia e respostas informativas exigem saber quem é o número
+const GUESSABLE_COMMANDS = new Set(['bloquear', 'desbloquear']);
+
+function frontendUrl() {
+  return process.env.FRONTEND_URL || 'https://zapanonimo.com';
+}
+
+function optOutConfirmation() {
+  return `✅ Pronto. Você não receberá mais mensagens anônimas do Zap Anônimo, de nenhum remetente.\n\nSe mudar de ideia, acesse: ${frontendUrl()}/opt-out`;
+}
+
+function optOutUnresolved() {
+  return `Não conseguimos identificar seu número por aqui. Para deixar de receber mensagens anônimas, acesse: ${frontendUrl()}/opt-out`;
+}
+
+function privacyMessage() {
+  const baseUrl = frontendUrl();
+  return `🔒 *Privacidade*\n\nSaiba como tratamos seus dados: ${baseUrl}/privacy\n\nPara deixar de receber mensagens anônimas, envie: *parar*`;
+}
+
+function normalizeCommand(text) {
+  return (text || '').toLowerCase().trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Recebe eventos já normalizados de qualquer fonte (whatsapp-web.js, WASender, Cloud API):
+// { source, from, isLid, text, media: { data, mimetype } | null, reply(phone, text), log(message) }
+class InboundPipeline {
+  constructor() {
+    this.io = null;
+    this.commands = new Map([
+      ['bloquear', (event, context) => this.handleBlock(event, context)],
+      ['desbloquear', (event, context) => this.handleUnblock(event, context)],
+      ['ajuda', (event, context) => this.sendReply(event, context.replyTo, HELP_MESSAGE)],
+      ['parar', (event, context) => this.handleOptOut(event, context)],
+      ['denunciar', (event, context) => this.handleReport(event, context)],
+      ['privacidade', (event, context) => this.sendReply(event, context.replyTo, privacyMessage())]
+    ]);
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  log(event, message) {
+    if (event.log) {
+      event.log(message);
+    } else {
+      console.log(`[Inbound:${event.source || 'desconhecido'}] ${message}`);
+    }
+  }
+
+  async sendReply(event, phone, text) {
+    if (event.reply) {
+      return event.reply(phone, text);
+    }
+    // Sem canal de resposta da fonte: envia por qualquer número saudável do pool
+    return require('./whatsapp-pool').getWhatsAppPool().sendMessage(phone, text);
+  }
+
+
+  async process(event) {
+    if (!event.from) {
+      return { handled: false, reason: 'missing_sender' };
+    }
+
+    let text = event.text || '';
+    let audioUrl = event.audioUrl || null;
+    let attachment = null;
+
+    if (!audioUrl && event.media) {
+      const kind = mediaKind(event.media.mimetype);
+
+      if (kind === 'audio') {
+        audioUrl = await this.storeAudio(event);
+        if (audioUrl && !text) {
+          text = '[Mensagem de áudio]';
+        }
+      } else if (kind === 'image' || kind === 'video') {
+        attachment = await this.storeAttachment(event, kind);
+        if (attachment && !text) {
+          text = kind === 'video' ? '[Vídeo]' : '[Imagem]';
+        }
+      }
+    }
+
+    if (!text) {
+      return { handled: false, reason: 'empty' };
+    }
+
+    this.log(event, `Mensagem de ${event.from} (isLid: ${!!event.isLid}): ${text.substring(0, 50)}...`);
+
+    const commandName = normalizeCommand(text);
+    const command = this.commands.get(commandName);
+    if (command) {
+      const context = await this.resolveConversation(event, { allowGuess: GUESSABLE_COMMANDS.has(commandName) });
+      await command(event, context);
+      await logRecipientCommand({
+        phone: context.phone,
+        command: commandName,
+        messageId: context.lastMessage?.id || null,
+        source: event.source || null
+      });
+      return { handled: true, type: 'command', command: commandName };
+    }
+
+    const result = await saveReplyFromWebhook(event.from, text, 'whatsapp', !!event.isLid, audioUrl, attachment);
+
+    if (!result) {
+      this.log(event, `❌ Nenhuma mensagem original encontrada para ${event.from} (isLid: ${!!event.isLid})`);
+      return { handled: false, reason: 'no_original_message' };
+    }
+
+    this.emitToUser(result.originalMessage.user_id, 'new-reply', {
+      ...result.reply,
+      original_message: result.originalMessage.message,
+      audio_url: audioUrl,
+      attachment_url: attachment?.url || null,
+      attachment_type: attachment?.type || null
+    });
+    const suffix = audioUrl ? ' (com áudio)' : (attachment ? ` (com ${attachment.type === 'video' ? 'vídeo' : 'imagem'})` : '');
+    this.log(event, `✅ Resposta salva e notificada para usuário ${result.originalMessage.user_id}${suffix}`);
+
+    return { handled: true, type: 'reply', reply: result.reply };
+  }
+
+
+  async storeAudio(event) {
+    const { data, mimetype } = event.media;
+    if (!data || !mimetype || !mimetype.startsWith('audio/')) {
+      return null;
+    }
+
+    this.log(event, `Áudio recebido: ${mimetype}`);
+    const upload = await uploadAudio(data, mimetype, 'replies');
+
+    if (!upload.success) {
+      this.log(event, `Erro ao salvar áudio: ${upload.error}`);
+      return null;
+    }
+
+    this.log(event, `Áudio salvo: ${upload.url}`);
+    return upload.url;
+  }
+
+  // Imagem/vídeo da resposta: os metadados (GPS, aparelho) saem antes de chegar ao
+  // remetente anônimo. Tipo fora da lista ou arquivo acima do limite fica de fora
+  async storeAttachment(event, kind) {
+    const { data, mimetype } = event.media;
+    if (!data) {
+      return null;
+    }
+
+    this.log(event, `${kind === 'video' ? 'Vídeo' : 'Imagem'} recebido: ${mimetype}`);
+    const prepared = await getMediaModeration().prepare(data, mimetype);
+
+    if (!prepared.success) {
+      this.log(event, `Anexo descartado: ${prepared.error}`);
+      return null;
+    }
+
+    const upload = await uploadMedia(prepared.base64, prepared.mimetype, 'replies');
+
+    if (!upload.success) {
+      this.log(event, `Erro ao salvar anexo: ${upload.error}`);
+      return null;
+    }
+
+    this.log(event, `Anexo salvo: ${upload.url}`);
+    return { url: upload.url, type: prepared.kind };
+  }
+
+  // Encontra a última mensagem anônima enviada para quem escreveu, resolvendo LIDs.
+  // phone é o número real (mapeamento do LID ou o próprio remetente); com allowGuess, um LID
+  // sem mapeamento usa a mensagem sem resposta mais recente, mas o palpite não é salvo
+  // e as respostas vão para event.from (replyTo), nunca para o número adivinhado.
+  // { lastMessage, phone, replyTo, resolved, guessed }
+  async resolveConversation(event, { allowGuess = false } = {}) {
+    let lastMessage = null;
+    let mappedPhone = null;
+
+    if (event.isLid) {
+      mappedPhone = await getPhoneByLid(event.from);
+      if (mappedPhone) {
+        this.log(event, `📱 LID ${event.from} resolvido para ${mappedPhone}`);
+        lastMessage = await findMessageByPhone(mappedPhone, 'whatsapp');
+      }
+    }
+
+    if (!lastMessage) {
+      lastMessage = await findMessageByPhone(event.from, 'whatsapp');
+    }
+
+    const resolved = !event.isLid || !!mappedPhone;
+    const replyTo = mappedPhone || event.from;
+
+    let guessed = false;
+    if (!lastMessage && !resolved && allowGuess) {
+      lastMessage = await findRecentMessageWithoutReply('whatsapp', 60);
+      guessed = !!lastMessage;
+      if (lastMessage) {
+        this.log(event, `❔ LID ${event.from} sem mapeamento; usando a mensagem mais recente (${lastMessage.id})`);
+      }
+    }
+
+    return {
+      lastMessage,
+      // Número real da mensagem original (não o LID)
+      phone: lastMessage ? lastMessage.phone : replyTo,
+      replyTo,
+      resolved,
+      guessed
+    };
+  }
+
+
+  async handleBlock(event, { lastMessage, phone, replyTo, guessed }) {
+    if (!lastMessage) {
+      this.log(event, `❌ Nenhuma mensagem encontrada para bloquear de ${event.from}`);
+      return;
+    }
+
+    // Palpite de LID pode apontar para outro remetente: bloqueia, mas sem strike
+    const blockResult = await blockUser(phone, lastMessage.user_id, { strike: !guessed });
+    this.log(event, `🚫 Bloqueio: ${JSON.stringify(blockResult)}`);
+    await this.sendReply(event, replyTo, BLOCK_CONFIRMATION);
+
+    const phoneMasked = `****${phone.slice(-4)}`;
+    const notifResult = await createNotification(
+      lastMessage.user_id,
+      'blocked',
+      'Você foi bloqueado',
+      `O número ${phoneMasked} bloqueou você. Não será possível enviar mensagens para este número.`,
+      phone
+    );
+
+    this.emitToUser(lastMessage.user_id, 'user-blocked', {
+      phone,
+      notificationId: notifResult.notification?.id || null,
+      message: `O número ${phoneMasked} bloqueou você.`,
+      blockedAt: new Date().toISOString()
+    });
+  }
+
+  async handleUnblock(event, { lastMessage, phone, replyTo }) {
+    if (!lastMessage) {
+      this.log(event, `❌ Nenhuma mensagem encontrada para desbloquear de ${event.from}`);
+      return;
+    }
+
+    const unblockResult = await unblockUser(phone, lastMessage.user_id);
+    this.log(event, `✅ Desbloqueio: ${JSON.stringify(unblockResult)}`);
+    await this.sendReply(event, replyTo, UNBLOCK_CONFIRMATION);
+
+    const phoneMasked = `****${phone.slice(-4)}`;
+    const notifResult = await createNotification(
+      lastMessage.user_id,
+      'unblocked',
+      'Você foi desbloqueado',
+      `O número ${phoneMasked} desbloqueou você. Você pode enviar mensagens novamente.`,
+      phone
+    );
+
+    this.emitToUser(lastMessage.user_id, 'user-unblocked', {
+      phone,
+      notificationId: notifResult.notification?.id || null,
+      message: `O número ${phoneMasked} desbloqueou você.`,
+      unblockedAt: new Date().toISOString()
+    });
+  }
+
+  // Opt-out global: vale para todos os remetentes, inclusive contas criadas depois
+  async handleOptOut(event, { phone, replyTo, resolved }) {
+    if (!resolved) {
+      this.log(event, `❌ Opt-out ignorado: LID ${event.from} sem número conhecido`);
+      await this.sendReply(event, replyTo, optOutUnresolved());
+      return;
+    }
+
+    const result = await addRecipientOptOut(phone, 'whatsapp');
+    this.log(event, `🛑 Opt-out: ${JSON.stringify(result)}`);
+
+    if (!result.success) return;
+    await this.sendReply(event, replyTo, optOutConfirmation());
+  }
+
+  async handleReport(event, { lastMessage, phone, replyTo }) {
+    if (!lastMessage) {
+      this.log(event, `❌ Nenhuma mensagem encontrada para denunciar de ${event.from}`);
+      await this.sendReply(event, replyTo, NO_MESSAGE_TO_REPORT);
+      return;
+    }
+
+    const result = await createAbuseReport({
+      message: lastMessage,
+      reporterPhone: phone,
+      source: 'whatsapp'
+    });
+    this.log(event, `🚩 Denúncia: ${result.success ? result.report.id : result.error}`);
+
+    if (!result.success) return;
+    await this.sendReply(event, replyTo, REPORT_CONFIRMATION);
+  }
+
+
+  emitToUser(userId, event, data) {
+    if (!this.io || !userId) return;
+    this.io.to(`user:${userId.toString()}`).emit(event, data);
+  }
+}
+
+let instance = null;
+
+function getInboundPipeline() {
+  if (!instance) {
+    instance = new InboundPipeline();
+  }
+  return instance;
+}
+
+module.exports = {
+  getInboundPipeline,
+  InboundPipeline,
+  normalizeCommand
+};
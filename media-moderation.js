@@ -0,0 +1,392 @@
+require('dotenv').config();
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const {
+  ModerationProvider,
+  requestJson
+} = require('./moderation-providers');
+
+// Tipos aceitos em /api/send-whatsapp-media. O tipo declarado precisa bater com o
+// conteúdo (assinatura dos primeiros bytes), senão o arquivo é recusado.
+const MEDIA_TYPES = {
+  'image/jpeg': { kind: 'image', ext: 'jpg' },
+  'image/png': { kind: 'image', ext: 'png' },
+  'image/webp': { kind: 'image', ext: 'webp' },
+  'video/mp4': { kind: 'video', ext: 'mp4' },
+  'video/3gpp': { kind: 'video', ext: '3gp' }
+};
+
+const MEDIA_LIMITS = {
+  image: { maxBytes: (parseInt(process.env.MEDIA_MAX_IMAGE_MB) || 5) * 1024 * 1024 },
+  video: {
+    maxBytes: (parseInt(process.env.MEDIA_MAX_VIDEO_MB) || 16) * 1024 * 1024,
+    maxSeconds: parseInt(process.env.MEDIA_MAX_VIDEO_SECONDS) || 60
+  }
+};
+
+function baseMimetype(mimetype) {
+  return String(mimetype || '').split(';')[0].trim().toLowerCase();
+}
+
+// 'image' | 'video' | 'audio' | null — usado também para mídia recebida
+function mediaKind(mimetype) {
+  const base = baseMimetype(mimetype);
+  if (MEDIA_TYPES[base]) return MEDIA_TYPES[base].kind;
+  if (base.startsWith('image/')) return 'image';
+  if (base.startsWith('video/')) return 'video';
+  if (base.startsWith('audio/')) return 'audio';
+  return null;
+}
+
+function sniffMimetype(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    return buffer.toString('latin1', 8, 11) === '3gp' ? 'video/3gpp' : 'video/mp4';
+  }
+  return null;
+}
+
+
+// ==========================================
+// REMOÇÃO DE METADADOS
+// ==========================================
+// Fotos de celular carregam GPS, modelo do aparelho e data no EXIF: num serviço
+// anônimo isso identifica o remetente. Só os blocos de metadados são descartados,
+// os dados da imagem são copiados byte a byte (sem recompressão). Como a orientação
+// EXIF também sai, fotos giradas pela câmera podem chegar deitadas.
+
+// JPEG: descarta APP1 (EXIF/XMP), APP13 (IPTC) e comentários; mantém JFIF, ICC e Adobe
+const JPEG_DROPPED_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+
+function stripJpegMetadata(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) throw new Error('JPEG corrompido');
+    const marker = buffer[offset + 1];
+
+    // Início dos dados comprimidos: o resto do arquivo vai inteiro
+    if (marker === 0xda) {
+      parts.push(buffer.subarray(offset));
+      return Buffer.concat(parts);
+    }
+
+    // Marcadores sem tamanho (RSTn, TEM, enchimento)
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01 || marker === 0xff) {
+      parts.push(buffer.subarray(offset, offset + (marker === 0xff ? 1 : 2)));
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+
+    if (offset + 4 > buffer.length) throw new Error('JPEG truncado');
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) throw new Error('JPEG truncado');
+
+    if (!JPEG_DROPPED_MARKERS.has(marker)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  throw new Error('JPEG sem dados de imagem');
+}
+
+// PNG: descarta eXIf, textos (tEXt/zTXt/iTXt) e tIME
+const PNG_DROPPED_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+function stripPngMetadata(buffer) {
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) throw new Error('PNG truncado');
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) throw new Error('PNG truncado');
+
+    if (!PNG_DROPPED_CHUNKS.has(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+
+    if (type === 'IEND') {
+      return Buffer.concat(parts);
+    }
+  }
+
+  throw new Error('PNG sem IEND');
+}
+
+// WebP: descarta os chunks EXIF e XMP, desliga as flags no VP8X e refaz o tamanho do RIFF
+function stripWebpMetadata(buffer) {
+  const parts = [];
+  let offset = 12;
+
+  while (offset < buffer.length) {
+    if (offset + 8 > buffer.length) throw new Error('WebP truncado');
+    const fourcc = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > buffer.length) throw new Error('WebP truncado');
+
+    if (fourcc === 'VP8X') {
+      const chunk = Buffer.from(buffer.subarray(offset, end));
+      chunk[8] &= ~(0x08 | 0x04);
+      parts.push(chunk);
+    } else if (fourcc !== 'EXIF' && fourcc !== 'XMP ') {
+      parts.push(buffer.subarray(offset, Math.min(end, buffer.length)));
+    }
+    offset = end;
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function parseFfmpegTime(hours, minutes, seconds) {
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+// Vídeo: remux sem metadados com ffmpeg (sem recodificar). Só vídeo e áudio passam; faixas
+// de dados (GPS/telemetria, como gpmd e mett) ficam de fora. A duração sai do log do ffmpeg:
+// "Duration:" do cabeçalho ou, se o contêiner não informa (N/A), o último "time=" da cópia.
+async function stripVideoMetadata(buffer, ext) {
+  const tempDir = os.tmpdir();
+  const id = uuidv4();
+  const inputFile = path.join(tempDir, `media_in_${id}.${ext}`);
+  const outputFile = path.join(tempDir, `media_out_${id}.${ext}`);
+
+  try {
+    fs.writeFileSync(inputFile, buffer);
+
+    const stderr = await new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', [
+        '-i', inputFile,
+        '-map', '0:v',
+        '-map', '0:a?',
+        '-map_metadata', '-1',
+        '-map_chapters', '-1',
+        '-c', 'copy',
+        '-movflags', '+faststart',
+        '-y',
+        outputFile
+      ]);
+
+      let output = '';
+      ffmpeg.stderr.on('data', (data) => {
+        output += data.toString();
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve(output);
+        } else {
+          reject(new Error(`FFmpeg failed with code ${code}: ${output.substring(0, 500)}`));
+        }
+      });
+
+      ffmpeg.on('error', (err) => {
+        reject(new Error(`FFmpeg error: ${err.message}`));
+      });
+    });
+
+    const match = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+    const progress = [...stderr.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)].pop();
+
+    let durationSeconds = null;
+    if (match) {
+      durationSeconds = parseFfmpegTime(match[1], match[2], match[3]);
+    } else if (progress) {
+      durationSeconds = parseFfmpegTime(progress[1], progress[2], progress[3]);
+    }
+
+    return { buffer: fs.readFileSync(outputFile), durationSeconds };
+  } finally {
+    try { fs.unlinkSync(inputFile); } catch (e) { /* ignore */ }
+    try { fs.unlinkSync(outputFile); } catch (e) { /* ignore */ }
+  }
+}
+
+
+// ==========================================
+// CLASSIFICADOR DE IMAGEM
+// ==========================================
+// Mesmo contrato dos provedores de texto ({ allowed, riskScore, category, reason }),
+// com circuit breaker e métricas herdados de ModerationProvider. classify() recebe
+// { data (base64), mimetype, kind }. Vídeos vão para o classificador como estão; cabe
+// a ele extrair quadros.
+
+// Stub local: libera tudo com risco 0. Só a legenda passa pela moderação de texto.
+class StubImageClassifier extends ModerationProvider {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'stub';
+    this.label = 'Stub (sem classificador)';
+  }
+
+  async request() {
+    return { allowed: true, riskScore: 0, category: null, reason: null };
+  }
+}
+
+// Serviço próprio (ex.: modelo NSFW rodando ao lado da API)
+class HttpImageClassifier extends ModerationProvider {
+  constructor(options = {}) {
+    super({ timeoutMs: parseInt(process.env.MEDIA_CLASSIFIER_TIMEOUT_MS) || 15000, ...options });
+    this.type = 'http';
+    this.label = 'Classificador de imagem';
+    this.url = options.url || process.env.MEDIA_CLASSIFIER_URL || '';
+    this.token = options.token || process.env.MEDIA_CLASSIFIER_TOKEN || '';
+    this.model = this.url || null;
+  }
+
+  get enabled() {
+    return !!this.url;
+  }
+
+  async request({ data, mimetype, kind }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    return requestJson(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ data, mimetype, kind })
+    }, this.label, this.timeoutMs);
+  }
+}
+
+// MEDIA_CLASSIFIER=http|stub (padrão: http se MEDIA_CLASSIFIER_URL estiver configurada)
+function createImageClassifier(type = process.env.MEDIA_CLASSIFIER) {
+  const selected = type || (process.env.MEDIA_CLASSIFIER_URL ? 'http' : 'stub');
+
+  switch (selected) {
+    case 'http':
+      return new HttpImageClassifier();
+    case 'stub':
+      return new StubImageClassifier();
+    default:
+      throw new Error(`Classificador de mídia desconhecido: ${selected}`);
+  }
+}
+
+
+class MediaModeration {
+  constructor() {
+    this.classifier = createImageClassifier();
+  }
+
+  // Gancho para trocar o classificador (outro serviço, modelo embarcado, testes)
+  setClassifier(classifier) {
+    this.classifier = classifier;
+  }
+
+  // Valida tipo e tamanho e remove metadados.
+  // { success, error } ou { success, base64, mimetype, kind, ext, size, durationSeconds }
+  async prepare(base64Data, mimetype) {
+    const declared = baseMimetype(mimetype);
+    const type = MEDIA_TYPES[declared];
+    if (!type) {
+      return { success: false, error: 'Tipo de arquivo não suportado. Envie JPEG, PNG, WebP, MP4 ou 3GP.' };
+    }
+
+    const limits = MEDIA_LIMITS[type.kind];
+    const maxMb = Math.round(limits.maxBytes / (1024 * 1024));
+    if ((base64Data.length * 3) / 4 > limits.maxBytes) {
+      return { success: false, error: `Arquivo muito grande. Máximo: ${maxMb}MB` };
+    }
+
+    const buffer = Buffer.from(base64Data, 'base64');
+    if (buffer.length === 0 || buffer.length > limits.maxBytes) {
+      return { success: false, error: `Arquivo vazio ou muito grande. Máximo: ${maxMb}MB` };
+    }
+
+    if (sniffMimetype(buffer) !== declared) {
+      return { success: false, error: 'O conteúdo do arquivo não corresponde ao tipo informado' };
+    }
+
+    let cleaned;
+    let durationSeconds = null;
+    try {
+      if (declared === 'image/jpeg') {
+        cleaned = stripJpegMetadata(buffer);
+      } else if (declared === 'image/png') {
+        cleaned = stripPngMetadata(buffer);
+      } else if (declared === 'image/webp') {
+        cleaned = stripWebpMetadata(buffer);
+      } else {
+        ({ buffer: cleaned, durationSeconds } = await stripVideoMetadata(buffer, type.ext));
+      }
+    } catch (error) {
+      console.error('[Media] Erro ao remover metadados:', error.message);
+      return { success: false, error: type.kind === 'video' ? 'Não foi possível processar o vídeo' : 'Imagem inválida ou corrompida' };
+    }
+
+    // Sem duração conhecida não há como garantir o limite: o vídeo é recusado
+    if (type.kind === 'video' && durationSeconds === null) {
+      return { success: false, error: 'Não foi possível ler a duração do vídeo' };
+    }
+
+    if (type.kind === 'video' && durationSeconds > limits.maxSeconds) {
+      return { success: false, error: `Vídeo muito longo. Máximo: ${limits.maxSeconds} segundos` };
+    }
+
+    return {
+      success: true,
+      base64: cleaned.toString('base64'),
+      mimetype: declared,
+      kind: type.kind,
+      ext: type.ext,
+      size: cleaned.length,
+      durationSeconds
+    };
+  }
+
+  // Lança erro se o classificador falhar; quem chama decide entre revisão e liberação
+  async classify(prepared) {
+    return {
+      ...await this.classifier.classify({ data: prepared.base64, mimetype: prepared.mimetype, kind: prepared.kind }),
+      classifier: this.classifier.type
+    };
+  }
+}
+
+
+let instance = null;
+
+function getMediaModeration() {
+  if (!instance) {
+    instance = new MediaModeration();
+  }
+  return instance;
+}
+
+module.exports = {
+  getMediaModeration,
+  MediaModeration,
+  MEDIA_TYPES,
+  MEDIA_LIMITS,
+  mediaKind,
+  sniffMimetype,
+  stripJpegMetadata,
+  stripPngMetadata,
+  stripWebpMetadata,
+  StubImageClassifier,
+  HttpImageClassifier,
+  createImageClassifier
+};
@@ -0,0 +1,336 @@
+require('dotenv').config();
+
+const {
+  enqueueMessageJob,
+  claimNextMessageJob,
+  updateMessageJob,
+  recoverStuckMessageJobs,
+  releaseMessageJobCredit,
+  useCredit,
+  commitCredit,
+  createNotification,
+  getUserById
+} = require('./database');
+const { isRetryableError, isUnavailableError } = require('./whatsapp-service');
+const { getWhatsAppPool } = require('./whatsapp-pool');
+
+// Texto (ou legenda de áudio/imagem/vídeo) entregue ao destinatário. Sem mensagem, o
+// anexo é anunciado por attachmentLabel ("Áudio anexo", "Imagem anexa"...)
+function buildAnonymousMessage(message, trackingCode, attachmentLabel = null) {
+  const content = message ? `*Mensagem:*\n${message}` : `*${attachmentLabel}*`;
+
+  return `*Mensagem Anônima*
+
+Você recebeu uma mensagem anônima.
+Responda aqui se desejar.
+
+${content}
+
+
+Para bloquear, envie: *bloquear*
+Outras opções: *ajuda*
+ᶜᵒᵈ ${trackingCode}`;
+}
+
+class MessageQueue {
+  constructor() {
+    this.io = null;
+    this.whatsappService = getWhatsAppPool();
+    this.pollInterval = 3000;
+    this.pollTimer = null;
+    this.processing = false;
+    this.running = false;
+
+
+    this.baseRetryDelay = 15000;
+    this.maxRetryDelay = 15 * 60 * 1000;
+    this.defaultMaxAttempts = 5;
+    this.stuckJobMinutes = 5;
+    this.recoveryInterval = 60 * 1000;
+    this.lastRecoveryAt = 0;
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.pollTimer = setInterval(() => this.tick(), this.pollInterval);
+    this.tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+
+  async enqueue({ userId, type = 'text', phone, payload, trackingCode, creditReservationId = null }) {
+    const job = await enqueueMessageJob({
+      userId,
+      type,
+      phone,
+      payload,
+      trackingCode,
+      creditReservationId,
+      maxAttempts: this.defaultMaxAttempts
+    });
+
+    this.emitJobUpdate(userId, {
+      jobId: job.id,
+      status: job.status,
+      trackingCode: job.tracking_code
+    });
+
+    // Não espera o próximo ciclo de polling
+    setImmediate(() => this.tick());
+
+    return job;
+  }
+
+
+  getRetryDelay(attempts) {
+    const delay = Math.min(
+      this.baseRetryDelay * Math.pow(2, attempts - 1),
+      this.maxRetryDelay
+    );
+    return delay + Math.random() * 1000;
+  }
+
+
+  // Jobs presos em 'sending' (worker que caiu ou reiniciou no meio do envio) voltam para
+  // a fila. Roda no início e depois a cada recoveryInterval, não só na subida do processo
+  async recoverStuckJobs() {
+    if (Date.now() - this.lastRecoveryAt < this.recoveryInterval) return;
+    this.lastRecoveryAt = Date.now();
+
+    const recovered = await recoverStuckMessageJobs(this.stuckJobMinutes);
+    if (recovered > 0) {
+      console.log(`[Queue] ${recovered} job(s) preso(s) em envio recuperado(s)`);
+    }
+  }
+
+  async tick() {
+    if (!this.running || this.processing) return;
+    this.processing = true;
+
+    try {
+      await this.recoverStuckJobs();
+
+      let job = await claimNextMessageJob();
+      while (job && this.running) {
+        await this.processJob(job);
+        job = await claimNextMessageJob();
+      }
+    } catch (error) {
+      console.error('[Queue] Erro no worker:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+
+  async processJob(job) {
+    const payload = job.payload || {};
+    const attempts = job.attempts + 1;
+
+    this.emitJobUpdate(job.user_id, {
+      jobId: job.id,
+      status: 'sending',
+      attempts,
+      trackingCode: job.tracking_code
+    });
+
+    let result;
+    try {
+      if (job.type === 'audio') {
+        result = await this.whatsappService.sendAudio(job.phone, payload.audioBase64, payload.mimetype, payload.caption || '');
+      } else if (job.type === 'image' || job.type === 'video') {
+        result = await this.whatsappService.sendMedia(job.phone, payload.mediaBase64, payload.mimetype, payload.caption || '');
+      } else {
+        result = await this.whatsappService.sendMessage(job.phone, payload.text);
+      }
+    } catch (error) {
+      await this.handleFailure(job, attempts, error);
+      return;
+    }
+
+    try {
+      if (job.credit_reservation_id) {
+        await commitCredit(job.credit_reservation_id, {
+          userId: job.user_id,
+          phone: job.phone,
+          message: payload.message,
+          channel: 'whatsapp',
+          trackingCode: job.tracking_code
+        });
+      } else {
+        await useCredit(job.user_id, job.phone, payload.message, 'whatsapp', job.tracking_code);
+      }
+    } catch (creditError) {
+      // A mensagem já saiu; registra o problema mas não reenvia
+      console.error(`[Queue] Erro ao debitar crédito do job ${job.id}:`, creditError.message);
+    }
+
+    const { audioBase64, mediaBase64, ...storedPayload } = payload;
+
+    await updateMessageJob(job.id, {
+      status: 'sent',
+      attempts,
+      payload: storedPayload,
+      result: { messageId: result.data?.messageId || null, sendAttempts: result.attempts, sessionId: result.sessionId || null },
+      last_error: null,
+      locked_at: null,
+      sent_at: new Date().toISOString()
+    });
+
+    let whatsappCredits;
+    try {
+      const user = await getUserById(job.user_id);
+      whatsappCredits = user.whatsapp_credits;
+    } catch (error) {
+      whatsappCredits = undefined;
+    }
+
+    this.emitJobUpdate(job.user_id, {
+      jobId: job.id,
+      status: 'sent',
+      attempts,
+      trackingCode: job.tracking_code,
+      whatsapp_credits: whatsappCredits
+    });
+
+    if (job.type === 'audio' && payload.processId) {
+      this.emitToUser(job.user_id, 'audio-moderation-result', {
+        processId: payload.processId,
+        success: true,
+        blocked: false,
+        data: result.data,
+        whatsapp_credits: whatsappCredits,
+        trackingCode: job.tracking_code,
+        message: 'Áudio enviado com sucesso!'
+      });
+    }
+  }
+
+
+  async handleFailure(job, attempts, error) {
+    const retryable = isRetryableError(error) || isUnavailableError(error);
+    const exhausted = attempts >= job.max_attempts;
+
+    if (retryable && !exhausted) {
+      const delay = this.getRetryDelay(attempts);
+
+      await updateMessageJob(job.id, {
+        status: 'failed',
+        attempts,
+        last_error: error.message,
+        locked_at: null,
+        next_attempt_at: new Date(Date.now() + delay).toISOString()
+      });
+
+      console.warn(`[Queue] Job ${job.id} falhou (tentativa ${attempts}/${job.max_attempts}), nova tentativa em ${Math.round(delay / 1000)}s: ${error.message}`);
+
+      this.emitJobUpdate(job.user_id, {
+        jobId: job.id,
+        status: 'failed',
+        attempts,
+        trackingCode: job.tracking_code,
+        retryAt: new Date(Date.now() + delay).toISOString(),
+        error: error.message
+      });
+      return;
+    }
+
+    const { audioBase64, mediaBase64, ...storedPayload } = job.payload || {};
+
+    await updateMessageJob(job.id, {
+      status: 'dead',
+      attempts,
+      payload: storedPayload,
+      last_error: error.message,
+      locked_at: null
+    });
+
+    console.error(`[Queue] Job ${job.id} descartado após ${attempts} tentativa(s): ${error.message}`);
+
+    if (job.credit_reservation_id) {
+      await this.refundReservedCredit(job, 'Não foi possível entregar sua mensagem. O crédito foi devolvido.', 'delivery_failed');
+    }
+
+    this.emitJobUpdate(job.user_id, {
+      jobId: job.id,
+      status: 'dead',
+      attempts,
+      trackingCode: job.tracking_code,
+      error: error.message
+    });
+
+    if (job.type === 'audio' && job.payload?.processId) {
+      this.emitToUser(job.user_id, 'audio-moderation-result', {
+        processId: job.payload.processId,
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+
+  async refundReservedCredit(job, notificationMessage, reason = null) {
+    try {
+      const refunded = await releaseMessageJobCredit(job.id, reason);
+      if (!refunded) return false;
+
+      await createNotification(job.user_id, 'refund', 'Crédito devolvido', notificationMessage, job.phone);
+
+      let whatsappCredits;
+      try {
+        const user = await getUserById(job.user_id);
+        whatsappCredits = user.whatsapp_credits;
+      } catch (error) {
+        whatsappCredits = undefined;
+      }
+
+      this.emitToUser(job.user_id, 'credit-refunded', {
+        jobId: job.id,
+        message: notificationMessage,
+        whatsapp_credits: whatsappCredits
+      });
+      return true;
+    } catch (error) {
+      console.error(`[Queue] Erro ao devolver crédito do job ${job.id}:`, error.message);
+      return false;
+    }
+  }
+
+
+  emitJobUpdate(userId, data) {
+    this.emitToUser(userId, 'message-job:update', data);
+  }
+
+  emitToUser(userId, event, data) {
+    if (!this.io || !userId) return;
+    this.io.to(`user:${userId.toString()}`).emit(event, data);
+  }
+}
+
+let instance = null;
+
+function getMessageQueue() {
+  if (!instance) {
+    instance = new MessageQueue();
+  }
+  return instance;
+}
+
+module.exports = {
+  getMessageQueue,
+  MessageQueue,
+  buildAnonymousMessage
+};
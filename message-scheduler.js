@@ -0,0 +1,185 @@
+require('dotenv').config();
+
+const {
+  getDueScheduledMessages,
+  transitionMessageJob,
+  logModerationEvent,
+  isBlocked,
+  isRecipientOptedOut,
+  getUserById
+} = require('./database');
+const { getModerationService } = require('./moderation-service');
+const { getMessageQueue, buildAnonymousMessage } = require('./message-queue');
+const { getStrikeService } = require('./strike-service');
+const { getReviewQueue } = require('./review-queue');
+
+class MessageScheduler {
+  constructor() {
+    this.io = null;
+    this.moderationService = getModerationService();
+    this.messageQueue = getMessageQueue();
+    this.pollInterval = 30000;
+    this.pollTimer = null;
+    this.processing = false;
+    this.running = false;
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.pollTimer = setInterval(() => this.tick(), this.pollInterval);
+    this.tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+
+  async tick() {
+    if (!this.running || this.processing) return;
+    this.processing = true;
+
+    try {
+      const dueMessages = await getDueScheduledMessages();
+      let promoted = 0;
+
+      // Um job com erro não segura os outros vencidos do lote
+      for (const job of dueMessages) {
+        try {
+          if (await this.release(job)) {
+            promoted++;
+          }
+        } catch (error) {
+          console.error(`[Scheduler] Erro ao liberar agendamento ${job.id}:`, error.message);
+        }
+      }
+
+      if (promoted > 0) {
+        this.messageQueue.tick();
+      }
+    } catch (error) {
+      console.error('[Scheduler] Erro ao processar agendamentos:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+
+  async release(job) {
+    const message = job.payload?.message || '';
+
+    const sender = await getUserById(job.user_id);
+    const standing = await getStrikeService().checkCanSend(sender);
+    if (!standing.allowed) {
+      // Conta limitada por hora: a mensagem espera a liberação em vez de ser cancelada, fora
+      // do lote de vencidas para não atrasar os agendamentos dos outros usuários
+      if (standing.status === 'throttled') {
+        await transitionMessageJob(job.id, 'scheduled', {
+          next_attempt_at: new Date(Date.now() + (standing.retryAfter || 60) * 1000).toISOString()
+        });
+        return false;
+      }
+
+      const account = standing.status === 'banned' ? 'Sua conta foi banida.' : 'Sua conta está suspensa.';
+      return this.reject(job, `sender_${standing.status}`, `${account} A mensagem agendada não foi enviada e o crédito foi devolvido.`);
+    }
+
+    const blocked = await isBlocked(job.phone, job.user_id);
+    if (blocked) {
+      return this.reject(job, 'blocked_by_recipient', 'O destinatário bloqueou você. A mensagem agendada não foi enviada e o crédito foi devolvido.');
+    }
+
+    const optedOut = await isRecipientOptedOut(job.phone);
+    if (optedOut) {
+      return this.reject(job, 'recipient_opted_out', 'O destinatário optou por não receber mensagens anônimas. A mensagem agendada não foi enviada e o crédito foi devolvido.');
+    }
+
+    // Moderação repetida no momento do envio: as regras podem ter mudado desde o agendamento.
+    // Só pula quem foi aprovado na revisão humana com este mesmo texto (editar depois da
+    // aprovação limpa a decisão, e um texto diferente do aprovado é moderado de novo)
+    const approvedText = job.review_decision === 'approved' && job.payload?.reviewedMessage === message;
+    if (!approvedText) {
+      const moderation = await this.moderationService.validateMessage(message);
+
+      await logModerationEvent({
+        userId: job.user_id,
+        message,
+        action: this.moderationService.getLogAction(moderation),
+        category: moderation.category,
+        riskScore: moderation.riskScore || 0,
+        targetPhone: job.phone,
+        channel: 'whatsapp',
+        detectedTypes: moderation.detectedTypes || [],
+        matchedWord: moderation.matchedWord || null
+      });
+
+      if (moderation.review) {
+        const held = await getReviewQueue().holdExisting(job, moderation);
+        if (held) {
+          this.emitUpdate(job.user_id, { id: job.id, status: 'held', trackingCode: job.tracking_code });
+        }
+        return false;
+      }
+
+      if (!moderation.allowed) {
+        return this.reject(job, moderation.category, 'Sua mensagem agendada foi bloqueada pela moderação e não foi enviada. O crédito foi devolvido.');
+      }
+    }
+
+    const queued = await transitionMessageJob(job.id, 'scheduled', {
+      status: 'queued',
+      payload: { ...job.payload, text: buildAnonymousMessage(message, job.tracking_code) },
+      next_attempt_at: new Date().toISOString()
+    });
+
+    if (!queued) return false;
+
+    this.emitUpdate(job.user_id, { id: job.id, status: 'queued', trackingCode: job.tracking_code });
+    return true;
+  }
+
+
+  async reject(job, category, notificationMessage) {
+    const rejected = await transitionMessageJob(job.id, 'scheduled', {
+      status: 'blocked',
+      moderation_category: category || null,
+      last_error: notificationMessage
+    });
+
+    if (!rejected) return false;
+
+    await this.messageQueue.refundReservedCredit(job, notificationMessage, category || 'rejected');
+    this.emitUpdate(job.user_id, { id: job.id, status: 'blocked', category, message: notificationMessage });
+    return false;
+  }
+
+
+  emitUpdate(userId, data) {
+    if (!this.io || !userId) return;
+    this.io.to(`user:${userId.toString()}`).emit('scheduled-message:update', data);
+  }
+}
+
+let instance = null;
+
+function getMessageScheduler() {
+  if (!instance) {
+    instance = new MessageScheduler();
+  }
+  return instance;
+}
+
+module.exports = {
+  getMessageScheduler,
+  MessageScheduler
+};
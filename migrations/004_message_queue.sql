@@ -0,0 +1,37 @@
+-- ==========================================
+-- FILA PERSISTENTE DE ENVIO (WHATSAPP)
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS message_queue (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(10) NOT NULL DEFAULT 'text' CHECK (type IN ('text', 'audio')),
+    phone VARCHAR(20) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    tracking_code VARCHAR(10),
+    status VARCHAR(10) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    locked_at TIMESTAMPTZ,
+    last_error TEXT,
+    result JSONB,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Índices para o worker buscar o próximo job
+CREATE INDEX IF NOT EXISTS idx_message_queue_status_next ON message_queue(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_message_queue_user_id ON message_queue(user_id);
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE message_queue IS 'Fila de mensagens a enviar via WhatsApp, consumida pelo worker (message-queue.js)';
+COMMENT ON COLUMN message_queue.status IS 'queued=aguardando, sending=em envio, sent=enviada, failed=falhou e aguarda nova tentativa, dead=desistiu após max_attempts';
+COMMENT ON COLUMN message_queue.payload IS 'Conteúdo do envio (texto ou áudio em base64). O áudio é removido após o envio';
+COMMENT ON COLUMN message_queue.next_attempt_at IS 'Próxima tentativa (backoff exponencial)';
+COMMENT ON COLUMN message_queue.locked_at IS 'Quando o job foi pego pelo worker - jobs presos em sending são recuperados após reinício';
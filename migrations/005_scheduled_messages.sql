@@ -0,0 +1,38 @@
+-- ==========================================
+-- MENSAGENS AGENDADAS
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 004_message_queue.sql
+
+-- Agendamentos ficam na própria fila, com status 'scheduled' até a data de envio
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ;
+
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS credit_reserved BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS moderation_category VARCHAR(50);
+
+-- Novos estados: scheduled, cancelled, blocked
+ALTER TABLE message_queue
+DROP CONSTRAINT IF EXISTS message_queue_status_check;
+
+ALTER TABLE message_queue
+ADD CONSTRAINT message_queue_status_check
+CHECK (status IN ('scheduled', 'queued', 'sending', 'sent', 'failed', 'dead', 'cancelled', 'blocked'));
+
+CREATE INDEX IF NOT EXISTS idx_message_queue_scheduled ON message_queue(status, scheduled_for)
+WHERE scheduled_for IS NOT NULL;
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON COLUMN message_queue.scheduled_for IS 'Data/hora escolhida pelo usuário para a entrega (null = envio imediato)';
+COMMENT ON COLUMN message_queue.credit_reserved IS 'Crédito já debitado na criação do agendamento';
+COMMENT ON COLUMN message_queue.refunded_at IS 'Quando o crédito reservado foi devolvido (cancelamento, bloqueio ou falha)';
+COMMENT ON COLUMN message_queue.moderation_category IS 'Categoria da moderação quando o agendamento foi bloqueado no momento do envio';
@@ -0,0 +1,129 @@
+-- ==========================================
+-- RESERVA DE CRÉDITOS (RESERVAR -> CONFIRMAR / DEVOLVER)
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 005_scheduled_messages.sql
+
+-- Status do lançamento: compras e débitos antigos ficam como 'completed'
+-- Reservas usam 'reserved' -> 'committed' (entregue) ou 'released' (devolvida)
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'completed';
+
+-- Estorno aponta para a reserva que devolveu
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS reference_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL;
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ;
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS release_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status)
+WHERE status = 'reserved';
+
+-- Cada job da fila guarda a reserva de crédito que o paga
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS credit_reservation_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL;
+
+-- Agendamentos criados antes desta migração já debitaram o crédito (credit_reserved,
+-- lançamento 'reservation'). Cada um ainda pendente ganha uma reserva aberta, sem novo
+-- débito (credits_added = 0): o envio confirma a reserva em vez de cobrar de novo e
+-- cancelamento ou falha devolvem o crédito por release_credit_transaction.
+-- Jobs sem credit_reserved continuam sendo cobrados só no envio
+DO $$
+DECLARE
+    v_job RECORD;
+    v_transaction_id INTEGER;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'message_queue' AND column_name = 'credit_reserved'
+    ) THEN
+        RETURN;
+    END IF;
+
+    FOR v_job IN EXECUTE
+        'SELECT id, user_id FROM message_queue
+         WHERE credit_reserved = TRUE
+           AND refunded_at IS NULL
+           AND credit_reservation_id IS NULL
+           AND status IN (''scheduled'', ''queued'', ''sending'', ''failed'')'
+    LOOP
+        INSERT INTO transactions (user_id, type, credit_type, amount, credits_added, status)
+        VALUES (v_job.user_id, 'usage', 'whatsapp', 1, 0, 'reserved')
+        RETURNING id INTO v_transaction_id;
+
+        UPDATE message_queue SET credit_reservation_id = v_transaction_id WHERE id = v_job.id;
+    END LOOP;
+END $$;
+
+ALTER TABLE message_queue
+DROP COLUMN IF EXISTS credit_reserved;
+
+-- ==========================================
+-- FUNÇÕES ATÔMICAS
+-- ==========================================
+
+-- Debita 1 crédito apenas se houver saldo e registra a reserva
+CREATE OR REPLACE FUNCTION reserve_credit_transaction(p_user_id INTEGER, p_credit_type VARCHAR)
+RETURNS INTEGER AS $$
+DECLARE
+    v_transaction_id INTEGER;
+BEGIN
+    IF p_credit_type = 'whatsapp' THEN
+        UPDATE users SET whatsapp_credits = whatsapp_credits - 1
+        WHERE id = p_user_id AND whatsapp_credits >= 1;
+    ELSE
+        UPDATE users SET sms_credits = sms_credits - 1
+        WHERE id = p_user_id AND sms_credits >= 1;
+    END IF;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'insufficient_credits';
+    END IF;
+
+    INSERT INTO transactions (user_id, type, credit_type, amount, credits_added, status)
+    VALUES (p_user_id, 'usage', p_credit_type, 1, -1, 'reserved')
+    RETURNING id INTO v_transaction_id;
+
+    RETURN v_transaction_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Devolve o crédito de uma reserva ainda aberta e registra o estorno
+CREATE OR REPLACE FUNCTION release_credit_transaction(p_reservation_id INTEGER, p_reason TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_reservation transactions%ROWTYPE;
+BEGIN
+    UPDATE transactions
+    SET status = 'released', settled_at = NOW(), release_reason = p_reason
+    WHERE id = p_reservation_id AND status = 'reserved'
+    RETURNING * INTO v_reservation;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_reservation.credit_type = 'whatsapp' THEN
+        UPDATE users SET whatsapp_credits = whatsapp_credits + 1 WHERE id = v_reservation.user_id;
+    ELSE
+        UPDATE users SET sms_credits = sms_credits + 1 WHERE id = v_reservation.user_id;
+    END IF;
+
+    INSERT INTO transactions (user_id, type, credit_type, amount, credits_added, status, reference_id, release_reason)
+    VALUES (v_reservation.user_id, 'refund', v_reservation.credit_type, 1, 1, 'completed', p_reservation_id, p_reason);
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON COLUMN transactions.status IS 'completed=lançamento final, reserved=crédito reservado aguardando envio, committed=envio confirmado, released=reserva devolvida';
+COMMENT ON COLUMN transactions.reference_id IS 'Para estornos: reserva que originou a devolução';
+COMMENT ON COLUMN transactions.release_reason IS 'Motivo da devolução (falha de entrega, bloqueio, cancelamento)';
+COMMENT ON COLUMN message_queue.credit_reservation_id IS 'Reserva de crédito confirmada no envio ou devolvida em caso de falha';
@@ -0,0 +1,73 @@
+-- ==========================================
+-- CONVERSAS (THREADS) ENTRE REMETENTE E DESTINATÁRIO
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Cada código de rastreio vira uma conversa: a mensagem original, as
+-- mensagens seguintes do remetente e as respostas do destinatário
+
+CREATE TABLE IF NOT EXISTS threads (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    phone VARCHAR(20) NOT NULL,
+    tracking_code VARCHAR(10) NOT NULL,
+    channel VARCHAR(10) NOT NULL DEFAULT 'whatsapp',
+    last_message_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (tracking_code, user_id, phone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_threads_user_last ON threads(user_id, last_message_at DESC);
+
+-- Códigos novos (by + 8 caracteres) são únicos em toda a tabela. Os antigos (by + 4)
+-- podem se repetir entre remetentes e cada par remetente/destinatário tem sua conversa
+CREATE UNIQUE INDEX IF NOT EXISTS idx_threads_tracking_code_unique
+ON threads(tracking_code)
+WHERE length(tracking_code) > 6;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES threads(id) ON DELETE SET NULL;
+
+ALTER TABLE replies
+ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES threads(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_thread_id ON messages(thread_id);
+CREATE INDEX IF NOT EXISTS idx_replies_thread_id ON replies(thread_id);
+
+-- ==========================================
+-- MIGRAÇÃO DO HISTÓRICO EXISTENTE
+-- ==========================================
+
+INSERT INTO threads (user_id, phone, tracking_code, channel, last_message_at, created_at)
+SELECT DISTINCT ON (m.tracking_code, m.user_id, m.phone)
+    m.user_id, m.phone, m.tracking_code, m.channel,
+    GREATEST(m.created_at, COALESCE((SELECT MAX(r.created_at) FROM replies r WHERE r.message_id = m.id), m.created_at)),
+    m.created_at
+FROM messages m
+WHERE m.tracking_code IS NOT NULL
+ORDER BY m.tracking_code, m.user_id, m.phone, m.created_at ASC
+ON CONFLICT (tracking_code, user_id, phone) DO NOTHING;
+
+UPDATE messages m
+SET thread_id = t.id
+FROM threads t
+WHERE m.tracking_code = t.tracking_code
+  AND m.user_id = t.user_id
+  AND m.phone = t.phone
+  AND m.thread_id IS NULL;
+
+UPDATE replies r
+SET thread_id = m.thread_id
+FROM messages m
+WHERE r.message_id = m.id AND r.thread_id IS NULL;
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE threads IS 'Conversa anônima identificada pelo código de rastreio da primeira mensagem';
+COMMENT ON COLUMN threads.tracking_code IS 'Reservado antes do envio; único para códigos novos (by + 8 caracteres)';
+COMMENT ON COLUMN threads.user_id IS 'Remetente anônimo dono da conversa';
+COMMENT ON COLUMN threads.phone IS 'Destinatário da conversa';
+COMMENT ON COLUMN threads.last_message_at IS 'Data da última mensagem em qualquer direção';
+COMMENT ON COLUMN messages.thread_id IS 'Conversa à qual a mensagem enviada pertence';
+COMMENT ON COLUMN replies.thread_id IS 'Conversa à qual a resposta recebida pertence';
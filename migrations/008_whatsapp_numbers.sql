@@ -0,0 +1,31 @@
+-- ==========================================
+-- POOL DE NÚMEROS DE WHATSAPP (ENVIO)
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Cada número tem sua própria sessão RemoteAuth em whatsapp_sessions
+
+CREATE TABLE IF NOT EXISTS whatsapp_numbers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id VARCHAR(64) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    phone VARCHAR(20),
+    state VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (state IN ('pending', 'active', 'paused', 'banned')),
+    last_used_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- O número que já existia passa a ser o primeiro do pool
+INSERT INTO whatsapp_numbers (session_id, label, state)
+VALUES ('whatsapp-main', 'Principal', 'active')
+ON CONFLICT (session_id) DO NOTHING;
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE whatsapp_numbers IS 'Números de WhatsApp usados para envio, com balanceamento e failover (whatsapp-pool.js)';
+COMMENT ON COLUMN whatsapp_numbers.session_id IS 'ID da sessão RemoteAuth em whatsapp_sessions';
+COMMENT ON COLUMN whatsapp_numbers.state IS 'pending=aguardando pareamento, active=em uso, paused=pausado pelo admin, banned=banido pelo WhatsApp';
+COMMENT ON COLUMN whatsapp_numbers.last_used_at IS 'Último envio feito por este número (usado no balanceamento)';
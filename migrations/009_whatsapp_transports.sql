@@ -0,0 +1,25 @@
+-- ==========================================
+-- TRANSPORTE POR NÚMERO DO POOL
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 008_whatsapp_numbers.sql
+
+ALTER TABLE whatsapp_numbers
+ADD COLUMN IF NOT EXISTS transport VARCHAR(20) NOT NULL DEFAULT 'webjs';
+
+ALTER TABLE whatsapp_numbers
+DROP CONSTRAINT IF EXISTS whatsapp_numbers_transport_check;
+
+ALTER TABLE whatsapp_numbers
+ADD CONSTRAINT whatsapp_numbers_transport_check
+CHECK (transport IN ('webjs', 'cloud_api', 'wasender', 'fake'));
+
+ALTER TABLE whatsapp_numbers
+ADD COLUMN IF NOT EXISTS config JSONB NOT NULL DEFAULT '{}';
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON COLUMN whatsapp_numbers.transport IS 'webjs=whatsapp-web.js (Chromium), cloud_api=API oficial da Meta, wasender=WASender, fake=memória (testes)';
+COMMENT ON COLUMN whatsapp_numbers.config IS 'Credenciais do transporte (ex: phoneNumberId/accessToken, apiKey). Sem valor, usa as variáveis de ambiente';
@@ -0,0 +1,53 @@
+-- ==========================================
+-- COMANDOS DO DESTINATÁRIO VIA WHATSAPP
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- ajuda, parar, denunciar, privacidade (além de bloquear/desbloquear)
+-- Os telefones dos destinatários são guardados apenas como hash SHA-256
+
+-- Destinatários que não querem receber mensagens anônimas de nenhum remetente
+CREATE TABLE IF NOT EXISTS recipient_opt_outs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    phone_hash VARCHAR(64) NOT NULL UNIQUE,
+    source VARCHAR(20) NOT NULL DEFAULT 'whatsapp',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Registro de todos os comandos recebidos
+CREATE TABLE IF NOT EXISTS recipient_commands (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    phone_hash VARCHAR(64) NOT NULL,
+    command VARCHAR(20) NOT NULL,
+    message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+    source VARCHAR(20),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recipient_commands_created ON recipient_commands(created_at DESC);
+
+-- Denúncias de mensagens para revisão
+CREATE TABLE IF NOT EXISTS abuse_reports (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+    thread_id UUID REFERENCES threads(id) ON DELETE SET NULL,
+    sender_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    tracking_code VARCHAR(10),
+    reporter_phone_hash VARCHAR(64),
+    source VARCHAR(20) NOT NULL DEFAULT 'whatsapp',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_abuse_reports_status ON abuse_reports(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_abuse_reports_sender ON abuse_reports(sender_user_id);
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE recipient_opt_outs IS 'Destinatários que enviaram "parar": nenhum remetente pode enviar para eles';
+COMMENT ON COLUMN recipient_opt_outs.phone_hash IS 'SHA-256 do telefone normalizado (55 + DDD + 8 últimos dígitos)';
+COMMENT ON TABLE recipient_commands IS 'Comandos enviados pelos destinatários via WhatsApp';
+COMMENT ON COLUMN recipient_commands.message_id IS 'Última mensagem anônima recebida pelo destinatário no momento do comando';
+COMMENT ON TABLE abuse_reports IS 'Denúncias de mensagens anônimas aguardando revisão';
+COMMENT ON COLUMN abuse_reports.sender_user_id IS 'Remetente da mensagem denunciada';
@@ -0,0 +1,33 @@
+-- ==========================================
+-- LISTA GLOBAL DE NÃO CONTATO (OPT-OUT)
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Complementa recipient_opt_outs (010): o próprio dono do número pode sair ou
+-- voltar pelo site com código via WhatsApp, e o admin pode gerenciar a lista
+
+ALTER TABLE recipient_opt_outs
+ADD COLUMN IF NOT EXISTS note VARCHAR(200);
+
+ALTER TABLE recipient_opt_outs
+DROP CONSTRAINT IF EXISTS recipient_opt_outs_source_check;
+
+ALTER TABLE recipient_opt_outs
+ADD CONSTRAINT recipient_opt_outs_source_check
+CHECK (source IN ('whatsapp', 'web', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_recipient_opt_outs_created ON recipient_opt_outs(created_at DESC);
+
+-- Códigos do opt-out público ficam separados dos de conta (cadastro, senha): pedir
+-- um código de opt-out não pode invalidar o código pendente de outra pessoa
+ALTER TABLE phone_verifications
+ADD COLUMN IF NOT EXISTS purpose VARCHAR(20) NOT NULL DEFAULT 'verification';
+
+CREATE INDEX IF NOT EXISTS idx_phone_verifications_phone_purpose ON phone_verifications(phone, purpose);
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON COLUMN recipient_opt_outs.source IS 'whatsapp=comando "parar", web=formulário com código, admin=incluído pelo painel';
+COMMENT ON COLUMN recipient_opt_outs.note IS 'Observação do admin (nunca o telefone em claro)';
+COMMENT ON COLUMN phone_verifications.purpose IS 'verification=cadastro, troca de telefone e senha; opt_out=formulário público de opt-out';
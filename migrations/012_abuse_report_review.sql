@@ -0,0 +1,62 @@
+-- ==========================================
+-- FILA DE DENÚNCIAS E REVISÃO PELO ADMIN
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Complementa abuse_reports (010): denúncias pelo site com o código de rastreio,
+-- decisões do admin e histórico imutável de cada ação
+
+ALTER TABLE abuse_reports
+ADD COLUMN IF NOT EXISTS reason VARCHAR(20),
+ADD COLUMN IF NOT EXISTS details TEXT,
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100);
+
+ALTER TABLE abuse_reports
+DROP CONSTRAINT IF EXISTS abuse_reports_status_check;
+
+ALTER TABLE abuse_reports
+ADD CONSTRAINT abuse_reports_status_check
+CHECK (status IN ('pending', 'dismissed', 'warned', 'suspended', 'escalated'));
+
+-- Suspensão de remetentes (envio bloqueado até a data)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+
+-- ==========================================
+-- HISTÓRICO DE AÇÕES (SOMENTE INSERÇÃO)
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS abuse_report_actions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    report_id UUID NOT NULL REFERENCES abuse_reports(id),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('dismiss', 'warn', 'suspend', 'escalate')),
+    admin_user VARCHAR(100) NOT NULL,
+    note TEXT,
+    details JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_abuse_report_actions_report ON abuse_report_actions(report_id, created_at);
+
+CREATE OR REPLACE FUNCTION prevent_abuse_report_actions_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'abuse_report_actions é somente inserção';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS abuse_report_actions_immutable ON abuse_report_actions;
+CREATE TRIGGER abuse_report_actions_immutable
+BEFORE UPDATE OR DELETE ON abuse_report_actions
+FOR EACH ROW EXECUTE FUNCTION prevent_abuse_report_actions_change();
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON COLUMN abuse_reports.reason IS 'harassment, threat, spam, scam ou other (denúncias pelo site)';
+COMMENT ON COLUMN abuse_reports.status IS 'pending=na fila, demais=decisão do admin';
+COMMENT ON COLUMN users.suspended_until IS 'Enquanto no futuro, o usuário não pode enviar mensagens';
+COMMENT ON TABLE abuse_report_actions IS 'Registro de auditoria das decisões sobre denúncias (não pode ser alterado)';
+COMMENT ON COLUMN abuse_report_actions.details IS 'Dados da ação: dias de suspensão, id da retenção legal, cópia da mensagem';
@@ -0,0 +1,41 @@
+-- ==========================================
+-- STRIKES, SUSPENSÃO E BANIMENTO DE REMETENTES
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Cada mensagem bloqueada pela moderação, bloqueio de destinatário ou denúncia
+-- procedente vira um strike; a soma dos pontos recentes define a situação da conta
+
+CREATE TABLE IF NOT EXISTS user_strikes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('moderation', 'block', 'report')),
+    points INTEGER NOT NULL DEFAULT 1,
+    reason TEXT,
+    reference_id VARCHAR(64),
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_strikes_user_expires ON user_strikes(user_id, expires_at DESC);
+
+-- Chave de deduplicação: o bloqueio usa o hash do telefone do destinatário, então
+-- bloquear/desbloquear repetidas vezes não soma strikes. Um strike vencido é renovado
+ALTER TABLE user_strikes
+ADD COLUMN IF NOT EXISTS reference_key VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_strikes_reference_key
+ON user_strikes(user_id, source, reference_key);
+
+-- Banimento permanente (suspensão temporária usa suspended_until, da 012)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS banned_at TIMESTAMPTZ;
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE user_strikes IS 'Infrações do remetente; só contam enquanto expires_at estiver no futuro';
+COMMENT ON COLUMN user_strikes.source IS 'moderation=mensagem bloqueada, block=destinatário bloqueou, report=denúncia procedente';
+COMMENT ON COLUMN user_strikes.reference_id IS 'Denúncia ou bloqueio que originou o strike, quando houver';
+COMMENT ON COLUMN user_strikes.reference_key IS 'No máximo um strike por (usuário, origem, chave); em bloqueios, hash do telefone do destinatário';
+COMMENT ON COLUMN users.banned_at IS 'Conta banida permanentemente: não pode mais enviar mensagens';
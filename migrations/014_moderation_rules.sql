@@ -0,0 +1,227 @@
+-- ==========================================
+-- REGRAS DE MODERAÇÃO CONFIGURÁVEIS
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Substitui as listas fixas do moderation-service.js. As regras padrão abaixo
+-- são as mesmas de moderation-rules.js (usadas como fallback se o banco falhar)
+
+CREATE TABLE IF NOT EXISTS moderation_rules (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    stage VARCHAR(10) NOT NULL DEFAULT 'content' CHECK (stage IN ('content', 'sensitive')),
+    type VARCHAR(10) NOT NULL CHECK (type IN ('term', 'regex')),
+    pattern TEXT NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    risk_score INTEGER NOT NULL DEFAULT 50 CHECK (risk_score BETWEEN 0 AND 100),
+    action VARCHAR(10) NOT NULL DEFAULT 'block' CHECK (action IN ('block', 'flag', 'allow')),
+    reason TEXT,
+    label VARCHAR(50),
+    priority INTEGER NOT NULL DEFAULT 1000,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_rules_stage_priority ON moderation_rules(stage, priority);
+
+-- ==========================================
+-- REGRAS PADRÃO (somente se a tabela estiver vazia)
+-- ==========================================
+
+INSERT INTO moderation_rules (stage, type, pattern, category, risk_score, action, reason, label, priority)
+SELECT * FROM (VALUES
+    ('content', 'regex', 'se\s+(voce|vc|tu)\s+nao\s+.{1,50}(vou|irei|farei)\s+(divulgar|contar|mostrar|postar|publicar|mandar|enviar|espalhar)', 'blackmail_extortion', 100, 'block', 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.', NULL, 10),
+    ('content', 'regex', 'pag(ue|a)\s+(ou|senao|se\s*nao)', 'blackmail_extortion', 100, 'block', 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.', NULL, 20),
+    ('content', 'regex', 'tenho\s+(fotos?|videos?|prints?|provas?)\s+(seus?|tuas?|de\s+voce)', 'blackmail_extortion', 100, 'block', 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.', NULL, 30),
+    ('content', 'regex', 'vou\s+(divulgar|expor|mostrar|postar|publicar|mandar\s+para|enviar\s+para|espalhar)', 'blackmail_extortion', 100, 'block', 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.', NULL, 40),
+    ('content', 'regex', 'se\s+(contar|falar|abrir\s+a\s+boca).{0,30}(vai\s+ver|vai\s+se\s+arrepender|voce\s+vai)', 'blackmail_extortion', 100, 'block', 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.', NULL, 50),
+    ('content', 'regex', '(conto|falo|mostro)\s+(pra|para)\s+(todo\s+mundo|todos|sua\s+(familia|mae|pai|namorad|marid|espos))', 'blackmail_extortion', 100, 'block', 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.', NULL, 60),
+    ('content', 'regex', '(nudes?|intim[oa]s?|pelad[oa]s?).{0,30}(divulgar|postar|mostrar|mandar)', 'blackmail_extortion', 100, 'block', 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.', NULL, 70),
+    ('content', 'regex', '(quer|quer\s+que\s+eu\s+nao|pra\s+eu\s+nao).{0,30}(dinheiro|pix|transf|pag)', 'blackmail_extortion', 100, 'block', 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.', NULL, 80),
+    ('content', 'regex', 'sei\s+(onde|aonde)\s+(voce|vc|tu)\s+(mora|trabalha|estuda|fica)', 'blackmail_extortion', 100, 'block', 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.', NULL, 90),
+    ('content', 'regex', 'voce\s+vai\s+(pagar|se\s+arrepender|ver\s+so)', 'threat', 95, 'block', 'Mensagem contém ameaça. Este tipo de conteúdo é crime.', NULL, 100),
+    ('content', 'regex', 'vai\s+acontecer\s+(algo|alguma\s+coisa)\s+(ruim|com\s+voce)', 'threat', 95, 'block', 'Mensagem contém ameaça. Este tipo de conteúdo é crime.', NULL, 110),
+    ('content', 'regex', 'eu\s+sei\s+(quem|onde|o\s+que)\s+voce', 'threat', 95, 'block', 'Mensagem contém ameaça. Este tipo de conteúdo é crime.', NULL, 120),
+    ('content', 'regex', 'sua\s+(familia|mae|pai|filh[oa]).{0,20}(vai\s+sofrer|vai\s+pagar|vai\s+ver)', 'threat', 95, 'block', 'Mensagem contém ameaça. Este tipo de conteúdo é crime.', NULL, 130),
+    ('content', 'term', 'matar', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 140),
+    ('content', 'term', 'assassinar', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 150),
+    ('content', 'term', 'estuprar', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 160),
+    ('content', 'term', 'sequestrar', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 170),
+    ('content', 'term', 'bomba', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 180),
+    ('content', 'term', 'terrorismo', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 190),
+    ('content', 'term', 'pedofilia', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 200),
+    ('content', 'term', 'pedofilo', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 210),
+    ('content', 'term', 'vou te pegar', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 220),
+    ('content', 'term', 'vai morrer', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 230),
+    ('content', 'term', 'te mato', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 240),
+    ('content', 'term', 'vou matar', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 250),
+    ('content', 'term', 'trafico', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 260),
+    ('content', 'term', 'cocaina', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 270),
+    ('content', 'term', 'crack', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 280),
+    ('content', 'term', 'heroina', 'criminal_threat', 100, 'block', 'Mensagem contém conteúdo criminoso ou ameaça grave', NULL, 290),
+    ('content', 'term', 'bater', 'violence', 85, 'block', 'Mensagem contém incitação à violência', NULL, 300),
+    ('content', 'term', 'socar', 'violence', 85, 'block', 'Mensagem contém incitação à violência', NULL, 310),
+    ('content', 'term', 'espancar', 'violence', 85, 'block', 'Mensagem contém incitação à violência', NULL, 320),
+    ('content', 'term', 'surrar', 'violence', 85, 'block', 'Mensagem contém incitação à violência', NULL, 330),
+    ('content', 'term', 'arrebentar', 'violence', 85, 'block', 'Mensagem contém incitação à violência', NULL, 340),
+    ('content', 'term', 'acabar com voce', 'violence', 85, 'block', 'Mensagem contém incitação à violência', NULL, 350),
+    ('content', 'term', 'quebrar a cara', 'violence', 85, 'block', 'Mensagem contém incitação à violência', NULL, 360),
+    ('content', 'term', 'dar um tiro', 'violence', 85, 'block', 'Mensagem contém incitação à violência', NULL, 370),
+    ('content', 'term', 'macaco', 'hate_speech', 80, 'block', 'Mensagem contém discurso de ódio ou racismo', NULL, 380),
+    ('content', 'term', 'crioulo', 'hate_speech', 80, 'block', 'Mensagem contém discurso de ódio ou racismo', NULL, 390),
+    ('content', 'term', 'negao', 'hate_speech', 80, 'block', 'Mensagem contém discurso de ódio ou racismo', NULL, 400),
+    ('content', 'term', 'preto fedido', 'hate_speech', 80, 'block', 'Mensagem contém discurso de ódio ou racismo', NULL, 410),
+    ('content', 'term', 'branquelo', 'hate_speech', 80, 'block', 'Mensagem contém discurso de ódio ou racismo', NULL, 420),
+    ('content', 'term', 'nazista', 'hate_speech', 80, 'block', 'Mensagem contém discurso de ódio ou racismo', NULL, 430),
+    ('content', 'term', 'hitler', 'hate_speech', 80, 'block', 'Mensagem contém discurso de ódio ou racismo', NULL, 440),
+    ('content', 'term', 'judeu imundo', 'hate_speech', 80, 'block', 'Mensagem contém discurso de ódio ou racismo', NULL, 450),
+    ('content', 'term', 'volta pra senzala', 'hate_speech', 80, 'block', 'Mensagem contém discurso de ódio ou racismo', NULL, 460),
+    ('content', 'term', 'viado', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 470),
+    ('content', 'term', 'viadinho', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 480),
+    ('content', 'term', 'viadao', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 490),
+    ('content', 'term', 'veado', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 500),
+    ('content', 'term', 'veadinho', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 510),
+    ('content', 'term', 'bicha', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 520),
+    ('content', 'term', 'bichinha', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 530),
+    ('content', 'term', 'bichona', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 540),
+    ('content', 'term', 'sapatao', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 550),
+    ('content', 'term', 'sapatona', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 560),
+    ('content', 'term', 'traveco', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 570),
+    ('content', 'term', 'baitola', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 580),
+    ('content', 'term', 'baitolao', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 590),
+    ('content', 'term', 'baitolinha', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 600),
+    ('content', 'term', 'boiola', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 610),
+    ('content', 'term', 'boiolao', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 620),
+    ('content', 'term', 'boiolinha', 'homophobia', 75, 'block', 'Mensagem contém conteúdo homofóbico', NULL, 630),
+    ('content', 'term', 'porra', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 640),
+    ('content', 'term', 'caralho', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 650),
+    ('content', 'term', 'cacete', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 660),
+    ('content', 'term', 'merda', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 670),
+    ('content', 'term', 'bosta', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 680),
+    ('content', 'term', 'puta', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 690),
+    ('content', 'term', 'putaria', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 700),
+    ('content', 'term', 'putinha', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 710),
+    ('content', 'term', 'vagabunda', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 720),
+    ('content', 'term', 'vadia', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 730),
+    ('content', 'term', 'piranha', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 740),
+    ('content', 'term', 'fdp', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 750),
+    ('content', 'term', 'filho da puta', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 760),
+    ('content', 'term', 'filha da puta', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 770),
+    ('content', 'term', 'fudido', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 780),
+    ('content', 'term', 'foder', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 790),
+    ('content', 'term', 'foda-se', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 800),
+    ('content', 'term', 'fodase', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 810),
+    ('content', 'term', 'cu', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 820),
+    ('content', 'term', 'cuzao', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 830),
+    ('content', 'term', 'cuzinho', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 840),
+    ('content', 'term', 'arrombado', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 850),
+    ('content', 'term', 'arrombada', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 860),
+    ('content', 'term', 'buceta', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 870),
+    ('content', 'term', 'xoxota', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 880),
+    ('content', 'term', 'xereca', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 890),
+    ('content', 'term', 'ppk', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 900),
+    ('content', 'term', 'rola', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 910),
+    ('content', 'term', 'pica', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 920),
+    ('content', 'term', 'piroca', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 930),
+    ('content', 'term', 'punheta', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 940),
+    ('content', 'term', 'punheteiro', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 950),
+    ('content', 'term', 'puto', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 960),
+    ('content', 'term', 'puta que pariu', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 970),
+    ('content', 'term', 'vsf', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 980),
+    ('content', 'term', 'vai se fuder', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 990),
+    ('content', 'term', 'tnc', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 1000),
+    ('content', 'term', 'tomar no cu', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 1010),
+    ('content', 'term', 'vtnc', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 1020),
+    ('content', 'term', 'vai tomar no cu', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 1030),
+    ('content', 'term', 'pqp', 'severe_insult', 65, 'block', 'Mensagem contém linguagem extremamente ofensiva', NULL, 1040),
+    ('content', 'term', 'otario', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1050),
+    ('content', 'term', 'otaria', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1060),
+    ('content', 'term', 'idiota', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1070),
+    ('content', 'term', 'imbecil', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1080),
+    ('content', 'term', 'retardado', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1090),
+    ('content', 'term', 'retardada', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1100),
+    ('content', 'term', 'babaca', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1110),
+    ('content', 'term', 'besta', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1120),
+    ('content', 'term', 'burro', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1130),
+    ('content', 'term', 'burra', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1140),
+    ('content', 'term', 'animal', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1150),
+    ('content', 'term', 'jumento', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1160),
+    ('content', 'term', 'desgraca', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1170),
+    ('content', 'term', 'desgracado', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1180),
+    ('content', 'term', 'desgracada', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1190),
+    ('content', 'term', 'maldito', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1200),
+    ('content', 'term', 'maldita', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1210),
+    ('content', 'term', 'nojento', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1220),
+    ('content', 'term', 'nojenta', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1230),
+    ('content', 'term', 'lixo', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1240),
+    ('content', 'term', 'escoria', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1250),
+    ('content', 'term', 'verme', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1260),
+    ('content', 'term', 'vagabundo', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1270),
+    ('content', 'term', 'safado', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1280),
+    ('content', 'term', 'safada', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1290),
+    ('content', 'term', 'canalha', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1300),
+    ('content', 'term', 'vaca', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1310),
+    ('content', 'term', 'vaca velha', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1320),
+    ('content', 'term', 'vacona', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1330),
+    ('content', 'term', 'galinha', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1340),
+    ('content', 'term', 'cachorra', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1350),
+    ('content', 'term', 'cadela', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1360),
+    ('content', 'term', 'egua', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1370),
+    ('content', 'term', 'jumenta', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1380),
+    ('content', 'term', 'piranhuda', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1390),
+    ('content', 'term', 'broxa', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1400),
+    ('content', 'term', 'corno', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1410),
+    ('content', 'term', 'cornudo', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1420),
+    ('content', 'term', 'chifrudo', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1430),
+    ('content', 'term', 'baranga', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1440),
+    ('content', 'term', 'mocreia', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1450),
+    ('content', 'term', 'baleia', 'personal_insult', 50, 'block', 'Mensagem contém ofensa pessoal', NULL, 1460),
+    ('content', 'term', 'pix agora', 'fraud_attempt', 70, 'block', 'Mensagem contém possível tentativa de golpe ou fraude', NULL, 1470),
+    ('content', 'term', 'me passa', 'fraud_attempt', 70, 'block', 'Mensagem contém possível tentativa de golpe ou fraude', NULL, 1480),
+    ('content', 'term', 'senha do banco', 'fraud_attempt', 70, 'block', 'Mensagem contém possível tentativa de golpe ou fraude', NULL, 1490),
+    ('content', 'term', 'cartao de credito', 'fraud_attempt', 70, 'block', 'Mensagem contém possível tentativa de golpe ou fraude', NULL, 1500),
+    ('content', 'term', 'dados bancarios', 'fraud_attempt', 70, 'block', 'Mensagem contém possível tentativa de golpe ou fraude', NULL, 1510),
+    ('content', 'term', 'numero do cartao', 'fraud_attempt', 70, 'block', 'Mensagem contém possível tentativa de golpe ou fraude', NULL, 1520),
+    ('content', 'term', 'codigo de seguranca', 'fraud_attempt', 70, 'block', 'Mensagem contém possível tentativa de golpe ou fraude', NULL, 1530),
+    ('content', 'term', 'deposita', 'fraud_attempt', 70, 'block', 'Mensagem contém possível tentativa de golpe ou fraude', NULL, 1540),
+    ('content', 'term', 'transfere urgente', 'fraud_attempt', 70, 'block', 'Mensagem contém possível tentativa de golpe ou fraude', NULL, 1550),
+    ('sensitive', 'regex', '\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b', 'sensitive_data_cpf', 80, 'block', NULL, 'CPF', 1560),
+    ('sensitive', 'regex', '\b\d{1,2}\.?\d{3}\.?\d{3}-?[0-9xX]\b', 'sensitive_data_rg', 80, 'block', NULL, 'RG', 1570),
+    ('sensitive', 'regex', '\(?\d{2}\)?[\s.-]?\d{4,5}[\s.-]?\d{4}\b', 'sensitive_data_phone', 80, 'block', NULL, 'Telefone', 1580),
+    ('sensitive', 'regex', '\b[A-Z]{3}[\s-]?\d[A-Z0-9]\d{2}\b', 'sensitive_data_plate', 80, 'block', NULL, 'Placa', 1590),
+    ('sensitive', 'regex', '\b\d{4}[\s.-]?\d{4}[\s.-]?\d{4}[\s.-]?\d{4}\b', 'sensitive_data_card', 80, 'block', NULL, 'Cartão', 1600),
+    ('sensitive', 'regex', '\brua\s+[\w\s]+,?\s*n?\.?\s*\d+', 'sensitive_data_address', 80, 'block', NULL, 'Endereço/CEP', 1610),
+    ('sensitive', 'regex', '\bav\.?\s*(enida)?\s+[\w\s]+,?\s*n?\.?\s*\d+', 'sensitive_data_address', 80, 'block', NULL, 'Endereço/CEP', 1620),
+    ('sensitive', 'regex', '\bcep[\s:]*\d{5}-?\d{3}\b', 'sensitive_data_address', 80, 'block', NULL, 'Endereço/CEP', 1630),
+    ('sensitive', 'regex', '\b\d{5}-?\d{3}\b', 'sensitive_data_address', 80, 'block', NULL, 'Endereço/CEP', 1640),
+    ('sensitive', 'term', 'hiv', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1650),
+    ('sensitive', 'term', 'aids', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1660),
+    ('sensitive', 'term', 'câncer', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1670),
+    ('sensitive', 'term', 'cancer', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1680),
+    ('sensitive', 'term', 'diabetes', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1690),
+    ('sensitive', 'term', 'depressão', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1700),
+    ('sensitive', 'term', 'depressao', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1710),
+    ('sensitive', 'term', 'esquizofrenia', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1720),
+    ('sensitive', 'term', 'bipolar', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1730),
+    ('sensitive', 'term', 'ansiedade', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1740),
+    ('sensitive', 'term', 'psiquiátrico', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1750),
+    ('sensitive', 'term', 'psiquiatrico', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1760),
+    ('sensitive', 'term', 'diagnóstico', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1770),
+    ('sensitive', 'term', 'diagnostico', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1780),
+    ('sensitive', 'term', 'exame de sangue', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1790),
+    ('sensitive', 'term', 'resultado do exame', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1800),
+    ('sensitive', 'term', 'receita médica', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1810),
+    ('sensitive', 'term', 'receita medica', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1820),
+    ('sensitive', 'term', 'medicamento controlado', 'sensitive_data_medical', 80, 'block', NULL, 'Dado Médico', 1830)
+) AS defaults(stage, type, pattern, category, risk_score, action, reason, label, priority)
+WHERE NOT EXISTS (SELECT 1 FROM moderation_rules);
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE moderation_rules IS 'Regras de moderação editáveis pelo painel admin (carregadas pelo ModerationService)';
+COMMENT ON COLUMN moderation_rules.stage IS 'content=antes do limite de envio, primeira regra vence; sensitive=dados pessoais, todos os tipos detectados são listados';
+COMMENT ON COLUMN moderation_rules.type IS 'term=trecho de texto, regex=expressão regular (sem barras, sempre sem diferenciar maiúsculas)';
+COMMENT ON COLUMN moderation_rules.action IS 'block=bloqueia, flag=permite mas registra no log, allow=o trecho é ignorado pelas demais regras';
+COMMENT ON COLUMN moderation_rules.label IS 'Nome do tipo de dado exibido ao usuário (regras sensitive)';
+COMMENT ON COLUMN moderation_rules.priority IS 'Ordem de avaliação dentro do estágio (menor primeiro)';
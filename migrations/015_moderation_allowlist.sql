@@ -0,0 +1,35 @@
+-- ==========================================
+-- NORMALIZAÇÃO DE TEXTO E LISTA DE PERMISSÕES
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- A partir desta versão, regras do tipo 'term' casam apenas palavras inteiras do texto
+-- normalizado (sem acentos, leetspeak, letras separadas ou repetidas — ver
+-- moderation-normalizer.js). 'cu' não casa mais com 'curso', nem 'pica' com 'pipoca'.
+-- Abaixo, falsos positivos conhecidos entram como regras 'allow' (lista de permissões).
+
+INSERT INTO moderation_rules (stage, type, pattern, category, risk_score, action, priority)
+SELECT * FROM (VALUES
+    ('content', 'term', 'bater papo', 'allowlist', 0, 'allow', 1840),
+    ('content', 'term', 'bater um papo', 'allowlist', 0, 'allow', 1850),
+    ('content', 'term', 'bater o bolo', 'allowlist', 0, 'allow', 1860),
+    ('content', 'term', 'bater bolo', 'allowlist', 0, 'allow', 1870),
+    ('content', 'term', 'bater a massa', 'allowlist', 0, 'allow', 1880),
+    ('content', 'term', 'matar a saudade', 'allowlist', 0, 'allow', 1890),
+    ('content', 'term', 'matar saudade', 'allowlist', 0, 'allow', 1900),
+    ('content', 'term', 'matar o tempo', 'allowlist', 0, 'allow', 1910),
+    ('content', 'term', 'matar aula', 'allowlist', 0, 'allow', 1920),
+    ('content', 'term', 'bomba de chocolate', 'allowlist', 0, 'allow', 1930),
+    ('content', 'term', 'pica pau', 'allowlist', 0, 'allow', 1940),
+    ('content', 'term', 'animal de estimacao', 'allowlist', 0, 'allow', 1950),
+    ('content', 'term', 'galinha caipira', 'allowlist', 0, 'allow', 1960)
+) AS allowlist(stage, type, pattern, category, risk_score, action, priority)
+WHERE NOT EXISTS (
+    SELECT 1 FROM moderation_rules r
+    WHERE r.stage = allowlist.stage AND r.type = allowlist.type AND r.pattern = allowlist.pattern
+);
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON COLUMN moderation_rules.type IS 'term=palavra(s) inteira(s) do texto normalizado, regex=expressão regular sobre o texto normalizado (sem barras, sempre sem diferenciar maiúsculas)';
@@ -0,0 +1,61 @@
+-- ==========================================
+-- REVISÃO HUMANA DA MODERAÇÃO
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 006_credit_reservations.sql e 014_moderation_rules.sql
+-- Mensagens com risco intermediário (ou com a IA fora do ar) ficam retidas na fila
+-- com status 'held' e o crédito reservado até um admin aprovar ou rejeitar
+
+ALTER TABLE message_queue
+DROP CONSTRAINT IF EXISTS message_queue_status_check;
+
+ALTER TABLE message_queue
+ADD CONSTRAINT message_queue_status_check
+CHECK (status IN ('held', 'scheduled', 'queued', 'sending', 'sent', 'failed', 'dead', 'cancelled', 'blocked'));
+
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS review_reason TEXT;
+
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS review_risk_score INTEGER;
+
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS review_decision VARCHAR(10) CHECK (review_decision IN ('approved', 'rejected'));
+
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100);
+
+ALTER TABLE message_queue
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_message_queue_held ON message_queue(created_at)
+WHERE status = 'held';
+
+-- Novo resultado de moderação: 'review'
+ALTER TABLE moderation_logs
+DROP CONSTRAINT IF EXISTS moderation_logs_action_check;
+
+ALTER TABLE moderation_logs
+ADD CONSTRAINT moderation_logs_action_check
+CHECK (action IN ('allowed', 'blocked', 'review'));
+
+-- Regras também podem mandar para revisão em vez de bloquear
+ALTER TABLE moderation_rules
+DROP CONSTRAINT IF EXISTS moderation_rules_action_check;
+
+ALTER TABLE moderation_rules
+ADD CONSTRAINT moderation_rules_action_check
+CHECK (action IN ('block', 'review', 'flag', 'allow'));
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON COLUMN message_queue.status IS 'held=aguardando revisão humana, scheduled=agendada, queued=aguardando, sending=em envio, sent=enviada, failed=falhou e aguarda nova tentativa, dead=desistiu após max_attempts, cancelled=cancelada, blocked=bloqueada/rejeitada';
+COMMENT ON COLUMN message_queue.review_reason IS 'Motivo da retenção apontado pela moderação (regra, IA ou IA indisponível)';
+COMMENT ON COLUMN message_queue.review_decision IS 'Decisão do admin sobre a mensagem retida';
+COMMENT ON COLUMN message_queue.reviewed_by IS 'Usuário admin que aprovou ou rejeitou';
+COMMENT ON COLUMN moderation_rules.action IS 'block=bloqueia, review=retém para revisão humana, flag=permite mas registra no log, allow=o trecho é ignorado pelas demais regras';
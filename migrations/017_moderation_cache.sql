@@ -0,0 +1,28 @@
+-- ==========================================
+-- CACHE PERSISTENTE DA MODERAÇÃO POR IA
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Substitui o cache em memória do moderation-service.js: compartilhado entre
+-- instâncias, sobrevive a reinícios e evita pagar duas vezes pela mesma mensagem.
+-- A chave é o mesmo SHA-256 de database.js#hashMessage (o texto não é guardado)
+
+CREATE TABLE IF NOT EXISTS moderation_cache (
+    message_hash VARCHAR(64) PRIMARY KEY,
+    result JSONB NOT NULL,
+    provider VARCHAR(20),
+    hits INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_cache_expires ON moderation_cache(expires_at);
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE moderation_cache IS 'Classificações da IA por mensagem; limpo quando as regras de moderação mudam';
+COMMENT ON COLUMN moderation_cache.message_hash IS 'SHA-256 do texto moderado';
+COMMENT ON COLUMN moderation_cache.result IS 'Resposta do provedor: allowed, category, riskScore, reason';
+COMMENT ON COLUMN moderation_cache.hits IS 'Quantas vezes a entrada evitou uma nova consulta à IA';
@@ -0,0 +1,54 @@
+-- ==========================================
+-- LIMITES DE REQUISIÇÃO PERSISTENTES
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Substitui o contador em memória do moderation-service.js (zerado a cada deploy).
+-- As políticas padrão abaixo são as mesmas de rate-limiter.js (usadas como
+-- fallback se o banco falhar)
+
+CREATE TABLE IF NOT EXISTS rate_limit_policies (
+    name VARCHAR(40) PRIMARY KEY,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('ip', 'user', 'user_recipient', 'phone')),
+    max_hits INTEGER NOT NULL CHECK (max_hits > 0),
+    window_seconds INTEGER NOT NULL CHECK (window_seconds > 0),
+    max_account_age_hours INTEGER,
+    message TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Uma linha por requisição aceita; a janela é deslizante (conta as linhas dentro dela)
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+    id BIGSERIAL PRIMARY KEY,
+    policy VARCHAR(40) NOT NULL,
+    subject_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_lookup ON rate_limit_hits(policy, subject_hash, created_at);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_created ON rate_limit_hits(created_at);
+
+-- ==========================================
+-- POLÍTICAS PADRÃO
+-- ==========================================
+
+INSERT INTO rate_limit_policies (name, scope, max_hits, window_seconds, max_account_age_hours, message)
+VALUES
+    ('send_recipient', 'user_recipient', 20, 3600, NULL, 'Limite de mensagens para este número atingido. Aguarde antes de enviar novamente.'),
+    ('send_user_daily', 'user', 100, 86400, NULL, 'Limite diário de mensagens da sua conta atingido. Tente novamente amanhã.'),
+    ('send_new_account', 'user', 10, 86400, 24, 'Contas criadas há menos de 24 horas podem enviar poucas mensagens por dia. Tente novamente mais tarde.'),
+    ('send_ip', 'ip', 60, 3600, NULL, 'Muitas mensagens enviadas desta rede. Aguarde antes de enviar novamente.'),
+    ('login_ip', 'ip', 10, 900, NULL, 'Muitas tentativas de login. Aguarde alguns minutos e tente novamente.'),
+    ('phone_code_ip', 'ip', 10, 3600, NULL, 'Muitas solicitações de código desta rede. Aguarde antes de tentar novamente.'),
+    ('phone_code_phone', 'phone', 5, 3600, NULL, 'Muitas solicitações de código para este telefone. Aguarde antes de tentar novamente.'),
+    ('report_ip', 'ip', 10, 3600, NULL, 'Muitas denúncias enviadas desta rede. Aguarde antes de tentar novamente.')
+ON CONFLICT (name) DO NOTHING;
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE rate_limit_policies IS 'Limites por IP, usuário, usuário→destinatário ou telefone; editáveis no painel admin';
+COMMENT ON COLUMN rate_limit_policies.scope IS 'ip=IP do cliente, user=remetente, user_recipient=remetente e destinatário, phone=telefone informado na requisição';
+COMMENT ON COLUMN rate_limit_policies.max_account_age_hours IS 'Se preenchido, a política só vale para contas mais novas que isso';
+COMMENT ON COLUMN rate_limit_hits.subject_hash IS 'SHA-256 do sujeito (IP, usuário, telefone); o valor original não é guardado';
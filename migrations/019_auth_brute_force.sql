@@ -0,0 +1,44 @@
+-- ==========================================
+-- PROTEÇÃO CONTRA FORÇA BRUTA (LOGIN E CÓDIGOS)
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Falhas de login e de código de verificação por identificador (email/telefone)
+-- e por IP geram atrasos progressivos e bloqueios temporários, que valem entre
+-- reinícios e instâncias. Os eventos ficam visíveis para o dono da conta.
+
+CREATE TABLE IF NOT EXISTS auth_throttles (
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('identifier', 'ip')),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('login', 'code')),
+    subject_hash VARCHAR(64) NOT NULL,
+    failures INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    lockout BOOLEAN NOT NULL DEFAULT FALSE,
+    last_failure_at TIMESTAMPTZ,
+    PRIMARY KEY (scope, action, subject_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_throttles_last_failure ON auth_throttles(last_failure_at);
+
+CREATE TABLE IF NOT EXISTS security_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL CHECK (event_type IN (
+        'login_success', 'login_failed', 'login_locked',
+        'code_failed', 'code_invalidated', 'code_locked'
+    )),
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_user ON security_events(user_id, created_at DESC);
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE auth_throttles IS 'Falhas recentes de login/código por identificador ou IP; locked_until bloqueia novas tentativas';
+COMMENT ON COLUMN auth_throttles.subject_hash IS 'SHA-256 do email, telefone ou IP';
+COMMENT ON COLUMN auth_throttles.lockout IS 'true = bloqueio temporário (não só atraso progressivo)';
+COMMENT ON TABLE security_events IS 'Tentativas de acesso mostradas ao usuário em "Segurança da conta"';
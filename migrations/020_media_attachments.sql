@@ -0,0 +1,28 @@
+-- ==========================================
+-- IMAGENS E VÍDEOS (ENVIO E RESPOSTAS)
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 004_message_queue.sql
+-- Envio de imagem/vídeo por /api/send-whatsapp-media passa pela fila como os demais
+-- tipos. Respostas com imagem/vídeo guardam o arquivo no bucket 'attachments' do
+-- storage, ao lado de audio_url (que continua valendo para áudios)
+
+ALTER TABLE message_queue
+DROP CONSTRAINT IF EXISTS message_queue_type_check;
+
+ALTER TABLE message_queue
+ADD CONSTRAINT message_queue_type_check
+CHECK (type IN ('text', 'audio', 'image', 'video'));
+
+ALTER TABLE replies
+ADD COLUMN IF NOT EXISTS attachment_url TEXT;
+
+ALTER TABLE replies
+ADD COLUMN IF NOT EXISTS attachment_type VARCHAR(10) CHECK (attachment_type IN ('image', 'video'));
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON COLUMN replies.attachment_url IS 'URL pública da imagem ou vídeo enviado na resposta';
+COMMENT ON COLUMN replies.attachment_type IS 'image ou video; áudios continuam em audio_url';
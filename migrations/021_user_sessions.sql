@@ -0,0 +1,52 @@
+-- ==========================================
+-- SESSÕES DE USUÁRIO (REFRESH TOKENS)
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 019_auth_brute_force.sql
+-- O login passa a devolver um access token curto e um refresh token rotativo.
+-- Cada dispositivo logado é uma linha em user_sessions e pode ser encerrado pelo
+-- usuário; trocar a senha invalida os tokens emitidos antes (tokens_valid_after)
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    previous_refresh_hash VARCHAR(64),
+    rotated_at TIMESTAMPTZ,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(30)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_hash ON user_sessions(previous_refresh_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions(expires_at);
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMPTZ;
+
+-- Reuso de refresh token já trocado (provável roubo) aparece em "Segurança da conta"
+ALTER TABLE security_events
+DROP CONSTRAINT IF EXISTS security_events_event_type_check;
+
+ALTER TABLE security_events
+ADD CONSTRAINT security_events_event_type_check
+CHECK (event_type IN (
+    'login_success', 'login_failed', 'login_locked',
+    'code_failed', 'code_invalidated', 'code_locked',
+    'refresh_token_reused'
+));
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE user_sessions IS 'Dispositivos logados; revogar a sessão invalida o refresh token e os access tokens dela';
+COMMENT ON COLUMN user_sessions.refresh_token_hash IS 'SHA-256 do refresh token atual (o token não é guardado)';
+COMMENT ON COLUMN user_sessions.previous_refresh_hash IS 'Token anterior à última troca; se reaparecer, a sessão é revogada';
+COMMENT ON COLUMN user_sessions.revoked_reason IS 'logout, logout_all, revoked_by_user, password_changed, password_reset ou refresh_reused';
+COMMENT ON COLUMN users.tokens_valid_after IS 'Access tokens emitidos antes disso são recusados (troca de senha, sair de todos os dispositivos)';
@@ -0,0 +1,56 @@
+-- ==========================================
+-- VERIFICAÇÃO EM DUAS ETAPAS (2FA)
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 021_user_sessions.sql
+-- Opcional por usuário: app autenticador (TOTP) ou código por WhatsApp. Com 2FA ativo
+-- o /api/login devolve um desafio e a sessão só é criada em /api/login/2fa.
+-- Os segredos TOTP ficam criptografados com MESSAGE_ENCRYPTION_KEY
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_method VARCHAR(10) CHECK (two_factor_method IN ('totp', 'whatsapp'));
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_user ON two_factor_recovery_codes(user_id, used_at);
+
+ALTER TABLE security_events
+DROP CONSTRAINT IF EXISTS security_events_event_type_check;
+
+ALTER TABLE security_events
+ADD CONSTRAINT security_events_event_type_check
+CHECK (event_type IN (
+    'login_success', 'login_failed', 'login_locked',
+    'code_failed', 'code_invalidated', 'code_locked',
+    'refresh_token_reused',
+    'two_factor_enabled', 'two_factor_disabled', 'recovery_code_used'
+));
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON COLUMN users.two_factor_method IS 'totp ou whatsapp; NULL = 2FA desativado';
+COMMENT ON COLUMN users.two_factor_secret IS 'Segredo TOTP criptografado (JSON de encryptMessage)';
+COMMENT ON COLUMN users.two_factor_pending_secret IS 'Segredo gerado na ativação, aguardando o primeiro código';
+COMMENT ON COLUMN users.two_factor_last_step IS 'Último passo TOTP aceito; impede reusar o mesmo código';
+COMMENT ON TABLE two_factor_recovery_codes IS 'Códigos de recuperação (SHA-256), cada um vale uma vez';
+COMMENT ON COLUMN phone_verifications.purpose IS 'verification=cadastro, troca de telefone e senha; opt_out=formulário público de opt-out; two_factor=segundo fator por WhatsApp';
@@ -0,0 +1,75 @@
+-- ==========================================
+-- ADMINISTRADORES, PAPÉIS E TRILHA DE AUDITORIA
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 022_two_factor.sql
+-- Substitui o par ADMIN_USER/ADMIN_PASS do .env por contas individuais com papel.
+-- Enquanto admin_users estiver vazia, o primeiro login com ADMIN_USER/ADMIN_PASS cria
+-- a conta superadmin inicial (e copia ADMIN_TOTP_SECRET, se configurado).
+-- Toda chamada a /api/admin/* fica registrada em admin_audit_log, que só aceita INSERT
+
+CREATE TABLE IF NOT EXISTS admin_users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100),
+    password_hash VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('support', 'moderator', 'legal', 'superadmin')),
+    active BOOLEAN DEFAULT TRUE,
+    two_factor_secret TEXT,
+    two_factor_pending_secret TEXT,
+    two_factor_last_step BIGINT,
+    tokens_valid_after TIMESTAMPTZ,
+    last_login_at TIMESTAMPTZ,
+    created_by INTEGER REFERENCES admin_users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    admin_id INTEGER REFERENCES admin_users(id),
+    admin_username VARCHAR(50),
+    admin_role VARCHAR(20),
+    action VARCHAR(120) NOT NULL,
+    target_type VARCHAR(50),
+    target_id VARCHAR(100),
+    status_code INTEGER,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_admin ON admin_audit_log(admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log(target_type, target_id);
+
+-- Append-only: nem o service role altera ou apaga registros de auditoria
+CREATE OR REPLACE FUNCTION admin_audit_log_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_log é somente inserção';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_update ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_update
+BEFORE UPDATE OR DELETE ON admin_audit_log
+FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only();
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_truncate ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_truncate
+BEFORE TRUNCATE ON admin_audit_log
+FOR EACH STATEMENT EXECUTE FUNCTION admin_audit_log_append_only();
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE admin_users IS 'Contas do painel admin; senha em bcrypt, papel define as permissões';
+COMMENT ON COLUMN admin_users.role IS 'support, moderator, legal ou superadmin (legal é o único com acesso a legal_retention)';
+COMMENT ON COLUMN admin_users.two_factor_secret IS 'Segredo TOTP criptografado (JSON de encryptMessage); NULL = sem 2FA';
+COMMENT ON COLUMN admin_users.tokens_valid_after IS 'Tokens emitidos antes disso são recusados (troca de senha, papel ou desativação)';
+COMMENT ON TABLE admin_audit_log IS 'Trilha de auditoria do painel admin (somente inserção)';
+COMMENT ON COLUMN admin_audit_log.action IS 'Método e rota, ex.: POST /legal-retention/:id/hold';
+COMMENT ON COLUMN admin_audit_log.metadata IS 'Parâmetros da consulta e detalhes informados pela rota (nunca senhas)';
@@ -0,0 +1,49 @@
+-- ==========================================
+-- LOGIN SEM SENHA (LINK POR EMAIL / CÓDIGO POR WHATSAPP)
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 018_rate_limits.sql e 021_user_sessions.sql
+-- O usuário pede um link de acesso por email ou um código de 6 dígitos pelo WhatsApp
+-- e troca por uma sessão normal (com 2FA, se ativo). Link vale 15 minutos, código 10;
+-- ambos servem uma única vez e só o hash fica guardado
+
+CREATE TABLE IF NOT EXISTS login_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'whatsapp')),
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    discarded_at TIMESTAMPTZ,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_codes_hash ON login_codes(code_hash);
+CREATE INDEX IF NOT EXISTS idx_login_codes_user ON login_codes(user_id, channel, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_codes_expires ON login_codes(expires_at);
+
+-- Pedidos de link são limitados por email; o código por WhatsApp usa phone_code_phone
+ALTER TABLE rate_limit_policies
+DROP CONSTRAINT IF EXISTS rate_limit_policies_scope_check;
+
+ALTER TABLE rate_limit_policies
+ADD CONSTRAINT rate_limit_policies_scope_check
+CHECK (scope IN ('ip', 'user', 'user_recipient', 'phone', 'email'));
+
+INSERT INTO rate_limit_policies (name, scope, max_hits, window_seconds, max_account_age_hours, message)
+VALUES
+    ('passwordless_ip', 'ip', 10, 3600, NULL, 'Muitos pedidos de acesso sem senha desta rede. Aguarde antes de tentar novamente.'),
+    ('passwordless_email', 'email', 5, 3600, NULL, 'Muitos links de acesso pedidos para este email. Aguarde antes de tentar novamente.')
+ON CONFLICT (name) DO NOTHING;
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE login_codes IS 'Links (email) e códigos (WhatsApp) de login sem senha; cada um vale uma vez';
+COMMENT ON COLUMN login_codes.code_hash IS 'SHA-256 do token do link ou do código junto com o id do usuário';
+COMMENT ON COLUMN login_codes.discarded_at IS 'Substituído por um pedido mais novo ou invalidado por tentativas erradas';
+COMMENT ON COLUMN rate_limit_policies.scope IS 'ip=IP do cliente, user=remetente, user_recipient=remetente e destinatário, phone/email=telefone/email informado na requisição';
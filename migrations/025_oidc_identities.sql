@@ -0,0 +1,67 @@
+-- ==========================================
+-- LOGIN COM GOOGLE / OIDC E CONTAS VINCULADAS
+-- ==========================================
+-- Execute este SQL no Supabase SQL Editor
+-- Requer 024_passwordless_login.sql
+-- Cada conta de provedor (Google ou o OIDC genérico do .env) é uma linha em
+-- user_identities. O primeiro login vincula pelo email verificado pelo provedor ou cria
+-- a conta, sempre com aceite dos termos. oauth_states guarda o login em andamento
+
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(40) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_login_at TIMESTAMPTZ,
+    UNIQUE (provider, subject),
+    UNIQUE (user_id, provider)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+
+CREATE TABLE IF NOT EXISTS oauth_states (
+    id SERIAL PRIMARY KEY,
+    state_hash VARCHAR(64) NOT NULL UNIQUE,
+    binding_hash VARCHAR(64) NOT NULL,
+    provider VARCHAR(40) NOT NULL,
+    nonce VARCHAR(64),
+    code_verifier VARCHAR(128),
+    link_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    result_hash VARCHAR(64) UNIQUE,
+    subject VARCHAR(255),
+    email VARCHAR(255),
+    email_verified BOOLEAN,
+    name VARCHAR(255),
+    authenticated_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expires ON oauth_states(expires_at);
+
+ALTER TABLE security_events
+DROP CONSTRAINT IF EXISTS security_events_event_type_check;
+
+ALTER TABLE security_events
+ADD CONSTRAINT security_events_event_type_check
+CHECK (event_type IN (
+    'login_success', 'login_failed', 'login_locked',
+    'code_failed', 'code_invalidated', 'code_locked',
+    'refresh_token_reused',
+    'two_factor_enabled', 'two_factor_disabled', 'recovery_code_used',
+    'identity_linked', 'identity_unlinked'
+));
+
+-- ==========================================
+-- COMENTÁRIOS
+-- ==========================================
+
+COMMENT ON TABLE user_identities IS 'Contas de provedores OIDC vinculadas ao usuário (uma por provedor)';
+COMMENT ON COLUMN user_identities.subject IS 'Claim sub do id_token: identificador estável do usuário no provedor';
+COMMENT ON TABLE oauth_states IS 'Logins OIDC em andamento; expiram em 15 minutos e cada etapa vale uma vez';
+COMMENT ON COLUMN oauth_states.binding_hash IS 'SHA-256 do cookie oidc_binding: o callback só vale no navegador que iniciou o login';
+COMMENT ON COLUMN oauth_states.link_user_id IS 'Preenchido quando o usuário logado está vinculando o provedor ao perfil';
+COMMENT ON COLUMN oauth_states.result_hash IS 'SHA-256 do token entregue ao frontend depois do callback';
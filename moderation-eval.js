@@ -0,0 +1,370 @@
+// Avaliação offline da moderação: roda ModerationService.validateMessage sobre um
+// corpus rotulado (JSONL) e mostra precisão/recall por categoria e matriz de confusão.
+//
+// Uso:
+//   node moderation-eval.js [--corpus arquivo.jsonl] [--rules default|db|regras.json]
+//                           [--compare default|db|regras.json]
+//                           [--ai none|replay|record] [--responses respostas.jsonl] [--json]
+//
+// Linha do corpus: {"text": "...", "label": "allowed" | "review" | "<categoria>", "note": "opcional"}
+//
+// --ai none    (padrão) só as regras
+// --ai replay  usa respostas de IA gravadas em --responses, sem rede
+// --ai record  como replay, mas chama os provedores configurados no .env para o que
+//              ainda não foi gravado e acrescenta as respostas em --responses
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ModerationService } = require('./moderation-service');
+const { ModerationProvider } = require('./moderation-providers');
+const { DEFAULT_MODERATION_RULES } = require('./moderation-rules');
+
+const DEFAULT_CORPUS = path.join(__dirname, 'moderation-eval', 'corpus.jsonl');
+const DEFAULT_RESPONSES = path.join(__dirname, 'moderation-eval', 'ai-responses.jsonl');
+const ALLOWED_LABEL = 'allowed';
+
+function parseArgs(argv) {
+  const args = {
+    corpus: DEFAULT_CORPUS,
+    rules: 'default',
+    compare: null,
+    ai: 'none',
+    responses: DEFAULT_RESPONSES,
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg.startsWith('--') && argv[i + 1] !== undefined) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Argumento inválido: ${arg}`);
+    }
+  }
+
+  if (!['none', 'replay', 'record'].includes(args.ai)) {
+    throw new Error(`--ai deve ser none, replay ou record (recebido: ${args.ai})`);
+  }
+
+  return args;
+}
+
+function readJsonl(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${number}: JSON inválido (${error.message})`);
+      }
+    });
+}
+
+function loadCorpus(file) {
+  return readJsonl(file).map((entry, index) => {
+    if (!entry.text || !entry.label) {
+      throw new Error(`${file}: entrada ${index + 1} precisa de "text" e "label"`);
+    }
+    return { text: entry.text, label: entry.label, note: entry.note || null };
+  });
+}
+
+
+// Versão das regras: "default" (moderation-rules.js), "db" (tabela moderation_rules)
+// ou um arquivo JSON com uma lista de regras (formato do banco ou de moderation-rules.js)
+async function loadRules(source, service) {
+  if (source === 'default') {
+    return DEFAULT_MODERATION_RULES;
+  }
+
+  if (source === 'db') {
+    const { listModerationRules } = require('./database');
+    const rows = await listModerationRules(true);
+    return rows.map(row => service.ruleFromRow(row));
+  }
+
+  const rows = JSON.parse(fs.readFileSync(source, 'utf8'));
+  const list = Array.isArray(rows) ? rows : rows.rules;
+  return list
+    .filter(row => row.enabled !== false)
+    .map(row => row.risk_score !== undefined ? service.ruleFromRow(row) : row);
+}
+
+
+// Provedor que responde com as classificações gravadas em --responses; ao gravar,
+// repassa para o provedor real o que ainda não foi gravado
+class RecordedProvider extends ModerationProvider {
+  constructor(service, inner = null) {
+    super();
+    this.service = service;
+    this.inner = inner;
+    this.type = inner ? inner.type : 'replay';
+    this.label = inner ? `${inner.label} (gravação)` : 'Replay';
+  }
+
+  async request(message) {
+    const { service } = this;
+    service.aiStats.calls++;
+
+    if (service.recorded.has(message)) {
+      return service.recorded.get(message);
+    }
+
+    // Sem gravação: trata como permitida
+    if (!this.inner) {
+      service.aiStats.missing++;
+      return { allowed: true, category: null, riskScore: 0, reason: null };
+    }
+
+    const response = await this.inner.classify(message);
+    service.recorded.set(message, response);
+    fs.appendFileSync(service.responsesFile, JSON.stringify({ text: message, provider: this.type, response }) + '\n');
+    return response;
+  }
+}
+
+
+// Serviço de moderação com regras fixas e provedores de IA substituíveis
+class EvalModerationService extends ModerationService {
+  constructor(rules, { ai, responses }) {
+    super();
+    this.rules = rules.map(rule => this.compileRule(rule)).filter(Boolean);
+    this.rulesSource = 'eval';
+    this.aiMode = ai;
+    this.recorded = new Map();
+    this.responsesFile = responses;
+    this.aiStats = { calls: 0, missing: 0 };
+
+    if (ai === 'replay' && !fs.existsSync(responses)) {
+      throw new Error(`Arquivo de respostas gravadas não encontrado: ${responses}`);
+    }
+    if (ai !== 'none' && fs.existsSync(responses)) {
+      for (const entry of readJsonl(responses)) {
+        this.recorded.set(entry.text, entry.response);
+      }
+    }
+
+    // Gravação usa os provedores configurados no .env, na mesma ordem da produção
+    if (ai === 'replay') {
+      this.providers = [new RecordedProvider(this)];
+    } else if (ai === 'record') {
+      this.providers = this.aiProviders.map(provider => new RecordedProvider(this, provider));
+    } else {
+      this.providers = [];
+    }
+  }
+
+  async getRules() {
+    return this.rules;
+  }
+
+  // Sem cache: cada rodada consulta o provedor (ou a gravação) para toda mensagem
+  async checkCache() {
+    return null;
+  }
+
+  async saveCache() {}
+
+  // Em produção as regras só rodam com algum provedor de IA ativo; aqui sempre
+  get isEnabled() {
+    return true;
+  }
+}
+
+
+async function evaluate(corpus, service) {
+  const results = [];
+
+  for (const entry of corpus) {
+    const result = await service.validateMessage(entry.text);
+    results.push({
+      ...entry,
+      predicted: result.allowed ? ALLOWED_LABEL : result.review ? 'review' : (result.category || 'blocked'),
+      matchedWord: result.matchedWord || null,
+      detectedTypes: result.detectedTypes || []
+    });
+  }
+
+  return results;
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : numerator / denominator;
+}
+
+function f1(precision, recall) {
+  if (precision === null || recall === null || precision + recall === 0) return null;
+  return 2 * precision * recall / (precision + recall);
+}
+
+function computeMetrics(results) {
+  const labels = [...new Set(results.flatMap(r => [r.label, r.predicted]))].sort((a, b) => {
+    if (a === ALLOWED_LABEL) return -1;
+    if (b === ALLOWED_LABEL) return 1;
+    return a.localeCompare(b);
+  });
+
+  const confusion = {};
+  for (const expected of labels) {
+    confusion[expected] = Object.fromEntries(labels.map(predicted => [predicted, 0]));
+  }
+  for (const r of results) {
+    confusion[r.label][r.predicted]++;
+  }
+
+  const categories = {};
+  for (const label of labels.filter(l => l !== ALLOWED_LABEL)) {
+    const tp = confusion[label][label];
+    const predicted = labels.reduce((sum, expected) => sum + confusion[expected][label], 0);
+    const support = labels.reduce((sum, p) => sum + confusion[label][p], 0);
+    const precision = ratio(tp, predicted);
+    const recall = ratio(tp, support);
+    categories[label] = { precision, recall, f1: f1(precision, recall), support, predicted };
+  }
+
+  // Visão binária: bloquear x permitir, independente da categoria
+  const isBlock = label => label !== ALLOWED_LABEL;
+  const tp = results.filter(r => isBlock(r.label) && isBlock(r.predicted)).length;
+  const fp = results.filter(r => !isBlock(r.label) && isBlock(r.predicted)).length;
+  const fn = results.filter(r => isBlock(r.label) && !isBlock(r.predicted)).length;
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+
+  return {
+    total: results.length,
+    accuracy: ratio(results.filter(r => r.label === r.predicted).length, results.length),
+    block: { precision, recall, f1: f1(precision, recall), falsePositives: fp, falseNegatives: fn },
+    categories,
+    labels,
+    confusion
+  };
+}
+
+// Mensagens cujo veredito mudou entre duas versões das regras
+function diffResults(base, candidate) {
+  return base
+    .map((r, index) => ({ text: r.text, label: r.label, before: r.predicted, after: candidate[index].predicted }))
+    .filter(change => change.before !== change.after)
+    .map(change => ({
+      ...change,
+      effect: change.after === change.label ? 'corrigida' : change.before === change.label ? 'regrediu' : 'mudou'
+    }));
+}
+
+
+function pct(value) {
+  return value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printMetrics(title, metrics, results) {
+  console.log(`\n=== ${title} ===`);
+  console.log(`Mensagens: ${metrics.total} · acerto: ${pct(metrics.accuracy)}`);
+  console.log(`Bloqueio (binário): precisão ${pct(metrics.block.precision)} · recall ${pct(metrics.block.recall)} · F1 ${pct(metrics.block.f1)}`);
+  console.log(`Falsos positivos: ${metrics.block.falsePositives} · falsos negativos: ${metrics.block.falseNegatives}`);
+
+  console.log('\nPor categoria:');
+  console.log(`  ${'categoria'.padEnd(28)} precisão  recall     F1    esperadas  previstas`);
+  for (const [category, m] of Object.entries(metrics.categories)) {
+    console.log(`  ${category.padEnd(28)} ${pct(m.precision)}  ${pct(m.recall)}  ${pct(m.f1)}  ${String(m.support).padStart(9)}  ${String(m.predicted).padStart(9)}`);
+  }
+
+  console.log('\nMatriz de confusão (linhas = esperado, colunas = previsto):');
+  const width = Math.max(...metrics.labels.map(l => l.length), 8);
+  console.log(`  ${''.padEnd(width + 4)}${metrics.labels.map((_, i) => String(i + 1).padStart(4)).join('')}`);
+  metrics.labels.forEach((expected, i) => {
+    const row = metrics.labels.map(predicted => String(metrics.confusion[expected][predicted] || '.').padStart(4)).join('');
+    console.log(`  ${`${String(i + 1).padStart(2)}. ${expected}`.padEnd(width + 4)}${row}`);
+  });
+
+  const errors = results.filter(r => r.label !== r.predicted);
+  if (errors.length > 0) {
+    console.log('\nErros:');
+    for (const r of errors) {
+      const match = r.matchedWord ? ` [regra: ${r.matchedWord}]` : r.detectedTypes.length ? ` [${r.detectedTypes.join(', ')}]` : '';
+      console.log(`  esperado ${r.label}, previsto ${r.predicted}${match}: ${r.text}`);
+    }
+  }
+}
+
+function printDiff(changes, base, candidate) {
+  console.log('\n=== Diferença entre as versões ===');
+  console.log(`Bloqueio: precisão ${pct(base.block.precision)} → ${pct(candidate.block.precision)} · recall ${pct(base.block.recall)} → ${pct(candidate.block.recall)}`);
+
+  const categories = [...new Set([...Object.keys(base.categories), ...Object.keys(candidate.categories)])].sort();
+  for (const category of categories) {
+    const before = base.categories[category] || { f1: null };
+    const after = candidate.categories[category] || { f1: null };
+    if (before.f1 !== after.f1) {
+      console.log(`  ${category.padEnd(28)} F1 ${pct(before.f1)} → ${pct(after.f1)}`);
+    }
+  }
+
+  if (changes.length === 0) {
+    console.log('Nenhuma mensagem mudou de veredito.');
+    return;
+  }
+
+  console.log(`\n${changes.length} mensagem(ns) mudaram de veredito:`);
+  for (const change of changes) {
+    console.log(`  [${change.effect}] ${change.before} → ${change.after} (esperado ${change.label}): ${change.text}`);
+  }
+}
+
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const corpus = loadCorpus(args.corpus);
+
+  const run = async source => {
+    const loader = new ModerationService();
+    const rules = await loadRules(source, loader);
+    const service = new EvalModerationService(rules, args);
+    const results = await evaluate(corpus, service);
+    return { source, rules: rules.length, results, metrics: computeMetrics(results), ai: service.aiStats };
+  };
+
+  const base = await run(args.rules);
+  const candidate = args.compare ? await run(args.compare) : null;
+  const changes = candidate ? diffResults(base.results, candidate.results) : null;
+
+  if (args.json) {
+    const summary = ({ source, rules, metrics, ai }) => ({ source, rules, ai, ...metrics });
+    console.log(JSON.stringify({
+      corpus: args.corpus,
+      base: summary(base),
+      candidate: candidate ? summary(candidate) : null,
+      changes
+    }, null, 2));
+    return;
+  }
+
+  for (const version of [base, candidate].filter(Boolean)) {
+    printMetrics(`Regras: ${version.source} (${version.rules} regras, IA: ${args.ai})`, version.metrics, version.results);
+    if (args.ai !== 'none') {
+      console.log(`\nIA: ${version.ai.calls} consulta(s)${version.ai.missing ? `, ${version.ai.missing} sem resposta gravada` : ''}`);
+    }
+  }
+
+  if (candidate) {
+    printDiff(changes, base.metrics, candidate.metrics);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Erro:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  computeMetrics,
+  diffResults,
+  EvalModerationService
+};
@@ -0,0 +1,129 @@
+// Normalização e tokenização compartilhadas pelos estágios da moderação.
+//
+// Modo completo (estágio content): minúsculas, sem acentos, emoji, letras separadas
+// ("f.d.p", "p o r r a"), leetspeak ("p0rr4") e letras repetidas ("idiotaaaa").
+// Modo leve (estágio sensitive): só minúsculas, acentos e emoji — dígitos e pontuação
+// de CPF, telefone, placa e CEP precisam ficar intactos.
+
+const LEET_MAP = {
+  '0': 'o',
+  '1': 'i',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '7': 't',
+  '8': 'b',
+  '@': 'a',
+  '$': 's'
+};
+
+// Emoji usados no lugar de palavras; os demais são removidos
+const EMOJI_TERMS = {
+  '🖕': 'vsf',
+  '🐒': 'macaco',
+  '🐵': 'macaco'
+};
+
+const EMOJI_REGEX = /[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\uFE0F\u200D]/gu;
+// Três ou mais caracteres isolados separados por ponto, hífen, _, * ou espaço
+const SPACED_LETTERS_REGEX = /(?<![a-z0-9@$])[a-z0-9@$](?:[\s.\-_*]+[a-z0-9@$](?![a-z0-9@$])){2,}/g;
+const LEET_WORD_REGEX = /[a-z0-9@$]*[a-z][a-z0-9@$]*/g;
+const TOKEN_REGEX = /[a-z0-9]+(?:-[a-z0-9]+)*/g;
+
+function stripDiacritics(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function replaceEmoji(text) {
+  let result = text;
+  for (const [emoji, term] of Object.entries(EMOJI_TERMS)) {
+    result = result.split(emoji).join(` ${term} `);
+  }
+  return result.replace(EMOJI_REGEX, ' ');
+}
+
+function joinSpacedLetters(text) {
+  return text.replace(SPACED_LETTERS_REGEX, match => match.replace(/[\s.\-_*]+/g, ''));
+}
+
+// Só troca dígitos/símbolos em palavras que têm alguma letra: números continuam números
+function replaceLeet(text) {
+  return text.replace(LEET_WORD_REGEX, word => word.replace(/[0-9@$]/g, char => LEET_MAP[char] || char));
+}
+
+// "rr" e "ss" são comuns no português; só três ou mais repetições são exagero
+function collapseRepeats(text) {
+  return text.replace(/([a-z])\1{2,}/g, '$1');
+}
+
+// Forma usada para comparar palavras: toda repetição vira uma letra ("porrra" = "porra")
+function squeeze(word) {
+  return word.replace(/(.)\1+/g, '$1');
+}
+
+function tokenize(text) {
+  return [...text.matchAll(TOKEN_REGEX)].map(match => ({
+    value: squeeze(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+function normalizeText(message, options = {}) {
+  const { aggressive = true } = options;
+
+  let text = replaceEmoji(stripDiacritics((message || '').toLowerCase()));
+
+  if (aggressive) {
+    text = collapseRepeats(replaceLeet(joinSpacedLetters(text)));
+  }
+
+  text = text.replace(/\s+/g, ' ').trim();
+  return { text, tokens: tokenize(text) };
+}
+
+// Termo compilado: lista de palavras já normalizadas, comparadas como palavras inteiras
+function termTokens(term, options = {}) {
+  return normalizeText(term, options).tokens.map(token => token.value);
+}
+
+function findTerm(tokens, words) {
+  if (words.length === 0) return -1;
+
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    if (words.every((word, offset) => tokens[i + offset].value === word)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Remove todas as ocorrências do termo (usado pela lista de permissões)
+function removeTerm(doc, words) {
+  let current = doc;
+  let index = findTerm(current.tokens, words);
+
+  while (index !== -1) {
+    const start = current.tokens[index].start;
+    const end = current.tokens[index + words.length - 1].end;
+    const text = `${current.text.slice(0, start)} ${current.text.slice(end)}`;
+    current = { text, tokens: tokenize(text) };
+    index = findTerm(current.tokens, words);
+  }
+
+  return current;
+}
+
+function removePattern(doc, regex) {
+  const text = doc.text.replace(regex, ' ');
+  return { text, tokens: tokenize(text) };
+}
+
+module.exports = {
+  normalizeText,
+  termTokens,
+  findTerm,
+  removeTerm,
+  removePattern,
+  squeeze
+};
@@ -0,0 +1,467 @@
+require('dotenv').config();
+
+// Provedores de IA da moderação. Todo provedor expõe classify(message), que resolve com
+// { allowed, category, riskScore, reason } já validado contra CLASSIFICATION_SCHEMA, e
+// rejeita com erros marcados como timeout, invalid (resposta fora do contrato) ou
+// unavailable (circuito aberto). Cada provedor tem timeout, circuit breaker e métricas próprios.
+
+const PROVIDER_TYPES = ['claude', 'gemini', 'openai', 'local'];
+
+const PROVIDER_CONFIG = {
+  timeoutMs: parseInt(process.env.MODERATION_AI_TIMEOUT_MS) || 8000,
+  failureThreshold: parseInt(process.env.MODERATION_BREAKER_THRESHOLD) || 3,
+  cooldownMs: parseInt(process.env.MODERATION_BREAKER_COOLDOWN_MS) || 60 * 1000
+};
+
+const LATENCY_SAMPLES = 100;
+
+const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    allowed: { type: 'boolean', description: 'true se a mensagem pode ser enviada' },
+    category: { type: ['string', 'null'], description: 'categoria da violação ou null' },
+    riskScore: { type: 'integer', minimum: 0, maximum: 100, description: '0 = certamente normal, 100 = certamente abusiva' },
+    reason: { type: ['string', 'null'], description: 'motivo se bloqueada ou null' }
+  },
+  required: ['allowed', 'category', 'riskScore', 'reason'],
+  additionalProperties: false
+};
+
+function getModerationPrompt(message) {
+  return `Você é um moderador de conteúdo. Analise a mensagem abaixo e determine se ela deve ser BLOQUEADA ou PERMITIDA.
+
+BLOQUEAR mensagens que contenham:
+- Palavrões ou linguagem obscena
+- Ofensas, xingamentos ou insultos diretos
+- Ameaças ou coação
+- Conteúdo ilícito (drogas, armas, etc.)
+- Assédio ou bullying
+- Discurso de ódio
+- Golpes ou fraudes
+- Conteúdo sexual explícito
+- Incitação à violência
+
+PERMITIR mensagens que sejam:
+- Comunicação normal e respeitosa
+- Brincadeiras leves sem ofensas
+- Informações neutras
+- Pedidos educados
+
+Mensagem para análise:
+"""
+${message}
+"""
+
+Responda com allowed, reason (motivo se bloqueada ou null), category (categoria da violação ou null) e riskScore.
+riskScore é o quanto você tem certeza de que a mensagem é abusiva (0 = certamente normal, 100 = certamente abusiva).
+
+Seja criterioso mas não excessivamente restritivo. Mensagens ambíguas devem ser permitidas.`;
+}
+
+function providerError(message, { timeout = false, invalid = false, unavailable = false, status = null } = {}) {
+  const error = new Error(message);
+  error.timeout = timeout;
+  error.invalid = invalid;
+  error.unavailable = unavailable;
+  error.status = status;
+  return error;
+}
+
+// Validação do contrato (subconjunto de JSON Schema usado em CLASSIFICATION_SCHEMA)
+function validateClassification(value, label = 'Provedor') {
+  const fail = detail => { throw providerError(`${label}: resposta fora do contrato (${detail})`, { invalid: true }); };
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) fail('não é um objeto');
+  if (typeof value.allowed !== 'boolean') fail('allowed deve ser boolean');
+  if (!Number.isInteger(value.riskScore) || value.riskScore < 0 || value.riskScore > 100) fail('riskScore deve ser inteiro entre 0 e 100');
+
+  for (const field of ['category', 'reason']) {
+    if (value[field] !== undefined && value[field] !== null && typeof value[field] !== 'string') {
+      fail(`${field} deve ser string ou null`);
+    }
+  }
+
+  return {
+    allowed: value.allowed,
+    category: value.category || null,
+    riskScore: value.riskScore,
+    reason: value.reason || null
+  };
+}
+
+// Texto que deveria ser JSON puro; tolera cercas de markdown de modelos menos obedientes
+function parseJsonText(text, label) {
+  const match = typeof text === 'string' ? text.match(/\{[\s\S]*\}/) : null;
+  if (!match) throw providerError(`${label}: resposta sem JSON`, { invalid: true });
+
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    throw providerError(`${label}: JSON inválido (${error.message})`, { invalid: true });
+  }
+}
+
+async function requestJson(url, options, label, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw providerError(`${label}: sem resposta em ${timeoutMs}ms`, { timeout: true });
+    }
+    throw providerError(`${label}: falha de rede (${error.message})`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = body?.error?.message || body?.message || response.statusText;
+    throw providerError(`${label}: HTTP ${response.status} - ${detail}`, { status: response.status });
+  }
+
+  return body;
+}
+
+
+// closed: chamadas normais; open: provedor pulado até o fim do cooldown;
+// half_open: uma chamada de teste decide se fecha de novo ou reabre
+class CircuitBreaker {
+  constructor({ failureThreshold = PROVIDER_CONFIG.failureThreshold, cooldownMs = PROVIDER_CONFIG.cooldownMs } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.cooldownMs) return false;
+      this.state = 'half_open';
+    }
+
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+
+// Base dos provedores: timeout, validação, circuit breaker e métricas em volta de request()
+class ModerationProvider {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || PROVIDER_CONFIG.timeoutMs;
+    this.breaker = new CircuitBreaker(options);
+    this.latencies = [];
+    this.metrics = {
+      calls: 0,
+      successes: 0,
+      failures: 0,
+      timeouts: 0,
+      invalid: 0,
+      skipped: 0,
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null
+    };
+  }
+
+  get enabled() {
+    return true;
+  }
+
+  async classify(message) {
+    if (!this.breaker.canRequest()) {
+      this.metrics.skipped++;
+      throw providerError(`${this.label}: circuito aberto`, { unavailable: true });
+    }
+
+    this.metrics.calls++;
+    const startedAt = Date.now();
+
+    try {
+      const result = validateClassification(await this.request(message), this.label);
+      this.recordLatency(Date.now() - startedAt);
+      this.metrics.successes++;
+      this.metrics.lastSuccessAt = new Date().toISOString();
+      this.breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordLatency(Date.now() - startedAt);
+      this.metrics.failures++;
+      if (error.timeout) this.metrics.timeouts++;
+      if (error.invalid) this.metrics.invalid++;
+      this.metrics.lastError = error.message;
+      this.metrics.lastErrorAt = new Date().toISOString();
+      this.breaker.recordFailure();
+      throw error;
+    }
+  }
+
+  recordLatency(ms) {
+    this.latencies.push(ms);
+    if (this.latencies.length > LATENCY_SAMPLES) {
+      this.latencies.shift();
+    }
+  }
+
+  getMetrics() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const average = sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null;
+    const p95 = sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)] : null;
+
+    return {
+      type: this.type,
+      label: this.label,
+      model: this.model || null,
+      enabled: this.enabled,
+      timeoutMs: this.timeoutMs,
+      ...this.metrics,
+      failureRate: this.metrics.calls ? Math.round((this.metrics.failures / this.metrics.calls) * 1000) / 10 : 0,
+      latency: { average, p95, samples: sorted.length },
+      breaker: this.breaker.getState()
+    };
+  }
+
+  resetMetrics() {
+    this.latencies = [];
+    for (const key of Object.keys(this.metrics)) {
+      this.metrics[key] = typeof this.metrics[key] === 'number' ? 0 : null;
+    }
+  }
+}
+
+
+// Anthropic: saída estruturada via tool use obrigatório com o schema como input_schema
+class ClaudeProvider extends ModerationProvider {
+  constructor(options = {}) {
+    super({ timeoutMs: parseInt(process.env.CLAUDE_TIMEOUT_MS) || undefined, ...options });
+    this.type = 'claude';
+    this.label = 'Claude';
+    this.apiKey = options.apiKey || process.env.CLAUDE_API_KEY || '';
+    this.model = options.model || process.env.CLAUDE_MODEL || 'claude-3-5-haiku-latest';
+  }
+
+  get enabled() {
+    return process.env.CLAUDE_ENABLED === 'true' && !!this.apiKey;
+  }
+
+  async request(message) {
+    const data = await requestJson('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: 256,
+        tools: [{
+          name: 'classify_message',
+          description: 'Registra a classificação da mensagem analisada',
+          input_schema: CLASSIFICATION_SCHEMA
+        }],
+        tool_choice: { type: 'tool', name: 'classify_message' },
+        messages: [{ role: 'user', content: getModerationPrompt(message) }]
+      })
+    }, this.label, this.timeoutMs);
+
+    const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+    if (!toolUse) throw providerError(`${this.label}: resposta sem tool_use`, { invalid: true });
+    return toolUse.input;
+  }
+}
+
+
+// Google: responseSchema no formato OpenAPI do Gemini (nullable em vez de tipo união)
+class GeminiProvider extends ModerationProvider {
+  constructor(options = {}) {
+    super({ timeoutMs: parseInt(process.env.GEMINI_TIMEOUT_MS) || undefined, ...options });
+    this.type = 'gemini';
+    this.label = 'Gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY || '';
+    this.model = options.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+  }
+
+  get enabled() {
+    return process.env.GEMINI_ENABLED === 'true' && !!this.apiKey;
+  }
+
+  async request(message) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`;
+
+    const data = await requestJson(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: getModerationPrompt(message) }] }],
+        generationConfig: {
+          maxOutputTokens: 256,
+          responseMimeType: 'application/json',
+          responseSchema: {
+            type: 'OBJECT',
+            properties: {
+              allowed: { type: 'BOOLEAN' },
+              category: { type: 'STRING', nullable: true },
+              riskScore: { type: 'INTEGER' },
+              reason: { type: 'STRING', nullable: true }
+            },
+            required: CLASSIFICATION_SCHEMA.required
+          }
+        }
+      })
+    }, this.label, this.timeoutMs);
+
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    return parseJsonText(text, this.label);
+  }
+}
+
+
+// OpenAI: response_format json_schema em modo strict
+class OpenAIProvider extends ModerationProvider {
+  constructor(options = {}) {
+    super({ timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS) || undefined, ...options });
+    this.type = 'openai';
+    this.label = 'OpenAI';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || '';
+    this.model = options.model || process.env.OPENAI_MODERATION_MODEL || 'gpt-4o-mini';
+  }
+
+  // A chave já existe para a transcrição de áudio; a moderação por OpenAI é opcional
+  get enabled() {
+    return process.env.OPENAI_MODERATION_ENABLED === 'true' && !!this.apiKey;
+  }
+
+  async request(message) {
+    const data = await requestJson('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: 256,
+        messages: [{ role: 'user', content: getModerationPrompt(message) }],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'classify_message', strict: true, schema: CLASSIFICATION_SCHEMA }
+        }
+      })
+    }, this.label, this.timeoutMs);
+
+    const choice = data.choices?.[0]?.message;
+    if (choice?.refusal) throw providerError(`${this.label}: recusou classificar (${choice.refusal})`, { invalid: true });
+    return parseJsonText(choice?.content, this.label);
+  }
+}
+
+
+// Serviço HTTP próprio (modelo local, mock em homologação): POST { message } e
+// resposta já no formato do contrato
+class LocalHttpProvider extends ModerationProvider {
+  constructor(options = {}) {
+    super({ timeoutMs: parseInt(process.env.LOCAL_MODERATION_TIMEOUT_MS) || undefined, ...options });
+    this.type = 'local';
+    this.label = 'Local';
+    this.url = options.url || process.env.LOCAL_MODERATION_URL || '';
+    this.token = options.token || process.env.LOCAL_MODERATION_TOKEN || '';
+    this.model = this.url || null;
+  }
+
+  get enabled() {
+    return !!this.url;
+  }
+
+  async request(message) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    return requestJson(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ message, schema: CLASSIFICATION_SCHEMA })
+    }, this.label, this.timeoutMs);
+  }
+}
+
+
+// Ordem de consulta: MODERATION_PROVIDERS=claude,gemini,... (padrão: todos, na ordem de PROVIDER_TYPES)
+function getProviderOrder() {
+  const configured = (process.env.MODERATION_PROVIDERS || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(type => PROVIDER_TYPES.includes(type));
+
+  return configured.length > 0 ? [...new Set(configured)] : PROVIDER_TYPES;
+}
+
+function createProvider(type, options) {
+  switch (type) {
+    case 'claude':
+      return new ClaudeProvider(options);
+    case 'gemini':
+      return new GeminiProvider(options);
+    case 'openai':
+      return new OpenAIProvider(options);
+    case 'local':
+      return new LocalHttpProvider(options);
+    default:
+      throw new Error(`Provedor de moderação desconhecido: ${type}`);
+  }
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  CLASSIFICATION_SCHEMA,
+  getModerationPrompt,
+  validateClassification,
+  providerError,
+  requestJson,
+  getProviderOrder,
+  createProvider,
+  CircuitBreaker,
+  ModerationProvider,
+  ClaudeProvider,
+  GeminiProvider,
+  OpenAIProvider,
+  LocalHttpProvider
+};
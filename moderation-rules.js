@@ -0,0 +1,193 @@
+// Regras padrão de moderação. São a semente da tabela moderation_rules (migração 014)
+// e o fallback usado pelo ModerationService quando o banco não está disponível.
+//
+// stage 'content': verificado antes do limite de envio, vale a primeira regra que bloquear
+// stage 'sensitive': verificado depois do limite de envio, junta todos os tipos detectados
+// action 'allow': lista de permissões, o trecho é removido do texto antes das demais regras
+
+const BLACKMAIL_REASON = 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.';
+const THREAT_REASON = 'Mensagem contém ameaça. Este tipo de conteúdo é crime.';
+
+const CONTENT_REGEX_GROUPS = [
+  {
+    category: 'blackmail_extortion',
+    riskScore: 100,
+    reason: BLACKMAIL_REASON,
+    patterns: [
+      /se\s+(voce|vc|tu)\s+nao\s+.{1,50}(vou|irei|farei)\s+(divulgar|contar|mostrar|postar|publicar|mandar|enviar|espalhar)/,
+      /pag(ue|a)\s+(ou|senao|se\s*nao)/,
+      /tenho\s+(fotos?|videos?|prints?|provas?)\s+(seus?|tuas?|de\s+voce)/,
+      /vou\s+(divulgar|expor|mostrar|postar|publicar|mandar\s+para|enviar\s+para|espalhar)/,
+      /se\s+(contar|falar|abrir\s+a\s+boca).{0,30}(vai\s+ver|vai\s+se\s+arrepender|voce\s+vai)/,
+      /(conto|falo|mostro)\s+(pra|para)\s+(todo\s+mundo|todos|sua\s+(familia|mae|pai|namorad|marid|espos))/,
+      /(nudes?|intim[oa]s?|pelad[oa]s?).{0,30}(divulgar|postar|mostrar|mandar)/,
+      /(quer|quer\s+que\s+eu\s+nao|pra\s+eu\s+nao).{0,30}(dinheiro|pix|transf|pag)/,
+      /sei\s+(onde|aonde)\s+(voce|vc|tu)\s+(mora|trabalha|estuda|fica)/
+    ]
+  },
+  {
+    category: 'threat',
+    riskScore: 95,
+    reason: THREAT_REASON,
+    patterns: [
+      /voce\s+vai\s+(pagar|se\s+arrepender|ver\s+so)/,
+      /vai\s+acontecer\s+(algo|alguma\s+coisa)\s+(ruim|com\s+voce)/,
+      /eu\s+sei\s+(quem|onde|o\s+que)\s+voce/,
+      /sua\s+(familia|mae|pai|filh[oa]).{0,20}(vai\s+sofrer|vai\s+pagar|vai\s+ver)/
+    ]
+  }
+];
+
+const CONTENT_TERM_GROUPS = [
+  {
+    category: 'criminal_threat',
+    riskScore: 100,
+    reason: 'Mensagem contém conteúdo criminoso ou ameaça grave',
+    terms: [
+      'matar', 'assassinar', 'estuprar', 'sequestrar',
+      'bomba', 'terrorismo', 'pedofilia', 'pedofilo',
+      'vou te pegar', 'vai morrer', 'te mato', 'vou matar',
+      'trafico', 'cocaina', 'crack', 'heroina'
+    ]
+  },
+  {
+    category: 'violence',
+    riskScore: 85,
+    reason: 'Mensagem contém incitação à violência',
+    terms: [
+      'bater', 'socar', 'espancar', 'surrar', 'arrebentar',
+      'acabar com voce', 'quebrar a cara', 'dar um tiro'
+    ]
+  },
+  {
+    category: 'hate_speech',
+    riskScore: 80,
+    reason: 'Mensagem contém discurso de ódio ou racismo',
+    terms: [
+      'macaco', 'crioulo', 'negao', 'preto fedido', 'branquelo',
+      'nazista', 'hitler', 'judeu imundo', 'volta pra senzala'
+    ]
+  },
+  {
+    category: 'homophobia',
+    riskScore: 75,
+    reason: 'Mensagem contém conteúdo homofóbico',
+    terms: [
+      'viado', 'viadinho', 'viadao', 'veado', 'veadinho',
+      'bicha', 'bichinha', 'bichona', 'sapatao', 'sapatona', 'traveco',
+      'baitola', 'baitolao', 'baitolinha', 'boiola', 'boiolao', 'boiolinha'
+    ]
+  },
+  {
+    category: 'severe_insult',
+    riskScore: 65,
+    reason: 'Mensagem contém linguagem extremamente ofensiva',
+    terms: [
+      'porra', 'caralho', 'cacete', 'merda', 'bosta',
+      'puta', 'putaria', 'putinha', 'vagabunda', 'vadia', 'piranha',
+      'fdp', 'filho da puta', 'filha da puta', 'fudido', 'foder', 'foda-se', 'fodase',
+      'cu', 'cuzao', 'cuzinho', 'arrombado', 'arrombada',
+      'buceta', 'xoxota', 'xereca', 'ppk', 'rola', 'pica', 'piroca',
+      'punheta', 'punheteiro', 'puto', 'puta que pariu',
+      'vsf', 'vai se fuder', 'tnc', 'tomar no cu', 'vtnc', 'vai tomar no cu', 'pqp'
+    ]
+  },
+  {
+    category: 'personal_insult',
+    riskScore: 50,
+    reason: 'Mensagem contém ofensa pessoal',
+    terms: [
+      'otario', 'otaria', 'idiota', 'imbecil', 'retardado', 'retardada',
+      'babaca', 'besta', 'burro', 'burra', 'animal', 'jumento',
+      'desgraca', 'desgracado', 'desgracada', 'maldito', 'maldita',
+      'nojento', 'nojenta', 'lixo', 'escoria', 'verme',
+      'vagabundo', 'safado', 'safada', 'canalha',
+      'vaca', 'vaca velha', 'vacona', 'galinha', 'cachorra', 'cadela',
+      'egua', 'jumenta', 'piranhuda', 'broxa', 'corno', 'cornudo', 'chifrudo',
+      'baranga', 'mocreia', 'baleia'
+    ]
+  },
+  {
+    category: 'fraud_attempt',
+    riskScore: 70,
+    reason: 'Mensagem contém possível tentativa de golpe ou fraude',
+    terms: [
+      'pix agora', 'me passa', 'senha do banco', 'cartao de credito',
+      'dados bancarios', 'numero do cartao', 'codigo de seguranca',
+      'deposita', 'transfere urgente'
+    ]
+  }
+];
+
+const SENSITIVE_GROUPS = [
+  { label: 'CPF', category: 'sensitive_data_cpf', patterns: [/\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b/] },
+  { label: 'RG', category: 'sensitive_data_rg', patterns: [/\b\d{1,2}\.?\d{3}\.?\d{3}-?[0-9xX]\b/] },
+  { label: 'Telefone', category: 'sensitive_data_phone', patterns: [/\(?\d{2}\)?[\s.-]?\d{4,5}[\s.-]?\d{4}\b/] },
+  { label: 'Placa', category: 'sensitive_data_plate', patterns: [/\b[A-Z]{3}[\s-]?\d[A-Z0-9]\d{2}\b/] },
+  { label: 'Cartão', category: 'sensitive_data_card', patterns: [/\b\d{4}[\s.-]?\d{4}[\s.-]?\d{4}[\s.-]?\d{4}\b/] },
+  {
+    label: 'Endereço/CEP',
+    category: 'sensitive_data_address',
+    patterns: [
+      /\brua\s+[\w\s]+,?\s*n?\.?\s*\d+/,
+      /\bav\.?\s*(enida)?\s+[\w\s]+,?\s*n?\.?\s*\d+/,
+      /\bcep[\s:]*\d{5}-?\d{3}\b/,
+      /\b\d{5}-?\d{3}\b/
+    ]
+  },
+  {
+    label: 'Dado Médico',
+    category: 'sensitive_data_medical',
+    terms: [
+      'hiv', 'aids', 'câncer', 'cancer', 'diabetes', 'depressão', 'depressao',
+      'esquizofrenia', 'bipolar', 'ansiedade', 'psiquiátrico', 'psiquiatrico',
+      'diagnóstico', 'diagnostico', 'exame de sangue', 'resultado do exame',
+      'receita médica', 'receita medica', 'medicamento controlado'
+    ]
+  }
+];
+
+// Falsos positivos conhecidos dos termos acima (medidos com moderation-eval.js)
+const ALLOWLIST_TERMS = [
+  'bater papo', 'bater um papo', 'bater o bolo', 'bater bolo', 'bater a massa',
+  'matar a saudade', 'matar saudade', 'matar o tempo', 'matar aula',
+  'bomba de chocolate', 'pica pau', 'animal de estimacao', 'galinha caipira'
+];
+
+function buildDefaultRules() {
+  const rules = [];
+  const push = rule => rules.push({ action: 'block', enabled: true, label: null, priority: (rules.length + 1) * 10, ...rule });
+
+  for (const group of CONTENT_REGEX_GROUPS) {
+    for (const pattern of group.patterns) {
+      push({ stage: 'content', type: 'regex', pattern: pattern.source, category: group.category, riskScore: group.riskScore, reason: group.reason });
+    }
+  }
+
+  for (const group of CONTENT_TERM_GROUPS) {
+    for (const term of group.terms) {
+      push({ stage: 'content', type: 'term', pattern: term, category: group.category, riskScore: group.riskScore, reason: group.reason });
+    }
+  }
+
+  for (const group of SENSITIVE_GROUPS) {
+    for (const pattern of group.patterns || []) {
+      push({ stage: 'sensitive', type: 'regex', pattern: pattern.source, category: group.category, riskScore: 80, reason: null, label: group.label });
+    }
+    for (const term of group.terms || []) {
+      push({ stage: 'sensitive', type: 'term', pattern: term, category: group.category, riskScore: 80, reason: null, label: group.label });
+    }
+  }
+
+  for (const term of ALLOWLIST_TERMS) {
+    push({ stage: 'content', type: 'term', pattern: term, category: 'allowlist', riskScore: 0, action: 'allow', reason: null });
+  }
+
+  return rules;
+}
+
+const DEFAULT_MODERATION_RULES = buildDefaultRules();
+
+module.exports = {
+  DEFAULT_MODERATION_RULES
+};
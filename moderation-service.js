@@ -1,415 +1,402 @@
 require('dotenv').config();
 const FormData = require('form-data');
+const { normalizeText, termTokens, findTerm, removeTerm, removePattern } = require('./moderation-normalizer');
+const { DEFAULT_MODERATION_RULES } = require('./moderation-rules');
+const { getProviderOrder, createProvider } = require('./moderation-providers');
 
 const AI_CONFIG = {
-  claude: {
-    apiKey: process.env.CLAUDE_API_KEY || '',
-    model: process.env.CLAUDE_MODEL || 'claude-3-5-haiku-latest',
-    enabled: process.env.CLAUDE_ENABLED === 'true'
-  },
-  gemini: {
-    apiKey: process.env.GEMINI_API_KEY || '',
-    model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
-    enabled: process.env.GEMINI_ENABLED === 'true'
-  },
   openai: {
     apiKey: process.env.OPENAI_API_KEY || '',
     enabled: !!process.env.OPENAI_API_KEY
   }
 };
 
+// Faixa de risco em que a decisão fica com um humano (fila de revisão no painel admin).
+// Abaixo de minRisk libera; bloqueio da IA só é automático a partir de blockRisk.
+const REVIEW_CONFIG = {
+  minRisk: parseInt(process.env.MODERATION_REVIEW_MIN_RISK) || 40,
+  blockRisk: parseInt(process.env.MODERATION_BLOCK_MIN_RISK) || 70,
+  holdOnAiFailure: process.env.MODERATION_HOLD_ON_AI_FAILURE !== 'false'
+};
+
 class ModerationService {
   constructor() {
-    this.cache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000;
-    this.userMessageCount = new Map(); 
-    this.rateLimitWindow = 60 * 60 * 1000; 
-    this.maxMessagesPerHour = 20; 
+    this.cacheTtl = (parseInt(process.env.MODERATION_CACHE_TTL_MINUTES) || 24 * 60) * 60 * 1000;
+    this.cacheStats = { hits: 0, misses: 0, writes: 0, errors: 0, since: new Date().toISOString() };
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    this.rulesTtl = 60 * 1000;
+    this.rulesSource = null;
+    this.providers = getProviderOrder().map(type => createProvider(type));
   }
 
 
-  get claudeApiKey() {
-    return AI_CONFIG.claude.apiKey;
-  }
-
-  get claudeModel() {
-    return AI_CONFIG.claude.model;
+  // Provedores de IA configurados, na ordem de consulta
+  get aiProviders() {
+    return this.providers.filter(provider => provider.enabled);
   }
 
-  get claudeEnabled() {
-    return AI_CONFIG.claude.enabled && !!this.claudeApiKey;
+  get isEnabled() {
+    return this.aiProviders.length > 0;
   }
 
-
-  get geminiApiKey() {
-    return AI_CONFIG.gemini.apiKey;
+  getProviderMetrics() {
+    return this.providers.map(provider => provider.getMetrics());
   }
 
-  get geminiModel() {
-    return AI_CONFIG.gemini.model;
+  resetProviderMetrics() {
+    this.providers.forEach(provider => provider.resetMetrics());
   }
 
-  get geminiEnabled() {
-    return AI_CONFIG.gemini.enabled && !!this.geminiApiKey;
-  }
+  
+  // Cache da IA no banco (moderation_cache), chave = SHA-256 do texto.
+  // Falha no banco só custa uma consulta à IA; nunca bloqueia a moderação
+  async checkCache(message) {
+    try {
+      const { hashMessage, getModerationCacheEntry } = require('./database');
+      const cached = await getModerationCacheEntry(hashMessage(message));
 
+      if (cached) {
+        this.cacheStats.hits++;
+        return cached;
+      }
+    } catch (error) {
+      this.cacheError('ler', error);
+    }
 
-  get isEnabled() {
-    return this.claudeEnabled || this.geminiEnabled;
+    this.cacheStats.misses++;
+    return null;
   }
 
 
-  get apiKey() {
-    return this.claudeApiKey || this.geminiApiKey;
+  async saveCache(message, result) {
+    try {
+      const { hashMessage, saveModerationCacheEntry } = require('./database');
+      await saveModerationCacheEntry(hashMessage(message), result, this.cacheTtl);
+      this.cacheStats.writes++;
+    } catch (error) {
+      this.cacheError('gravar', error);
+    }
   }
 
-  get model() {
-    return this.claudeModel;
+  cacheError(action, error) {
+    this.cacheStats.errors++;
+    if (error.code !== '42P01') {
+      console.error(`[Moderation] Erro ao ${action} cache:`, error.message);
+    }
   }
 
-  
-  hashMessage(message) {
-    let hash = 0;
-    for (let i = 0; i < message.length; i++) {
-      const char = message.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  async invalidateCache() {
+    try {
+      const { clearModerationCache } = require('./database');
+      const removed = await clearModerationCache();
+      console.log(`[Moderation] Cache invalidado (${removed} entradas)`);
+      return removed;
+    } catch (error) {
+      this.cacheError('limpar', error);
+      return 0;
     }
-    return hash.toString();
   }
 
+  async getCacheStats() {
+    const lookups = this.cacheStats.hits + this.cacheStats.misses;
+    let stored = null;
 
-  checkCache(message) {
-    const hash = this.hashMessage(message);
-    const cached = this.cache.get(hash);
-
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-      return cached.result;
+    try {
+      const { getModerationCacheStats } = require('./database');
+      stored = await getModerationCacheStats();
+    } catch (error) {
+      this.cacheError('consultar', error);
     }
 
-    return null;
+    return {
+      ...this.cacheStats,
+      hitRate: lookups ? Math.round((this.cacheStats.hits / lookups) * 1000) / 10 : 0,
+      ttlMinutes: Math.round(this.cacheTtl / 60000),
+      entries: stored ? stored.entries : null,
+      activeEntries: stored ? stored.active : null
+    };
   }
 
- 
-  saveCache(message, result) {
-    const hash = this.hashMessage(message);
-    this.cache.set(hash, {
-      result,
-      timestamp: Date.now()
-    });
-
-
-    if (this.cache.size > 1000) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
+  resetCacheStats() {
+    this.cacheStats = { hits: 0, misses: 0, writes: 0, errors: 0, since: new Date().toISOString() };
   }
 
 
-  checkRateLimit(userId, targetPhone) {
-    const key = `${userId}:${targetPhone}`;
-    const now = Date.now();
-
-    if (!this.userMessageCount.has(key)) {
-      this.userMessageCount.set(key, []);
-    }
-
-    const timestamps = this.userMessageCount.get(key);
-  
-    const validTimestamps = timestamps.filter(t => now - t < this.rateLimitWindow);
-    this.userMessageCount.set(key, validTimestamps);
+  // Limite por remetente→destinatário (política send_recipient de rate-limiter.js).
+  // require tardio: o avaliador offline nunca passa userId e roda sem Supabase
+  async checkRateLimit(userId, targetPhone) {
+    const { getRateLimiter } = require('./rate-limiter');
+    const limit = await getRateLimiter().check(['send_recipient'], { userId, phone: targetPhone });
 
-    if (validTimestamps.length >= this.maxMessagesPerHour) {
+    if (!limit.allowed) {
       return {
         allowed: false,
-        reason: 'Limite de mensagens para este número atingido. Aguarde antes de enviar novamente.',
+        reason: limit.message,
         category: 'rate_limit_exceeded',
-        riskScore: 70
+        riskScore: 70,
+        retryAfter: limit.retryAfter
       };
     }
 
     return { allowed: true };
   }
 
-  recordMessage(userId, targetPhone) {
-    const key = `${userId}:${targetPhone}`;
-    if (!this.userMessageCount.has(key)) {
-      this.userMessageCount.set(key, []);
-    }
-    this.userMessageCount.get(key).push(Date.now());
+  async recordMessage(userId, targetPhone) {
+    const { getRateLimiter } = require('./rate-limiter');
+    const limiter = getRateLimiter();
+    await limiter.hit(await limiter.resolve(['send_recipient'], { userId, phone: targetPhone }));
   }
 
 
-  detectSensitiveData(message) {
-    const detections = [];
-
-    const cpfRegex = /\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b/g;
-    if (cpfRegex.test(message)) {
-      detections.push({ type: 'CPF', category: 'sensitive_data_cpf' });
-    }
-
-   
-    const rgRegex = /\b\d{1,2}\.?\d{3}\.?\d{3}-?[0-9xX]\b/g;
-    if (rgRegex.test(message)) {
-      detections.push({ type: 'RG', category: 'sensitive_data_rg' });
+  // Regras vêm do banco (moderation_rules) com cache curto; se o banco falhar,
+  // usa as últimas regras carregadas ou as regras padrão de moderation-rules.js
+  async getRules() {
+    if (this.rules && Date.now() - this.rulesLoadedAt < this.rulesTtl) {
+      return this.rules;
     }
 
-   
-    const phoneRegex = /\(?\d{2}\)?[\s.-]?\d{4,5}[\s.-]?\d{4}\b/g;
-    if (phoneRegex.test(message)) {
-      detections.push({ type: 'Telefone', category: 'sensitive_data_phone' });
+    try {
+      // require tardio: o avaliador offline (moderation-eval.js) usa o serviço sem Supabase
+      const { listModerationRules } = require('./database');
+      const rows = await listModerationRules(true);
+      this.rules = rows.map(row => this.compileRule(this.ruleFromRow(row))).filter(Boolean);
+      this.rulesSource = 'database';
+    } catch (error) {
+      console.error('[Moderation] Erro ao carregar regras, usando fallback:', error.message);
+      if (!this.rules) {
+        this.rules = DEFAULT_MODERATION_RULES.map(rule => this.compileRule(rule)).filter(Boolean);
+        this.rulesSource = 'default';
+      }
     }
 
-   
-    const plateRegex = /\b[A-Z]{3}[\s-]?\d[A-Z0-9]\d{2}\b/gi;
-    if (plateRegex.test(message)) {
-      detections.push({ type: 'Placa', category: 'sensitive_data_plate' });
-    }
+    this.rulesLoadedAt = Date.now();
+    return this.rules;
+  }
 
-   
-    const cardRegex = /\b\d{4}[\s.-]?\d{4}[\s.-]?\d{4}[\s.-]?\d{4}\b/g;
-    if (cardRegex.test(message)) {
-      detections.push({ type: 'Cartão', category: 'sensitive_data_card' });
-    }
+  ruleFromRow(row) {
+    return {
+      id: row.id,
+      stage: row.stage,
+      type: row.type,
+      pattern: row.pattern,
+      category: row.category,
+      riskScore: row.risk_score,
+      action: row.action,
+      reason: row.reason,
+      label: row.label,
+      priority: row.priority
+    };
+  }
 
-   
-    const addressPatterns = [
-      /\brua\s+[\w\s]+,?\s*n?\.?\s*\d+/gi,
-      /\bav\.?\s*(enida)?\s+[\w\s]+,?\s*n?\.?\s*\d+/gi,
-      /\bcep[\s:]*\d{5}-?\d{3}\b/gi,
-      /\b\d{5}-?\d{3}\b/g 
-    ];
-    for (const regex of addressPatterns) {
-      if (regex.test(message)) {
-        detections.push({ type: 'Endereço/CEP', category: 'sensitive_data_address' });
-        break;
-      }
-    }
+  // Respostas guardadas foram dadas sob as regras antigas (que decidem o que chega à IA)
+  async invalidateRules() {
+    this.rulesLoadedAt = 0;
+    await this.invalidateCache();
+  }
 
+  // Conteúdo usa a normalização completa; dados sensíveis só a leve (ver moderation-normalizer.js)
+  prepareText(message, stage) {
+    return normalizeText(message, { aggressive: stage === 'content' });
+  }
 
-    const medicalTerms = [
-      'hiv', 'aids', 'câncer', 'cancer', 'diabetes', 'depressão', 'depressao',
-      'esquizofrenia', 'bipolar', 'ansiedade', 'psiquiátrico', 'psiquiatrico',
-      'diagnóstico', 'diagnostico', 'exame de sangue', 'resultado do exame',
-      'receita médica', 'receita medica', 'medicamento controlado'
-    ];
-    const lowerMessage = message.toLowerCase();
-    for (const term of medicalTerms) {
-      if (lowerMessage.includes(term)) {
-        detections.push({ type: 'Dado Médico', category: 'sensitive_data_medical' });
-        break;
+  // Termos casam só com palavras inteiras do texto normalizado; regex roda sobre o texto normalizado
+  compileRule(rule) {
+    if (rule.type === 'regex') {
+      let regex;
+      try {
+        regex = new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        console.error(`[Moderation] Regra ${rule.id || rule.pattern} com regex inválida: ${error.message}`);
+        return null;
       }
-    }
 
-    if (detections.length > 0) {
       return {
-        allowed: false,
-        reason: `Mensagem contém dados sensíveis (${detections.map(d => d.type).join(', ')}). Por segurança e conformidade com a LGPD, não é permitido enviar esses dados.`,
-        category: detections[0].category,
-        riskScore: 80,
-        detectedTypes: detections.map(d => d.type)
+        ...rule,
+        test: doc => regex.test(doc.text),
+        strip: doc => removePattern(doc, new RegExp(rule.pattern, 'gi'))
       };
     }
 
-    return { allowed: true };
-  }
-
-
-  detectBlackmail(message) {
-    const lowerMessage = message.toLowerCase()
-      .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const words = termTokens(rule.pattern, { aggressive: rule.stage === 'content' });
+    if (words.length === 0) {
+      return null;
+    }
 
+    return {
+      ...rule,
+      test: doc => findTerm(doc.tokens, words) !== -1,
+      strip: doc => removeTerm(doc, words)
+    };
+  }
 
-    const blackmailPatterns = [
-     
-      /se\s+(voce|vc|tu)\s+nao\s+.{1,50}(vou|irei|farei)\s+(divulgar|contar|mostrar|postar|publicar|mandar|enviar|espalhar)/gi,
-    
-      /pag(ue|a)\s+(ou|senao|se\s*nao)/gi,
-    
-      /tenho\s+(fotos?|videos?|prints?|provas?)\s+(seus?|tuas?|de\s+voce)/gi,
-    
-      /vou\s+(divulgar|expor|mostrar|postar|publicar|mandar\s+para|enviar\s+para|espalhar)/gi,
-   
-      /se\s+(contar|falar|abrir\s+a\s+boca).{0,30}(vai\s+ver|vai\s+se\s+arrepender|voce\s+vai)/gi,
-    
-      /(conto|falo|mostro)\s+(pra|para)\s+(todo\s+mundo|todos|sua\s+(familia|mae|pai|namorad|marid|espos))/gi,
-     
-      /(nudes?|intim[oa]s?|pelad[oa]s?).{0,30}(divulgar|postar|mostrar|mandar)/gi,
-     
-      /(quer|quer\s+que\s+eu\s+nao|pra\s+eu\s+nao).{0,30}(dinheiro|pix|transf|pag)/gi,
-    
-      /sei\s+(onde|aonde)\s+(voce|vc|tu)\s+(mora|trabalha|estuda|fica)/gi
-    ];
+  // Avalia um estágio inteiro: trechos da lista de permissões (regras "allow") são removidos antes das demais
+  evaluateStage(rules, stage, message) {
+    const stageRules = rules.filter(rule => rule.stage === stage);
+    let doc = this.prepareText(message, stage);
+    const matches = [];
 
-    for (const pattern of blackmailPatterns) {
-      if (pattern.test(lowerMessage)) {
-        return {
-          allowed: false,
-          reason: 'Mensagem identificada como possível chantagem ou extorsão. Este tipo de conteúdo é crime.',
-          category: 'blackmail_extortion',
-          riskScore: 100
-        };
+    for (const rule of stageRules.filter(r => r.action === 'allow')) {
+      if (rule.test(doc)) {
+        matches.push(rule);
+        doc = rule.strip(doc);
       }
     }
 
-    
-    const threatPatterns = [
-      /voce\s+vai\s+(pagar|se\s+arrepender|ver\s+so)/gi,
-      /vai\s+acontecer\s+(algo|alguma\s+coisa)\s+(ruim|com\s+voce)/gi,
-      /eu\s+sei\s+(quem|onde|o\s+que)\s+voce/gi,
-      /sua\s+(familia|mae|pai|filh[oa]).{0,20}(vai\s+sofrer|vai\s+pagar|vai\s+ver)/gi
-    ];
-
-    for (const pattern of threatPatterns) {
-      if (pattern.test(lowerMessage)) {
-        return {
-          allowed: false,
-          reason: 'Mensagem contém ameaça. Este tipo de conteúdo é crime.',
-          category: 'threat',
-          riskScore: 95
-        };
+    for (const rule of stageRules.filter(r => r.action !== 'allow')) {
+      if (rule.test(doc)) {
+        matches.push(rule);
       }
     }
 
-    return { allowed: true };
+    return matches;
   }
 
+  describeRule(rule) {
+    return {
+      ruleId: rule.id || null,
+      stage: rule.stage,
+      type: rule.type,
+      pattern: rule.pattern,
+      category: rule.category,
+      action: rule.action
+    };
+  }
 
-  getModerationPrompt(message) {
-    return `Você é um moderador de conteúdo. Analise a mensagem abaixo e determine se ela deve ser BLOQUEADA ou PERMITIDA.
-
-BLOQUEAR mensagens que contenham:
-- Palavrões ou linguagem obscena
-- Ofensas, xingamentos ou insultos diretos
-- Ameaças ou coação
-- Conteúdo ilícito (drogas, armas, etc.)
-- Assédio ou bullying
-- Discurso de ódio
-- Golpes ou fraudes
-- Conteúdo sexual explícito
-- Incitação à violência
-
-PERMITIR mensagens que sejam:
-- Comunicação normal e respeitosa
-- Brincadeiras leves sem ofensas
-- Informações neutras
-- Pedidos educados
-
-Mensagem para análise:
-"""
-${message}
-"""
+  checkContent(matches) {
+    const flags = matches.filter(rule => rule.action === 'flag').map(rule => this.describeRule(rule));
+    const fired = matches.find(rule => rule.action === 'block') || matches.find(rule => rule.action === 'review');
 
-Responda APENAS com um JSON no formato:
-{"allowed": true/false, "reason": "motivo se bloqueado ou null se permitido", "category": "categoria da violação ou null"}
+    if (fired) {
+      return {
+        allowed: false,
+        review: fired.action === 'review',
+        reason: fired.reason,
+        category: fired.category,
+        riskScore: fired.riskScore,
+        matchedWord: fired.pattern,
+        ruleId: fired.id || null,
+        flags
+      };
+    }
 
-Seja criterioso mas não excessivamente restritivo. Mensagens ambíguas devem ser permitidas.`;
+    return { allowed: true, flags };
   }
 
+  checkSensitiveData(matches) {
+    const flags = matches.filter(rule => rule.action === 'flag').map(rule => this.describeRule(rule));
+    let blocked = matches.filter(rule => rule.action === 'block');
+    const review = blocked.length === 0;
+    if (review) {
+      blocked = matches.filter(rule => rule.action === 'review');
+    }
 
-  async analyzeWithClaude(message) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': this.claudeApiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: this.claudeModel,
-        max_tokens: 256,
-        messages: [{ role: 'user', content: this.getModerationPrompt(message) }]
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Claude API error: ${response.status} - ${errorText}`);
+    if (blocked.length > 0) {
+      const detectedTypes = [...new Set(blocked.map(rule => rule.label || rule.category))];
+      return {
+        allowed: false,
+        review,
+        reason: `Mensagem contém dados sensíveis (${detectedTypes.join(', ')}). Por segurança e conformidade com a LGPD, não é permitido enviar esses dados.`,
+        category: blocked[0].category,
+        riskScore: Math.max(...blocked.map(rule => rule.riskScore)),
+        detectedTypes,
+        ruleId: blocked[0].id || null,
+        flags
+      };
     }
 
-    const data = await response.json();
-    return data.content[0].text;
+    return { allowed: true, flags };
   }
 
- 
-  async analyzeWithGemini(message) {
-    const url = `https://generativelanguage.googleapis.com/v1/models/${this.geminiModel}:generateContent?key=${this.geminiApiKey}`;
+  // Simulação para o painel admin: mostra todas as regras que casaram e qual decidiu
+  async testMessage(message, options = {}) {
+    const { includeAi = false } = options;
+    const rules = await this.getRules();
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: this.getModerationPrompt(message) }] }],
-        generationConfig: { maxOutputTokens: 256 }
-      })
-    });
+    const contentMatches = this.evaluateStage(rules, 'content', message);
+    const sensitiveMatches = this.evaluateStage(rules, 'sensitive', message);
+    const contentCheck = this.checkContent(contentMatches);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data.candidates[0].content.parts[0].text;
-  }
+    const firstFired = matches => matches.find(rule => rule.action === 'block') || matches.find(rule => rule.action === 'review') || null;
 
+    let verdict = contentCheck;
+    let firedRule = firstFired(contentMatches);
 
-  parseAIResponse(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
+    if (contentCheck.allowed || contentCheck.review) {
+      const sensitiveCheck = this.checkSensitiveData(sensitiveMatches);
+      if (!sensitiveCheck.allowed && (contentCheck.allowed || !sensitiveCheck.review)) {
+        verdict = sensitiveCheck;
+        firedRule = firstFired(sensitiveMatches);
       }
-    } catch (parseError) {
-      console.error('[Moderation] Erro ao parsear resposta:', content);
     }
-    return { allowed: true, reason: null };
+
+    if (verdict.allowed && includeAi) {
+      verdict = this.applyRiskThresholds(await this.analyzeMessage(message));
+    }
+
+    return {
+      verdict: {
+        allowed: verdict.allowed,
+        review: !!verdict.review,
+        reason: verdict.reason || null,
+        category: verdict.category || null,
+        riskScore: verdict.riskScore || 0,
+        detectedTypes: verdict.detectedTypes || []
+      },
+      firedRule: firedRule ? this.describeRule(firedRule) : null,
+      matches: [...contentMatches, ...sensitiveMatches].map(rule => this.describeRule(rule)),
+      normalized: this.prepareText(message, 'content').text,
+      rulesSource: this.rulesSource,
+      aiChecked: includeAi && !firedRule
+    };
   }
 
+
   async analyzeMessage(message) {
+    const providers = this.aiProviders;
 
-    if (!this.claudeEnabled && !this.geminiEnabled) {
+    if (providers.length === 0) {
       return { allowed: true, reason: null };
     }
 
 
-    const cached = this.checkCache(message);
+    const cached = await this.checkCache(message);
     if (cached !== null) {
       return cached;
     }
 
     let result = null;
-    let usedProvider = null;
-
-  
-    if (this.claudeEnabled) {
-      try {
-        const content = await this.analyzeWithClaude(message);
-        result = this.parseAIResponse(content);
-        usedProvider = 'Claude';
-      } catch (error) {
-        console.error('[Moderation] Claude falhou:', error.message);
-      }
-    }
 
- 
-    if (!result && this.geminiEnabled) {
+    // Próximo provedor só entra se o anterior falhar, estourar o timeout,
+    // responder fora do contrato ou estiver com o circuito aberto
+    for (const provider of providers) {
       try {
-        const content = await this.analyzeWithGemini(message);
-        result = this.parseAIResponse(content);
-        usedProvider = 'Gemini';
+        result = { ...await provider.classify(message), provider: provider.type };
+        break;
       } catch (error) {
-        console.error('[Moderation] Gemini falhou:', error.message);
+        if (!error.unavailable) {
+          console.error(`[Moderation] ${provider.label} falhou:`, error.message);
+        }
       }
     }
 
 
     if (!result) {
+      // Nenhum provedor respondeu: segura para revisão humana em vez de liberar em silêncio
+      if (REVIEW_CONFIG.holdOnAiFailure) {
+        return {
+          allowed: false,
+          review: true,
+          reason: 'Moderação automática indisponível no momento',
+          category: 'ai_unavailable',
+          riskScore: 0
+        };
+      }
       return { allowed: true, reason: null };
     }
 
 
-    this.saveCache(message, result);
+    await this.saveCache(message, result);
 
     return result;
   }
@@ -421,169 +408,92 @@ Seja criterioso mas não excessivamente restritivo. Mensagens ambíguas devem se
     
     const defaultResult = { allowed: true, reason: null, riskScore: 0, category: null };
 
+    // Sem IA a moderação de conteúdo fica desligada, mas o limite por destinatário continua
     if (!this.isEnabled) {
+      if (userId && targetPhone) {
+        const rateLimitCheck = await this.checkRateLimit(userId, targetPhone);
+        if (!rateLimitCheck.allowed) {
+          return rateLimitCheck;
+        }
+      }
       return defaultResult;
     }
 
-    
-    const blackmailCheck = this.detectBlackmail(message);
-    if (!blackmailCheck.allowed) {
-      return blackmailCheck;
-    }
+    const rules = await this.getRules();
 
-    
-    const basicCheck = this.basicValidation(message);
-    if (!basicCheck.allowed) {
-      return basicCheck;
+    const contentCheck = this.checkContent(this.evaluateStage(rules, 'content', message));
+    if (!contentCheck.allowed && !contentCheck.review) {
+      return contentCheck;
     }
 
     
     if (userId && targetPhone) {
-      const rateLimitCheck = this.checkRateLimit(userId, targetPhone);
+      const rateLimitCheck = await this.checkRateLimit(userId, targetPhone);
       if (!rateLimitCheck.allowed) {
         return rateLimitCheck;
       }
     }
 
  
-    const sensitiveDataCheck = this.detectSensitiveData(message);
-    if (!sensitiveDataCheck.allowed) {
-      return sensitiveDataCheck;
+    const sensitiveDataCheck = this.checkSensitiveData(this.evaluateStage(rules, 'sensitive', message));
+    const flags = [...contentCheck.flags, ...sensitiveDataCheck.flags];
+    if (!sensitiveDataCheck.allowed && !sensitiveDataCheck.review) {
+      return { ...sensitiveDataCheck, flags };
     }
 
-   
-    const aiResult = await this.analyzeMessage(message);
-
-    
-    if (!aiResult.riskScore) {
-      aiResult.riskScore = aiResult.allowed ? 0 : 60;
+    // Regra "review" casou: um humano decide, não precisa consultar a IA
+    if (contentCheck.review || sensitiveDataCheck.review) {
+      return { ...(contentCheck.review ? contentCheck : sensitiveDataCheck), flags };
     }
 
-    return aiResult;
+    const aiResult = this.applyRiskThresholds(await this.analyzeMessage(message));
+
+    return { ...aiResult, flags };
   }
 
-  
-  async validateAndRecord(message, userId, targetPhone) {
-    const result = await this.validateMessage(message, { userId, targetPhone });
+  // A IA só decide sozinha nas pontas; risco intermediário ou bloqueio com pouca certeza vai para revisão
+  applyRiskThresholds(result) {
+    if (result.review) return result;
 
-   
-    if (result.allowed && userId && targetPhone) {
-      this.recordMessage(userId, targetPhone);
+    const riskScore = Number.isFinite(result.riskScore)
+      ? result.riskScore
+      : (result.allowed ? 0 : REVIEW_CONFIG.blockRisk);
+
+    if (!result.allowed && riskScore >= REVIEW_CONFIG.blockRisk) {
+      return { ...result, riskScore };
     }
 
-    return result;
-  }
+    if (!result.allowed || riskScore >= REVIEW_CONFIG.minRisk) {
+      return {
+        ...result,
+        allowed: false,
+        review: true,
+        riskScore,
+        category: result.category || 'ai_uncertain',
+        reason: result.reason || 'Risco intermediário apontado pela moderação automática'
+      };
+    }
 
+    return { ...result, allowed: true, riskScore };
+  }
 
-  basicValidation(message) {
-    const lowerMessage = message.toLowerCase()
-      .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  // Valor de moderation_logs.action para um resultado de validateMessage
+  getLogAction(result) {
+    if (result.review) return 'review';
+    return result.allowed ? 'allowed' : 'blocked';
+  }
 
   
-    const categories = {
-     
-      criminal: {
-        words: [
-          'matar', 'assassinar', 'estuprar', 'sequestrar',
-          'bomba', 'terrorismo', 'pedofilia', 'pedofilo',
-          'vou te pegar', 'vai morrer', 'te mato', 'vou matar',
-          'trafico', 'cocaina', 'crack', 'heroina'
-        ],
-        category: 'criminal_threat',
-        riskScore: 100,
-        reason: 'Mensagem contém conteúdo criminoso ou ameaça grave'
-      },
-     
-      violence: {
-        words: [
-          'bater', 'socar', 'espancar', 'surrar', 'arrebentar',
-          'acabar com voce', 'quebrar a cara', 'dar um tiro'
-        ],
-        category: 'violence',
-        riskScore: 85,
-        reason: 'Mensagem contém incitação à violência'
-      },
-   
-      hate_speech: {
-        words: [
-          'macaco', 'crioulo', 'negao', 'preto fedido', 'branquelo',
-          'nazista', 'hitler', 'judeu imundo', 'volta pra senzala'
-        ],
-        category: 'hate_speech',
-        riskScore: 80,
-        reason: 'Mensagem contém discurso de ódio ou racismo'
-      },
-   
-      homophobia: {
-        words: [
-          'viado', 'viadinho', 'viadao', 'veado', 'veadinho',
-          'bicha', 'bichinha', 'bichona', 'sapatao', 'sapatona', 'traveco',
-          'baitola', 'baitolao', 'baitolinha', 'boiola', 'boiolao', 'boiolinha'
-        ],
-        category: 'homophobia',
-        riskScore: 75,
-        reason: 'Mensagem contém conteúdo homofóbico'
-      },
-     
-      severe_insult: {
-        words: [
-          'porra', 'caralho', 'cacete', 'merda', 'bosta',
-          'puta', 'putaria', 'putinha', 'vagabunda', 'vadia', 'piranha',
-          'fdp', 'filho da puta', 'filha da puta', 'fudido', 'foder', 'foda-se', 'fodase',
-          'cu', 'cuzao', 'cuzinho', 'arrombado', 'arrombada',
-          'buceta', 'xoxota', 'xereca', 'ppk', 'rola', 'pica', 'piroca',
-          'punheta', 'punheteiro', 'puto', 'puta que pariu',
-          'vsf', 'vai se fuder', 'tnc', 'tomar no cu', 'vtnc', 'vai tomar no cu', 'pqp'
-        ],
-        category: 'severe_insult',
-        riskScore: 65,
-        reason: 'Mensagem contém linguagem extremamente ofensiva'
-      },
-    
-      personal_insult: {
-        words: [
-          'otario', 'otaria', 'idiota', 'imbecil', 'retardado', 'retardada',
-          'babaca', 'besta', 'burro', 'burra', 'animal', 'jumento',
-          'desgraca', 'desgraçado', 'desgraçada', 'maldito', 'maldita',
-          'nojento', 'nojenta', 'lixo', 'escoria', 'verme',
-          'vagabundo', 'safado', 'safada', 'canalha',
-          'vaca', 'vaca velha', 'vacona', 'galinha', 'cachorra', 'cadela',
-          'egua', 'jumenta', 'piranhuda', 'broxa', 'corno', 'cornudo', 'chifrudo',
-          'baranga', 'mocreia', 'baleia'
-        ],
-        category: 'personal_insult',
-        riskScore: 50,
-        reason: 'Mensagem contém ofensa pessoal'
-      },
-    
-      fraud: {
-        words: [
-          'pix agora', 'me passa', 'senha do banco', 'cartao de credito',
-          'dados bancarios', 'numero do cartao', 'codigo de seguranca',
-          'deposita', 'transfere urgente'
-        ],
-        category: 'fraud_attempt',
-        riskScore: 70,
-        reason: 'Mensagem contém possível tentativa de golpe ou fraude'
-      }
-    };
+  async validateAndRecord(message, userId, targetPhone) {
+    const result = await this.validateMessage(message, { userId, targetPhone });
 
-    for (const [catName, catData] of Object.entries(categories)) {
-      for (const word of catData.words) {
-        const regex = new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i');
-        if (regex.test(lowerMessage) || lowerMessage.includes(word)) {
-          return {
-            allowed: false,
-            reason: catData.reason,
-            category: catData.category,
-            riskScore: catData.riskScore,
-            matchedWord: word
-          };
-        }
-      }
+   
+    // Mensagem em revisão também reserva crédito e conta para o limite de envio
+    if ((result.allowed || result.review) && userId && targetPhone) {
+      await this.recordMessage(userId, targetPhone);
     }
 
-    return { allowed: true, reason: null, riskScore: 0, category: null };
+    return result;
   }
 
 
@@ -700,6 +610,7 @@ Seja criterioso mas não excessivamente restritivo. Mensagens ambíguas devem se
 
     return {
       allowed: moderation.allowed,
+      review: !!moderation.review,
       transcription: transcription.text,
       reason: moderation.reason,
       category: moderation.category,
@@ -708,6 +619,48 @@ Seja criterioso mas não excessivamente restritivo. Mensagens ambíguas devem se
       matchedWord: moderation.matchedWord
     };
   }
+
+  // prepared vem de media-moderation.js#prepare (tipo conferido e metadados removidos).
+  // A mídia vai para o classificador de imagem e a legenda para a moderação de texto;
+  // bloqueio de qualquer um bloqueia, revisão de qualquer um retém
+  async moderateMedia(prepared, caption, userId, targetPhone) {
+    const captionResult = caption
+      ? await this.validateMessage(caption, { userId, targetPhone })
+      : await this.checkRateLimit(userId, targetPhone);
+
+    if (!captionResult.allowed && !captionResult.review) {
+      return captionResult;
+    }
+
+    const { getMediaModeration } = require('./media-moderation');
+    let mediaResult;
+    try {
+      mediaResult = this.applyRiskThresholds(await getMediaModeration().classify(prepared));
+    } catch (error) {
+      console.error('[Moderation] Classificador de mídia falhou:', error.message);
+      mediaResult = REVIEW_CONFIG.holdOnAiFailure
+        ? {
+            allowed: false,
+            review: true,
+            reason: 'Moderação automática de imagem indisponível no momento',
+            category: 'ai_unavailable',
+            riskScore: 0
+          }
+        : { allowed: true, reason: null, riskScore: 0 };
+    }
+
+    let result = mediaResult;
+    if (mediaResult.allowed && captionResult.review) {
+      result = captionResult;
+    }
+    result = { ...result, flags: captionResult.flags || [] };
+
+    if (result.allowed || result.review) {
+      await this.recordMessage(userId, targetPhone);
+    }
+
+    return result;
+  }
 }
 
 
@@ -0,0 +1,220 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Login com OpenID Connect (authorization code + PKCE). Google é configurado por
+// GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET; um provedor genérico por OIDC_ISSUER (qualquer
+// emissor com /.well-known/openid-configuration, inclusive um mock local em http)
+const BASE_URL = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = parseInt(process.env.OIDC_TIMEOUT_MS) || 10000;
+
+// Só assinaturas assimétricas: HS256 com o client secret não prova que o token veio do emissor
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+function providersFromEnv() {
+  const providers = [];
+
+  if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+    providers.push({
+      id: 'google',
+      name: 'Google',
+      issuer: 'https://accounts.google.com',
+      // O Google emite id_tokens com e sem o esquema no iss
+      acceptedIssuers: ['https://accounts.google.com', 'accounts.google.com'],
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      scopes: 'openid email profile'
+    });
+  }
+
+  if (process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID) {
+    providers.push({
+      id: (process.env.OIDC_PROVIDER_ID || 'oidc').toLowerCase(),
+      name: process.env.OIDC_PROVIDER_NAME || 'SSO',
+      issuer: process.env.OIDC_ISSUER.replace(/\/$/, ''),
+      acceptedIssuers: null,
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+      scopes: process.env.OIDC_SCOPES || 'openid email profile'
+    });
+  }
+
+  return providers;
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+class OidcClient {
+  constructor() {
+    this.providers = new Map(providersFromEnv().map(provider => [provider.id, provider]));
+    this.discovery = new Map();
+    this.jwks = new Map();
+  }
+
+  listProviders() {
+    return [...this.providers.values()].map(({ id, name }) => ({ id, name }));
+  }
+
+  getProvider(id) {
+    return this.providers.get(id) || null;
+  }
+
+  redirectUri(provider) {
+    return `${BASE_URL}/api/auth/oidc/${provider.id}/callback`;
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(body.error_description || body.error || `HTTP ${response.status} em ${url}`);
+    }
+    return body;
+  }
+
+  async discover(provider) {
+    const cached = this.discovery.get(provider.id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.config;
+    }
+
+    const config = await this.fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (!config.authorization_endpoint || !config.token_endpoint || !config.jwks_uri) {
+      throw new Error(`Configuração OIDC incompleta em ${provider.issuer}`);
+    }
+
+    this.discovery.set(provider.id, { config, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+    return config;
+  }
+
+  // state e nonce vão na URL; o code_verifier fica guardado e só o desafio (S256) sai.
+  // binding vai num cookie do navegador que iniciou o login (contra login CSRF)
+  createFlow() {
+    const codeVerifier = randomToken(48);
+    const binding = randomToken();
+    return {
+      state: randomToken(),
+      nonce: randomToken(),
+      codeVerifier,
+      codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      binding,
+      bindingHash: this.bindingHash(binding)
+    };
+  }
+
+  bindingHash(binding) {
+    return crypto.createHash('sha256').update(`oauth-binding:${binding || ''}`).digest('hex');
+  }
+
+  async authorizationUrl(provider, { state, nonce, codeChallenge }) {
+    const config = await this.discover(provider);
+    const url = new URL(config.authorization_endpoint);
+
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: this.redirectUri(provider),
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      prompt: 'select_account'
+    }).toString();
+
+    return url.toString();
+  }
+
+  async getSigningKey(provider, kid) {
+    const config = await this.discover(provider);
+
+    const findKey = keys => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+    let keys = this.jwks.get(provider.id);
+    let jwk = keys ? findKey(keys) : null;
+
+    // kid desconhecido: o emissor pode ter trocado as chaves
+    if (!jwk) {
+      keys = (await this.fetchJson(config.jwks_uri)).keys || [];
+      this.jwks.set(provider.id, keys);
+      jwk = findKey(keys);
+    }
+
+    if (!jwk) {
+      throw new Error('Chave de assinatura do provedor não encontrada');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async verifyIdToken(provider, idToken, nonce) {
+    const config = await this.discover(provider);
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded || !decoded.header) {
+      throw new Error('id_token inválido');
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.acceptedIssuers || config.issuer,
+      audience: provider.clientId
+    });
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+      throw new Error('nonce do id_token não confere');
+    }
+
+    return claims;
+  }
+
+  // Troca o code pelo id_token e devolve a identidade verificada:
+  // { subject, email, emailVerified, name }
+  async authenticate(provider, { code, codeVerifier, nonce }) {
+    const config = await this.discover(provider);
+
+    const tokens = await this.fetchJson(config.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.redirectUri(provider),
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        code_verifier: codeVerifier
+      }).toString()
+    });
+
+    if (!tokens.id_token) {
+      throw new Error('O provedor não devolveu id_token');
+    }
+
+    const claims = await this.verifyIdToken(provider, tokens.id_token, nonce);
+    return {
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+    };
+  }
+}
+
+let instance = null;
+
+function getOidcClient() {
+  if (!instance) {
+    instance = new OidcClient();
+  }
+  return instance;
+}
+
+module.exports = {
+  getOidcClient,
+  OidcClient
+};
@@ -0,0 +1,211 @@
+require('dotenv').config();
+
+const net = require('net');
+const {
+  hashMessage,
+  listRateLimitPolicies,
+  countRateLimitHits,
+  recordRateLimitHits
+} = require('./database');
+
+// Políticas padrão. São a semente da tabela rate_limit_policies (migração 018) e o
+// fallback quando o banco não está disponível.
+//
+// scope 'ip': IP do cliente; 'user': remetente; 'user_recipient': remetente→destinatário;
+// 'phone': telefone informado na requisição (pedidos de código); 'email': idem, para links
+// maxAccountAgeHours: a política só vale para contas mais novas que isso
+const DEFAULT_RATE_LIMIT_POLICIES = [
+  { name: 'send_recipient', scope: 'user_recipient', maxHits: 20, windowSeconds: 60 * 60, message: 'Limite de mensagens para este número atingido. Aguarde antes de enviar novamente.' },
+  { name: 'send_user_daily', scope: 'user', maxHits: 100, windowSeconds: 24 * 60 * 60, message: 'Limite diário de mensagens da sua conta atingido. Tente novamente amanhã.' },
+  { name: 'send_new_account', scope: 'user', maxHits: 10, windowSeconds: 24 * 60 * 60, maxAccountAgeHours: 24, message: 'Contas criadas há menos de 24 horas podem enviar poucas mensagens por dia. Tente novamente mais tarde.' },
+  { name: 'send_ip', scope: 'ip', maxHits: 60, windowSeconds: 60 * 60, message: 'Muitas mensagens enviadas desta rede. Aguarde antes de enviar novamente.' },
+  { name: 'login_ip', scope: 'ip', maxHits: 10, windowSeconds: 15 * 60, message: 'Muitas tentativas de login. Aguarde alguns minutos e tente novamente.' },
+  { name: 'phone_code_ip', scope: 'ip', maxHits: 10, windowSeconds: 60 * 60, message: 'Muitas solicitações de código desta rede. Aguarde antes de tentar novamente.' },
+  { name: 'phone_code_phone', scope: 'phone', maxHits: 5, windowSeconds: 60 * 60, message: 'Muitas solicitações de código para este telefone. Aguarde antes de tentar novamente.' },
+  { name: 'passwordless_ip', scope: 'ip', maxHits: 10, windowSeconds: 60 * 60, message: 'Muitos pedidos de acesso sem senha desta rede. Aguarde antes de tentar novamente.' },
+  { name: 'passwordless_email', scope: 'email', maxHits: 5, windowSeconds: 60 * 60, message: 'Muitos links de acesso pedidos para este email. Aguarde antes de tentar novamente.' },
+  { name: 'report_ip', scope: 'ip', maxHits: 10, windowSeconds: 60 * 60, message: 'Muitas denúncias enviadas desta rede. Aguarde antes de tentar novamente.' }
+].map(policy => ({ maxAccountAgeHours: null, enabled: true, ...policy }));
+
+// Hits antigos são apagados pela limpeza diária depois de dois dias
+const MAX_WINDOW_SECONDS = 2 * 24 * 60 * 60;
+
+function policyFromRow(row) {
+  return {
+    name: row.name,
+    scope: row.scope,
+    maxHits: row.max_hits,
+    windowSeconds: row.window_seconds,
+    maxAccountAgeHours: row.max_account_age_hours,
+    message: row.message,
+    enabled: row.enabled
+  };
+}
+
+// subjects.ip já vem do proxy confiável (req.ip). IPv4 mapeado em IPv6 vira IPv4 e um IPv6
+// conta pela /64, já que cada cliente costuma receber a faixa inteira para trocar de endereço
+function ipSubject(ip) {
+  const address = String(ip).replace(/^::ffff:(?=\d+\.)/i, '');
+  if (!net.isIPv6(address)) return address;
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return `${groups.slice(0, 4).map(group => parseInt(group, 16).toString(16)).join(':')}::/64`;
+}
+
+function subjectKey(scope, subjects) {
+  switch (scope) {
+    case 'ip':
+      return subjects.ip && subjects.ip !== 'unknown' ? `ip:${ipSubject(subjects.ip)}` : null;
+    case 'user':
+      return subjects.userId ? `user:${subjects.userId}` : null;
+    case 'user_recipient':
+      return subjects.userId && subjects.phone ? `user:${subjects.userId}:${String(subjects.phone).replace(/\D/g, '')}` : null;
+    case 'phone':
+      return subjects.phone ? `phone:${String(subjects.phone).replace(/\D/g, '')}` : null;
+    case 'email':
+      return subjects.email ? `email:${String(subjects.email).trim().toLowerCase()}` : null;
+    default:
+      return null;
+  }
+}
+
+// Janela deslizante contada no banco (rate_limit_hits): vale entre deploys e instâncias.
+// Se o banco falhar a requisição passa — limite fora do ar não pode derrubar login e envio.
+class RateLimiter {
+  constructor() {
+    this.policies = null;
+    this.policiesLoadedAt = 0;
+    this.policiesTtl = 60 * 1000;
+    this.policiesSource = null;
+  }
+
+  async getPolicies() {
+    if (this.policies && Date.now() - this.policiesLoadedAt < this.policiesTtl) {
+      return this.policies;
+    }
+
+    try {
+      const rows = await listRateLimitPolicies();
+      const stored = new Map(rows.map(row => [row.name, policyFromRow(row)]));
+      // Política nova no código e ainda ausente do banco usa o padrão
+      this.policies = DEFAULT_RATE_LIMIT_POLICIES.map(policy => stored.get(policy.name) || policy);
+      this.policiesSource = 'database';
+    } catch (error) {
+      console.error('[RateLimit] Erro ao carregar políticas, usando padrão:', error.message);
+      if (!this.policies) {
+        this.policies = DEFAULT_RATE_LIMIT_POLICIES;
+        this.policiesSource = 'default';
+      }
+    }
+
+    this.policiesLoadedAt = Date.now();
+    return this.policies;
+  }
+
+  invalidatePolicies() {
+    this.policiesLoadedAt = 0;
+  }
+
+  // Políticas que valem para estes sujeitos, com a chave já em hash
+  async resolve(policyNames, subjects) {
+    const policies = await this.getPolicies();
+    const resolved = [];
+
+    for (const name of policyNames) {
+      const policy = policies.find(p => p.name === name);
+      if (!policy || !policy.enabled) continue;
+
+      // getAccountCreatedAt só é chamado (e só busca o usuário) se alguma política depende da idade
+      if (policy.maxAccountAgeHours) {
+        const createdAt = subjects.getAccountCreatedAt ? await subjects.getAccountCreatedAt() : null;
+        if (!createdAt) continue;
+        const ageHours = (Date.now() - new Date(createdAt).getTime()) / (60 * 60 * 1000);
+        if (ageHours >= policy.maxAccountAgeHours) continue;
+      }
+
+      const key = subjectKey(policy.scope, subjects);
+      if (!key) continue;
+
+      resolved.push({ policy, subjectHash: hashMessage(key) });
+    }
+
+    return resolved;
+  }
+
+  // { allowed, policy, message, retryAfter, limit, remaining } da política mais restritiva
+  async check(policyNames, subjects) {
+    let resolved;
+    try {
+      resolved = await this.resolve(policyNames, subjects);
+    } catch (error) {
+      console.error('[RateLimit] Erro ao resolver políticas:', error.message);
+      return { allowed: true, resolved: [] };
+    }
+
+    let denied = null;
+    let remaining = null;
+
+    for (const { policy, subjectHash } of resolved) {
+      try {
+        const { count, oldest } = await countRateLimitHits(policy.name, subjectHash, policy.windowSeconds);
+
+        if (count >= policy.maxHits) {
+          const retryAfter = oldest
+            ? Math.max(1, Math.ceil((oldest.getTime() + policy.windowSeconds * 1000 - Date.now()) / 1000))
+            : policy.windowSeconds;
+
+          if (!denied || retryAfter > denied.retryAfter) {
+            denied = { allowed: false, policy: policy.name, message: policy.message, retryAfter, limit: policy.maxHits, remaining: 0 };
+          }
+        } else if (remaining === null || policy.maxHits - count < remaining) {
+          remaining = policy.maxHits - count;
+        }
+      } catch (error) {
+        console.error(`[RateLimit] Erro ao contar ${policy.name}:`, error.message);
+      }
+    }
+
+    return denied || { allowed: true, remaining, resolved };
+  }
+
+  async hit(resolved) {
+    if (!resolved || resolved.length === 0) return;
+
+    try {
+      await recordRateLimitHits(resolved.map(({ policy, subjectHash }) => ({ policy: policy.name, subjectHash })));
+    } catch (error) {
+      console.error('[RateLimit] Erro ao registrar requisição:', error.message);
+    }
+  }
+
+  // Confere todas as políticas e, se nenhuma estourou, conta a requisição em todas
+  async consume(policyNames, subjects) {
+    const result = await this.check(policyNames, subjects);
+    if (result.allowed) {
+      await this.hit(result.resolved);
+    }
+    return result;
+  }
+}
+
+let instance = null;
+
+function getRateLimiter() {
+  if (!instance) {
+    instance = new RateLimiter();
+  }
+  return instance;
+}
+
+module.exports = {
+  getRateLimiter,
+  RateLimiter,
+  DEFAULT_RATE_LIMIT_POLICIES,
+  MAX_WINDOW_SECONDS
+};
@@ -0,0 +1,231 @@
+require('dotenv').config();
+
+const {
+  reserveCredit,
+  releaseCredit,
+  enqueueMessageJob,
+  transitionMessageJob,
+  getHeldMessage,
+  logModerationEvent,
+  createNotification,
+  isBlocked,
+  isRecipientOptedOut,
+  getUserById
+} = require('./database');
+const { getMessageQueue } = require('./message-queue');
+const { getStrikeService } = require('./strike-service');
+
+const HELD_MESSAGE = 'Sua mensagem foi retida para revisão da nossa equipe antes do envio. O crédito fica reservado e será devolvido se ela não for aprovada.';
+
+// Mensagens com veredito "review" da moderação: ficam na fila com status 'held' e
+// crédito reservado até um admin aprovar (segue pelo envio normal) ou rejeitar (estorno)
+class ReviewQueue {
+  constructor() {
+    this.io = null;
+    this.messageQueue = getMessageQueue();
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+
+  // creditReservationId: reserva já feita pela rota (áudio reserva antes de transcrever)
+  async hold({ userId, type = 'text', phone, payload, trackingCode, scheduledFor = null, creditReservationId = null, moderation }) {
+    const reservationId = creditReservationId || await reserveCredit(userId, 'whatsapp');
+
+    let job;
+    try {
+      job = await enqueueMessageJob({
+        userId,
+        type,
+        phone,
+        payload,
+        trackingCode,
+        scheduledFor,
+        creditReservationId: reservationId,
+        review: {
+          reason: moderation.reason,
+          category: moderation.category,
+          riskScore: moderation.riskScore
+        }
+      });
+    } catch (enqueueError) {
+      await releaseCredit(reservationId, 'enqueue_failed');
+      throw enqueueError;
+    }
+
+    console.log(`[Review] Job ${job.id} retido para revisão (${moderation.category || 'sem categoria'})`);
+    await this.notifyHeld(userId, job, phone);
+    return job;
+  }
+
+  // Agendamento já existente que caiu em revisão (edição ou liberação no horário)
+  async holdExisting(job, moderation, updates = {}) {
+    const held = await transitionMessageJob(job.id, job.status, {
+      ...updates,
+      status: 'held',
+      moderation_category: moderation.category || null,
+      review_reason: moderation.reason || null,
+      review_risk_score: moderation.riskScore || 0
+    });
+
+    if (!held) return null;
+
+    await this.notifyHeld(job.user_id, held, held.phone);
+    return held;
+  }
+
+  async notifyHeld(userId, job, phone) {
+    await createNotification(userId, 'review', 'Mensagem em revisão', HELD_MESSAGE, phone);
+    this.emitUpdate(userId, { jobId: job.id, status: 'held', trackingCode: job.tracking_code, message: HELD_MESSAGE });
+  }
+
+
+  async approve(jobId, adminUser, note = null) {
+    const job = await getHeldMessage(jobId);
+    if (!job) return { success: false, error: 'Mensagem não está aguardando revisão' };
+
+    // Agendamentos voltam para o agendador (que monta o texto e revalida bloqueio/opt-out,
+    // sem repetir a moderação); envios imediatos vão direto para a fila
+    const scheduled = !!job.scheduled_for;
+
+    // A revisão pode levar horas: o envio imediato revalida aqui o que o agendador
+    // revalidaria no horário
+    if (!scheduled) {
+      const cancellation = await this.checkDelivery(job);
+      if (cancellation) {
+        return this.cancelApproved(job, adminUser, note, cancellation);
+      }
+    }
+
+    // reviewedMessage prende a aprovação ao texto visto pelo admin: se o agendamento for
+    // editado depois, o agendador modera de novo no horário
+    const approved = await transitionMessageJob(job.id, 'held', {
+      status: scheduled ? 'scheduled' : 'queued',
+      payload: scheduled ? { ...job.payload, reviewedMessage: job.payload?.message || '' } : job.payload,
+      review_decision: 'approved',
+      review_note: note,
+      reviewed_by: adminUser,
+      reviewed_at: new Date().toISOString(),
+      next_attempt_at: scheduled ? job.scheduled_for : new Date().toISOString()
+    });
+    if (!approved) return { success: false, error: 'Mensagem já foi revisada' };
+
+    console.log(`[Review] Job ${job.id} aprovado por ${adminUser}`);
+
+    const message = scheduled && new Date(job.scheduled_for) > new Date()
+      ? 'Sua mensagem foi aprovada pela revisão e será enviada no horário agendado.'
+      : 'Sua mensagem foi aprovada pela revisão e está sendo enviada.';
+    await createNotification(job.user_id, 'review', 'Mensagem aprovada', message, job.phone);
+    this.emitUpdate(job.user_id, { jobId: job.id, status: approved.status, trackingCode: job.tracking_code, message });
+
+    if (!scheduled) {
+      setImmediate(() => this.messageQueue.tick());
+    }
+
+    return { success: true, job: approved };
+  }
+
+  // Mesmas checagens de MessageScheduler.release. A conta só limitada por hora passa: a
+  // mensagem já foi contada no limite quando chegou. null = pode enviar
+  async checkDelivery(job) {
+    const sender = await getUserById(job.user_id);
+    const standing = await getStrikeService().checkCanSend(sender);
+    if (!standing.allowed && standing.status !== 'throttled') {
+      const account = standing.status === 'banned' ? 'Sua conta foi banida.' : 'Sua conta está suspensa.';
+      return { category: `sender_${standing.status}`, message: `${account} A mensagem aprovada na revisão não foi enviada e o crédito foi devolvido.` };
+    }
+
+    if (await isBlocked(job.phone, job.user_id)) {
+      return { category: 'blocked_by_recipient', message: 'O destinatário bloqueou você. A mensagem aprovada na revisão não foi enviada e o crédito foi devolvido.' };
+    }
+
+    if (await isRecipientOptedOut(job.phone)) {
+      return { category: 'recipient_opted_out', message: 'O destinatário optou por não receber mensagens anônimas. A mensagem aprovada na revisão não foi enviada e o crédito foi devolvido.' };
+    }
+
+    return null;
+  }
+
+  // Aprovada, mas não pode mais ser enviada: fecha a revisão e devolve o crédito
+  async cancelApproved(job, adminUser, note, { category, message }) {
+    const { audioBase64, mediaBase64, ...storedPayload } = job.payload || {};
+
+    const canceled = await transitionMessageJob(job.id, 'held', {
+      status: 'blocked',
+      payload: storedPayload,
+      moderation_category: category,
+      review_decision: 'approved',
+      review_note: note,
+      reviewed_by: adminUser,
+      reviewed_at: new Date().toISOString(),
+      last_error: message
+    });
+    if (!canceled) return { success: false, error: 'Mensagem já foi revisada' };
+
+    console.log(`[Review] Job ${job.id} aprovado por ${adminUser}, mas cancelado (${category})`);
+
+    await this.messageQueue.refundReservedCredit(job, message, category);
+    this.emitUpdate(job.user_id, { jobId: job.id, status: 'blocked', trackingCode: job.tracking_code, message });
+
+    return { success: true, job: canceled };
+  }
+
+  async reject(jobId, adminUser, note = null) {
+    const job = await getHeldMessage(jobId);
+    if (!job) return { success: false, error: 'Mensagem não está aguardando revisão' };
+
+    const { audioBase64, mediaBase64, ...storedPayload } = job.payload || {};
+
+    const rejected = await transitionMessageJob(job.id, 'held', {
+      status: 'blocked',
+      payload: storedPayload,
+      review_decision: 'rejected',
+      review_note: note,
+      reviewed_by: adminUser,
+      reviewed_at: new Date().toISOString(),
+      last_error: 'Rejeitada na revisão da moderação'
+    });
+    if (!rejected) return { success: false, error: 'Mensagem já foi revisada' };
+
+    console.log(`[Review] Job ${job.id} rejeitado por ${adminUser}`);
+
+    // Conta como bloqueio da moderação (e gera strike) como qualquer outro
+    await logModerationEvent({
+      userId: job.user_id,
+      message: job.payload?.message || '',
+      action: 'blocked',
+      category: job.moderation_category || 'review_rejected',
+      riskScore: job.review_risk_score || 0,
+      targetPhone: job.phone,
+      channel: 'whatsapp'
+    });
+
+    const message = 'Sua mensagem foi rejeitada pela revisão da nossa equipe e não foi enviada. O crédito foi devolvido.';
+    await this.messageQueue.refundReservedCredit(job, message, 'review_rejected');
+    this.emitUpdate(job.user_id, { jobId: job.id, status: 'blocked', trackingCode: job.tracking_code, message });
+
+    return { success: true, job: rejected };
+  }
+
+
+  emitUpdate(userId, data) {
+    if (!this.io || !userId) return;
+    this.io.to(`user:${userId.toString()}`).emit('message-review:update', data);
+  }
+}
+
+let instance = null;
+
+function getReviewQueue() {
+  if (!instance) {
+    instance = new ReviewQueue();
+  }
+  return instance;
+}
+
+module.exports = {
+  getReviewQueue,
+  ReviewQueue
+};
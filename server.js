@@ -11,6 +11,10 @@ const bcrypt = require('bcrypt');
 const app = express();
 const server = http.createServer(app);
 
+// Proxies na frente do app (o do Fly.io é um). req.ip vem do X-Forwarded-For contando
+// só esses saltos da direita; o valor mais à esquerda é do cliente e não serve para limites
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1', 10));
+
 const allowedOrigins = [
   'https://zapanonimo.com',
   'https://www.zapanonimo.com',
@@ -89,7 +93,7 @@ io.on('connection', (socket) => {
 
 
   socket.on('admin:subscribe', () => {
-    whatsappService.subscribeAdmin(socket.id);
+    whatsappPool.subscribeAdmin(socket.id);
     socket.isAdmin = true;
 
     socket.emit('online:stats', getOnlineStats());
@@ -104,7 +108,7 @@ io.on('connection', (socket) => {
       onlineStats.authenticatedUsers.delete(socket.userId);
     }
     if (socket.isAdmin) {
-      whatsappService.unsubscribeAdmin(socket.id);
+      whatsappPool.unsubscribeAdmin(socket.id);
     }
 
     onlineStats.lastUpdate = new Date();
@@ -112,13 +116,18 @@ io.on('connection', (socket) => {
   });
 });
 
-function emitNewReply(userId, reply) {
-  const userIdStr = userId.toString();
- 
-  io.to(`user:${userIdStr}`).emit('new-reply', reply);
-}
-
-const { authMiddleware, generateToken } = require('./auth');
+const {
+  authMiddleware,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  forgetUserSessions,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createOidcLinkTicket,
+  verifyOidcLinkTicket
+} = require('./auth');
 const {
   createUser,
   getUserByEmail,
@@ -133,21 +142,27 @@ const {
   getUserMessages,
   getUserReplies,
   saveReply,
-  findMessageByPhone,
-  saveReplyFromWebhook,
   createVerificationToken,
   verifyEmailToken,
   isEmailVerified,
   createPasswordResetToken,
   resetPassword,
-  generateTrackingCode,
+  reserveTrackingCode,
+  hashMessage,
   createPhoneVerificationCode,
   verifyPhoneCode,
+  createLoginLinkToken,
+  consumeLoginLinkToken,
+  createLoginCode,
+  verifyLoginCode,
   isPhoneVerified,
   createPasswordResetCodeByPhone,
   resetPasswordByPhone,
   logModerationEvent,
   deleteUserData,
+  saveToLegalRetention,
+  findMessageByTrackingCode,
+  extractTrackingCode,
   exportUserData,
   scheduleDataCleanup,
   getFavorites,
@@ -161,9 +176,27 @@ const {
   logAccess,
   getAccessStats,
   getRecentAccesses,
-  blockUser,
-  unblockUser,
   isBlocked,
+  isRecipientOptedOut,
+  addRecipientOptOut,
+  removeRecipientOptOut,
+  listRecipientOptOuts,
+  getRecipientOptOutStats,
+  deleteRecipientOptOut,
+  createAbuseReport,
+  listAbuseReports,
+  getAbuseReport,
+  claimAbuseReport,
+  reopenAbuseReport,
+  recordAbuseReportAction,
+  suspendUser,
+  setUserSuspension,
+  liftUserSuspension,
+  listModerationRules,
+  createModerationRule,
+  updateModerationRule,
+  deleteModerationRule,
+  listHeldMessages,
   getBlockedByUser,
   getPendingBlockNotifications,
   markBlockAsNotified,
@@ -171,17 +204,51 @@ const {
   getUserNotifications,
   getUnreadNotificationsCount,
   markNotificationAsRead,
-  markAllNotificationsAsRead
+  markAllNotificationsAsRead,
+  getMessageJob,
+  enqueueMessageJob,
+  getScheduledMessages,
+  getScheduledMessage,
+  transitionMessageJob,
+  releaseMessageJobCredit,
+  reserveCredit,
+  releaseCredit,
+  getUserThreads,
+  getThread,
+  updateRateLimitPolicy,
+  getUserSecurityEvents,
+  listUserSessions,
+  setUserTokensValidAfter,
+  logSecurityEvent,
+  getUserTwoFactor,
+  countRecoveryCodes,
+  getAdminUserById,
+  listAdminUsers,
+  countActiveSuperadmins,
+  createAdminUser,
+  updateAdminUser,
+  claimAdminTwoFactorStep,
+  logAdminAudit,
+  getAdminAuditLog,
+  createOAuthState,
+  getPendingOAuthState,
+  storeOAuthIdentity,
+  getOAuthResult,
+  claimOAuthResult,
+  getUserIdentity,
+  listUserIdentities,
+  linkUserIdentity,
+  touchUserIdentity,
+  unlinkUserIdentity,
+  createUserFromIdentity,
+  claimUnverifiedAccount,
+  MAX_CODE_ATTEMPTS
 } = require('./database');
 
 
 function getClientInfo(req) {
   return {
-    ipAddress: req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-               req.headers['x-real-ip'] ||
-               req.socket?.remoteAddress ||
-               req.ip ||
-               'unknown',
+    ipAddress: req.ip || req.socket?.remoteAddress || 'unknown',
     userAgent: req.headers['user-agent'] || 'unknown'
   };
 }
@@ -190,6 +257,7 @@ const {
   resendVerificationEmail,
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendLoginLinkEmail,
   sendContactEmail
 } = require('./email-service');
 const {
@@ -205,13 +273,26 @@ const {
   isPaymentApproved: isStripePaymentApproved,
   constructWebhookEvent
 } = require('./stripe-payment');
-const { getWhatsAppService } = require('./whatsapp-service');
+const { getWhatsAppPool } = require('./whatsapp-pool');
+const { getMessageQueue, buildAnonymousMessage } = require('./message-queue');
+const { getInboundPipeline } = require('./inbound-pipeline');
+const { getMessageScheduler } = require('./message-scheduler');
+const { getStrikeService } = require('./strike-service');
+const { getReviewQueue } = require('./review-queue');
+const { getRateLimiter, MAX_WINDOW_SECONDS } = require('./rate-limiter');
+const { getAuthGuard } = require('./auth-guard');
+const { getTwoFactor, matchTotp } = require('./two-factor');
+const { getAdminAuth, ADMIN_ROLES, permissionsFor, hasPermission } = require('./admin-auth');
+const { getOidcClient } = require('./oidc');
 
 const { getModerationService } = require('./moderation-service');
+const { getMediaModeration } = require('./media-moderation');
+const { uploadMedia } = require('./supabase-store');
 
 
-app.use(express.json({ limit: '20mb' }));
-app.use(express.urlencoded({ limit: '20mb', extended: true }));
+// Áudio e vídeo chegam em base64 (16MB de arquivo ≈ 21MB de JSON)
+app.use(express.json({ limit: '25mb' }));
+app.use(express.urlencoded({ limit: '25mb', extended: true }));
 app.use(session({
   secret: process.env.SESSION_SECRET || 'sua-chave-secreta-de-sessao',
   resave: false,
@@ -224,26 +305,261 @@ app.use(session({
   }
 }));
 
-const whatsappService = getWhatsAppService();
+const whatsappPool = getWhatsAppPool();
 const moderationService = getModerationService();
+const messageQueue = getMessageQueue();
+const inboundPipeline = getInboundPipeline();
+const messageScheduler = getMessageScheduler();
+const strikeService = getStrikeService();
+const reviewQueue = getReviewQueue();
+const rateLimiter = getRateLimiter();
+const authGuard = getAuthGuard();
+const twoFactor = getTwoFactor();
+const adminAuth = getAdminAuth();
+const oidc = getOidcClient();
+
+
+whatsappPool.setSocketIO(io);
+inboundPipeline.setSocketIO(io);
+messageQueue.setSocketIO(io);
+messageScheduler.setSocketIO(io);
+strikeService.setSocketIO(io);
+reviewQueue.setSocketIO(io);
+
+
+whatsappPool.initialize().catch(err => {
+  console.error('[Server] Erro ao iniciar pool de WhatsApp:', err);
+});
 
 
-whatsappService.setSocketIO(io);
+messageQueue.start().catch(err => {
+  console.error('[Server] Erro ao iniciar fila de envio:', err);
+});
+messageScheduler.start();
+
 
+// Contas suspensas, banidas ou limitadas por strikes continuam acessando o painel,
+// mas não podem enviar mensagens
+async function requireActiveAccount(req, res, next) {
+  try {
+    const user = await getUserById(req.userId);
+    const standing = await strikeService.checkCanSend(user);
 
-whatsappService.loadStats().then(() => {
+    if (standing.status === 'throttled' && !standing.allowed) {
+      res.set('Retry-After', String(standing.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: standing.error,
+        throttled: true,
+        retryAfter: standing.retryAfter
+      });
+    }
 
-  whatsappService.initialize();
-}).catch(err => {
-  console.error('[Server] Erro ao carregar stats:', err);
-  whatsappService.initialize();
-});
+    if (!standing.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: standing.error,
+        suspended: true,
+        banned: standing.status === 'banned',
+        suspendedUntil: standing.suspendedUntil || null
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+
+// Cota por conta, por IP e de contas novas; o limite por destinatário fica na moderação
+const SEND_RATE_LIMITS = ['send_user_daily', 'send_new_account', 'send_ip'];
+
+// Limites persistentes (rate-limiter.js): responde 429 com Retry-After quando alguma
+// das políticas estourou; senão conta a requisição em todas elas
+function rateLimit(...policyNames) {
+  return async (req, res, next) => {
+    try {
+      if (await consumeRateLimit(req, res, policyNames)) {
+        next();
+      }
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// Para rotas que só contam em parte dos casos. false = já respondeu 429
+async function consumeRateLimit(req, res, policyNames) {
+  let accountCreatedAt;
+  const limit = await rateLimiter.consume(policyNames, {
+    ip: getClientInfo(req).ipAddress,
+    userId: req.userId || null,
+    phone: req.body?.phone || null,
+    email: req.body?.email || null,
+    getAccountCreatedAt: async () => {
+      if (accountCreatedAt === undefined) {
+        accountCreatedAt = req.userId ? (await getUserById(req.userId))?.created_at || null : null;
+      }
+      return accountCreatedAt;
+    }
+  });
+
+  if (!limit.allowed) {
+    res.set('Retry-After', String(limit.retryAfter));
+    res.status(429).json({
+      success: false,
+      error: limit.message,
+      rateLimited: true,
+      retryAfter: limit.retryAfter
+    });
+    return false;
+  }
+  return true;
+}
+
+// Força bruta (auth-guard.js): recusa com 429 enquanto o identificador ou o IP estiver
+// em espera progressiva ou bloqueado. As rotas registram falhas e sucessos.
+function bruteForceGuard(action, getIdentifier) {
+  return async (req, res, next) => {
+    try {
+      const check = await authGuard.check(action, {
+        identifier: getIdentifier(req),
+        ip: getClientInfo(req).ipAddress
+      });
+
+      if (!check.allowed) {
+        res.set('Retry-After', String(check.retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: check.error,
+          locked: !!check.locked,
+          retryAfter: check.retryAfter
+        });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+function authAttempt(req, identifier, extra = {}) {
+  const clientInfo = getClientInfo(req);
+  return { identifier, ip: clientInfo.ipAddress, userAgent: clientInfo.userAgent, ...extra };
+}
+
+function maskPhone(phone) {
+  return phone ? `•••• ${String(phone).slice(-4)}` : null;
+}
+
+// Código do segundo fator por WhatsApp, na mesma tabela dos códigos de verificação mas com
+// propósito próprio: só /api/login/2fa e as telas de 2FA aceitam esse código
+async function sendTwoFactorWhatsAppCode(userId, phone, name = '') {
+  const verificationCode = await createPhoneVerificationCode(userId, phone, 'two_factor');
+  const fullPhone = phone.startsWith('55') ? '+' + phone : '+55' + phone;
+  const firstName = name ? name.split(' ')[0] : '';
+  const message = `🔐 *Verificação em duas etapas Zap Anônimo*\n\nOlá${firstName ? ', ' + firstName : ''}!\n\nSeu código: *${verificationCode}*\n\n⏱️ Válido por 10 minutos.\n\n_Se não foi você quem tentou entrar, troque sua senha._`;
+  await whatsappPool.sendMessage(fullPhone, message);
+}
+
+// Confere o código do segundo fator com a proteção contra força bruta dos demais
+// códigos. Em caso de erro já responde e devolve null
+async function verifyTwoFactorCode(req, res, account, code, { identifier = null, allowRecovery = true } = {}) {
+  const attempt = authAttempt(req, identifier || account.email || account.phone, { userId: account.userId });
+
+  const check = await authGuard.check('code', attempt);
+  if (!check.allowed) {
+    res.set('Retry-After', String(check.retryAfter));
+    res.status(429).json({ success: false, error: check.error, locked: !!check.locked, retryAfter: check.retryAfter });
+    return null;
+  }
+
+  const result = await twoFactor.verify(account, code, { allowRecovery });
+  if (!result.valid) {
+    const failure = await authGuard.recordFailure('code', {
+      ...attempt,
+      reason: 'two_factor',
+      codeInvalidated: !!result.codeInvalidated
+    });
+    res.status(400).json({ success: false, error: result.error, retryAfter: failure.retryAfter || undefined });
+    return null;
+  }
+
+  await authGuard.recordSuccess('code', attempt);
+
+  if (result.usedRecovery) {
+    await logSecurityEvent({ userId: account.userId, eventType: 'recovery_code_used', ipAddress: attempt.ip, userAgent: attempt.userAgent });
+  }
+  return result;
+}
+
+// Credencial primária conferida (senha, link ou código de login): com 2FA ativo
+// devolve o desafio para /api/login/2fa, senão cria a sessão
+async function completeLogin(req, res, user, identifier) {
+  if (user.two_factor_method) {
+    if (user.two_factor_method === 'whatsapp') {
+      try {
+        await sendTwoFactorWhatsAppCode(user.id, user.phone, user.name);
+      } catch (whatsappError) {
+        return res.status(500).json({ success: false, error: 'Erro ao enviar codigo por WhatsApp' });
+      }
+    }
+
+    return res.json({
+      success: false,
+      twoFactorRequired: true,
+      method: user.two_factor_method,
+      phoneHint: user.two_factor_method === 'whatsapp' ? maskPhone(user.phone) : undefined,
+      challengeToken: createTwoFactorChallenge({ userId: user.id, method: user.two_factor_method, identifier }),
+      error: 'Informe o código de verificação em duas etapas'
+    });
+  }
+
+  const session = await createSession(user.id, getClientInfo(req));
+
+  res.json({
+    success: true,
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    user: {
+      id: user.id,
+      name: user.name || null,
+      email: user.email || null,
+      phone: user.phone || null,
+      whatsapp_credits: user.whatsapp_credits,
+      sms_credits: user.sms_credits
+    }
+  });
+}
+
+
+// Bloqueio da moderação; o limite por destinatário vira 429 com Retry-After
+function sendModerationBlocked(res, moderation) {
+  if (moderation.category === 'rate_limit_exceeded' && moderation.retryAfter) {
+    res.set('Retry-After', String(moderation.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: moderation.reason,
+      rateLimited: true,
+      retryAfter: moderation.retryAfter,
+      moderationCategory: moderation.category
+    });
+  }
+
+  return res.status(400).json({
+    success: false,
+    error: 'Mensagem bloqueada por conteúdo inadequado',
+    moderationReason: moderation.reason,
+    moderationCategory: moderation.category
+  });
+}
 
 
 const frontendPath = path.join(__dirname, './frontend');
 
 
-const cleanRoutes = ['admin', 'index', 'verify-email', 'reset-password', 'payment-success', 'payment-failure', 'payment-pending', 'payment-instructions', 'privacy', 'terms', 'fale-conosco'];
+const cleanRoutes = ['admin', 'index', 'verify-email', 'reset-password', 'payment-success', 'payment-failure', 'payment-pending', 'payment-instructions', 'privacy', 'terms', 'fale-conosco', 'opt-out', 'report'];
 
 cleanRoutes.forEach(route => {
   app.get(`/${route}`, (req, res) => {
@@ -303,7 +619,7 @@ app.post('/api/register', async (req, res) => {
 });
 
 
-app.post('/api/register-phone', async (req, res) => {
+app.post('/api/register-phone', rateLimit('phone_code_ip', 'phone_code_phone'), async (req, res) => {
   try {
     const { phone, password, name, cpf, acceptedTermsAt, termsVersion } = req.body;
 
@@ -344,7 +660,7 @@ app.post('/api/register-phone', async (req, res) => {
     const firstName = name ? name.trim().split(' ')[0] : '';
     try {
       const verificationMessage = `🔐 *Código de Verificação Zap Anônimo*\n\nOlá${firstName ? ', ' + firstName : ''}!\n\nSeu código: *${verificationCode}*\n\n⏱️ Válido por 10 minutos.\n\n_Não compartilhe este código com ninguém._`;
-      await whatsappService.sendMessage(fullPhone, verificationMessage);
+      await whatsappPool.sendMessage(fullPhone, verificationMessage);
     } catch (whatsappError) {
       console.error('[Register] Erro ao enviar WhatsApp:', whatsappError);
       return res.status(500).json({ success: false, error: 'Erro ao enviar codigo por WhatsApp. Tente novamente.' });
@@ -362,7 +678,7 @@ app.post('/api/register-phone', async (req, res) => {
 });
 
 
-app.post('/api/verify-phone', async (req, res) => {
+app.post('/api/verify-phone', rateLimit('phone_code_ip'), bruteForceGuard('code', req => req.body.phone), async (req, res) => {
   try {
     const { phone, code } = req.body;
 
@@ -371,32 +687,42 @@ app.post('/api/verify-phone', async (req, res) => {
     }
 
     const normalizedPhone = phone.replace(/\D/g, '');
-    const userId = await verifyPhoneCode(normalizedPhone, code);
 
- 
-    const user = await getUserById(userId);
-    const token = generateToken(user.id);
+    // Só confirma o cadastro: conta já verificada entra pelo login (e pelo 2FA, se ativo)
+    const pendingUser = await getUserByPhone(normalizedPhone);
+    if (!pendingUser || pendingUser.phone_verified) {
+      return res.status(400).json({ success: false, error: 'Codigo invalido ou telefone ja verificado' });
+    }
 
-    res.json({
-      success: true,
-      message: 'Telefone verificado com sucesso!',
-      token,
-      user: {
-        id: user.id,
-        name: user.name || null,
-        email: user.email,
-        phone: user.phone,
-        whatsapp_credits: user.whatsapp_credits,
-        sms_credits: user.sms_credits
+    let userId;
+    try {
+      userId = await verifyPhoneCode(normalizedPhone, code);
+    } catch (verifyError) {
+      if (verifyError.invalidCode) {
+        const attempt = await authGuard.recordFailure('code', authAttempt(req, normalizedPhone, {
+          userId: verifyError.userId,
+          reason: 'phone_verification',
+          codeInvalidated: verifyError.codeInvalidated
+        }));
+        return res.status(400).json({ success: false, error: verifyError.message, retryAfter: attempt.retryAfter || undefined });
       }
-    });
+      throw verifyError;
+    }
+    await authGuard.recordSuccess('code', authAttempt(req, normalizedPhone));
+
+    if (userId !== pendingUser.id) {
+      return res.status(400).json({ success: false, error: 'Codigo invalido ou telefone ja verificado' });
+    }
+
+    const user = await getUserById(userId);
+    await completeLogin(req, res, user, normalizedPhone);
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
 });
 
 
-app.post('/api/resend-phone-code', async (req, res) => {
+app.post('/api/resend-phone-code', rateLimit('phone_code_ip', 'phone_code_phone'), async (req, res) => {
   try {
     const { phone } = req.body;
 
@@ -423,7 +749,7 @@ app.post('/api/resend-phone-code', async (req, res) => {
     const firstName = user.name ? user.name.split(' ')[0] : '';
     try {
       const verificationMessage = `🔐 *Código de Verificação Zap Anônimo*\n\nOlá${firstName ? ', ' + firstName : ''}!\n\nSeu código: *${verificationCode}*\n\n⏱️ Válido por 10 minutos.\n\n_Não compartilhe este código com ninguém._`;
-      await whatsappService.sendMessage(fullPhone, verificationMessage);
+      await whatsappPool.sendMessage(fullPhone, verificationMessage);
     } catch (whatsappError) {
       return res.status(500).json({ success: false, error: 'Erro ao enviar codigo por WhatsApp' });
     }
@@ -438,7 +764,7 @@ app.post('/api/resend-phone-code', async (req, res) => {
 });
 
 
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', rateLimit('login_ip'), bruteForceGuard('login', req => req.body.email || req.body.phone), async (req, res) => {
   try {
     const { email, phone, password } = req.body;
     const identifier = email || phone;
@@ -456,15 +782,18 @@ app.post('/api/login', async (req, res) => {
       user = await getUserByEmail(email);
     }
 
-    if (!user) {
-      return res.status(401).json({ success: false, error: 'Credenciais incorretas' });
-    }
-
-    const isValid = await verifyPassword(password, user.password);
+    const isValid = user ? await verifyPassword(password, user.password) : false;
     if (!isValid) {
-      return res.status(401).json({ success: false, error: 'Credenciais incorretas' });
+      const attempt = await authGuard.recordFailure('login', authAttempt(req, identifier, {
+        userId: user ? user.id : null,
+        reason: user ? 'wrong_password' : 'unknown_account'
+      }));
+      return res.status(401).json({ success: false, error: 'Credenciais incorretas', retryAfter: attempt.retryAfter || undefined });
     }
 
+    // Com 2FA o login_success só é registrado depois do segundo fator
+    await authGuard.recordSuccess('login', authAttempt(req, identifier, { userId: user.two_factor_method ? null : user.id }));
+
    
     const isEmailUser = user.email && !user.phone;
     const isPhoneUser = user.phone && !user.email;
@@ -496,1512 +825,3872 @@ app.post('/api/login', async (req, res) => {
       });
     }
 
-    const token = generateToken(user.id);
-
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        name: user.name || null,
-        email: user.email || null,
-        phone: user.phone || null,
-        whatsapp_credits: user.whatsapp_credits,
-        sms_credits: user.sms_credits
-      }
-    });
+    await completeLogin(req, res, user, identifier);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/test-email', async (req, res) => {
+// Segundo passo do login: desafio de /api/login + código do app, do WhatsApp ou de recuperação
+app.post('/api/login/2fa', rateLimit('login_ip'), async (req, res) => {
   try {
-    const testEmail = req.query.email || 'teste@teste.com';
-    const testToken = 'teste-token-123456';
+    const { challengeToken, code } = req.body;
+    const challenge = verifyTwoFactorChallenge(challengeToken);
+    const account = challenge && !challenge.admin ? await getUserTwoFactor(challenge.userId) : null;
 
-    await sendVerificationEmail(testEmail, testToken);
+    if (!account || !account.method) {
+      return res.status(401).json({ success: false, error: 'Verificação expirada. Faça login novamente.', challengeExpired: true });
+    }
 
-    res.json({
-      success: true,
-      message: `Email de teste enviado para ${testEmail}`
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.toString()
-    });
-  }
-});
+    const result = await verifyTwoFactorCode(req, res, account, code, { identifier: challenge.identifier });
+    if (!result) return;
 
-app.get('/api/verify-email/:token', async (req, res) => {
-  try {
-    const { token } = req.params;
-    const userId = await verifyEmailToken(token);
-    const user = await getUserById(userId);
+    await authGuard.recordSuccess('login', authAttempt(req, challenge.identifier, { userId: account.userId }));
 
-    try {
-      await sendWelcomeEmail(user.email, user.name || '');
-    } catch (emailError) {}
+    const user = await getUserById(account.userId);
+    const session = await createSession(user.id, getClientInfo(req));
 
     res.json({
       success: true,
-      message: 'Email verificado com sucesso! Você já pode fazer login.'
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      usedRecoveryCode: !!result.usedRecovery,
+      recoveryCodesLeft: result.usedRecovery ? await countRecoveryCodes(user.id) : undefined,
+      user: {
+        id: user.id,
+        name: user.name || null,
+        email: user.email || null,
+        phone: user.phone || null,
+        whatsapp_credits: user.whatsapp_credits,
+        sms_credits: user.sms_credits
+      }
     });
   } catch (error) {
-    res.status(400).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/resend-verification', async (req, res) => {
+app.post('/api/login/2fa/resend', rateLimit('phone_code_ip'), async (req, res) => {
   try {
-    const { email } = req.body;
+    const challenge = verifyTwoFactorChallenge(req.body.challengeToken);
+    const account = challenge && !challenge.admin ? await getUserTwoFactor(challenge.userId) : null;
 
-    if (!email) {
-      return res.status(400).json({ success: false, error: 'Email é obrigatório' });
+    if (!account || !account.method) {
+      return res.status(401).json({ success: false, error: 'Verificação expirada. Faça login novamente.', challengeExpired: true });
     }
 
-    const user = await getUserByEmail(email);
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+    if (account.method !== 'whatsapp') {
+      return res.status(400).json({ success: false, error: 'Use o código do seu app autenticador' });
     }
 
-    if (user.email_verified) {
-      return res.status(400).json({ success: false, error: 'Email já verificado' });
+    try {
+      await sendTwoFactorWhatsAppCode(account.userId, account.phone);
+    } catch (whatsappError) {
+      return res.status(500).json({ success: false, error: 'Erro ao enviar codigo por WhatsApp' });
     }
 
-    const verificationToken = await createVerificationToken(user.id);
-    await resendVerificationEmail(email, verificationToken, user.name || '');
-
-    res.json({
-      success: true,
-      message: 'Email de verificação reenviado! Verifique sua caixa de entrada.'
-    });
+    res.json({ success: true, message: 'Codigo reenviado! Verifique seu WhatsApp.' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/forgot-password', async (req, res) => {
+// Login sem senha: link de acesso por email ou código de 6 dígitos pelo WhatsApp.
+// A resposta não revela se a conta existe
+app.post('/api/login/passwordless', rateLimit('passwordless_ip', 'passwordless_email', 'phone_code_phone'), async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, phone } = req.body;
 
-    if (!email) {
-      return res.status(400).json({ success: false, error: 'Email é obrigatório' });
+    if (!email && !phone) {
+      return res.status(400).json({ success: false, error: 'Email ou telefone é obrigatório' });
     }
 
-    const user = await getUserByEmail(email);
-    if (!user) {
+    const clientInfo = getClientInfo(req);
+
+    if (email) {
+      const user = await getUserByEmail(email.trim());
+
+      if (user) {
+        const { token: loginToken, expiresMinutes } = await createLoginLinkToken(user.id, clientInfo);
+        try {
+          await sendLoginLinkEmail(user.email, loginToken, user.name || '', expiresMinutes);
+        } catch (emailError) {
+          console.error('[Auth] Erro ao enviar link de acesso:', emailError.message);
+          return res.status(500).json({ success: false, error: 'Erro ao enviar email com o link de acesso' });
+        }
+      }
+
       return res.json({
         success: true,
-        message: 'Se o email existir, você receberá um link de recuperação.'
+        channel: 'email',
+        message: 'Se o email estiver cadastrado, você receberá um link de acesso.'
       });
     }
 
-    const resetToken = await createPasswordResetToken(user.id);
+    const normalizedPhone = phone.replace(/\D/g, '');
+    const user = await getUserByPhone(normalizedPhone);
 
-    try {
-      await sendPasswordResetEmail(email, resetToken);
-    } catch (emailError) {
-      return res.status(500).json({ success: false, error: 'Erro ao enviar email de recuperação' });
+    if (user) {
+      const { code, expiresMinutes } = await createLoginCode(user.id, clientInfo);
+      const fullPhone = normalizedPhone.startsWith('55') ? '+' + normalizedPhone : '+55' + normalizedPhone;
+      const firstName = user.name ? user.name.split(' ')[0] : '';
+      try {
+        await whatsappPool.sendMessage(
+          fullPhone,
+          `🔑 *Acesso ao Zap Anônimo*\n\nOlá${firstName ? ', ' + firstName : ''}!\n\nSeu código de login: *${code}*\n\n⏱️ Válido por ${expiresMinutes} minutos.\n\n_Não compartilhe este código com ninguém. Se não foi você, ignore esta mensagem._`
+        );
+      } catch (whatsappError) {
+        console.error('[Auth] Erro ao enviar código de login:', whatsappError.message);
+        return res.status(500).json({ success: false, error: 'Erro ao enviar codigo por WhatsApp' });
+      }
     }
 
     res.json({
       success: true,
-      message: 'Link de recuperação enviado! Verifique seu email.'
+      channel: 'whatsapp',
+      phone: normalizedPhone,
+      message: 'Se o telefone estiver cadastrado, você receberá um código via WhatsApp.'
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/reset-password', async (req, res) => {
+// Troca o token do link pela sessão. POST (e não GET no próprio link) para que
+// pré-visualizadores de email não gastem o link antes do usuário
+app.post('/api/login/link', rateLimit('login_ip'), async (req, res) => {
   try {
-    const { token, password } = req.body;
+    const { token } = req.body;
 
-    if (!token || !password) {
-      return res.status(400).json({ success: false, error: 'Token e senha são obrigatórios' });
+    if (!token) {
+      return res.status(400).json({ success: false, error: 'Link de acesso inválido' });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ success: false, error: 'Senha deve ter no mínimo 6 caracteres' });
+    let userId;
+    try {
+      userId = await consumeLoginLinkToken(token);
+    } catch (linkError) {
+      return res.status(400).json({ success: false, error: linkError.message, linkExpired: true });
     }
 
-    await resetPassword(token, password);
+    const user = await getUserById(userId);
+    await authGuard.recordSuccess('login', authAttempt(req, user.email, { userId: user.two_factor_method ? null : user.id }));
 
-    res.json({
-      success: true,
-      message: 'Senha redefinida com sucesso!'
-    });
+    await completeLogin(req, res, user, user.email);
   } catch (error) {
-    res.status(400).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-
-app.post('/api/forgot-password-phone', async (req, res) => {
+app.post('/api/login/code', rateLimit('login_ip'), bruteForceGuard('code', req => req.body.phone), async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { phone, code } = req.body;
 
-    if (!phone) {
-      return res.status(400).json({ success: false, error: 'Telefone é obrigatório' });
+    if (!phone || !code) {
+      return res.status(400).json({ success: false, error: 'Telefone e codigo sao obrigatorios' });
     }
 
-   
     const normalizedPhone = phone.replace(/\D/g, '');
-    const fullPhone = normalizedPhone.startsWith('55') ? `+${normalizedPhone}` : `+55${normalizedPhone}`;
-
-    const user = await getUserByPhone(fullPhone);
-    if (!user) {
-    
-      return res.json({
-        success: true,
-        message: 'Se o telefone estiver cadastrado, você receberá um código via WhatsApp.'
-      });
-    }
-
-    const verificationCode = await createPasswordResetCodeByPhone(user.id, fullPhone);
-    const firstName = user.name ? user.name.split(' ')[0] : '';
+    const user = await getUserByPhone(normalizedPhone);
 
     try {
-      await whatsappService.sendMessage(
-        fullPhone.replace('+', ''),
-        `🔐 *Recuperação de Senha - Zap Anônimo*\n\nOlá${firstName ? ', ' + firstName : ''}!\n\nSeu código de recuperação é: *${verificationCode}*\n\n⏰ Este código expira em 10 minutos.\n\n⚠️ Se você não solicitou a recuperação de senha, ignore esta mensagem.`
-      );
-    } catch (whatsappError) {
-      console.error('Erro ao enviar código via WhatsApp:', whatsappError);
-      return res.status(500).json({ success: false, error: 'Erro ao enviar código via WhatsApp' });
+      if (!user) {
+        const unknown = new Error('Código inválido ou expirado. Solicite um novo.');
+        unknown.invalidCode = true;
+        throw unknown;
+      }
+      await verifyLoginCode(user.id, code);
+    } catch (verifyError) {
+      if (verifyError.invalidCode) {
+        const attempt = await authGuard.recordFailure('code', authAttempt(req, normalizedPhone, {
+          userId: verifyError.userId || null,
+          reason: 'passwordless_login',
+          codeInvalidated: verifyError.codeInvalidated
+        }));
+        return res.status(400).json({ success: false, error: verifyError.message, retryAfter: attempt.retryAfter || undefined });
+      }
+      throw verifyError;
     }
+    await authGuard.recordSuccess('code', authAttempt(req, normalizedPhone));
+    await authGuard.recordSuccess('login', authAttempt(req, normalizedPhone, { userId: user.two_factor_method ? null : user.id }));
 
-    res.json({
-      success: true,
-      message: 'Código de recuperação enviado para seu WhatsApp!',
-      phone: fullPhone
-    });
+    await completeLogin(req, res, user, normalizedPhone);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/reset-password-phone', async (req, res) => {
-  try {
-    const { phone, code, password } = req.body;
+// ==========================================
+// LOGIN COM GOOGLE / OIDC
+// ==========================================
+// /start redireciona ao provedor, /callback confere o code e devolve ao frontend um
+// token de resultado no fragmento (#oidc-result=...), que /complete troca pela sessão
 
-    if (!phone || !code || !password) {
-      return res.status(400).json({ success: false, error: 'Telefone, código e senha são obrigatórios' });
-    }
+const OIDC_BINDING_COOKIE = 'oidc_binding';
+const OIDC_FRONTEND_URL = process.env.FRONTEND_URL || process.env.BASE_URL || '';
 
-    if (password.length < 6) {
-      return res.status(400).json({ success: false, error: 'Senha deve ter no mínimo 6 caracteres' });
-    }
+function readCookie(req, name) {
+  const cookie = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
 
-  
-    const normalizedPhone = phone.replace(/\D/g, '');
-    const fullPhone = normalizedPhone.startsWith('55') ? `+${normalizedPhone}` : `+55${normalizedPhone}`;
+// Fragmento não vai para logs de servidor nem para o Referer
+function redirectToFrontend(res, params) {
+  res.redirect(`${OIDC_FRONTEND_URL}/#${new URLSearchParams(params).toString()}`);
+}
 
-    await resetPasswordByPhone(fullPhone, code, password);
+app.get('/api/auth/oidc/providers', (req, res) => {
+  res.json({ success: true, providers: oidc.listProviders() });
+});
 
-    res.json({
-      success: true,
-      message: 'Senha redefinida com sucesso!'
+// Navegação do navegador; com ?link= (ticket de /api/user/identities/:provider/link)
+// o resultado vincula o provedor ao usuário logado em vez de entrar
+app.get('/api/auth/oidc/:provider/start', rateLimit('login_ip'), async (req, res) => {
+  const provider = oidc.getProvider(req.params.provider);
+  if (!provider) {
+    return redirectToFrontend(res, { 'oidc-error': 'Provedor de login não configurado' });
+  }
+
+  try {
+    let linkUserId = null;
+    if (req.query.link) {
+      const ticket = verifyOidcLinkTicket(req.query.link);
+      if (!ticket || ticket.provider !== provider.id) {
+        return redirectToFrontend(res, { 'oidc-error': 'Pedido de vínculo expirado. Tente novamente pelo perfil.', mode: 'link' });
+      }
+      linkUserId = ticket.userId;
+    }
+
+    const flow = oidc.createFlow();
+    await createOAuthState({
+      provider: provider.id,
+      state: flow.state,
+      bindingHash: flow.bindingHash,
+      nonce: flow.nonce,
+      codeVerifier: flow.codeVerifier,
+      linkUserId
+    });
+
+    res.cookie(OIDC_BINDING_COOKIE, flow.binding, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: 15 * 60 * 1000,
+      path: '/api/auth/oidc'
     });
+    res.redirect(await oidc.authorizationUrl(provider, flow));
   } catch (error) {
-    res.status(400).json({ success: false, error: error.message });
+    console.error(`[OIDC] Erro ao iniciar login com ${provider.id}:`, error.message);
+    redirectToFrontend(res, { 'oidc-error': 'Não foi possível conectar ao provedor de login' });
   }
 });
 
+app.get('/api/auth/oidc/:provider/callback', async (req, res) => {
+  const provider = oidc.getProvider(req.params.provider);
+  const fail = message => redirectToFrontend(res, { 'oidc-error': message });
+
+  if (!provider) {
+    return fail('Provedor de login não configurado');
+  }
+
+  const binding = readCookie(req, OIDC_BINDING_COOKIE);
+  res.clearCookie(OIDC_BINDING_COOKIE, { path: '/api/auth/oidc' });
+
+  if (req.query.error) {
+    return fail(req.query.error === 'access_denied' ? 'Login cancelado' : 'O provedor recusou o login');
+  }
 
-app.post('/api/contact', async (req, res) => {
   try {
-    const { name, email, subject, message } = req.body;
+    const flow = await getPendingOAuthState(req.query.state);
 
-    if (!name || !email || !subject || !message) {
-      return res.status(400).json({
-        success: false,
-        error: 'Todos os campos são obrigatórios'
-      });
+    // Sem o cookie de quem iniciou, o callback pode ser um link de login forjado
+    if (!flow || flow.provider !== provider.id || !binding || oidc.bindingHash(binding) !== flow.binding_hash) {
+      return fail('Login expirado ou iniciado em outro navegador. Tente novamente.');
     }
 
+    const identity = await oidc.authenticate(provider, {
+      code: String(req.query.code || ''),
+      codeVerifier: flow.code_verifier,
+      nonce: flow.nonce
+    });
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Por favor, insira um email válido'
-      });
+    const resultToken = await storeOAuthIdentity(flow.id, identity);
+    if (!resultToken) {
+      return fail('Login já concluído. Tente novamente.');
     }
 
- 
-    if (message.length < 10) {
-      return res.status(400).json({
-        success: false,
-        error: 'A mensagem deve ter pelo menos 10 caracteres'
-      });
+    redirectToFrontend(res, { 'oidc-result': resultToken, mode: flow.link_user_id ? 'link' : 'login' });
+  } catch (error) {
+    console.error(`[OIDC] Erro no callback de ${provider.id}:`, error.message);
+    fail('Não foi possível confirmar o login com o provedor');
+  }
+});
+
+// Vincula ao perfil (fluxo com ?link=), entra com a conta já vinculada, vincula pelo
+// email verificado pelo provedor ou cria a conta — esta só com o aceite dos termos
+app.post('/api/auth/oidc/complete', rateLimit('login_ip'), async (req, res) => {
+  try {
+    const { result, acceptedTermsAt, termsVersion } = req.body;
+    const flow = await getOAuthResult(result);
+
+    if (!flow) {
+      return res.status(400).json({ success: false, error: 'Login expirado. Tente novamente.', expired: true });
     }
 
-    if (message.length > 5000) {
-      return res.status(400).json({
-        success: false,
-        error: 'A mensagem não pode exceder 5000 caracteres'
+    const clientInfo = getClientInfo(req);
+    const providerName = oidc.getProvider(flow.provider)?.name || flow.provider;
+    const identity = await getUserIdentity(flow.provider, flow.subject);
+    const alreadyUsed = () => res.status(400).json({ success: false, error: 'Login já concluído. Tente novamente.', expired: true });
+    const linkIdentity = async userId => {
+      await linkUserIdentity(userId, { provider: flow.provider, subject: flow.subject, email: flow.email });
+      await logSecurityEvent({
+        userId,
+        eventType: 'identity_linked',
+        ipAddress: clientInfo.ipAddress,
+        userAgent: clientInfo.userAgent,
+        metadata: { provider: flow.provider }
       });
+    };
+
+    if (flow.link_user_id) {
+      if (identity && identity.user_id !== flow.link_user_id) {
+        return res.status(409).json({ success: false, error: `Esta conta ${providerName} já está vinculada a outro usuário` });
+      }
+      if (!await claimOAuthResult(flow.id)) return alreadyUsed();
+
+      if (!identity) {
+        await linkIdentity(flow.link_user_id);
+      }
+      return res.json({ success: true, linked: true, provider: flow.provider, message: `Conta ${providerName} vinculada` });
     }
 
- 
-    await sendContactEmail(name, email, subject, message);
+    let userId = identity ? identity.user_id : null;
+
+    if (userId) {
+      if (!await claimOAuthResult(flow.id)) return alreadyUsed();
+      await touchUserIdentity(identity.id);
+    } else {
+      if (!flow.email || !flow.email_verified) {
+        return res.status(400).json({
+          success: false,
+          error: `O ${providerName} não confirmou seu email. Entre com email e senha e vincule a conta pelo seu perfil.`
+        });
+      }
+
+      const existing = await getUserByEmail(flow.email);
+
+      if (!existing && !acceptedTermsAt) {
+        return res.json({
+          success: false,
+          termsRequired: true,
+          email: flow.email,
+          name: flow.name,
+          error: 'Aceite os Termos de Uso para criar sua conta'
+        });
+      }
+
+      if (!await claimOAuthResult(flow.id)) return alreadyUsed();
+
+      if (existing) {
+        userId = existing.id;
+        if (!existing.email_verified) {
+          await claimUnverifiedAccount(userId);
+          await revokeAllSessions(userId, { reason: 'password_reset' });
+        }
+      } else {
+        const name = flow.name && flow.name.trim().length >= 3 ? flow.name.trim() : flow.email.split('@')[0];
+        userId = (await createUserFromIdentity({ email: flow.email, name, acceptedTermsAt, termsVersion })).id;
+
+        try {
+          await sendWelcomeEmail(flow.email, name);
+        } catch (emailError) {}
+      }
+
+      try {
+        await linkIdentity(userId);
+      } catch (linkError) {
+        return res.status(409).json({ success: false, error: linkError.message });
+      }
+    }
+
+    const user = await getUserById(userId);
+    await authGuard.recordSuccess('login', authAttempt(req, user.email, { userId: user.two_factor_method ? null : user.id }));
+
+    await completeLogin(req, res, user, user.email);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/test-email', async (req, res) => {
+  try {
+    const testEmail = req.query.email || 'teste@teste.com';
+    const testToken = 'teste-token-123456';
 
+    await sendVerificationEmail(testEmail, testToken);
 
     res.json({
       success: true,
-      message: 'Mensagem enviada com sucesso! Responderemos em breve.'
+      message: `Email de teste enviado para ${testEmail}`
     });
   } catch (error) {
-    console.error('[Contact] Erro ao enviar mensagem de contato:', error);
     res.status(500).json({
       success: false,
-      error: 'Erro ao enviar mensagem. Tente novamente mais tarde.'
+      error: error.message,
+      details: error.toString()
     });
   }
 });
 
-app.get('/api/user/credits', authMiddleware, async (req, res) => {
+app.get('/api/verify-email/:token', async (req, res) => {
   try {
-    const user = await getUserById(req.userId);
+    const { token } = req.params;
+    const userId = await verifyEmailToken(token);
+    const user = await getUserById(userId);
+
+    try {
+      await sendWelcomeEmail(user.email, user.name || '');
+    } catch (emailError) {}
+
     res.json({
       success: true,
-      whatsapp_credits: user.whatsapp_credits,
-      sms_credits: user.sms_credits
+      message: 'Email verificado com sucesso! Você já pode fazer login.'
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-app.get('/api/user/profile', authMiddleware, async (req, res) => {
-  try {
-    const user = await getUserById(req.userId);
-    res.json({ success: true, user });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(400).json({ success: false, error: error.message });
   }
 });
 
-
-const phoneUpdateVerifications = new Map();
-
-
-app.post('/api/user/send-phone-verification', authMiddleware, async (req, res) => {
+app.post('/api/resend-verification', async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { email } = req.body;
 
-    if (!phone) {
-      return res.status(400).json({ success: false, error: 'Telefone é obrigatório' });
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'Email é obrigatório' });
     }
 
-    const normalizedPhone = phone.replace(/\D/g, '');
-
-    if (normalizedPhone.length < 10 || normalizedPhone.length > 13) {
-      return res.status(400).json({ success: false, error: 'Telefone inválido' });
+    const user = await getUserByEmail(email);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
     }
 
-  
-    const existingUser = await getUserByPhone(normalizedPhone);
-    if (existingUser && existingUser.id !== req.userId) {
-      return res.status(400).json({ success: false, error: 'Este telefone já está cadastrado por outro usuário' });
+    if (user.email_verified) {
+      return res.status(400).json({ success: false, error: 'Email já verificado' });
     }
 
-  
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
+    const verificationToken = await createVerificationToken(user.id);
+    await resendVerificationEmail(email, verificationToken, user.name || '');
 
-   
-    const key = `${req.userId}_${normalizedPhone}`;
-    phoneUpdateVerifications.set(key, {
-      code,
-      expiresAt: Date.now() + 10 * 60 * 1000,
-      phone: normalizedPhone
+    res.json({
+      success: true,
+      message: 'Email de verificação reenviado! Verifique sua caixa de entrada.'
     });
-
- 
-    const fullPhone = normalizedPhone.startsWith('55') ? '+' + normalizedPhone : '+55' + normalizedPhone;
-    const user = await getUserById(req.userId);
-    const firstName = user.name ? user.name.split(' ')[0] : '';
-
-    const verificationMessage = `🔐 *Verificação de Telefone - Zap Anônimo*\n\nOlá${firstName ? ', ' + firstName : ''}!\n\nSeu código para adicionar este telefone à sua conta: *${code}*\n\n⏱️ Válido por 10 minutos.\n\n_Não compartilhe este código com ninguém._`;
-
-    await whatsappService.sendMessage(fullPhone, verificationMessage);
-
-    res.json({ success: true, message: 'Código enviado com sucesso' });
   } catch (error) {
-    console.error('[PhoneVerification] Erro:', error);
-    res.status(500).json({ success: false, error: error.message || 'Erro ao enviar código' });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-
-app.post('/api/user/verify-phone-update', authMiddleware, async (req, res) => {
+app.post('/api/forgot-password', async (req, res) => {
   try {
-    const { phone, code } = req.body;
+    const { email } = req.body;
 
-    if (!phone || !code) {
-      return res.status(400).json({ success: false, error: 'Telefone e código são obrigatórios' });
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'Email é obrigatório' });
     }
 
-    const normalizedPhone = phone.replace(/\D/g, '');
-    const key = `${req.userId}_${normalizedPhone}`;
+    const user = await getUserByEmail(email);
+    if (!user) {
+      return res.json({
+        success: true,
+        message: 'Se o email existir, você receberá um link de recuperação.'
+      });
+    }
 
-    const verification = phoneUpdateVerifications.get(key);
+    const resetToken = await createPasswordResetToken(user.id);
 
-    if (!verification) {
-      return res.status(400).json({ success: false, error: 'Código não encontrado. Solicite um novo código.' });
+    try {
+      await sendPasswordResetEmail(email, resetToken);
+    } catch (emailError) {
+      return res.status(500).json({ success: false, error: 'Erro ao enviar email de recuperação' });
     }
 
-    if (Date.now() > verification.expiresAt) {
-      phoneUpdateVerifications.delete(key);
-      return res.status(400).json({ success: false, error: 'Código expirado. Solicite um novo código.' });
+    res.json({
+      success: true,
+      message: 'Link de recuperação enviado! Verifique seu email.'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, error: 'Token e senha são obrigatórios' });
     }
 
-    if (verification.code !== code) {
-      return res.status(400).json({ success: false, error: 'Código inválido' });
+    if (password.length < 6) {
+      return res.status(400).json({ success: false, error: 'Senha deve ter no mínimo 6 caracteres' });
     }
 
-   
-    verification.verified = true;
-    phoneUpdateVerifications.set(key, verification);
+    const userId = await resetPassword(token, password);
+    await revokeAllSessions(userId, { reason: 'password_reset' });
 
-    res.json({ success: true, message: 'Código verificado com sucesso' });
+    res.json({
+      success: true,
+      message: 'Senha redefinida com sucesso!'
+    });
   } catch (error) {
-    console.error('[PhoneVerification] Erro:', error);
-    res.status(500).json({ success: false, error: error.message || 'Erro ao verificar código' });
+    res.status(400).json({ success: false, error: error.message });
   }
 });
 
 
-app.get('/api/user/block-notifications', authMiddleware, async (req, res) => {
+app.post('/api/forgot-password-phone', rateLimit('phone_code_ip', 'phone_code_phone'), async (req, res) => {
   try {
-    const result = await getPendingBlockNotifications(req.userId);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    const { phone } = req.body;
 
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Telefone é obrigatório' });
+    }
 
-app.post('/api/user/block-notifications/:id/read', authMiddleware, async (req, res) => {
-  try {
-    const blockId = parseInt(req.params.id);
-    const result = await markBlockAsNotified(blockId);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+   
+    const normalizedPhone = phone.replace(/\D/g, '');
+    const fullPhone = normalizedPhone.startsWith('55') ? `+${normalizedPhone}` : `+55${normalizedPhone}`;
 
-app.get('/api/user/notifications', authMiddleware, async (req, res) => {
-  try {
-    const result = await getUserNotifications(req.userId);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    const user = await getUserByPhone(fullPhone);
+    if (!user) {
+    
+      return res.json({
+        success: true,
+        message: 'Se o telefone estiver cadastrado, você receberá um código via WhatsApp.'
+      });
+    }
 
+    const verificationCode = await createPasswordResetCodeByPhone(user.id, fullPhone);
+    const firstName = user.name ? user.name.split(' ')[0] : '';
 
-app.get('/api/user/notifications/unread-count', authMiddleware, async (req, res) => {
-  try {
-    const result = await getUnreadNotificationsCount(req.userId);
-    res.json(result);
+    try {
+      await whatsappPool.sendMessage(
+        fullPhone.replace('+', ''),
+        `🔐 *Recuperação de Senha - Zap Anônimo*\n\nOlá${firstName ? ', ' + firstName : ''}!\n\nSeu código de recuperação é: *${verificationCode}*\n\n⏰ Este código expira em 10 minutos.\n\n⚠️ Se você não solicitou a recuperação de senha, ignore esta mensagem.`
+      );
+    } catch (whatsappError) {
+      console.error('Erro ao enviar código via WhatsApp:', whatsappError);
+      return res.status(500).json({ success: false, error: 'Erro ao enviar código via WhatsApp' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Código de recuperação enviado para seu WhatsApp!',
+      phone: fullPhone
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-
-app.post('/api/user/notifications/:id/read', authMiddleware, async (req, res) => {
+app.post('/api/reset-password-phone', rateLimit('phone_code_ip'), bruteForceGuard('code', req => req.body.phone), async (req, res) => {
   try {
-    const notificationId = parseInt(req.params.id);
-    const result = await markNotificationAsRead(notificationId, req.userId);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    const { phone, code, password } = req.body;
 
+    if (!phone || !code || !password) {
+      return res.status(400).json({ success: false, error: 'Telefone, código e senha são obrigatórios' });
+    }
 
-app.post('/api/user/notifications/read-all', authMiddleware, async (req, res) => {
-  try {
-    const result = await markAllNotificationsAsRead(req.userId);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    if (password.length < 6) {
+      return res.status(400).json({ success: false, error: 'Senha deve ter no mínimo 6 caracteres' });
+    }
 
-app.get('/api/favorites', authMiddleware, async (req, res) => {
-  try {
-    const favorites = await getFavorites(req.userId);
-    res.json({ success: true, favorites });
+  
+    const normalizedPhone = phone.replace(/\D/g, '');
+    const fullPhone = normalizedPhone.startsWith('55') ? `+${normalizedPhone}` : `+55${normalizedPhone}`;
+
+    let userId;
+    try {
+      userId = await resetPasswordByPhone(fullPhone, code, password);
+    } catch (resetError) {
+      if (resetError.invalidCode) {
+        const attempt = await authGuard.recordFailure('code', authAttempt(req, normalizedPhone, {
+          userId: resetError.userId,
+          reason: 'password_reset',
+          codeInvalidated: resetError.codeInvalidated
+        }));
+        return res.status(400).json({ success: false, error: resetError.message, retryAfter: attempt.retryAfter || undefined });
+      }
+      throw resetError;
+    }
+    await authGuard.recordSuccess('code', authAttempt(req, normalizedPhone));
+    await revokeAllSessions(userId, { reason: 'password_reset' });
+
+    res.json({
+      success: true,
+      message: 'Senha redefinida com sucesso!'
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(400).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/favorites', authMiddleware, async (req, res) => {
+
+// Lista global de não contato: o dono do número sai ou volta a receber mensagens
+// anônimas confirmando a posse com um código enviado ao próprio WhatsApp
+app.post('/api/opt-out/request-code', rateLimit('phone_code_ip', 'phone_code_phone'), async (req, res) => {
   try {
-    const { name, phone } = req.body;
+    const { phone } = req.body;
 
-    if (!name || !name.trim()) {
-      return res.status(400).json({ success: false, error: 'Nome é obrigatório' });
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Telefone é obrigatório' });
     }
 
-    if (!phone || phone.replace(/\D/g, '').length < 10) {
-      return res.status(400).json({ success: false, error: 'Telefone inválido' });
+    const normalizedPhone = phone.replace(/\D/g, '');
+    if (normalizedPhone.length < 10 || normalizedPhone.length > 13) {
+      return res.status(400).json({ success: false, error: 'Telefone inválido. Use formato: 11999999999' });
     }
 
-    const result = await addFavorite(req.userId, name, phone);
+    const fullPhone = normalizedPhone.startsWith('55') ? normalizedPhone : `55${normalizedPhone}`;
+    const verificationCode = await createPhoneVerificationCode(null, fullPhone, 'opt_out');
 
-    if (!result.success) {
-      return res.status(400).json(result);
+    try {
+      await whatsappPool.sendMessage(
+        fullPhone,
+        `🔐 *Zap Anônimo*\n\nSeu código para confirmar sua preferência de recebimento de mensagens anônimas é: *${verificationCode}*\n\n⏰ Este código expira em 10 minutos.\n\n⚠️ Se você não fez esta solicitação, ignore esta mensagem.`
+      );
+    } catch (whatsappError) {
+      console.error('[OptOut] Erro ao enviar código via WhatsApp:', whatsappError.message);
+      return res.status(500).json({ success: false, error: 'Erro ao enviar código via WhatsApp' });
     }
 
-    res.json(result);
+    res.json({ success: true, message: 'Código enviado para seu WhatsApp!' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.delete('/api/favorites/:id', authMiddleware, async (req, res) => {
+app.post('/api/opt-out/confirm', rateLimit('phone_code_ip'), bruteForceGuard('code', req => req.body.phone), async (req, res) => {
   try {
-    const favoriteId = parseInt(req.params.id);
+    const { phone, code, action } = req.body;
 
-    if (!favoriteId) {
-      return res.status(400).json({ success: false, error: 'ID inválido' });
+    if (!phone || !code) {
+      return res.status(400).json({ success: false, error: 'Telefone e código são obrigatórios' });
     }
 
-    const result = await deleteFavorite(req.userId, favoriteId);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    if (!['opt-out', 'opt-in'].includes(action)) {
+      return res.status(400).json({ success: false, error: 'Ação inválida' });
+    }
 
-app.get('/api/favorites/check/:phone', authMiddleware, async (req, res) => {
-  try {
-    const isPhoneFavorite = await isFavorite(req.userId, req.params.phone);
-    res.json({ success: true, isFavorite: isPhoneFavorite });
+    const normalizedPhone = phone.replace(/\D/g, '');
+    const fullPhone = normalizedPhone.startsWith('55') ? normalizedPhone : `55${normalizedPhone}`;
+
+    try {
+      await verifyPhoneCode(fullPhone, code, 'opt_out');
+    } catch (verifyError) {
+      if (verifyError.invalidCode) {
+        const attempt = await authGuard.recordFailure('code', authAttempt(req, normalizedPhone, {
+          userId: verifyError.userId,
+          reason: 'opt_out',
+          codeInvalidated: verifyError.codeInvalidated
+        }));
+        return res.status(400).json({ success: false, error: verifyError.message, retryAfter: attempt.retryAfter || undefined });
+      }
+      throw verifyError;
+    }
+    await authGuard.recordSuccess('code', authAttempt(req, normalizedPhone));
+
+    if (action === 'opt-out') {
+      const result = await addRecipientOptOut(fullPhone, 'web');
+      if (!result.success) throw new Error(result.error);
+
+      return res.json({
+        success: true,
+        optedOut: true,
+        message: 'Pronto! Você não receberá mais mensagens anônimas de nenhum remetente.'
+      });
+    }
+
+    const result = await removeRecipientOptOut(fullPhone);
+    if (!result.success) throw new Error(result.error);
+
+    res.json({
+      success: true,
+      optedOut: false,
+      message: result.removed
+        ? 'Você voltará a receber mensagens anônimas.'
+        : 'Este número já pode receber mensagens anônimas.'
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(400).json({ success: false, error: error.message });
   }
 });
 
 
-app.post('/api/create-pix', authMiddleware, async (req, res) => {
+const ABUSE_REPORT_REASONS = ['harassment', 'threat', 'spam', 'scam', 'other'];
+
+// Denúncia pelo site: o código de rastreio no rodapé da mensagem identifica o que foi recebido
+app.post('/api/reports', rateLimit('report_ip'), async (req, res) => {
   try {
-    const { quantity } = req.body;
+    const { trackingCode, reason, details } = req.body;
+    const code = extractTrackingCode(trackingCode || '');
 
-    if (!quantity || quantity < 1) {
-      return res.status(400).json({ success: false, error: 'Quantidade inválida' });
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'Informe o código que aparece no final da mensagem recebida (ex: byAb3xK9pQ)' });
     }
 
-    const user = await getUserById(req.userId);
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+    if (!ABUSE_REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, error: 'Motivo inválido' });
     }
 
-    const userEmail = user.email || `user${user.id}@zapanonimo.com`;
-    const result = await createPixPayment(req.userId, quantity, userEmail);
+    // Mesma resposta exista ou não a mensagem: o formulário não pode servir para
+    // descobrir códigos de rastreio válidos
+    const message = await findMessageByTrackingCode(code);
+    if (message) {
+      const result = await createAbuseReport({
+        message,
+        source: 'web',
+        reason,
+        details: details ? details.trim().substring(0, 2000) : null
+      });
+
+      if (!result.success) throw new Error(result.error);
+    }
 
     res.json({
       success: true,
-      paymentId: result.paymentId,
-      qrCode: result.qrCode,
-      qrCodeBase64: result.qrCodeBase64,
-      ticketUrl: result.ticketUrl,
-      expirationDate: result.expirationDate
+      message: 'Denúncia registrada. Nossa equipe vai analisar a mensagem.'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Erro ao gerar PIX: ' + error.message
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.post('/api/create-card-payment', authMiddleware, async (req, res) => {
+app.post('/api/contact', async (req, res) => {
   try {
-    const { quantity } = req.body;
+    const { name, email, subject, message } = req.body;
 
-    if (!quantity || quantity < 1) {
-      return res.status(400).json({ success: false, error: 'Quantidade inválida' });
+    if (!name || !email || !subject || !message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Todos os campos são obrigatórios'
+      });
     }
 
-    const user = await getUserById(req.userId);
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Por favor, insira um email válido'
+      });
     }
 
-    const userEmail = user.email || null;
-    const session = await createCheckoutSession(req.userId, quantity, userEmail);
+ 
+    if (message.length < 10) {
+      return res.status(400).json({
+        success: false,
+        error: 'A mensagem deve ter pelo menos 10 caracteres'
+      });
+    }
+
+    if (message.length > 5000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A mensagem não pode exceder 5000 caracteres'
+      });
+    }
+
+ 
+    await sendContactEmail(name, email, subject, message);
+
 
     res.json({
       success: true,
-      sessionId: session.id,
-      checkoutUrl: session.url
+      message: 'Mensagem enviada com sucesso! Responderemos em breve.'
     });
   } catch (error) {
+    console.error('[Contact] Erro ao enviar mensagem de contato:', error);
     res.status(500).json({
       success: false,
-      error: 'Erro ao criar pagamento: ' + error.message
+      error: 'Erro ao enviar mensagem. Tente novamente mais tarde.'
     });
   }
 });
 
+app.get('/api/user/credits', authMiddleware, async (req, res) => {
+  try {
+    const user = await getUserById(req.userId);
+    res.json({
+      success: true,
+      whatsapp_credits: user.whatsapp_credits,
+      sms_credits: user.sms_credits
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-const processedPayments = new Set();
-
-app.post('/api/mercadopago/webhook', async (req, res) => {
+app.get('/api/user/profile', authMiddleware, async (req, res) => {
   try {
-  
+    const user = await getUserById(req.userId);
+    const standing = await strikeService.getStanding(user.id, user);
+    res.json({ success: true, user, standing });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const webhookData = parseWebhookData(req.body);
 
-    if (webhookData && webhookData.type === 'payment') {
-      const paymentId = webhookData.paymentId;
+const phoneUpdateVerifications = new Map();
 
-      if (processedPayments.has(paymentId)) {
 
-        return res.json({ received: true });
-      }
+app.post('/api/user/send-phone-verification', authMiddleware, rateLimit('phone_code_ip', 'phone_code_phone'), async (req, res) => {
+  try {
+    const { phone } = req.body;
 
-      const paymentInfo = await getPaymentStatus(paymentId);
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Telefone é obrigatório' });
+    }
 
-      if (isPaymentApproved(paymentInfo.status)) {
-        const metadata = paymentInfo.metadata || {};
-        let userId, quantity, creditType;
+    const normalizedPhone = phone.replace(/\D/g, '');
+
+    if (normalizedPhone.length < 10 || normalizedPhone.length > 13) {
+      return res.status(400).json({ success: false, error: 'Telefone inválido' });
+    }
 
   
-        if (metadata.user_id) {
-          userId = parseInt(metadata.user_id);
-          quantity = parseInt(metadata.quantity);
-          creditType = metadata.credit_type || 'whatsapp';
-        }
-    
-        else if (paymentInfo.externalReference) {
-          try {
-            const extRef = JSON.parse(paymentInfo.externalReference);
-            userId = parseInt(extRef.userId);
-            quantity = parseInt(extRef.quantity);
-            creditType = extRef.creditType || 'whatsapp';
-          } catch (e) {
-            console.error('[MercadoPago Webhook] Erro ao parsear external_reference:', e);
-          }
-        }
-
-        if (userId && quantity) {
-    
-          const bonusQuantity = quantity * 2;
-          const price = quantity; 
-          await addCredits(userId, bonusQuantity, price, creditType);
+    const existingUser = await getUserByPhone(normalizedPhone);
+    if (existingUser && existingUser.id !== req.userId) {
+      return res.status(400).json({ success: false, error: 'Este telefone já está cadastrado por outro usuário' });
+    }
 
-          processedPayments.add(paymentId);
-          setTimeout(() => processedPayments.delete(paymentId), 60 * 60 * 1000);
+  
+    const code = Math.floor(100000 + Math.random() * 900000).toString();
 
    
-        }
-      }
-    }
+    const key = `${req.userId}_${normalizedPhone}`;
+    phoneUpdateVerifications.set(key, {
+      code,
+      expiresAt: Date.now() + 10 * 60 * 1000,
+      phone: normalizedPhone
+    });
 
-    res.json({ received: true });
+ 
+    const fullPhone = normalizedPhone.startsWith('55') ? '+' + normalizedPhone : '+55' + normalizedPhone;
+    const user = await getUserById(req.userId);
+    const firstName = user.name ? user.name.split(' ')[0] : '';
+
+    const verificationMessage = `🔐 *Verificação de Telefone - Zap Anônimo*\n\nOlá${firstName ? ', ' + firstName : ''}!\n\nSeu código para adicionar este telefone à sua conta: *${code}*\n\n⏱️ Válido por 10 minutos.\n\n_Não compartilhe este código com ninguém._`;
+
+    await whatsappPool.sendMessage(fullPhone, verificationMessage);
+
+    res.json({ success: true, message: 'Código enviado com sucesso' });
   } catch (error) {
-    console.error('[MercadoPago Webhook] Erro:', error);
-    res.status(200).json({ received: true, error: error.message });
+    console.error('[PhoneVerification] Erro:', error);
+    res.status(500).json({ success: false, error: error.message || 'Erro ao enviar código' });
   }
 });
 
 
-const processedStripeSessions = new Set();
-
-app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+app.post('/api/user/verify-phone-update', authMiddleware, rateLimit('phone_code_ip'), bruteForceGuard('code', req => req.body.phone), async (req, res) => {
   try {
-    const sig = req.headers['stripe-signature'];
-    const event = constructWebhookEvent(req.body, sig);
-
-
+    const { phone, code } = req.body;
 
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
-      const sessionId = session.id;
+    if (!phone || !code) {
+      return res.status(400).json({ success: false, error: 'Telefone e código são obrigatórios' });
+    }
 
-      if (processedStripeSessions.has(sessionId)) {
- 
-        return res.json({ received: true });
-      }
+    const normalizedPhone = phone.replace(/\D/g, '');
+    const key = `${req.userId}_${normalizedPhone}`;
 
-      if (isStripePaymentApproved(session)) {
-        const metadata = session.metadata || {};
-        const userId = parseInt(metadata.userId);
-        const quantity = parseInt(metadata.quantity);
-        const creditType = metadata.creditType || 'whatsapp';
+    const verification = phoneUpdateVerifications.get(key);
 
-        if (userId && quantity) {
-    
-          const bonusQuantity = quantity * 2;
-          const price = quantity;
-          await addCredits(userId, bonusQuantity, price, creditType);
+    if (!verification) {
+      return res.status(400).json({ success: false, error: 'Código não encontrado. Solicite um novo código.' });
+    }
 
-          processedStripeSessions.add(sessionId);
-          setTimeout(() => processedStripeSessions.delete(sessionId), 60 * 60 * 1000);
+    if (Date.now() > verification.expiresAt) {
+      phoneUpdateVerifications.delete(key);
+      return res.status(400).json({ success: false, error: 'Código expirado. Solicite um novo código.' });
+    }
 
-      
-        }
+    if (verification.code !== code) {
+      verification.attempts = (verification.attempts || 0) + 1;
+      const codeInvalidated = verification.attempts >= MAX_CODE_ATTEMPTS;
+      if (codeInvalidated) {
+        phoneUpdateVerifications.delete(key);
       }
+
+      const attempt = await authGuard.recordFailure('code', authAttempt(req, normalizedPhone, {
+        userId: req.userId,
+        reason: 'phone_update',
+        codeInvalidated
+      }));
+      return res.status(400).json({
+        success: false,
+        error: codeInvalidated ? 'Muitas tentativas incorretas. O código foi invalidado; solicite um novo.' : 'Código inválido',
+        retryAfter: attempt.retryAfter || undefined
+      });
     }
 
-    res.json({ received: true });
+    await authGuard.recordSuccess('code', authAttempt(req, normalizedPhone));
+   
+    verification.verified = true;
+    phoneUpdateVerifications.set(key, verification);
+
+    res.json({ success: true, message: 'Código verificado com sucesso' });
   } catch (error) {
-    console.error('[Stripe Webhook] Erro:', error);
-    res.status(200).json({ received: true, error: error.message });
+    console.error('[PhoneVerification] Erro:', error);
+    res.status(500).json({ success: false, error: error.message || 'Erro ao verificar código' });
   }
 });
 
 
-app.get('/api/verify-stripe-session/:sessionId', authMiddleware, async (req, res) => {
+app.get('/api/user/block-notifications', authMiddleware, async (req, res) => {
   try {
-    const sessionId = req.params.sessionId;
-    const session = await verifySession(sessionId);
+    const result = await getPendingBlockNotifications(req.userId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (isStripePaymentApproved(session) && !processedStripeSessions.has(sessionId)) {
-      const metadata = session.metadata || {};
 
-      if (metadata.userId && parseInt(metadata.userId) === req.userId) {
-        const quantity = parseInt(metadata.quantity);
-        const creditType = metadata.creditType || 'whatsapp';
+app.post('/api/user/block-notifications/:id/read', authMiddleware, async (req, res) => {
+  try {
+    const blockId = parseInt(req.params.id);
+    const result = await markBlockAsNotified(blockId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+app.get('/api/user/security-events', authMiddleware, async (req, res) => {
+  try {
+    const events = await getUserSecurityEvents(req.userId, parseInt(req.query.limit) || 30);
+    res.json({ success: true, events });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-        const bonusQuantity = quantity * 2;
-        const price = quantity;
-        await addCredits(req.userId, bonusQuantity, price, creditType);
+// Troca o refresh token por um novo par (o antigo deixa de valer)
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken, getClientInfo(req));
 
-        processedStripeSessions.add(sessionId);
-        setTimeout(() => processedStripeSessions.delete(sessionId), 60 * 60 * 1000);
-      }
+    if (!result.success) {
+      return res.status(401).json({ success: false, error: result.error, sessionRevoked: !!result.reused });
     }
 
     res.json({
       success: true,
-      status: session.payment_status,
-      paid: isStripePaymentApproved(session)
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-
-app.get('/api/verify-payment/:paymentId', authMiddleware, async (req, res) => {
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
   try {
-    const paymentId = req.params.paymentId;
-    const paymentInfo = await getPaymentStatus(paymentId);
-
-  
-    if (isPaymentApproved(paymentInfo.status) && !processedPayments.has(paymentId)) {
-      const metadata = paymentInfo.metadata || {};
-
-      if (metadata.user_id && parseInt(metadata.user_id) === req.userId) {
-        const quantity = parseInt(metadata.quantity);
-        const creditType = metadata.credit_type || 'whatsapp';
-
-     
-        const bonusQuantity = quantity * 2;
-        const price = quantity;
-        await addCredits(req.userId, bonusQuantity, price, creditType);
-
-        processedPayments.add(paymentId);
-        setTimeout(() => processedPayments.delete(paymentId), 60 * 60 * 1000);
-      }
+    if (req.sessionId) {
+      await revokeSession(req.userId, req.sessionId, 'logout');
     }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+app.get('/api/user/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.userId);
     res.json({
       success: true,
-      status: paymentInfo.status,
-      paid: isPaymentApproved(paymentInfo.status),
-      pending: isPaymentPending(paymentInfo.status)
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.sessionId }))
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+app.delete('/api/user/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.userId, req.params.id, 'revoked_by_user');
 
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Sessão não encontrada ou já encerrada' });
+    }
 
-app.get('/api/transactions', authMiddleware, async (req, res) => {
-  try {
-    const transactions = await getUserTransactions(req.userId);
-    res.json({ success: true, transactions });
+    res.json({ success: true, current: req.params.id === req.sessionId });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/messages', authMiddleware, async (req, res) => {
+// Sai de todos os outros dispositivos. tokens_valid_after também derruba tokens antigos
+// sem sessão; este dispositivo continua com o refresh token
+app.delete('/api/user/sessions', authMiddleware, async (req, res) => {
   try {
-    const messages = await getUserMessages(req.userId);
-    res.json({ success: true, messages });
+    await setUserTokensValidAfter(req.userId);
+    const revoked = await revokeAllSessions(req.userId, { exceptSessionId: req.sessionId, reason: 'logout_all' });
+    res.json({ success: true, revoked });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/replies', authMiddleware, async (req, res) => {
+// ==========================================
+// VERIFICAÇÃO EM DUAS ETAPAS
+// ==========================================
+
+app.get('/api/user/2fa', authMiddleware, async (req, res) => {
   try {
-    const replies = await getUserReplies(req.userId);
-    res.json({ success: true, replies });
+    const account = await getUserTwoFactor(req.userId);
+
+    res.json({
+      success: true,
+      enabled: !!account.method,
+      method: account.method,
+      enabledAt: account.enabledAt,
+      recoveryCodesLeft: account.method ? await countRecoveryCodes(req.userId) : 0,
+      whatsappAvailable: !!account.phone && account.phoneVerified,
+      phoneHint: maskPhone(account.phone)
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message, replies: [] });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
+app.post('/api/user/2fa/totp/setup', authMiddleware, async (req, res) => {
+  try {
+    const account = await getUserTwoFactor(req.userId);
 
+    if (account.method) {
+      return res.status(400).json({ success: false, error: 'A verificação em duas etapas já está ativa' });
+    }
 
-app.post('/api/webhook/wasender/whatsapp', async (req, res) => {
+    const enrollment = await twoFactor.startTotpEnrollment(account);
+    res.json({ success: true, ...enrollment });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Código por WhatsApp para ativar o método ou, com ele ativo, desativar/gerar novos códigos
+app.post('/api/user/2fa/send-code', authMiddleware, rateLimit('phone_code_ip'), async (req, res) => {
   try {
-    const webhookSecret = process.env.WASENDER_WEBHOOK_SECRET;
-    if (!webhookSecret) {
-      console.warn('[Webhook] WASENDER_WEBHOOK_SECRET não configurado - webhook desprotegido');
-    }
-    const receivedSecret = req.headers['x-webhook-signature'] ||
-                          req.headers['x-webhook-secret'] ||
-                          req.headers['authorization']?.replace('Bearer ', '') ||
-                          req.body.secret ||
-                          req.query.secret;
+    const account = await getUserTwoFactor(req.userId);
 
+    if (account.method === 'totp') {
+      return res.status(400).json({ success: false, error: 'Use o código do seu app autenticador' });
+    }
 
-    if (webhookSecret && receivedSecret && receivedSecret !== webhookSecret) {
-      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    if (!account.phone || !account.phoneVerified) {
+      return res.status(400).json({ success: false, error: 'Cadastre e verifique um telefone para usar o WhatsApp' });
     }
 
-    if (req.body.event === 'webhook.test' || req.body.data?.test === true) {
-      return res.status(200).json({ success: true, message: 'Webhook test received successfully' });
+    try {
+      await sendTwoFactorWhatsAppCode(account.userId, account.phone);
+    } catch (whatsappError) {
+      return res.status(500).json({ success: false, error: 'Erro ao enviar codigo por WhatsApp' });
     }
 
-    let fromPhone = null;
-    let messageText = null;
-    let messageType = null;
+    res.json({ success: true, message: `Código enviado para ${maskPhone(account.phone)}` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    let msg = null;
-    if (req.body.data?.messages) {
-      if (Array.isArray(req.body.data.messages)) {
-        msg = req.body.data.messages[0];
-      } else {
-        msg = req.body.data.messages;
-      }
+app.post('/api/user/2fa/enable', authMiddleware, async (req, res) => {
+  try {
+    const { method, code } = req.body;
+    const account = await getUserTwoFactor(req.userId);
+
+    if (account.method) {
+      return res.status(400).json({ success: false, error: 'A verificação em duas etapas já está ativa' });
     }
 
-    if (msg) {
-      if (msg.key?.fromMe === true) {
-        return res.status(200).json({ success: true, message: 'Mensagem própria ignorada' });
-      }
+    if (method === 'whatsapp' && (!account.phone || !account.phoneVerified)) {
+      return res.status(400).json({ success: false, error: 'Cadastre e verifique um telefone para usar o WhatsApp' });
+    }
 
-      fromPhone = msg.key?.cleanedSenderPn ||
-                 msg.key?.senderPn?.replace(/@s\.whatsapp\.net$/, '') ||
-                 msg.key?.remoteJid?.replace(/@s\.whatsapp\.net$/, '').replace(/@c\.us$/, '').replace(/@lid$/, '');
+    const result = await twoFactor.enable(account, method, code);
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
 
-      messageText = msg.messageBody ||
-                   msg.message?.conversation ||
-                   msg.message?.extendedTextMessage?.text ||
-                   msg.message?.imageMessage?.caption ||
-                   msg.message?.videoMessage?.caption ||
-                   msg.message?.documentMessage?.caption ||
-                   msg.message?.buttonsResponseMessage?.selectedDisplayText ||
-                   msg.message?.listResponseMessage?.title;
+    const clientInfo = getClientInfo(req);
+    await logSecurityEvent({ userId: req.userId, eventType: 'two_factor_enabled', ...clientInfo, metadata: { method } });
+    await createNotification(req.userId, 'security', 'Verificação em duas etapas ativada',
+      'A partir de agora o login na sua conta pede um código além da senha. Guarde seus códigos de recuperação em local seguro.');
 
-      messageType = 'message';
-    } else {
-      const { from, phone, sender, message, body, text, type } = req.body;
-      fromPhone = from || phone || sender || req.body.fromPhone;
-      messageText = message || body || text || req.body.messageText;
-      messageType = type;
-    }
-
-    if (!fromPhone || !messageText) {
-      return res.status(200).json({ success: true, message: 'Dados incompletos' });
-    }
-
-    if (messageType && messageType !== 'message' && messageType !== 'text') {
-      return res.status(200).json({ success: true, message: 'Tipo ignorado' });
-    }
-
-  
-    const msgLower = messageText.toLowerCase().trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-
-    if (msgLower === 'bloquear' || msgLower === 'desbloquear') {
-      const lastMessage = await findMessageByPhone(fromPhone, 'whatsapp');
-
-      if (lastMessage) {
-        if (msgLower === 'bloquear') {
-          await blockUser(fromPhone, lastMessage.user_id);
-          await whatsappService.sendMessage(fromPhone, '✅ Você bloqueou este remetente.\n\nVocê não receberá mais mensagens anônimas desta pessoa.\n\nPara desbloquear, envie: *desbloquear*');
-        } else {
-          await unblockUser(fromPhone, lastMessage.user_id);
-          await whatsappService.sendMessage(fromPhone, '✅ Remetente desbloqueado.\n\nVocê voltará a receber mensagens anônimas desta pessoa.');
-        }
-      }
-      return res.status(200).json({ success: true, message: 'Comando processado' });
-    }
+    res.json({ success: true, method, recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const result = await saveReplyFromWebhook(fromPhone, messageText, 'whatsapp');
+app.post('/api/user/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const account = await getUserTwoFactor(req.userId);
 
-    if (result) {
-      emitNewReply(result.originalMessage.user_id, {
-        ...result.reply,
-        original_message: result.originalMessage.message
-      });
+    if (!account.method) {
+      return res.status(400).json({ success: false, error: 'A verificação em duas etapas não está ativa' });
     }
 
-    res.status(200).json({ success: true, message: 'Resposta processada' });
+    const result = await verifyTwoFactorCode(req, res, account, req.body.code, { allowRecovery: false });
+    if (!result) return;
 
+    const recoveryCodes = await twoFactor.issueRecoveryCodes(req.userId);
+    res.json({ success: true, recoveryCodes });
   } catch (error) {
-    console.error('[Webhook WASender] Erro ao processar:', error);
-    res.status(200).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/webhook/whatsapp', async (req, res) => {
+// Desativar exige um código novo (app, WhatsApp ou recuperação), não só a sessão aberta
+app.delete('/api/user/2fa', authMiddleware, async (req, res) => {
   try {
-    let fromPhone, messageText;
+    const account = await getUserTwoFactor(req.userId);
 
-    if (req.body.data?.messages && req.body.data.messages.length > 0) {
-      const msg = req.body.data.messages[0];
-
-      if (msg.key?.fromMe === true) {
-        return res.status(200).json({ success: true, message: 'Mensagem própria ignorada' });
-      }
-
-      fromPhone = msg.key?.remoteJid;
-      messageText = msg.message?.conversation ||
-                   msg.message?.extendedTextMessage?.text ||
-                   msg.message?.imageMessage?.caption ||
-                   msg.message?.videoMessage?.caption;
-    } else if (req.body.entry && req.body.entry[0]?.changes) {
-      const change = req.body.entry[0].changes[0];
-      if (change.value?.messages) {
-        const msg = change.value.messages[0];
-        fromPhone = msg.from;
-        messageText = msg.text?.body || msg.body;
-      }
-    } else {
-      fromPhone = req.body.from || req.body.phone || req.body.sender || req.body.remoteJid;
-      messageText = req.body.message || req.body.body || req.body.text || req.body.content;
-    }
-
-    if (!fromPhone || !messageText) {
-      return res.status(200).json({ success: true });
-    }
-
-    fromPhone = fromPhone.replace(/@s\.whatsapp\.net$/, '').replace(/@c\.us$/, '');
-
-  
-    const msgLower = messageText.toLowerCase().trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-
-    if (msgLower === 'bloquear' || msgLower === 'desbloquear') {
-      const lastMessage = await findMessageByPhone(fromPhone, 'whatsapp');
-
-      if (lastMessage) {
-        if (msgLower === 'bloquear') {
-          await blockUser(fromPhone, lastMessage.user_id);
-          await whatsappService.sendMessage(fromPhone, '✅ Você bloqueou este remetente.\n\nVocê não receberá mais mensagens anônimas desta pessoa.\n\nPara desbloquear, envie: *desbloquear*');
-        } else {
-          await unblockUser(fromPhone, lastMessage.user_id);
-          await whatsappService.sendMessage(fromPhone, '✅ Remetente desbloqueado.\n\nVocê voltará a receber mensagens anônimas desta pessoa.');
-        }
-      }
-      return res.status(200).json({ success: true });
+    if (!account.method) {
+      return res.status(400).json({ success: false, error: 'A verificação em duas etapas não está ativa' });
     }
 
-    const result = await saveReplyFromWebhook(fromPhone, messageText, 'whatsapp');
+    const result = await verifyTwoFactorCode(req, res, account, req.body.code);
+    if (!result) return;
 
-    if (result) {
-      emitNewReply(result.originalMessage.user_id, {
-        ...result.reply,
-        original_message: result.originalMessage.message
-      });
-    }
+    await twoFactor.disable(req.userId);
 
-    res.status(200).json({ success: true });
+    const clientInfo = getClientInfo(req);
+    await logSecurityEvent({ userId: req.userId, eventType: 'two_factor_disabled', ...clientInfo, metadata: { method: account.method } });
+    await createNotification(req.userId, 'security', 'Verificação em duas etapas desativada',
+      'O login na sua conta voltou a pedir só a senha. Se não foi você, troque sua senha e ative novamente.');
 
+    res.json({ success: true });
   } catch (error) {
-    console.error('[Webhook WhatsApp] Erro ao processar:', error);
-    res.status(200).json({ success: false });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/webhook/whatsapp', (req, res) => {
-  const mode = req.query['hub.mode'];
-  const token = req.query['hub.verify_token'];
-  const challenge = req.query['hub.challenge'];
-
-  const verifyToken = process.env.WEBHOOK_VERIFY_TOKEN || 'zapanonimo_webhook_token';
-
-  if (mode === 'subscribe' && token === verifyToken) {
-    res.status(200).send(challenge);
-  } else {
-    res.sendStatus(403);
+// Provedores OIDC vinculados ao perfil. Desvincular não tranca a conta: contas criadas
+// pelo provedor têm email verificado, então "Entrar sem senha" e "Esqueci a senha" valem
+app.get('/api/user/identities', authMiddleware, async (req, res) => {
+  try {
+    const identities = await listUserIdentities(req.userId);
+    res.json({ success: true, identities, providers: oidc.listProviders() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/send-whatsapp', authMiddleware, async (req, res) => {
-  const { phone, message } = req.body;
-  const clientInfo = getClientInfo(req);
+app.post('/api/user/identities/:provider/link', authMiddleware, async (req, res) => {
+  try {
+    const provider = oidc.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ success: false, error: 'Provedor de login não configurado' });
+    }
 
-  if (!phone || !message) {
-    return res.status(400).json({ success: false, error: 'Telefone e mensagem são obrigatórios' });
+    const ticket = createOidcLinkTicket(req.userId, provider.id);
+    res.json({ success: true, url: `/api/auth/oidc/${provider.id}/start?link=${encodeURIComponent(ticket)}` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
+});
 
+app.delete('/api/user/identities/:provider', authMiddleware, async (req, res) => {
   try {
-  
-    const blocked = await isBlocked(phone, req.userId);
-    if (blocked) {
-      return res.status(403).json({
-        success: false,
-        error: 'Este número bloqueou você. Não é possível enviar mensagens.',
-        blocked: true
-      });
-    }
-
-    const userBefore = await getUserById(req.userId);
-    if (userBefore.whatsapp_credits < 1) {
-      return res.status(402).json({
-        success: false,
-        error: 'Créditos de WhatsApp insuficientes',
-        needsPayment: true
-      });
+    const removed = await unlinkUserIdentity(req.userId, req.params.provider);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Nenhuma conta deste provedor vinculada' });
     }
 
-    const moderation = await moderationService.validateAndRecord(message, req.userId, phone);
-
-   
-    await logModerationEvent({
+    const clientInfo = getClientInfo(req);
+    await logSecurityEvent({
       userId: req.userId,
-      message: message,
-      action: moderation.allowed ? 'allowed' : 'blocked',
-      category: moderation.category,
-      riskScore: moderation.riskScore || 0,
+      eventType: 'identity_unlinked',
       ipAddress: clientInfo.ipAddress,
       userAgent: clientInfo.userAgent,
-      targetPhone: phone,
-      channel: 'whatsapp',
-      detectedTypes: moderation.detectedTypes || [],
-      matchedWord: moderation.matchedWord || null
+      metadata: { provider: req.params.provider }
     });
 
-    if (!moderation.allowed) {
-      return res.status(400).json({
-        success: false,
-        error: 'Mensagem bloqueada por conteúdo inadequado',
-        moderationReason: moderation.reason,
-        moderationCategory: moderation.category
-      });
-    }
-
-   
-    const trackingCode = generateTrackingCode();
-    const messageWithCode = `*Mensagem Anônima*
-
-Você recebeu uma mensagem anônima.
-Responda aqui se desejar.
-
-*Mensagem:*
-${message}
-
-
-Para bloquear, envie: *bloquear*
-ᶜᵒᵈ ${trackingCode}`;
-
+    res.json({ success: true, message: 'Conta desvinculada' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const result = await whatsappService.sendMessage(phone, messageWithCode);
 
+app.get('/api/user/notifications', authMiddleware, async (req, res) => {
+  try {
+    const result = await getUserNotifications(req.userId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    await useCredit(req.userId, phone, message, 'whatsapp', trackingCode);
 
-    const user = await getUserById(req.userId);
+app.get('/api/user/notifications/unread-count', authMiddleware, async (req, res) => {
+  try {
+    const result = await getUnreadNotificationsCount(req.userId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    res.json({
-      success: true,
-      data: result.data,
-      whatsapp_credits: user.whatsapp_credits,
-      sms_credits: user.sms_credits,
-      tokenUsed: result.tokenUsed,
-      attempts: result.attempts,
-      trackingCode: trackingCode
-    });
 
+app.post('/api/user/notifications/:id/read', authMiddleware, async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+    const result = await markNotificationAsRead(notificationId, req.userId);
+    res.json(result);
   } catch (error) {
-    if (error.message.includes('Créditos') && error.message.includes('insuficientes')) {
-      res.status(402).json({
-        success: false,
-        error: error.message,
-        needsPayment: true
-      });
-    } else {
-      
-      res.status(500).json({ success: false, error: error.message });
-    }
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/test-whatsapp', authMiddleware, async (req, res) => {
-  const { phone, message } = req.body;
 
-  if (!phone || !message) {
-    return res.status(400).json({ success: false, error: 'Telefone e mensagem são obrigatórios' });
+app.post('/api/user/notifications/read-all', authMiddleware, async (req, res) => {
+  try {
+    const result = await markAllNotificationsAsRead(req.userId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
+});
 
+app.get('/api/favorites', authMiddleware, async (req, res) => {
   try {
-    const result = await whatsappService.sendMessage(phone, message);
-
-    res.json({
-      success: true,
-      data: result.data,
-      tokenUsed: result.tokenUsed,
-      attempts: result.attempts,
-      note: 'Teste realizado SEM debitar crédito'
-    });
+    const favorites = await getFavorites(req.userId);
+    res.json({ success: true, favorites });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+app.post('/api/favorites', authMiddleware, async (req, res) => {
+  try {
+    const { name, phone } = req.body;
 
-app.post('/api/send-whatsapp-audio', authMiddleware, async (req, res) => {
-  const { phone, audioBase64, mimetype, caption } = req.body;
-  const userId = req.userId;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'Nome é obrigatório' });
+    }
 
-  if (!phone || !audioBase64) {
-    return res.status(400).json({ success: false, error: 'Telefone e áudio são obrigatórios' });
-  }
+    if (!phone || phone.replace(/\D/g, '').length < 10) {
+      return res.status(400).json({ success: false, error: 'Telefone inválido' });
+    }
 
-  const allowedMimetypes = [
-    'audio/ogg',
-    'audio/ogg; codecs=opus',
-    'audio/mpeg',
-    'audio/mp3',
-    'audio/mp4',
-    'audio/wav',
-    'audio/webm',
-    'audio/webm; codecs=opus'
-  ];
+    const result = await addFavorite(req.userId, name, phone);
 
-  const audioMimetype = mimetype || 'audio/ogg';
-  if (!allowedMimetypes.some(m => audioMimetype.startsWith(m.split(';')[0]))) {
-    return res.status(400).json({ success: false, error: 'Tipo de áudio não suportado' });
-  }
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
 
-  const estimatedSize = (audioBase64.length * 3) / 4;
-  if (estimatedSize > 16 * 1024 * 1024) {
-    return res.status(400).json({ success: false, error: 'Arquivo muito grande. Máximo: 16MB' });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
+});
 
+app.delete('/api/favorites/:id', authMiddleware, async (req, res) => {
   try {
-   
-    const blocked = await isBlocked(phone, userId);
-    if (blocked) {
-      return res.status(403).json({
-        success: false,
-        error: 'Este número bloqueou você. Não é possível enviar mensagens.',
-        blocked: true
-      });
+    const favoriteId = parseInt(req.params.id);
+
+    if (!favoriteId) {
+      return res.status(400).json({ success: false, error: 'ID inválido' });
     }
 
-    const userBefore = await getUserById(userId);
-    if (userBefore.whatsapp_credits < 1) {
-      return res.status(402).json({
-        success: false,
-        error: 'Créditos de WhatsApp insuficientes',
-        needsPayment: true
-      });
+    const result = await deleteFavorite(req.userId, favoriteId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/favorites/check/:phone', authMiddleware, async (req, res) => {
+  try {
+    const isPhoneFavorite = await isFavorite(req.userId, req.params.phone);
+    res.json({ success: true, isFavorite: isPhoneFavorite });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.post('/api/create-pix', authMiddleware, async (req, res) => {
+  try {
+    const { quantity } = req.body;
+
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({ success: false, error: 'Quantidade inválida' });
+    }
+
+    const user = await getUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
     }
 
+    const userEmail = user.email || `user${user.id}@zapanonimo.com`;
+    const result = await createPixPayment(req.userId, quantity, userEmail);
 
-    const processId = `audio_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    res.json({
+      success: true,
+      paymentId: result.paymentId,
+      qrCode: result.qrCode,
+      qrCodeBase64: result.qrCodeBase64,
+      ticketUrl: result.ticketUrl,
+      expirationDate: result.expirationDate
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao gerar PIX: ' + error.message
+    });
+  }
+});
+
+
+app.post('/api/create-card-payment', authMiddleware, async (req, res) => {
+  try {
+    const { quantity } = req.body;
+
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({ success: false, error: 'Quantidade inválida' });
+    }
+
+    const user = await getUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+    }
 
+    const userEmail = user.email || null;
+    const session = await createCheckoutSession(req.userId, quantity, userEmail);
 
     res.json({
       success: true,
-      processing: true,
-      processId: processId,
-      message: 'Áudio em análise. Você será notificado quando o envio for concluído.'
+      sessionId: session.id,
+      checkoutUrl: session.url
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao criar pagamento: ' + error.message
     });
+  }
+});
 
 
-    (async () => {
-      try {
+const processedPayments = new Set();
 
-      
-        const moderation = await moderationService.moderateAudio(audioBase64, audioMimetype, userId, phone);
+app.post('/api/mercadopago/webhook', async (req, res) => {
+  try {
+  
 
-     
-        await logModerationEvent({
-          userId: userId,
-          message: moderation.transcription || '[Áudio sem transcrição]',
-          action: moderation.allowed ? 'allowed' : 'blocked',
-          category: moderation.category || 'audio',
-          riskScore: moderation.riskScore || 0,
-          targetPhone: phone,
-          channel: 'whatsapp',
-          detectedTypes: moderation.detectedTypes || [],
-          matchedWord: moderation.matchedWord || null
-        });
+    const webhookData = parseWebhookData(req.body);
+
+    if (webhookData && webhookData.type === 'payment') {
+      const paymentId = webhookData.paymentId;
+
+      if (processedPayments.has(paymentId)) {
+
+        return res.json({ received: true });
+      }
+
+      const paymentInfo = await getPaymentStatus(paymentId);
+
+      if (isPaymentApproved(paymentInfo.status)) {
+        const metadata = paymentInfo.metadata || {};
+        let userId, quantity, creditType;
+
+  
+        if (metadata.user_id) {
+          userId = parseInt(metadata.user_id);
+          quantity = parseInt(metadata.quantity);
+          creditType = metadata.credit_type || 'whatsapp';
+        }
+    
+        else if (paymentInfo.externalReference) {
+          try {
+            const extRef = JSON.parse(paymentInfo.externalReference);
+            userId = parseInt(extRef.userId);
+            quantity = parseInt(extRef.quantity);
+            creditType = extRef.creditType || 'whatsapp';
+          } catch (e) {
+            console.error('[MercadoPago Webhook] Erro ao parsear external_reference:', e);
+          }
+        }
+
+        if (userId && quantity) {
+    
+          const bonusQuantity = quantity * 2;
+          const price = quantity; 
+          await addCredits(userId, bonusQuantity, price, creditType);
+
+          processedPayments.add(paymentId);
+          setTimeout(() => processedPayments.delete(paymentId), 60 * 60 * 1000);
+
+   
+        }
+      }
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('[MercadoPago Webhook] Erro:', error);
+    res.status(200).json({ received: true, error: error.message });
+  }
+});
+
+
+const processedStripeSessions = new Set();
+
+app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  try {
+    const sig = req.headers['stripe-signature'];
+    const event = constructWebhookEvent(req.body, sig);
+
+
+
+    if (event.type === 'checkout.session.completed') {
+      const session = event.data.object;
+      const sessionId = session.id;
+
+      if (processedStripeSessions.has(sessionId)) {
+ 
+        return res.json({ received: true });
+      }
+
+      if (isStripePaymentApproved(session)) {
+        const metadata = session.metadata || {};
+        const userId = parseInt(metadata.userId);
+        const quantity = parseInt(metadata.quantity);
+        const creditType = metadata.creditType || 'whatsapp';
+
+        if (userId && quantity) {
+    
+          const bonusQuantity = quantity * 2;
+          const price = quantity;
+          await addCredits(userId, bonusQuantity, price, creditType);
+
+          processedStripeSessions.add(sessionId);
+          setTimeout(() => processedStripeSessions.delete(sessionId), 60 * 60 * 1000);
 
-        if (!moderation.allowed) {
       
-          io.to(`user:${userId}`).emit('audio-moderation-result', {
-            processId: processId,
-            success: false,
-            blocked: true,
-            reason: moderation.reason || 'Conteúdo inadequado detectado no áudio',
-            category: moderation.category
-          });
-          return;
         }
+      }
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('[Stripe Webhook] Erro:', error);
+    res.status(200).json({ received: true, error: error.message });
+  }
+});
+
+
+app.get('/api/verify-stripe-session/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const sessionId = req.params.sessionId;
+    const session = await verifySession(sessionId);
+
+    if (isStripePaymentApproved(session) && !processedStripeSessions.has(sessionId)) {
+      const metadata = session.metadata || {};
+
+      if (metadata.userId && parseInt(metadata.userId) === req.userId) {
+        const quantity = parseInt(metadata.quantity);
+        const creditType = metadata.creditType || 'whatsapp';
 
-  
-        const trackingCode = generateTrackingCode();
-        const messageContent = caption ? `*Mensagem:*\n${caption}` : '*Áudio anexo*';
-        const captionWithCode = `*Mensagem Anônima*
 
-Você recebeu uma mensagem anônima.
-Responda aqui se desejar.
+        const bonusQuantity = quantity * 2;
+        const price = quantity;
+        await addCredits(req.userId, bonusQuantity, price, creditType);
 
-${messageContent}
+        processedStripeSessions.add(sessionId);
+        setTimeout(() => processedStripeSessions.delete(sessionId), 60 * 60 * 1000);
+      }
+    }
 
+    res.json({
+      success: true,
+      status: session.payment_status,
+      paid: isStripePaymentApproved(session)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-Para bloquear, envie: *bloquear*
-ᶜᵒᵈ ${trackingCode}`;
 
-        const result = await whatsappService.sendAudio(phone, audioBase64, audioMimetype, captionWithCode);
+app.get('/api/verify-payment/:paymentId', authMiddleware, async (req, res) => {
+  try {
+    const paymentId = req.params.paymentId;
+    const paymentInfo = await getPaymentStatus(paymentId);
 
   
-        await useCredit(userId, phone, '[Mensagem de áudio]', 'whatsapp', trackingCode);
+    if (isPaymentApproved(paymentInfo.status) && !processedPayments.has(paymentId)) {
+      const metadata = paymentInfo.metadata || {};
+
+      if (metadata.user_id && parseInt(metadata.user_id) === req.userId) {
+        const quantity = parseInt(metadata.quantity);
+        const creditType = metadata.credit_type || 'whatsapp';
+
+     
+        const bonusQuantity = quantity * 2;
+        const price = quantity;
+        await addCredits(req.userId, bonusQuantity, price, creditType);
+
+        processedPayments.add(paymentId);
+        setTimeout(() => processedPayments.delete(paymentId), 60 * 60 * 1000);
+      }
+    }
+
+    res.json({
+      success: true,
+      status: paymentInfo.status,
+      paid: isPaymentApproved(paymentInfo.status),
+      pending: isPaymentPending(paymentInfo.status)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+
+app.get('/api/transactions', authMiddleware, async (req, res) => {
+  try {
+    const transactions = await getUserTransactions(req.userId);
+    res.json({ success: true, transactions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/messages', authMiddleware, async (req, res) => {
+  try {
+    const messages = await getUserMessages(req.userId);
+    res.json({ success: true, messages });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/replies', authMiddleware, async (req, res) => {
+  try {
+    const replies = await getUserReplies(req.userId);
+    res.json({ success: true, replies });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, replies: [] });
+  }
+});
+
+app.get('/api/threads', authMiddleware, async (req, res) => {
+  try {
+    const threads = await getUserThreads(req.userId);
+    res.json({ success: true, threads });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, threads: [] });
+  }
+});
+
+app.get('/api/threads/:id', authMiddleware, async (req, res) => {
+  try {
+    const thread = await getThread(req.params.id, req.userId);
+
+    if (!thread) {
+      return res.status(404).json({ success: false, error: 'Conversa não encontrada' });
+    }
+
+    res.json({ success: true, thread });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/threads/:id/messages', authMiddleware, requireActiveAccount, rateLimit(...SEND_RATE_LIMITS), async (req, res) => {
+  const { message } = req.body;
+  const clientInfo = getClientInfo(req);
+
+  if (!message || !message.trim()) {
+    return res.status(400).json({ success: false, error: 'Mensagem é obrigatória' });
+  }
+
+  try {
+    const thread = await getThread(req.params.id, req.userId);
+
+    if (!thread) {
+      return res.status(404).json({ success: false, error: 'Conversa não encontrada' });
+    }
+
+    const blocked = await isBlocked(thread.phone, req.userId);
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número bloqueou você. Não é possível enviar mensagens.',
+        blocked: true
+      });
+    }
+
+    const optedOut = await isRecipientOptedOut(thread.phone);
+    if (optedOut) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número optou por não receber mensagens anônimas.',
+        optedOut: true
+      });
+    }
+
+    const userBefore = await getUserById(req.userId);
+    if (userBefore.whatsapp_credits < 1) {
+      return res.status(402).json({
+        success: false,
+        error: 'Créditos de WhatsApp insuficientes',
+        needsPayment: true
+      });
+    }
+
+    const moderation = await moderationService.validateAndRecord(message, req.userId, thread.phone);
+
+    await logModerationEvent({
+      userId: req.userId,
+      message: message,
+      action: moderationService.getLogAction(moderation),
+      category: moderation.category,
+      riskScore: moderation.riskScore || 0,
+      ipAddress: clientInfo.ipAddress,
+      userAgent: clientInfo.userAgent,
+      targetPhone: thread.phone,
+      channel: 'whatsapp',
+      detectedTypes: moderation.detectedTypes || [],
+      matchedWord: moderation.matchedWord || null,
+      flags: moderation.flags || []
+    });
+
+    if (moderation.review) {
+      const job = await reviewQueue.hold({
+        userId: req.userId,
+        phone: thread.phone,
+        payload: { text: buildAnonymousMessage(message, thread.tracking_code), message },
+        trackingCode: thread.tracking_code,
+        moderation
+      });
+      const user = await getUserById(req.userId);
+
+      return res.status(202).json({
+        success: true,
+        held: true,
+        jobId: job.id,
+        threadId: thread.id,
+        status: job.status,
+        whatsapp_credits: user.whatsapp_credits,
+        sms_credits: user.sms_credits,
+        trackingCode: thread.tracking_code,
+        message: 'Mensagem retida para revisão da nossa equipe. O crédito fica reservado até a decisão.'
+      });
+    }
+
+    if (!moderation.allowed) {
+
+      return sendModerationBlocked(res, moderation);
+    }
+
+    // Mesmo código de rastreio: a resposta do destinatário volta para esta conversa
+    const reservationId = await reserveCredit(req.userId, 'whatsapp');
+
+    let job;
+    try {
+      job = await messageQueue.enqueue({
+        userId: req.userId,
+        type: 'text',
+        phone: thread.phone,
+        payload: { text: buildAnonymousMessage(message, thread.tracking_code), message },
+        trackingCode: thread.tracking_code,
+        creditReservationId: reservationId
+      });
+    } catch (enqueueError) {
+      await releaseCredit(reservationId, 'enqueue_failed');
+      throw enqueueError;
+    }
+
+    const user = await getUserById(req.userId);
+
+    res.status(202).json({
+      success: true,
+      queued: true,
+      jobId: job.id,
+      threadId: thread.id,
+      status: job.status,
+      whatsapp_credits: user.whatsapp_credits,
+      sms_credits: user.sms_credits,
+      trackingCode: thread.tracking_code
+    });
+  } catch (error) {
+    if (error.message.includes('Créditos') && error.message.includes('insuficientes')) {
+      res.status(402).json({
+        success: false,
+        error: error.message,
+        needsPayment: true
+      });
+    } else {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+
+
+app.post('/api/webhook/wasender/whatsapp', async (req, res) => {
+  try {
+    const webhookSecret = process.env.WASENDER_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      console.warn('[Webhook] WASENDER_WEBHOOK_SECRET não configurado - webhook desprotegido');
+    }
+    const receivedSecret = req.headers['x-webhook-signature'] ||
+                          req.headers['x-webhook-secret'] ||
+                          req.headers['authorization']?.replace('Bearer ', '') ||
+                          req.body.secret ||
+                          req.query.secret;
+
+
+    if (webhookSecret && receivedSecret && receivedSecret !== webhookSecret) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    if (req.body.event === 'webhook.test' || req.body.data?.test === true) {
+      return res.status(200).json({ success: true, message: 'Webhook test received successfully' });
+    }
+
+    let fromPhone = null;
+    let messageText = null;
+    let messageType = null;
+
+    let msg = null;
+    if (req.body.data?.messages) {
+      if (Array.isArray(req.body.data.messages)) {
+        msg = req.body.data.messages[0];
+      } else {
+        msg = req.body.data.messages;
+      }
+    }
+
+    if (msg) {
+      if (msg.key?.fromMe === true) {
+        return res.status(200).json({ success: true, message: 'Mensagem própria ignorada' });
+      }
+
+      fromPhone = msg.key?.cleanedSenderPn ||
+                 msg.key?.senderPn?.replace(/@s\.whatsapp\.net$/, '') ||
+                 msg.key?.remoteJid?.replace(/@s\.whatsapp\.net$/, '').replace(/@c\.us$/, '').replace(/@lid$/, '');
+
+      messageText = msg.messageBody ||
+                   msg.message?.conversation ||
+                   msg.message?.extendedTextMessage?.text ||
+                   msg.message?.imageMessage?.caption ||
+                   msg.message?.videoMessage?.caption ||
+                   msg.message?.documentMessage?.caption ||
+                   msg.message?.buttonsResponseMessage?.selectedDisplayText ||
+                   msg.message?.listResponseMessage?.title;
+
+      messageType = 'message';
+    } else {
+      const { from, phone, sender, message, body, text, type } = req.body;
+      fromPhone = from || phone || sender || req.body.fromPhone;
+      messageText = message || body || text || req.body.messageText;
+      messageType = type;
+    }
+
+    if (!fromPhone || !messageText) {
+      return res.status(200).json({ success: true, message: 'Dados incompletos' });
+    }
+
+    if (messageType && messageType !== 'message' && messageType !== 'text') {
+      return res.status(200).json({ success: true, message: 'Tipo ignorado' });
+    }
+
+    await inboundPipeline.process({
+      source: 'wasender',
+      from: fromPhone,
+      isLid: !!msg?.key?.remoteJid?.endsWith('@lid') && !msg?.key?.cleanedSenderPn && !msg?.key?.senderPn,
+      text: messageText
+    });
+
+    res.status(200).json({ success: true, message: 'Resposta processada' });
+
+  } catch (error) {
+    console.error('[Webhook WASender] Erro ao processar:', error);
+    res.status(200).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/webhook/whatsapp', async (req, res) => {
+  try {
+    let fromPhone, messageText;
+
+    if (req.body.data?.messages && req.body.data.messages.length > 0) {
+      const msg = req.body.data.messages[0];
+
+      if (msg.key?.fromMe === true) {
+        return res.status(200).json({ success: true, message: 'Mensagem própria ignorada' });
+      }
+
+      fromPhone = msg.key?.remoteJid;
+      messageText = msg.message?.conversation ||
+                   msg.message?.extendedTextMessage?.text ||
+                   msg.message?.imageMessage?.caption ||
+                   msg.message?.videoMessage?.caption;
+    } else if (req.body.entry && req.body.entry[0]?.changes) {
+      const change = req.body.entry[0].changes[0];
+      if (change.value?.messages) {
+        const msg = change.value.messages[0];
+        fromPhone = msg.from;
+        messageText = msg.text?.body || msg.body;
+      }
+    } else {
+      fromPhone = req.body.from || req.body.phone || req.body.sender || req.body.remoteJid;
+      messageText = req.body.message || req.body.body || req.body.text || req.body.content;
+    }
+
+    if (!fromPhone || !messageText) {
+      return res.status(200).json({ success: true });
+    }
+
+    fromPhone = fromPhone.replace(/@s\.whatsapp\.net$/, '').replace(/@c\.us$/, '');
+
+    await inboundPipeline.process({
+      source: 'cloud-api',
+      from: fromPhone,
+      isLid: false,
+      text: messageText
+    });
+
+    res.status(200).json({ success: true });
+
+  } catch (error) {
+    console.error('[Webhook WhatsApp] Erro ao processar:', error);
+    res.status(200).json({ success: false });
+  }
+});
+
+app.get('/api/webhook/whatsapp', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  const verifyToken = process.env.WEBHOOK_VERIFY_TOKEN || 'zapanonimo_webhook_token';
+
+  if (mode === 'subscribe' && token === verifyToken) {
+    res.status(200).send(challenge);
+  } else {
+    res.sendStatus(403);
+  }
+});
+
+app.post('/api/send-whatsapp', authMiddleware, requireActiveAccount, rateLimit(...SEND_RATE_LIMITS), async (req, res) => {
+  const { phone, message } = req.body;
+  const clientInfo = getClientInfo(req);
+
+  if (!phone || !message) {
+    return res.status(400).json({ success: false, error: 'Telefone e mensagem são obrigatórios' });
+  }
+
+  try {
+  
+    const blocked = await isBlocked(phone, req.userId);
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número bloqueou você. Não é possível enviar mensagens.',
+        blocked: true
+      });
+    }
+
+    const optedOut = await isRecipientOptedOut(phone);
+    if (optedOut) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número optou por não receber mensagens anônimas.',
+        optedOut: true
+      });
+    }
+
+    const userBefore = await getUserById(req.userId);
+    if (userBefore.whatsapp_credits < 1) {
+      return res.status(402).json({
+        success: false,
+        error: 'Créditos de WhatsApp insuficientes',
+        needsPayment: true
+      });
+    }
+
+    const moderation = await moderationService.validateAndRecord(message, req.userId, phone);
+
+   
+    await logModerationEvent({
+      userId: req.userId,
+      message: message,
+      action: moderationService.getLogAction(moderation),
+      category: moderation.category,
+      riskScore: moderation.riskScore || 0,
+      ipAddress: clientInfo.ipAddress,
+      userAgent: clientInfo.userAgent,
+      targetPhone: phone,
+      channel: 'whatsapp',
+      detectedTypes: moderation.detectedTypes || [],
+      matchedWord: moderation.matchedWord || null,
+      flags: moderation.flags || []
+    });
+
+    if (!moderation.allowed && !moderation.review) {
+
+      return sendModerationBlocked(res, moderation);
+    }
+
+   
+    const trackingCode = await reserveTrackingCode({ userId: req.userId, phone });
+    const messageWithCode = buildAnonymousMessage(message, trackingCode);
+
+    if (moderation.review) {
+      const job = await reviewQueue.hold({
+        userId: req.userId,
+        phone,
+        payload: { text: messageWithCode, message },
+        trackingCode,
+        moderation
+      });
+      const user = await getUserById(req.userId);
+
+      return res.status(202).json({
+        success: true,
+        held: true,
+        jobId: job.id,
+        status: job.status,
+        whatsapp_credits: user.whatsapp_credits,
+        sms_credits: user.sms_credits,
+        trackingCode: trackingCode,
+        message: 'Mensagem retida para revisão da nossa equipe. O crédito fica reservado até a decisão.'
+      });
+    }
+
+
+    const reservationId = await reserveCredit(req.userId, 'whatsapp');
+
+    let job;
+    try {
+      job = await messageQueue.enqueue({
+        userId: req.userId,
+        type: 'text',
+        phone,
+        payload: { text: messageWithCode, message },
+        trackingCode,
+        creditReservationId: reservationId
+      });
+    } catch (enqueueError) {
+      await releaseCredit(reservationId, 'enqueue_failed');
+      throw enqueueError;
+    }
+
+    const user = await getUserById(req.userId);
+
+    res.status(202).json({
+      success: true,
+      queued: true,
+      jobId: job.id,
+      status: job.status,
+      whatsapp_credits: user.whatsapp_credits,
+      sms_credits: user.sms_credits,
+      trackingCode: trackingCode
+    });
+
+  } catch (error) {
+    if (error.message.includes('Créditos') && error.message.includes('insuficientes')) {
+      res.status(402).json({
+        success: false,
+        error: error.message,
+        needsPayment: true
+      });
+    } else {
+      
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+app.get('/api/send-whatsapp/jobs/:id', authMiddleware, async (req, res) => {
+  try {
+    const job = await getMessageJob(req.params.id, req.userId);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Envio não encontrado' });
+    }
+
+    res.json({
+      success: true,
+      job: {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        nextAttemptAt: job.status === 'failed' ? job.next_attempt_at : null,
+        lastError: job.last_error,
+        trackingCode: job.tracking_code,
+        sentAt: job.sent_at,
+        createdAt: job.created_at
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+const SCHEDULE_MIN_DELAY_MS = 60 * 1000;
+const SCHEDULE_MAX_DELAY_MS = 365 * 24 * 60 * 60 * 1000;
+
+function parseScheduleDate(sendAt) {
+  const date = new Date(sendAt);
+
+  if (!sendAt || isNaN(date.getTime())) {
+    return { error: 'Data de envio inválida' };
+  }
+
+  const delay = date.getTime() - Date.now();
+  if (delay < SCHEDULE_MIN_DELAY_MS) {
+    return { error: 'A data de envio deve ser pelo menos 1 minuto no futuro' };
+  }
+  if (delay > SCHEDULE_MAX_DELAY_MS) {
+    return { error: 'A data de envio não pode ser superior a 1 ano' };
+  }
+
+  return { date };
+}
+
+function formatScheduledMessage(item) {
+  return {
+    id: item.id,
+    phone: item.phone,
+    message: item.message !== undefined ? item.message : item.payload?.message || null,
+    status: item.status,
+    sendAt: item.scheduled_for,
+    trackingCode: item.tracking_code,
+    lastError: item.last_error || null,
+    refunded: !!item.refunded_at,
+    sentAt: item.sent_at || null,
+    createdAt: item.created_at
+  };
+}
+
+
+app.post('/api/scheduled-messages', authMiddleware, requireActiveAccount, rateLimit(...SEND_RATE_LIMITS), async (req, res) => {
+  const { phone, message, sendAt } = req.body;
+  const clientInfo = getClientInfo(req);
+
+  if (!phone || !message) {
+    return res.status(400).json({ success: false, error: 'Telefone e mensagem são obrigatórios' });
+  }
+
+  const schedule = parseScheduleDate(sendAt);
+  if (schedule.error) {
+    return res.status(400).json({ success: false, error: schedule.error });
+  }
+
+  try {
+    const blocked = await isBlocked(phone, req.userId);
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número bloqueou você. Não é possível enviar mensagens.',
+        blocked: true
+      });
+    }
+
+    const optedOut = await isRecipientOptedOut(phone);
+    if (optedOut) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número optou por não receber mensagens anônimas.',
+        optedOut: true
+      });
+    }
+
+    const moderation = await moderationService.validateAndRecord(message, req.userId, phone);
+
+    await logModerationEvent({
+      userId: req.userId,
+      message: message,
+      action: moderationService.getLogAction(moderation),
+      category: moderation.category,
+      riskScore: moderation.riskScore || 0,
+      ipAddress: clientInfo.ipAddress,
+      userAgent: clientInfo.userAgent,
+      targetPhone: phone,
+      channel: 'whatsapp',
+      detectedTypes: moderation.detectedTypes || [],
+      matchedWord: moderation.matchedWord || null,
+      flags: moderation.flags || []
+    });
+
+    if (moderation.review) {
+      const job = await reviewQueue.hold({
+        userId: req.userId,
+        phone,
+        payload: { message },
+        trackingCode: await reserveTrackingCode({ userId: req.userId, phone }),
+        scheduledFor: schedule.date.toISOString(),
+        moderation
+      });
+      const user = await getUserById(req.userId);
+
+      return res.status(201).json({
+        success: true,
+        held: true,
+        scheduled: formatScheduledMessage({ ...job, phone, message }),
+        whatsapp_credits: user.whatsapp_credits,
+        sms_credits: user.sms_credits,
+        message: 'Agendamento retido para revisão da nossa equipe. O crédito fica reservado até a decisão.'
+      });
+    }
+
+    if (!moderation.allowed) {
+
+      return sendModerationBlocked(res, moderation);
+    }
+
+    const reservationId = await reserveCredit(req.userId, 'whatsapp');
+
+    let job;
+    try {
+      job = await enqueueMessageJob({
+        userId: req.userId,
+        type: 'text',
+        phone,
+        payload: { message },
+        trackingCode: await reserveTrackingCode({ userId: req.userId, phone }),
+        scheduledFor: schedule.date.toISOString(),
+        creditReservationId: reservationId
+      });
+    } catch (enqueueError) {
+      await releaseCredit(reservationId, 'enqueue_failed');
+      throw enqueueError;
+    }
+
+    const user = await getUserById(req.userId);
+
+    res.status(201).json({
+      success: true,
+      scheduled: formatScheduledMessage({ ...job, phone, message }),
+      whatsapp_credits: user.whatsapp_credits,
+      sms_credits: user.sms_credits
+    });
+  } catch (error) {
+    if (error.message.includes('Créditos') && error.message.includes('insuficientes')) {
+      res.status(402).json({
+        success: false,
+        error: error.message,
+        needsPayment: true
+      });
+    } else {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+app.get('/api/scheduled-messages', authMiddleware, async (req, res) => {
+  try {
+    const items = await getScheduledMessages(req.userId);
+    res.json({ success: true, scheduled: items.map(formatScheduledMessage) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/scheduled-messages/:id', authMiddleware, requireActiveAccount, async (req, res) => {
+  const { phone, message, sendAt } = req.body;
+  const clientInfo = getClientInfo(req);
+
+  try {
+    const item = await getScheduledMessage(req.params.id, req.userId);
+
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Agendamento não encontrado' });
+    }
+
+    if (item.status !== 'scheduled') {
+      return res.status(409).json({ success: false, error: 'Este agendamento não pode mais ser alterado' });
+    }
+
+    const updates = {};
+    const newPhone = phone || item.phone;
+    const newMessage = message || item.payload?.message;
+
+    if (sendAt) {
+      const schedule = parseScheduleDate(sendAt);
+      if (schedule.error) {
+        return res.status(400).json({ success: false, error: schedule.error });
+      }
+      updates.scheduled_for = schedule.date.toISOString();
+      updates.next_attempt_at = schedule.date.toISOString();
+    }
+
+    if (phone && phone !== item.phone) {
+      const blocked = await isBlocked(phone, req.userId);
+      if (blocked) {
+        return res.status(403).json({
+          success: false,
+          error: 'Este número bloqueou você. Não é possível enviar mensagens.',
+          blocked: true
+        });
+      }
+
+      const optedOut = await isRecipientOptedOut(phone);
+      if (optedOut) {
+        return res.status(403).json({
+          success: false,
+          error: 'Este número optou por não receber mensagens anônimas.',
+          optedOut: true
+        });
+      }
+
+      // Novo destinatário conta como um envio novo, como no POST
+      if (!await consumeRateLimit(req, res, SEND_RATE_LIMITS)) return;
+      updates.phone = phone;
+    }
+
+    let review = null;
+    if (updates.phone || (message && message !== item.payload?.message)) {
+      // Com destinatário novo, validateAndRecord também aplica e conta o limite send_recipient.
+      // Só o texto mudou: o envio já foi contado no agendamento, então a moderação vai sem limite
+      const moderation = updates.phone
+        ? await moderationService.validateAndRecord(newMessage, req.userId, newPhone)
+        : await moderationService.validateMessage(newMessage);
+
+      await logModerationEvent({
+        userId: req.userId,
+        message: newMessage,
+        action: moderationService.getLogAction(moderation),
+        category: moderation.category,
+        riskScore: moderation.riskScore || 0,
+        ipAddress: clientInfo.ipAddress,
+        userAgent: clientInfo.userAgent,
+        targetPhone: newPhone,
+        channel: 'whatsapp',
+        detectedTypes: moderation.detectedTypes || [],
+        matchedWord: moderation.matchedWord || null,
+        flags: moderation.flags || []
+      });
+
+      if (!moderation.allowed && !moderation.review) {
+        return sendModerationBlocked(res, moderation);
+      }
+      updates.payload = { ...item.payload, message: newMessage };
+      review = moderation.review ? moderation : null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nenhum dado para atualizar' });
+    }
+
+    // O código de rastreio e a conversa são do par remetente→destinatário
+    if (updates.phone) {
+      updates.tracking_code = await reserveTrackingCode({ userId: req.userId, phone: updates.phone });
+    }
+
+    // Uma aprovação da revisão vale só para o texto e o destinatário que o admin viu
+    if (updates.payload || updates.phone) {
+      Object.assign(updates, { review_decision: null, review_note: null, reviewed_by: null, reviewed_at: null });
+    }
+
+    // Texto ou destinatário novo em revisão: o agendamento fica retido até a decisão do admin
+    const updated = review
+      ? await reviewQueue.holdExisting(item, review, updates)
+      : await transitionMessageJob(item.id, 'scheduled', updates);
+
+    if (!updated) {
+      return res.status(409).json({ success: false, error: 'Este agendamento não pode mais ser alterado' });
+    }
+
+    res.json({ success: true, held: !!review, scheduled: formatScheduledMessage(updated) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/scheduled-messages/:id', authMiddleware, async (req, res) => {
+  try {
+    const item = await getScheduledMessage(req.params.id, req.userId);
+
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Agendamento não encontrado' });
+    }
+
+    // Agendamento retido para revisão também pode ser cancelado pelo remetente
+    const fromStatus = item.status === 'held' ? 'held' : 'scheduled';
+    const cancelled = await transitionMessageJob(item.id, fromStatus, { status: 'cancelled' });
+
+    if (!cancelled) {
+      return res.status(409).json({ success: false, error: 'Este agendamento não pode mais ser cancelado' });
+    }
+
+    await releaseMessageJobCredit(item.id, 'cancelled');
+    const user = await getUserById(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Agendamento cancelado. O crédito foi devolvido.',
+      whatsapp_credits: user.whatsapp_credits,
+      sms_credits: user.sms_credits
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/test-whatsapp', authMiddleware, requireActiveAccount, async (req, res) => {
+  const { phone, message } = req.body;
+
+  if (!phone || !message) {
+    return res.status(400).json({ success: false, error: 'Telefone e mensagem são obrigatórios' });
+  }
+
+  try {
+    const result = await whatsappPool.sendMessage(phone, message);
+
+    res.json({
+      success: true,
+      data: result.data,
+      tokenUsed: result.tokenUsed,
+      attempts: result.attempts,
+      note: 'Teste realizado SEM debitar crédito'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.post('/api/send-whatsapp-audio', authMiddleware, requireActiveAccount, rateLimit(...SEND_RATE_LIMITS), async (req, res) => {
+  const { phone, audioBase64, mimetype, caption } = req.body;
+  const userId = req.userId;
+
+  if (!phone || !audioBase64) {
+    return res.status(400).json({ success: false, error: 'Telefone e áudio são obrigatórios' });
+  }
+
+  const allowedMimetypes = [
+    'audio/ogg',
+    'audio/ogg; codecs=opus',
+    'audio/mpeg',
+    'audio/mp3',
+    'audio/mp4',
+    'audio/wav',
+    'audio/webm',
+    'audio/webm; codecs=opus'
+  ];
+
+  const audioMimetype = mimetype || 'audio/ogg';
+  if (!allowedMimetypes.some(m => audioMimetype.startsWith(m.split(';')[0]))) {
+    return res.status(400).json({ success: false, error: 'Tipo de áudio não suportado' });
+  }
+
+  const estimatedSize = (audioBase64.length * 3) / 4;
+  if (estimatedSize > 16 * 1024 * 1024) {
+    return res.status(400).json({ success: false, error: 'Arquivo muito grande. Máximo: 16MB' });
+  }
+
+  try {
+   
+    const blocked = await isBlocked(phone, userId);
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número bloqueou você. Não é possível enviar mensagens.',
+        blocked: true
+      });
+    }
+
+    const optedOut = await isRecipientOptedOut(phone);
+    if (optedOut) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número optou por não receber mensagens anônimas.',
+        optedOut: true
+      });
+    }
+
+    const userBefore = await getUserById(userId);
+    if (userBefore.whatsapp_credits < 1) {
+      return res.status(402).json({
+        success: false,
+        error: 'Créditos de WhatsApp insuficientes',
+        needsPayment: true
+      });
+    }
+
+
+    const processId = `audio_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // O crédito fica reservado durante a análise e só é confirmado após a entrega
+    const reservationId = await reserveCredit(userId, 'whatsapp');
+    const userReserved = await getUserById(userId);
+
+    res.json({
+      success: true,
+      processing: true,
+      processId: processId,
+      whatsapp_credits: userReserved.whatsapp_credits,
+      message: 'Áudio em análise. Você será notificado quando o envio for concluído.'
+    });
+
+
+    (async () => {
+      let enqueued = false;
+      try {
+
+      
+        const moderation = await moderationService.moderateAudio(audioBase64, audioMimetype, userId, phone);
+
+     
+        await logModerationEvent({
+          userId: userId,
+          message: moderation.transcription || '[Áudio sem transcrição]',
+          action: moderationService.getLogAction(moderation),
+          category: moderation.category || 'audio',
+          riskScore: moderation.riskScore || 0,
+          targetPhone: phone,
+          channel: 'whatsapp',
+          detectedTypes: moderation.detectedTypes || [],
+          matchedWord: moderation.matchedWord || null,
+          flags: moderation.flags || []
+        });
+
+        if (!moderation.allowed && !moderation.review) {
+          await releaseCredit(reservationId, 'moderation_blocked');
+          const userReleased = await getUserById(userId);
+      
+          io.to(`user:${userId}`).emit('audio-moderation-result', {
+            processId: processId,
+            success: false,
+            blocked: true,
+            whatsapp_credits: userReleased.whatsapp_credits,
+            reason: moderation.reason || 'Conteúdo inadequado detectado no áudio',
+            category: moderation.category
+          });
+          return;
+        }
+
+  
+        const trackingCode = await reserveTrackingCode({ userId, phone });
+        const captionWithCode = buildAnonymousMessage(caption, trackingCode, 'Áudio anexo');
+
+        const audioJob = {
+          userId,
+          type: 'audio',
+          phone,
+          payload: {
+            audioBase64,
+            mimetype: audioMimetype,
+            caption: captionWithCode,
+            message: '[Mensagem de áudio]',
+            processId
+          },
+          trackingCode,
+          creditReservationId: reservationId
+        };
+
+        if (moderation.review) {
+          const job = await reviewQueue.hold({
+            ...audioJob,
+            payload: { ...audioJob.payload, transcription: moderation.transcription },
+            moderation
+          });
+          enqueued = true;
+
+          io.to(`user:${userId}`).emit('audio-moderation-result', {
+            processId: processId,
+            success: true,
+            held: true,
+            jobId: job.id,
+            trackingCode,
+            message: 'Áudio retido para revisão da nossa equipe. O crédito fica reservado até a decisão.'
+          });
+          return;
+        }
+
+        await messageQueue.enqueue(audioJob);
+        enqueued = true;
+
+      } catch (error) {
+        console.error(`[Audio] Erro no processamento ${processId}:`, error.message);
+
+        if (!enqueued) {
+          await releaseCredit(reservationId, 'processing_failed').catch(releaseError => {
+            console.error(`[Audio] Erro ao devolver crédito de ${processId}:`, releaseError.message);
+          });
+        }
+   
+        io.to(`user:${userId}`).emit('audio-moderation-result', {
+          processId: processId,
+          success: false,
+          error: error.message
+        });
+      }
+    })();
+
+  } catch (error) {
+    if (error.message.includes('Créditos') && error.message.includes('insuficientes')) {
+      res.status(402).json({
+        success: false,
+        error: error.message,
+        needsPayment: true
+      });
+    } else {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+// Imagem ou vídeo curto. A moderação é feita na hora (tipo, tamanho, metadados,
+// classificador de imagem e legenda) e o envio segue pela fila como o texto
+app.post('/api/send-whatsapp-media', authMiddleware, requireActiveAccount, rateLimit(...SEND_RATE_LIMITS), async (req, res) => {
+  const { phone, mediaBase64, mimetype, caption } = req.body;
+  const clientInfo = getClientInfo(req);
+
+  if (!phone || !mediaBase64) {
+    return res.status(400).json({ success: false, error: 'Telefone e arquivo são obrigatórios' });
+  }
+
+  if (caption && caption.length > 1000) {
+    return res.status(400).json({ success: false, error: 'Legenda muito longa. Máximo: 1000 caracteres' });
+  }
+
+  try {
+    const blocked = await isBlocked(phone, req.userId);
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número bloqueou você. Não é possível enviar mensagens.',
+        blocked: true
+      });
+    }
+
+    const optedOut = await isRecipientOptedOut(phone);
+    if (optedOut) {
+      return res.status(403).json({
+        success: false,
+        error: 'Este número optou por não receber mensagens anônimas.',
+        optedOut: true
+      });
+    }
+
+    const userBefore = await getUserById(req.userId);
+    if (userBefore.whatsapp_credits < 1) {
+      return res.status(402).json({
+        success: false,
+        error: 'Créditos de WhatsApp insuficientes',
+        needsPayment: true
+      });
+    }
+
+    const prepared = await getMediaModeration().prepare(mediaBase64, mimetype);
+    if (!prepared.success) {
+      return res.status(400).json({ success: false, error: prepared.error });
+    }
+
+    const mediaLabel = prepared.kind === 'video' ? '[Vídeo]' : '[Imagem]';
+    const moderation = await moderationService.moderateMedia(prepared, caption, req.userId, phone);
+
+    await logModerationEvent({
+      userId: req.userId,
+      message: caption ? `${mediaLabel} ${caption}` : mediaLabel,
+      action: moderationService.getLogAction(moderation),
+      category: moderation.category || prepared.kind,
+      riskScore: moderation.riskScore || 0,
+      ipAddress: clientInfo.ipAddress,
+      userAgent: clientInfo.userAgent,
+      targetPhone: phone,
+      channel: 'whatsapp',
+      detectedTypes: moderation.detectedTypes || [],
+      matchedWord: moderation.matchedWord || null,
+      flags: moderation.flags || []
+    });
+
+    if (!moderation.allowed && !moderation.review) {
+      return sendModerationBlocked(res, moderation);
+    }
+
+    // Cópia sem metadados no storage: histórico e pré-visualização na revisão do admin
+    const upload = await uploadMedia(prepared.base64, prepared.mimetype, 'outbound');
+    if (!upload.success) {
+      return res.status(500).json({ success: false, error: `Erro ao salvar arquivo: ${upload.error}` });
+    }
+
+    const trackingCode = await reserveTrackingCode({ userId: req.userId, phone });
+    const captionWithCode = buildAnonymousMessage(caption, trackingCode, prepared.kind === 'video' ? 'Vídeo anexo' : 'Imagem anexa');
+
+    const mediaJob = {
+      userId: req.userId,
+      type: prepared.kind,
+      phone,
+      payload: {
+        mediaBase64: prepared.base64,
+        mediaUrl: upload.url,
+        mimetype: prepared.mimetype,
+        caption: captionWithCode,
+        message: caption ? `${mediaLabel} ${caption}` : mediaLabel
+      },
+      trackingCode
+    };
+
+    if (moderation.review) {
+      const job = await reviewQueue.hold({ ...mediaJob, moderation });
+      const user = await getUserById(req.userId);
+
+      return res.status(202).json({
+        success: true,
+        held: true,
+        jobId: job.id,
+        status: job.status,
+        whatsapp_credits: user.whatsapp_credits,
+        trackingCode: trackingCode,
+        message: 'Mensagem retida para revisão da nossa equipe. O crédito fica reservado até a decisão.'
+      });
+    }
+
+    const reservationId = await reserveCredit(req.userId, 'whatsapp');
+
+    let job;
+    try {
+      job = await messageQueue.enqueue({ ...mediaJob, creditReservationId: reservationId });
+    } catch (enqueueError) {
+      await releaseCredit(reservationId, 'enqueue_failed');
+      throw enqueueError;
+    }
+
+    const user = await getUserById(req.userId);
+
+    res.status(202).json({
+      success: true,
+      queued: true,
+      jobId: job.id,
+      status: job.status,
+      whatsapp_credits: user.whatsapp_credits,
+      trackingCode: trackingCode
+    });
+
+  } catch (error) {
+    if (error.message.includes('Créditos') && error.message.includes('insuficientes')) {
+      res.status(402).json({
+        success: false,
+        error: error.message,
+        needsPayment: true
+      });
+    } else {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+app.get('/api/whatsapp/available', authMiddleware, async (req, res) => {
+  try {
+    
+    const hasClient = [...whatsappPool.members.values()].some(member => member.client !== null);
+    const statusConnected = whatsappPool.isAvailable();
+
+
+    const isAvailable = statusConnected || hasClient;
+
+    res.json({
+      success: true,
+      available: isAvailable,
+      status: whatsappPool.status,
+      hasClient: hasClient
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/whatsapp/stats', authMiddleware, async (req, res) => {
+  try {
+    const stats = whatsappPool.getStats();
+    res.json({ success: true, stats });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/whatsapp/test-all', authMiddleware, async (req, res) => {
+  const { phone, message } = req.body;
+
+  if (!phone || !message) {
+    return res.status(400).json({ success: false, error: 'Telefone e mensagem são obrigatórios' });
+  }
+
+  try {
+    const results = await whatsappPool.testAllTokens(phone, message);
+    res.json({ success: true, results });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+
+const jwt = require('jsonwebtoken');
+
+if (!process.env.ADMIN_PASS) {
+  console.error('[Admin] AVISO: ADMIN_PASS não configurado no .env (usado para criar o primeiro superadmin)');
+}
+
+// normalizeIdentifier (auth-guard) só preserva identificadores com @
+function adminIdentifier(req) {
+  const username = String(req.body?.username || '').trim().toLowerCase();
+  return username ? `${username}@admin` : null;
+}
+
+// Códigos do 2FA do admin contam por conta, não só por IP: no login vem do desafio,
+// nas rotas autenticadas do admin logado
+function adminTwoFactorIdentifier(req) {
+  if (req.admin) {
+    return `${String(req.admin.username).toLowerCase()}@admin`;
+  }
+  const challenge = verifyTwoFactorChallenge(req.body?.challengeToken);
+  return challenge && challenge.admin ? challenge.identifier || null : null;
+}
+
+function adminProfile(admin) {
+  return {
+    id: admin.id,
+    username: admin.username,
+    name: admin.name || null,
+    role: admin.role,
+    permissions: permissionsFor(admin.role),
+    twoFactorEnabled: !!(admin.two_factor_enabled || admin.two_factor_secret)
+  };
+}
+
+// Filtros sem dado pessoal entram na auditoria como vieram; os demais (phone, email, cpf,
+// busca livre) só como hash, como no opt-out e nas denúncias
+const AUDIT_QUERY_KEYS = ['period', 'limit', 'offset', 'status', 'adminId', 'targetType', 'targetId', 'action', 'before', 'userId'];
+
+function auditQuery(query) {
+  const entries = Object.entries(query || {}).map(([key, value]) => [
+    key,
+    AUDIT_QUERY_KEYS.includes(key) ? value : `sha256:${hashMessage(String(value))}`
+  ]);
+  return entries.length > 0 ? { query: Object.fromEntries(entries) } : {};
+}
+
+// Trilha de auditoria: toda chamada a /api/admin/* vira uma linha em admin_audit_log
+// quando a resposta termina. O admin vem de req.admin (adminAuthMiddleware ou login);
+// a rota pode acrescentar detalhes em req.auditDetails
+app.use('/api/admin', (req, res, next) => {
+  const clientInfo = getClientInfo(req);
+
+  res.on('finish', () => {
+    const routePath = req.route
+      ? req.route.path.replace(/^\/api\/admin/, '')
+      : req.originalUrl.split('?')[0].replace(/^\/api\/admin/, '');
+
+    logAdminAudit({
+      adminId: req.admin?.id,
+      adminUsername: req.admin?.username || req.auditUsername,
+      adminRole: req.admin?.role,
+      action: `${req.method} ${routePath}`.slice(0, 120),
+      targetType: routePath.split('/').filter(Boolean)[0] || null,
+      targetId: req.params?.id || req.params?.name || null,
+      statusCode: res.statusCode,
+      ipAddress: clientInfo.ipAddress,
+      userAgent: clientInfo.userAgent,
+      metadata: {
+        ...auditQuery(req.query),
+        ...(req.auditDetails || {})
+      }
+    });
+  });
+
+  next();
+});
+
+// Autentica o admin e confere a permissão da rota (ROLE_PERMISSIONS em admin-auth.js).
+// Sem permissão: qualquer admin logado
+function adminAuthMiddleware(permission = null) {
+  return async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Token não fornecido' });
+    }
+
+    try {
+      const admin = await adminAuth.verifyToken(authHeader.split(' ')[1]);
+      if (!admin) {
+        return res.status(401).json({ success: false, error: 'Token inválido' });
+      }
+
+      req.admin = admin;
+      req.adminUser = admin.username;
+
+      if (permission && !hasPermission(admin.role, permission)) {
+        return res.status(403).json({ success: false, error: 'Sem permissão para esta ação', requiredPermission: permission });
+      }
+      next();
+    } catch (error) {
+      console.error('[Admin] Erro ao validar token:', error.message);
+      res.status(500).json({ success: false, error: 'Erro ao validar acesso' });
+    }
+  };
+}
+
+
+app.post('/api/admin/login', rateLimit('login_ip'), bruteForceGuard('login', adminIdentifier), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    req.auditUsername = username ? String(username).slice(0, 50) : null;
+
+    const admin = await adminAuth.authenticate(username, password);
+    if (!admin) {
+      const attempt = await authGuard.recordFailure('login', authAttempt(req, adminIdentifier(req), { reason: 'admin_login' }));
+      return res.status(401).json({ success: false, error: 'Credenciais inválidas', retryAfter: attempt.retryAfter || undefined });
+    }
+
+    await authGuard.recordSuccess('login', authAttempt(req, adminIdentifier(req)));
+    req.admin = admin;
+
+    // Com 2FA o token só sai em /api/admin/login/2fa
+    if (admin.two_factor_secret) {
+      req.auditDetails = { twoFactorPending: true };
+      return res.json({
+        success: false,
+        twoFactorRequired: true,
+        method: 'totp',
+        challengeToken: createTwoFactorChallenge({ admin: true, adminId: admin.id, identifier: adminIdentifier(req) }),
+        error: 'Informe o código do app autenticador'
+      });
+    }
+
+    const token = await adminAuth.issueToken(admin);
+    res.json({ success: true, token, admin: adminProfile(admin), message: 'Login realizado com sucesso' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/login/2fa', rateLimit('login_ip'), bruteForceGuard('code', adminTwoFactorIdentifier), async (req, res) => {
+  try {
+    const challenge = verifyTwoFactorChallenge(req.body.challengeToken);
+    const admin = challenge && challenge.admin ? await getAdminUserById(challenge.adminId, { withSecrets: true }) : null;
+
+    if (!admin || !admin.active || !admin.two_factor_secret) {
+      return res.status(401).json({ success: false, error: 'Verificação expirada. Faça login novamente.', challengeExpired: true });
+    }
+
+    req.admin = admin;
+
+    if (!await adminAuth.verifyTwoFactor(admin, req.body.code)) {
+      const attempt = await authGuard.recordFailure('code', authAttempt(req, adminTwoFactorIdentifier(req), { reason: 'admin_two_factor' }));
+      return res.status(401).json({ success: false, error: 'Código inválido', retryAfter: attempt.retryAfter || undefined });
+    }
+
+    await authGuard.recordSuccess('code', authAttempt(req, adminTwoFactorIdentifier(req)));
+    const token = await adminAuth.issueToken(admin);
+    res.json({ success: true, token, admin: adminProfile(admin), message: 'Login realizado com sucesso' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.post('/api/admin/logout', (req, res) => {
+  res.json({ success: true, message: 'Logout realizado' });
+});
+
+
+app.get('/api/admin/check', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.json({ success: true, isAdmin: false });
+  }
+
+  try {
+    const admin = await adminAuth.verifyToken(authHeader.split(' ')[1]);
+    req.admin = admin || undefined;
+    res.json({ success: true, isAdmin: !!admin, admin: admin ? adminProfile(admin) : undefined });
+  } catch (error) {
+    res.json({ success: true, isAdmin: false });
+  }
+});
+
+// ==========================================
+// CONTA DO ADMIN (2FA E SENHA)
+// ==========================================
+
+// Primeiro passo: o segredo só passa a valer depois do primeiro código certo
+app.post('/api/admin/2fa/setup', adminAuthMiddleware(), async (req, res) => {
+  try {
+    if (req.admin.two_factor_enabled) {
+      return res.status(400).json({ success: false, error: 'A verificação em duas etapas já está ativa' });
+    }
+
+    const secret = twoFactor.generateSecret();
+    await updateAdminUser(req.admin.id, { twoFactorPendingSecret: secret });
+
+    const enrollment = await twoFactor.enrollmentData(`admin:${req.admin.username}`, secret);
+    res.json({ success: true, ...enrollment });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/2fa/enable', adminAuthMiddleware(), bruteForceGuard('code', adminTwoFactorIdentifier), async (req, res) => {
+  try {
+    const admin = await getAdminUserById(req.admin.id, { withSecrets: true });
+    const step = admin.two_factor_pending_secret ? matchTotp(admin.two_factor_pending_secret, String(req.body.code || '').trim()) : null;
+
+    if (step === null) {
+      if (!admin.two_factor_pending_secret) {
+        return res.status(400).json({ success: false, error: 'Gere um novo QR code para ativar' });
+      }
+      const attempt = await authGuard.recordFailure('code', authAttempt(req, adminTwoFactorIdentifier(req), { reason: 'admin_two_factor' }));
+      return res.status(400).json({ success: false, error: 'Código inválido', retryAfter: attempt.retryAfter || undefined });
+    }
+
+    await updateAdminUser(admin.id, { twoFactorSecret: admin.two_factor_pending_secret, twoFactorPendingSecret: null });
+    await claimAdminTwoFactorStep(admin.id, step);
+    adminAuth.forget(admin.id);
+
+    res.json({ success: true, message: 'Verificação em duas etapas ativada' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/2fa', adminAuthMiddleware(), bruteForceGuard('code', adminTwoFactorIdentifier), async (req, res) => {
+  try {
+    const admin = await getAdminUserById(req.admin.id, { withSecrets: true });
+
+    if (!admin.two_factor_secret) {
+      return res.status(400).json({ success: false, error: 'A verificação em duas etapas não está ativa' });
+    }
+
+    if (!await adminAuth.verifyTwoFactor(admin, req.body.code)) {
+      const attempt = await authGuard.recordFailure('code', authAttempt(req, adminTwoFactorIdentifier(req), { reason: 'admin_two_factor' }));
+      return res.status(400).json({ success: false, error: 'Código inválido', retryAfter: attempt.retryAfter || undefined });
+    }
+
+    await updateAdminUser(admin.id, { twoFactorSecret: null });
+    adminAuth.forget(admin.id);
+
+    res.json({ success: true, message: 'Verificação em duas etapas desativada' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Trocar a senha derruba os outros tokens; devolve um novo para este navegador
+app.put('/api/admin/me/password', adminAuthMiddleware(), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || newPassword.length < 10) {
+      return res.status(400).json({ success: false, error: 'A nova senha deve ter pelo menos 10 caracteres' });
+    }
+
+    const admin = await getAdminUserById(req.admin.id, { withSecrets: true });
+    if (!currentPassword || !await bcrypt.compare(currentPassword, admin.password_hash)) {
+      return res.status(400).json({ success: false, error: 'Senha atual incorreta' });
+    }
+
+    const updated = await updateAdminUser(admin.id, { password: newPassword });
+    adminAuth.forget(admin.id);
+
+    res.json({ success: true, token: await adminAuth.issueToken(updated), message: 'Senha alterada' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// ADMINISTRADORES E AUDITORIA (SUPERADMIN)
+// ==========================================
+
+const ADMIN_USERNAME_PATTERN = /^[a-z0-9._-]{3,50}$/;
+
+app.get('/api/admin/admins', adminAuthMiddleware('admins:manage'), async (req, res) => {
+  try {
+    const admins = await listAdminUsers();
+    res.json({ success: true, admins, roles: ADMIN_ROLES });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/admins', adminAuthMiddleware('admins:manage'), async (req, res) => {
+  try {
+    const { name, password, role } = req.body;
+    const username = String(req.body.username || '').trim().toLowerCase();
+
+    if (!ADMIN_USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({ success: false, error: 'Usuário deve ter 3 a 50 caracteres (letras, números, ponto, hífen ou _)' });
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `Papel inválido. Use: ${ADMIN_ROLES.join(', ')}` });
+    }
+    if (!password || password.length < 10) {
+      return res.status(400).json({ success: false, error: 'A senha deve ter pelo menos 10 caracteres' });
+    }
+
+    const admin = await createAdminUser({ username, name: name || null, password, role, createdBy: req.admin.id });
+    req.auditDetails = { username, role };
+
+    res.json({ success: true, admin });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/admin/admins/:id', adminAuthMiddleware('admins:manage'), async (req, res) => {
+  try {
+    const { name, role, active, password, resetTwoFactor } = req.body;
+    const target = await getAdminUserById(req.params.id);
+
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'Administrador não encontrado' });
+    }
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `Papel inválido. Use: ${ADMIN_ROLES.join(', ')}` });
+    }
+    if (password !== undefined && (!password || password.length < 10)) {
+      return res.status(400).json({ success: false, error: 'A senha deve ter pelo menos 10 caracteres' });
+    }
+
+    // O painel nunca fica sem um superadmin ativo
+    const losesSuperadmin = target.role === 'superadmin' && target.active &&
+      ((role !== undefined && role !== 'superadmin') || active === false);
+    if (losesSuperadmin && await countActiveSuperadmins() <= 1) {
+      return res.status(400).json({ success: false, error: 'Não é possível remover o último superadmin ativo' });
+    }
+
+    const updates = { name, role, active: active === undefined ? undefined : !!active, password };
+    if (resetTwoFactor) {
+      updates.twoFactorSecret = null;
+      updates.twoFactorPendingSecret = null;
+    }
+
+    const admin = await updateAdminUser(target.id, updates);
+    adminAuth.forget(target.id);
+
+    req.auditDetails = {
+      changes: Object.keys(req.body).filter(key => req.body[key] !== undefined && key !== 'password')
+        .concat(password ? ['password'] : [])
+        .filter((key, index, list) => list.indexOf(key) === index),
+      role: role !== undefined ? role : undefined,
+      active: active !== undefined ? !!active : undefined
+    };
+
+    res.json({ success: true, admin });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/audit-log', adminAuthMiddleware('audit:read'), async (req, res) => {
+  try {
+    const { adminId, targetType, targetId, action, before, limit } = req.query;
+    const entries = await getAdminAuditLog({ adminId, targetType, targetId, action, before, limit });
+    res.json({ success: true, entries });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.get('/api/admin/whatsapp/status', adminAuthMiddleware('dashboard:read'), async (req, res) => {
+  try {
+    const primary = whatsappPool.getPrimary();
+
+    // Principal via API HTTP (Cloud API/WASender): não há QR Code nem reconexão
+    if (!primary) {
+      const number = whatsappPool.getNumbers().find(n => n.sessionId === 'whatsapp-main');
+      return res.json({
+        success: true,
+        status: number?.status || 'disconnected',
+        qrCode: null,
+        stats: number?.stats || {},
+        transport: number?.transport,
+        logs: []
+      });
+    }
+
+    const status = await primary.getStatusAsync();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.get('/api/admin/online-users', adminAuthMiddleware('dashboard:read'), (req, res) => {
+  res.json({
+    success: true,
+    ...getOnlineStats()
+  });
+});
+
+
+app.get('/api/admin/announcement', adminAuthMiddleware('dashboard:read'), async (req, res) => {
+  try {
+    const announcement = await getAnnouncement();
+    res.json({ success: true, announcement });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/announcement', adminAuthMiddleware('announcement:manage'), async (req, res) => {
+  try {
+    const { title, message, type, scheduled_at, expires_at } = req.body;
+
+    if (!title || !message) {
+      return res.status(400).json({ success: false, error: 'Título e mensagem são obrigatórios' });
+    }
+
+    const announcement = {
+      title,
+      message,
+      type: type || 'announcement', 
+      active: true,
+      scheduled_at: scheduled_at || null,
+      expires_at: expires_at || null,
+      created_at: new Date().toISOString()
+    };
+
+    const result = await saveAnnouncement(announcement);
+
+    if (result.success) {
+
+      io.emit('announcement:new', result.announcement);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/announcement', adminAuthMiddleware('announcement:manage'), async (req, res) => {
+  try {
+    const result = await deleteAnnouncement();
+
+    if (result.success) {
+     
+      io.emit('announcement:removed');
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.get('/api/announcement', async (req, res) => {
+  try {
+    const announcement = await getAnnouncement();
+    res.json({ success: true, announcement });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/track/access', async (req, res) => {
+  try {
+    const { sessionId, page } = req.body;
+    const clientInfo = getClientInfo(req);
+
+    if (!sessionId) {
+      return res.status(400).json({ success: false, error: 'sessionId é obrigatório' });
+    }
+
+
+    let userId = null;
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const token = authHeader.substring(7);
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret-key-dev');
+        userId = decoded.userId;
+      } catch (e) {
+   
+      }
+    }
+
+    await logAccess({
+      sessionId,
+      userId,
+      ipAddress: clientInfo.ipAddress,
+      userAgent: clientInfo.userAgent,
+      page: page || 'home',
+      referrer: req.headers.referer || req.headers.referrer
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Track] Erro:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.get('/api/admin/stats/access', adminAuthMiddleware('dashboard:read'), async (req, res) => {
+  try {
+    const period = req.query.period || 'today';
+    const stats = await getAccessStats(period);
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.get('/api/admin/stats/accesses', adminAuthMiddleware('dashboard:read'), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const result = await getRecentAccesses(limit);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/whatsapp/reconnect', adminAuthMiddleware('whatsapp:manage'), async (req, res) => {
+  try {
+    const primary = whatsappPool.getPrimary();
+    if (!primary) {
+      return res.status(400).json({ success: false, error: 'O número principal não usa whatsapp-web.js' });
+    }
+
+    await primary.reconnect();
+    res.json({ success: true, message: 'Reconectando WhatsApp...' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.post('/api/admin/whatsapp/disconnect', adminAuthMiddleware('whatsapp:manage'), async (req, res) => {
+  try {
+    const primary = whatsappPool.getPrimary();
+    if (!primary) {
+      return res.status(400).json({ success: false, error: 'O número principal não usa whatsapp-web.js' });
+    }
+
+    await primary.disconnect();
+    res.json({ success: true, message: 'WhatsApp desconectado' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.post('/api/admin/whatsapp/logout', adminAuthMiddleware('whatsapp:manage'), async (req, res) => {
+  try {
+    const primary = whatsappPool.getPrimary();
+    if (!primary) {
+      return res.status(400).json({ success: false, error: 'O número principal não usa whatsapp-web.js' });
+    }
+
+    await primary.logout();
+    res.json({ success: true, message: 'Logout do WhatsApp realizado' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.get('/api/admin/whatsapp/numbers', adminAuthMiddleware('dashboard:read'), (req, res) => {
+  res.json({
+    success: true,
+    strategy: whatsappPool.strategy,
+    numbers: whatsappPool.getNumbers()
+  });
+});
+
+
+app.post('/api/admin/whatsapp/numbers', adminAuthMiddleware('whatsapp:manage'), async (req, res) => {
+  const { label, transport, config } = req.body;
+
+  if (!label || !label.trim()) {
+    return res.status(400).json({ success: false, error: 'Informe um nome para o número' });
+  }
+
+  try {
+    const number = await whatsappPool.addNumber(label.trim(), transport || undefined, config || {});
+    const { config: _config, ...publicNumber } = number;
+    res.status(201).json({ success: true, number: publicNumber, message: 'Número adicionado. Clique em parear para conectar.' });
+  } catch (error) {
+    const code = error.message.startsWith('Transporte inválido') ? 400 : 500;
+    res.status(code).json({ success: false, error: error.message });
+  }
+});
+
+
+app.post('/api/admin/whatsapp/numbers/:id/pair', adminAuthMiddleware('whatsapp:manage'), async (req, res) => {
+  try {
+    const status = await whatsappPool.pairNumber(req.params.id);
+    res.json({ success: true, status, message: 'Pareamento iniciado. Aguarde o QR Code.' });
+  } catch (error) {
+    const code = error.message === 'Número não encontrado' ? 404 : 500;
+    res.status(code).json({ success: false, error: error.message });
+  }
+});
+
+
+app.post('/api/admin/whatsapp/numbers/:id/pause', adminAuthMiddleware('whatsapp:manage'), async (req, res) => {
+  try {
+    await whatsappPool.pauseNumber(req.params.id);
+    res.json({ success: true, message: 'Número pausado' });
+  } catch (error) {
+    const code = error.message === 'Número não encontrado' ? 404 : 500;
+    res.status(code).json({ success: false, error: error.message });
+  }
+});
+
+
+app.post('/api/admin/whatsapp/numbers/:id/resume', adminAuthMiddleware('whatsapp:manage'), async (req, res) => {
+  try {
+    await whatsappPool.resumeNumber(req.params.id);
+    res.json({ success: true, message: 'Número reativado' });
+  } catch (error) {
+    const code = error.message === 'Número não encontrado' ? 404 : 400;
+    res.status(code).json({ success: false, error: error.message });
+  }
+});
+
+
+app.delete('/api/admin/whatsapp/numbers/:id', adminAuthMiddleware('whatsapp:manage'), async (req, res) => {
+  try {
+    await whatsappPool.removeNumber(req.params.id);
+    res.json({ success: true, message: 'Número removido' });
+  } catch (error) {
+    const code = error.message === 'Número não encontrado' ? 404 : 400;
+    res.status(code).json({ success: false, error: error.message });
+  }
+});
 
-        const user = await getUserById(userId);
 
-     
-        io.to(`user:${userId}`).emit('audio-moderation-result', {
-          processId: processId,
-          success: true,
-          blocked: false,
-          data: result.data,
-          whatsapp_credits: user.whatsapp_credits,
-          trackingCode: trackingCode,
-          message: 'Áudio enviado com sucesso!'
-        });
+app.get('/api/admin/opt-outs', adminAuthMiddleware('opt_outs:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
 
-      } catch (error) {
-        console.error(`[Audio] Erro no processamento ${processId}:`, error.message);
-   
-        io.to(`user:${userId}`).emit('audio-moderation-result', {
-          processId: processId,
-          success: false,
-          error: error.message
-        });
-      }
-    })();
+    const [stats, list] = await Promise.all([
+      getRecipientOptOutStats(),
+      listRecipientOptOuts(limit, offset, req.query.phone || null)
+    ]);
 
+    res.json({ success: true, stats, total: list.total, entries: list.entries });
   } catch (error) {
-    if (error.message.includes('Créditos') && error.message.includes('insuficientes')) {
-      res.status(402).json({
-        success: false,
-        error: error.message,
-        needsPayment: true
-      });
-    } else {
-      res.status(500).json({ success: false, error: error.message });
-    }
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/whatsapp/available', authMiddleware, async (req, res) => {
+
+app.post('/api/admin/opt-outs', adminAuthMiddleware('opt_outs:manage'), async (req, res) => {
   try {
-    
-    const hasClient = whatsappService.client !== null;
-    const statusConnected = whatsappService.status === 'connected';
+    const { phone, note } = req.body;
+    const normalizedPhone = (phone || '').replace(/\D/g, '');
 
+    if (normalizedPhone.length < 10 || normalizedPhone.length > 13) {
+      return res.status(400).json({ success: false, error: 'Telefone inválido' });
+    }
 
-    const isAvailable = statusConnected || hasClient;
+    const result = await addRecipientOptOut(normalizedPhone, 'admin', note ? note.trim().substring(0, 200) : null);
+    if (!result.success) throw new Error(result.error);
 
     res.json({
       success: true,
-      available: isAvailable,
-      status: whatsappService.status,
-      hasClient: hasClient
+      message: result.alreadyOptedOut ? 'Número já estava na lista' : 'Número adicionado à lista'
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/whatsapp/stats', authMiddleware, async (req, res) => {
+
+app.delete('/api/admin/opt-outs/:id', adminAuthMiddleware('opt_outs:manage'), async (req, res) => {
   try {
-    const stats = whatsappService.getStats();
-    res.json({ success: true, stats });
+    await deleteRecipientOptOut(req.params.id);
+    res.json({ success: true, message: 'Entrada removida da lista' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/whatsapp/test-all', authMiddleware, async (req, res) => {
-  const { phone, message } = req.body;
-
-  if (!phone || !message) {
-    return res.status(400).json({ success: false, error: 'Telefone e mensagem são obrigatórios' });
-  }
 
+app.get('/api/admin/reports', adminAuthMiddleware('reports:read'), async (req, res) => {
   try {
-    const results = await whatsappService.testAllTokens(phone, message);
-    res.json({ success: true, results });
+    const status = req.query.status || 'pending';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const reports = await listAbuseReports(status, limit);
+
+    res.json({ success: true, reports });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
+app.get('/api/admin/reports/:id', adminAuthMiddleware('reports:read'), async (req, res) => {
+  try {
+    const report = await getAbuseReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Denúncia não encontrada' });
+    }
 
-const ADMIN_USER = process.env.ADMIN_USER || 'admin';
-const ADMIN_PASS = process.env.ADMIN_PASS;
-if (!ADMIN_PASS) {
-  console.error('[Admin] AVISO: ADMIN_PASS não configurado no .env');
-}
-const jwt = require('jsonwebtoken');
-const ADMIN_JWT_SECRET = process.env.JWT_SECRET || 'admin-secret-key';
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
 
-const adminAuthMiddleware = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, error: 'Token não fornecido' });
-  }
+const ABUSE_REPORT_ACTIONS = {
+  dismiss: 'dismissed',
+  warn: 'warned',
+  suspend: 'suspended',
+  escalate: 'escalated'
+};
 
-  const token = authHeader.split(' ')[1];
+app.post('/api/admin/reports/:id/action', adminAuthMiddleware('reports:act'), async (req, res) => {
   try {
-    const decoded = jwt.verify(token, ADMIN_JWT_SECRET);
-    if (decoded.isAdmin) {
-      next();
-    } else {
-      res.status(401).json({ success: false, error: 'Não autorizado' });
+    const { action, note } = req.body;
+    const status = ABUSE_REPORT_ACTIONS[action];
+    req.auditDetails = { action };
+
+    if (!status) {
+      return res.status(400).json({ success: false, error: 'Ação inválida' });
     }
-  } catch (error) {
-    res.status(401).json({ success: false, error: 'Token inválido' });
-  }
-};
 
+    const report = await getAbuseReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Denúncia não encontrada' });
+    }
 
-app.post('/api/admin/login', (req, res) => {
-  const { username, password } = req.body;
+    if (action !== 'dismiss' && !report.sender_user_id) {
+      return res.status(400).json({ success: false, error: 'O remetente desta mensagem não existe mais' });
+    }
 
-  if (username === ADMIN_USER && password === ADMIN_PASS) {
-    const token = jwt.sign({ isAdmin: true }, ADMIN_JWT_SECRET, { expiresIn: '24h' });
-    res.json({ success: true, token, message: 'Login realizado com sucesso' });
-  } else {
-    res.status(401).json({ success: false, error: 'Credenciais inválidas' });
-  }
-});
+    const claimed = await claimAbuseReport(report.id, { status, adminUser: req.adminUser });
+    if (!claimed) {
+      return res.status(409).json({ success: false, error: 'Esta denúncia já foi analisada' });
+    }
 
+    const details = {};
 
-app.post('/api/admin/logout', (req, res) => {
-  res.json({ success: true, message: 'Logout realizado' });
-});
+    try {
+      if (action === 'warn') {
+        await createNotification(
+          report.sender_user_id,
+          'warning',
+          'Aviso da moderação',
+          'Uma mensagem enviada por você foi denunciada e considerada inadequada. Novas violações podem levar à suspensão da conta.'
+        );
+        io.to(`user:${report.sender_user_id}`).emit('account-warning', { reportId: report.id });
+      }
 
+      if (action === 'suspend') {
+        const days = Math.min(Math.max(parseInt(req.body.days) || 7, 1), 365);
+        const suspendedUntil = await suspendUser(report.sender_user_id, days, note || 'Denúncia de abuso');
+        details.days = days;
+        details.suspendedUntil = suspendedUntil.toISOString();
+
+        await createNotification(
+          report.sender_user_id,
+          'suspended',
+          'Conta suspensa',
+          `Sua conta foi suspensa por ${days} dia(s) após denúncia de abuso. Durante a suspensão não é possível enviar mensagens.`
+        );
+        io.to(`user:${report.sender_user_id}`).emit('account-suspended', { suspendedUntil: details.suspendedUntil });
+      }
 
-app.get('/api/admin/check', (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.json({ success: true, isAdmin: false });
-  }
+      if (action === 'escalate') {
+        const retention = await saveToLegalRetention(report.sender_user_id, { deletedBy: 'abuse_report' });
+        if (!retention.success) {
+          throw new Error(retention.error);
+        }
+        details.retentionId = retention.retentionId;
+        // Cópia da mensagem denunciada: a original pode ser apagada pela política de retenção
+        if (report.message) {
+          details.message = {
+            id: report.message.id,
+            phone: report.message.phone,
+            text: report.message.message,
+            trackingCode: report.message.tracking_code,
+            sentAt: report.message.created_at
+          };
+        }
+      }
+    } catch (actionError) {
+      await reopenAbuseReport(report.id, status);
+      throw actionError;
+    }
 
-  const token = authHeader.split(' ')[1];
-  try {
-    const decoded = jwt.verify(token, ADMIN_JWT_SECRET);
-    res.json({ success: true, isAdmin: decoded.isAdmin === true });
+    const updated = await recordAbuseReportAction(claimed, {
+      action,
+      adminUser: req.adminUser,
+      note: note || null,
+      details
+    });
+
+    res.json({ success: true, report: updated, details });
   } catch (error) {
-    res.json({ success: true, isAdmin: false });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.get('/api/admin/whatsapp/status', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/users/standing', adminAuthMiddleware('users:moderate'), async (req, res) => {
   try {
-    const status = await whatsappService.getStatusAsync();
-    res.json({ success: true, ...status });
+    const query = (req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'Informe email, telefone ou ID' });
+    }
+
+    const user = /^\d{1,9}$/.test(query)
+      ? await getUserById(query).catch(() => null)
+      : await getUserByEmailOrPhone(query);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+    }
+
+    const standing = await strikeService.getStanding(user.id, user);
+
+    res.json({
+      success: true,
+      user: { id: user.id, name: user.name, email: user.email, phone: user.phone, created_at: user.created_at },
+      standing
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.get('/api/admin/online-users', adminAuthMiddleware, (req, res) => {
-  res.json({
-    success: true,
-    ...getOnlineStats()
-  });
-});
+app.post('/api/admin/users/:id/suspension', adminAuthMiddleware('users:moderate'), async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+    req.auditDetails = { action, reason };
+    const user = await getUserById(req.params.id).catch(() => null);
 
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+    }
 
-app.get('/api/admin/announcement', adminAuthMiddleware, async (req, res) => {
-  try {
-    const announcement = await getAnnouncement();
-    res.json({ success: true, announcement });
+    if (action === 'lift') {
+      await liftUserSuspension(user.id);
+      await createNotification(user.id, 'unblocked', 'Suspensão encerrada', 'Sua conta foi liberada e você já pode enviar mensagens novamente.');
+    } else if (action === 'extend') {
+      const days = Math.min(Math.max(parseInt(req.body.days) || 0, 1), 365);
+      const current = user.suspended_until ? new Date(user.suspended_until) : null;
+      const base = current && current > new Date() ? current : new Date();
+      const until = new Date(base.getTime() + days * 24 * 60 * 60 * 1000);
+
+      await setUserSuspension(user.id, until, reason || user.suspension_reason || 'Suspensão aplicada pelo admin');
+      await createNotification(
+        user.id,
+        'suspended',
+        'Conta suspensa',
+        `Sua conta está suspensa até ${until.toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })}. Durante a suspensão não é possível enviar mensagens.`
+      );
+      io.to(`user:${user.id}`).emit('account-suspended', { suspendedUntil: until.toISOString() });
+    } else {
+      return res.status(400).json({ success: false, error: 'Ação inválida' });
+    }
+
+    console.log(`[Admin] Suspensão ${action} para usuário ${user.id} por ${req.adminUser}`);
+
+    const standing = await strikeService.getStanding(user.id);
+    res.json({ success: true, standing });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/admin/announcement', adminAuthMiddleware, async (req, res) => {
-  try {
-    const { title, message, type, scheduled_at, expires_at } = req.body;
 
-    if (!title || !message) {
-      return res.status(400).json({ success: false, error: 'Título e mensagem são obrigatórios' });
+// Valida os campos editáveis de uma regra; com partial=true só os enviados
+function parseModerationRule(body, partial = false) {
+  const rule = {};
+  const has = field => body[field] !== undefined;
+
+  if (!partial || has('stage')) {
+    rule.stage = body.stage || 'content';
+    if (!['content', 'sensitive'].includes(rule.stage)) return { error: 'Estágio inválido' };
+  }
+
+  if (!partial || has('type')) {
+    rule.type = body.type;
+    if (!['term', 'regex'].includes(rule.type)) return { error: 'Tipo inválido' };
+  }
+
+  if (!partial || has('pattern')) {
+    rule.pattern = (body.pattern || '').trim();
+    if (!rule.pattern) return { error: 'Padrão é obrigatório' };
+  }
+
+  if (rule.type === 'regex' && rule.pattern) {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      return { error: `Regex inválida: ${error.message}` };
     }
+  }
 
-    const announcement = {
-      title,
-      message,
-      type: type || 'announcement', 
-      active: true,
-      scheduled_at: scheduled_at || null,
-      expires_at: expires_at || null,
-      created_at: new Date().toISOString()
-    };
+  if (!partial || has('category')) {
+    rule.category = (body.category || '').trim();
+    if (!rule.category) return { error: 'Categoria é obrigatória' };
+  }
 
-    const result = await saveAnnouncement(announcement);
+  if (!partial || has('riskScore')) {
+    rule.risk_score = parseInt(body.riskScore);
+    if (isNaN(rule.risk_score) || rule.risk_score < 0 || rule.risk_score > 100) {
+      return { error: 'Risco deve ser entre 0 e 100' };
+    }
+  }
 
-    if (result.success) {
+  if (!partial || has('action')) {
+    rule.action = body.action || 'block';
+    if (!['block', 'review', 'flag', 'allow'].includes(rule.action)) return { error: 'Ação inválida' };
+  }
 
-      io.emit('announcement:new', result.announcement);
+  if (!partial || has('reason')) rule.reason = body.reason ? body.reason.trim() : null;
+  if (!partial || has('label')) rule.label = body.label ? body.label.trim() : null;
+  if (!partial || has('priority')) rule.priority = parseInt(body.priority) || 1000;
+  if (has('enabled')) rule.enabled = body.enabled === true;
+
+  return { rule };
+}
+
+
+app.get('/api/admin/moderation/rules', adminAuthMiddleware('moderation:manage'), async (req, res) => {
+  try {
+    const rules = await listModerationRules();
+    res.json({ success: true, rules });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+app.post('/api/admin/moderation/rules', adminAuthMiddleware('moderation:manage'), async (req, res) => {
+  try {
+    const { rule, error } = parseModerationRule(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
     }
 
-    res.json(result);
+    const created = await createModerationRule(rule);
+    await moderationService.invalidateRules();
+
+    res.json({ success: true, rule: created });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.delete('/api/admin/announcement', adminAuthMiddleware, async (req, res) => {
+
+app.put('/api/admin/moderation/rules/:id', adminAuthMiddleware('moderation:manage'), async (req, res) => {
   try {
-    const result = await deleteAnnouncement();
+    const { rule, error } = parseModerationRule(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
 
-    if (result.success) {
-     
-      io.emit('announcement:removed');
+    const updated = await updateModerationRule(req.params.id, rule);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Regra não encontrada' });
     }
 
-    res.json(result);
+    await moderationService.invalidateRules();
+    res.json({ success: true, rule: updated });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.get('/api/announcement', async (req, res) => {
+app.delete('/api/admin/moderation/rules/:id', adminAuthMiddleware('moderation:manage'), async (req, res) => {
   try {
-    const announcement = await getAnnouncement();
-    res.json({ success: true, announcement });
+    await deleteModerationRule(req.params.id);
+    await moderationService.invalidateRules();
+    res.json({ success: true, message: 'Regra removida' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/track/access', async (req, res) => {
+
+app.post('/api/admin/moderation/test', adminAuthMiddleware('moderation:manage'), async (req, res) => {
   try {
-    const { sessionId, page } = req.body;
-    const clientInfo = getClientInfo(req);
+    const { message, includeAi } = req.body;
 
-    if (!sessionId) {
-      return res.status(400).json({ success: false, error: 'sessionId é obrigatório' });
+    if (!message || !message.trim()) {
+      return res.status(400).json({ success: false, error: 'Mensagem é obrigatória' });
     }
 
+    const result = await moderationService.testMessage(message, { includeAi: includeAi === true });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    let userId = null;
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      try {
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret-key-dev');
-        userId = decoded.userId;
-      } catch (e) {
-   
-      }
-    }
 
-    await logAccess({
-      sessionId,
-      userId,
-      ipAddress: clientInfo.ipAddress,
-      userAgent: clientInfo.userAgent,
-      page: page || 'home',
-      referrer: req.headers.referer || req.headers.referrer
-    });
+app.get('/api/admin/moderation/providers', adminAuthMiddleware('moderation:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, providers: moderationService.getProviderMetrics() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    res.json({ success: true });
+
+app.post('/api/admin/moderation/providers/reset', adminAuthMiddleware('moderation:manage'), async (req, res) => {
+  try {
+    moderationService.resetProviderMetrics();
+    res.json({ success: true, providers: moderationService.getProviderMetrics() });
   } catch (error) {
-    console.error('[Track] Erro:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.get('/api/admin/stats/access', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/moderation/cache', adminAuthMiddleware('moderation:manage'), async (req, res) => {
   try {
-    const period = req.query.period || 'today';
-    const stats = await getAccessStats(period);
-    res.json(stats);
+    res.json({ success: true, cache: await moderationService.getCacheStats() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.get('/api/admin/stats/accesses', adminAuthMiddleware, async (req, res) => {
+app.delete('/api/admin/moderation/cache', adminAuthMiddleware('moderation:manage'), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const result = await getRecentAccesses(limit);
-    res.json(result);
+    const removed = await moderationService.invalidateCache();
+    moderationService.resetCacheStats();
+    res.json({ success: true, removed, cache: await moderationService.getCacheStats() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+function parseRateLimitPolicy(body) {
+  const policy = {};
+  const has = field => body[field] !== undefined;
+
+  if (has('maxHits')) {
+    policy.max_hits = parseInt(body.maxHits);
+    if (isNaN(policy.max_hits) || policy.max_hits < 1) return { error: 'Limite deve ser maior que zero' };
+  }
+
+  if (has('windowSeconds')) {
+    policy.window_seconds = parseInt(body.windowSeconds);
+    if (isNaN(policy.window_seconds) || policy.window_seconds < 1 || policy.window_seconds > MAX_WINDOW_SECONDS) {
+      return { error: `Janela deve ser entre 1 e ${MAX_WINDOW_SECONDS} segundos` };
+    }
+  }
+
+  if (has('maxAccountAgeHours')) {
+    policy.max_account_age_hours = body.maxAccountAgeHours === null || body.maxAccountAgeHours === '' ? null : parseInt(body.maxAccountAgeHours);
+    if (policy.max_account_age_hours !== null && (isNaN(policy.max_account_age_hours) || policy.max_account_age_hours < 1)) {
+      return { error: 'Idade máxima da conta inválida' };
+    }
+  }
+
+  if (has('message')) policy.message = body.message ? body.message.trim() : null;
+  if (has('enabled')) policy.enabled = body.enabled === true;
+
+  if (Object.keys(policy).length === 0) return { error: 'Nada para atualizar' };
+
+  return { policy };
+}
+
+
+app.get('/api/admin/rate-limits', adminAuthMiddleware('settings:manage'), async (req, res) => {
+  try {
+    rateLimiter.invalidatePolicies();
+    const policies = await rateLimiter.getPolicies();
+    res.json({ success: true, policies, source: rateLimiter.policiesSource });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/admin/whatsapp/reconnect', adminAuthMiddleware, async (req, res) => {
+
+app.put('/api/admin/rate-limits/:name', adminAuthMiddleware('settings:manage'), async (req, res) => {
   try {
-    await whatsappService.reconnect();
-    res.json({ success: true, message: 'Reconectando WhatsApp...' });
+    const { policy, error } = parseRateLimitPolicy(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const updated = await updateRateLimitPolicy(req.params.name, policy);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Política não encontrada' });
+    }
+
+    rateLimiter.invalidatePolicies();
+    res.json({ success: true, policy: updated });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.post('/api/admin/whatsapp/disconnect', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/review-queue', adminAuthMiddleware('review:manage'), async (req, res) => {
   try {
-    await whatsappService.disconnect();
-    res.json({ success: true, message: 'WhatsApp desconectado' });
+    const messages = await listHeldMessages(parseInt(req.query.limit) || 50);
+    res.json({ success: true, messages });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.post('/api/admin/whatsapp/logout', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/review-queue/:id/decision', adminAuthMiddleware('review:manage'), async (req, res) => {
   try {
-    await whatsappService.logout();
-    res.json({ success: true, message: 'Logout do WhatsApp realizado' });
+    const { decision, note } = req.body;
+    req.auditDetails = { decision };
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, error: 'Decisão inválida' });
+    }
+
+    const result = decision === 'approve'
+      ? await reviewQueue.approve(req.params.id, req.adminUser, note || null)
+      : await reviewQueue.reject(req.params.id, req.adminUser, note || null);
+
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    res.json({ success: true, status: result.job.status });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.get('/api/admin/legal-retention', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/legal-retention', adminAuthMiddleware('legal:read'), async (req, res) => {
   try {
     const { cpf, email, phone, userId } = req.query;
 
@@ -2037,7 +4726,7 @@ app.get('/api/admin/legal-retention', adminAuthMiddleware, async (req, res) => {
 });
 
 
-app.get('/api/admin/legal-retention/:id', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/legal-retention/:id', adminAuthMiddleware('legal:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -2063,7 +4752,7 @@ app.get('/api/admin/legal-retention/:id', adminAuthMiddleware, async (req, res)
 });
 
 
-app.post('/api/admin/legal-retention/:id/hold', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/legal-retention/:id/hold', adminAuthMiddleware('legal:hold'), async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
@@ -2071,6 +4760,7 @@ app.post('/api/admin/legal-retention/:id/hold', adminAuthMiddleware, async (req,
     if (!reason) {
       return res.status(400).json({ success: false, error: 'Motivo é obrigatório para retenção legal' });
     }
+    req.auditDetails = { reason };
 
     const { data, error } = await supabase
       .from('legal_retention')
@@ -2098,7 +4788,7 @@ app.post('/api/admin/legal-retention/:id/hold', adminAuthMiddleware, async (req,
 });
 
 
-app.delete('/api/admin/legal-retention/:id/hold', adminAuthMiddleware, async (req, res) => {
+app.delete('/api/admin/legal-retention/:id/hold', adminAuthMiddleware('legal:hold'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -2128,7 +4818,7 @@ app.delete('/api/admin/legal-retention/:id/hold', adminAuthMiddleware, async (re
 });
 
 
-app.get('/api/admin/legal-retention/stats', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/legal-retention/stats', adminAuthMiddleware('legal:read'), async (req, res) => {
   try {
     const { count: totalCount } = await supabase
       .from('legal_retention')
@@ -2298,6 +4988,7 @@ app.put('/api/user/data', authMiddleware, async (req, res) => {
       }
 
       updates.password = await bcrypt.hash(newPassword, 10);
+      updates.tokens_valid_after = new Date().toISOString();
     }
 
     if (Object.keys(updates).length === 0) {
@@ -2311,6 +5002,11 @@ app.put('/api/user/data', authMiddleware, async (req, res) => {
 
     if (error) throw error;
 
+    // Senha nova derruba os outros dispositivos; este renova o access token com o refresh token
+    if (updates.password) {
+      await revokeAllSessions(req.userId, { exceptSessionId: req.sessionId, reason: 'password_changed' });
+    }
+
 
     if (updates.email) {
       try {
@@ -2330,7 +5026,7 @@ app.put('/api/user/data', authMiddleware, async (req, res) => {
     res.json({
       success: true,
       message: 'Dados atualizados com sucesso',
-      updated: Object.keys(updates).filter(k => k !== 'password'),
+      updated: Object.keys(updates).filter(k => k !== 'password' && k !== 'tokens_valid_after'),
       profile: {
         name: updatedUser.name,
         cpf: updatedUser.cpf,
@@ -2442,6 +5138,8 @@ app.delete('/api/user/delete-account', authMiddleware, async (req, res) => {
       });
     }
 
+    forgetUserSessions(req.userId);
+
     res.json({
       success: true,
       message: 'Conta excluída com sucesso. Seus dados foram removidos conforme a LGPD.',
@@ -0,0 +1,221 @@
+require('dotenv').config();
+
+const {
+  getUserById,
+  addUserStrike,
+  getActiveStrikes,
+  getRecentMessageTimes,
+  setUserSuspension,
+  banUser,
+  createNotification,
+  hashRecipientPhone
+} = require('./database');
+
+// Pontos por origem; um strike deixa de contar depois de STRIKE_TTL_DAYS
+const STRIKE_POINTS = {
+  moderation: 1,
+  block: 2,
+  report: 3
+};
+const STRIKE_TTL_DAYS = 90;
+
+// Do mais grave para o mais leve: vale o primeiro limite atingido
+const THRESHOLDS = [
+  { points: 15, status: 'banned' },
+  { points: 10, status: 'suspended', days: 7 },
+  { points: 6, status: 'suspended', days: 1 },
+  { points: 3, status: 'throttled', messagesPerHour: 5 }
+];
+
+// Bloqueios que não indicam abuso (limite de envio, dado pessoal digitado) não viram strike
+function isStrikeCategory(category) {
+  if (!category) return true;
+  return category !== 'rate_limit_exceeded' && !category.startsWith('sensitive_data');
+}
+
+class StrikeService {
+  constructor() {
+    this.io = null;
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+
+  async recordModerationBlock(userId, { category, riskScore }) {
+    if (!userId || !isStrikeCategory(category)) return null;
+
+    return this.addStrike(userId, 'moderation', {
+      points: riskScore >= 90 ? 2 : STRIKE_POINTS.moderation,
+      reason: `Mensagem bloqueada pela moderação (${category || 'conteúdo inadequado'})`
+    });
+  }
+
+  // Um strike por destinatário dentro do TTL, mesmo que ele bloqueie e desbloqueie várias vezes
+  async recordRecipientBlock(userId, blockId, phone) {
+    return this.addStrike(userId, 'block', {
+      reason: 'Um destinatário bloqueou você',
+      referenceId: blockId,
+      referenceKey: hashRecipientPhone(phone)
+    });
+  }
+
+  async recordUpheldReport(userId, reportId) {
+    return this.addStrike(userId, 'report', {
+      reason: 'Denúncia de abuso considerada procedente',
+      referenceId: reportId
+    });
+  }
+
+  // Efeito colateral de bloqueios e denúncias: nunca deve quebrar quem chamou
+  async addStrike(userId, source, { points = STRIKE_POINTS[source], reason = null, referenceId = null, referenceKey = null } = {}) {
+    try {
+      const strike = await addUserStrike({ userId, source, points, reason, referenceId, referenceKey, ttlDays: STRIKE_TTL_DAYS });
+      if (!strike) {
+        console.log(`[Strikes] Strike repetido ignorado para usuário ${userId} (${source})`);
+        return null;
+      }
+      console.log(`[Strikes] +${points} para usuário ${userId} (${source})`);
+      return await this.applyThresholds(userId);
+    } catch (error) {
+      console.error('[Strikes] Erro ao registrar strike:', error.message);
+      return null;
+    }
+  }
+
+  async applyThresholds(userId) {
+    const user = await getUserById(userId);
+    const strikes = await getActiveStrikes(userId);
+    const points = strikes.reduce((sum, strike) => sum + strike.points, 0);
+    const threshold = THRESHOLDS.find(t => points >= t.points);
+
+    if (!threshold || user.banned_at) {
+      return this.buildStanding(user, strikes);
+    }
+
+    if (threshold.status === 'banned') {
+      const reason = `Conta banida após ${points} pontos de infrações`;
+      await banUser(userId, reason);
+      await this.notify(userId, 'Conta banida', 'Sua conta foi banida por infrações repetidas e não pode mais enviar mensagens.', null);
+      return this.buildStanding({ ...user, banned_at: new Date().toISOString(), suspension_reason: reason }, strikes);
+    }
+
+    if (threshold.status === 'suspended') {
+      const until = new Date(Date.now() + threshold.days * 24 * 60 * 60 * 1000);
+      // Só estende: uma suspensão manual mais longa não é encurtada
+      if (!user.suspended_until || new Date(user.suspended_until) < until) {
+        const reason = `Suspensão automática após ${points} pontos de infrações`;
+        await setUserSuspension(userId, until, reason);
+        await this.notify(
+          userId,
+          'Conta suspensa',
+          `Sua conta foi suspensa por ${threshold.days} dia(s) após infrações repetidas. Durante a suspensão não é possível enviar mensagens.`,
+          until
+        );
+        return this.buildStanding({ ...user, suspended_until: until.toISOString(), suspension_reason: reason }, strikes);
+      }
+    }
+
+    return this.buildStanding(user, strikes);
+  }
+
+  async notify(userId, title, message, suspendedUntil) {
+    await createNotification(userId, 'suspended', title, message);
+    if (this.io) {
+      this.io.to(`user:${userId.toString()}`).emit('account-suspended', {
+        suspendedUntil: suspendedUntil ? suspendedUntil.toISOString() : null
+      });
+    }
+  }
+
+
+  async getStanding(userId, user = null) {
+    const account = user || await getUserById(userId);
+    const strikes = await getActiveStrikes(account.id);
+    return this.buildStanding(account, strikes);
+  }
+
+  buildStanding(user, strikes) {
+    const points = strikes.reduce((sum, strike) => sum + strike.points, 0);
+    const threshold = THRESHOLDS.find(t => points >= t.points);
+    const nextThreshold = [...THRESHOLDS].reverse().find(t => t.points > points) || null;
+
+    let status = 'good';
+    if (user.banned_at) {
+      status = 'banned';
+    } else if (user.suspended_until && new Date(user.suspended_until) > new Date()) {
+      status = 'suspended';
+    } else if (threshold && threshold.status === 'throttled') {
+      status = 'throttled';
+    }
+
+    return {
+      status,
+      points,
+      suspendedUntil: status === 'suspended' ? user.suspended_until : null,
+      bannedAt: user.banned_at || null,
+      reason: status === 'suspended' || status === 'banned' ? user.suspension_reason : null,
+      messagesPerHour: status === 'throttled' ? threshold.messagesPerHour : null,
+      nextThreshold: nextThreshold ? { points: nextThreshold.points, status: nextThreshold.status } : null,
+      strikes: strikes.map(strike => ({
+        source: strike.source,
+        points: strike.points,
+        reason: strike.reason,
+        createdAt: strike.created_at,
+        expiresAt: strike.expires_at
+      }))
+    };
+  }
+
+  // Usado antes de qualquer envio: { allowed, status, error, retryAfter }
+  async checkCanSend(user) {
+    const standing = await this.getStanding(user.id, user);
+
+    if (standing.status === 'banned') {
+      return { allowed: false, status: 'banned', error: 'Sua conta foi banida por infrações repetidas. Não é possível enviar mensagens.' };
+    }
+
+    if (standing.status === 'suspended') {
+      const until = new Date(standing.suspendedUntil).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+      return {
+        allowed: false,
+        status: 'suspended',
+        error: `Sua conta está suspensa até ${until}. Não é possível enviar mensagens.`,
+        suspendedUntil: standing.suspendedUntil
+      };
+    }
+
+    if (standing.status === 'throttled') {
+      const sent = await getRecentMessageTimes(user.id, 60);
+      if (sent.length >= standing.messagesPerHour) {
+        const oldest = sent[sent.length - standing.messagesPerHour];
+        const retryAfter = Math.max(1, Math.ceil((oldest.getTime() + 60 * 60 * 1000 - Date.now()) / 1000));
+        return {
+          allowed: false,
+          status: 'throttled',
+          error: `Por causa de infrações recentes, sua conta está limitada a ${standing.messagesPerHour} mensagens por hora. Tente novamente mais tarde.`,
+          retryAfter
+        };
+      }
+    }
+
+    return { allowed: true, status: standing.status };
+  }
+}
+
+let instance = null;
+
+function getStrikeService() {
+  if (!instance) {
+    instance = new StrikeService();
+  }
+  return instance;
+}
+
+module.exports = {
+  getStrikeService,
+  StrikeService,
+  STRIKE_POINTS,
+  THRESHOLDS
+};
@@ -282,51 +282,74 @@ class SupabaseStore {
 
 
 const AUDIO_BUCKET_NAME = 'audios';
+const ATTACHMENT_BUCKET_NAME = 'attachments';
+
+// Extensão por tipo; o bucket sai do prefixo (áudio em 'audios', imagem/vídeo em 'attachments')
+const MEDIA_EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/ogg; codecs=opus': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm',
+  'audio/webm; codecs=opus': 'webm',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp'
+};
 
-async function ensureAudioBucket() {
+async function ensurePublicBucket(bucketName) {
   if (!supabase) {
-    console.error('[AudioStorage] Cliente Supabase não inicializado');
+    console.error('[MediaStorage] Cliente Supabase não inicializado');
     return false;
   }
 
   try {
     const { data: buckets } = await supabase.storage.listBuckets();
-    const bucketExists = buckets?.some(b => b.name === AUDIO_BUCKET_NAME);
+    const bucketExists = buckets?.some(b => b.name === bucketName);
 
     if (!bucketExists) {
-      const { error } = await supabase.storage.createBucket(AUDIO_BUCKET_NAME, {
+      const { error } = await supabase.storage.createBucket(bucketName, {
         public: true 
       });
       if (error && !error.message.includes('already exists')) {
-        console.error('[AudioStorage] Erro ao criar bucket:', error);
+        console.error(`[MediaStorage] Erro ao criar bucket ${bucketName}:`, error);
         return false;
       }
     
     }
     return true;
   } catch (error) {
-    console.error('[AudioStorage] Erro ao verificar/criar bucket:', error);
+    console.error(`[MediaStorage] Erro ao verificar/criar bucket ${bucketName}:`, error);
     return false;
   }
 }
 
+function ensureAudioBucket() {
+  return ensurePublicBucket(AUDIO_BUCKET_NAME);
+}
 
-async function uploadAudio(base64Data, mimetype, folder = 'replies') {
+function mediaBucket(mimetype) {
+  return String(mimetype || '').startsWith('audio/') ? AUDIO_BUCKET_NAME : ATTACHMENT_BUCKET_NAME;
+}
+
+/**
+ * Upload de áudio, imagem ou vídeo em base64 para o storage público
+ * @param {string} base64Data - Conteúdo do arquivo
+ * @param {string} mimetype - Tipo do arquivo (define bucket e extensão)
+ * @param {string} folder - Pasta dentro do bucket ('replies', 'outbound', ...)
+ * @returns {Promise<{success: boolean, url?: string, filename?: string, bucket?: string, error?: string}>}
+ */
+async function uploadMedia(base64Data, mimetype, folder = 'replies') {
   try {
-    await ensureAudioBucket();
+    const bucket = mediaBucket(mimetype);
+    await ensurePublicBucket(bucket);
 
-   
-    const extensions = {
-      'audio/ogg': 'ogg',
-      'audio/ogg; codecs=opus': 'ogg',
-      'audio/mpeg': 'mp3',
-      'audio/mp3': 'mp3',
-      'audio/mp4': 'm4a',
-      'audio/wav': 'wav',
-      'audio/webm': 'webm',
-      'audio/webm; codecs=opus': 'webm'
-    };
-    const ext = extensions[mimetype] || 'ogg';
+    const baseType = String(mimetype || '').split(';')[0].trim();
+    const ext = MEDIA_EXTENSIONS[mimetype] || MEDIA_EXTENSIONS[baseType] || (bucket === AUDIO_BUCKET_NAME ? 'ogg' : 'bin');
 
 
     const filename = `${folder}/${uuidv4()}.${ext}`;
@@ -340,21 +363,21 @@ async function uploadAudio(base64Data, mimetype, folder = 'replies') {
     }
 
     
-    const { data, error } = await supabase.storage
-      .from(AUDIO_BUCKET_NAME)
+    const { error } = await supabase.storage
+      .from(bucket)
       .upload(filename, buffer, {
         contentType: mimetype,
         upsert: false
       });
 
     if (error) {
-      console.error('[AudioStorage] Erro no upload:', error);
+      console.error('[MediaStorage] Erro no upload:', error);
       return { success: false, error: error.message };
     }
 
    
     const { data: urlData } = supabase.storage
-      .from(AUDIO_BUCKET_NAME)
+      .from(bucket)
       .getPublicUrl(filename);
 
 
@@ -362,14 +385,19 @@ async function uploadAudio(base64Data, mimetype, folder = 'replies') {
     return {
       success: true,
       url: urlData.publicUrl,
-      filename: filename
+      filename: filename,
+      bucket
     };
   } catch (error) {
-    console.error('[AudioStorage] Erro ao fazer upload:', error);
+    console.error('[MediaStorage] Erro ao fazer upload:', error);
     return { success: false, error: error.message };
   }
 }
 
+async function uploadAudio(base64Data, mimetype, folder = 'replies') {
+  return uploadMedia(base64Data, mimetype || 'audio/ogg', folder);
+}
+
 /**
  * Obter URL pública de um áudio
  * @param {string} filename - Nome do arquivo no storage
@@ -410,6 +438,7 @@ async function deleteAudio(filename) {
 module.exports = {
   SupabaseStore,
   uploadAudio,
+  uploadMedia,
   getAudioUrl,
   deleteAudio,
   ensureAudioBucket
@@ -0,0 +1,243 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const qrcode = require('qrcode');
+const {
+  hashMessage,
+  verifyPhoneCode,
+  setTwoFactorPendingSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  claimTwoFactorStep,
+  replaceRecoveryCodes,
+  consumeRecoveryCode
+} = require('./database');
+
+// TOTP (RFC 6238) compatível com Google Authenticator, Authy etc.: SHA-1, 6 dígitos,
+// passos de 30s. Aceita um passo de diferença para relógios levemente fora de hora.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;
+const TOTP_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Zap Anônimo';
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+}
+
+// Passo em que o código confere, ou null
+function matchTotp(secret, code) {
+  if (!secret || !/^\d{6}$/.test(code)) return null;
+
+  const now = currentStep();
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const expected = Buffer.from(totpCode(secret, now + offset));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return now + offset;
+    }
+  }
+  return null;
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toLowerCase().replace(/\s/g, '');
+}
+
+// Recuperação: "abcde-fghjk". Códigos TOTP/WhatsApp são só dígitos
+function isRecoveryCode(code) {
+  return /^[a-z0-9]{5}-?[a-z0-9]{5}$/.test(code) && !/^\d+$/.test(code);
+}
+
+function recoveryCodeHash(code) {
+  return hashMessage(`recovery:${code.replace('-', '')}`);
+}
+
+class TwoFactor {
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  otpauthUrl(label, secret) {
+    const issuer = encodeURIComponent(TOTP_ISSUER);
+    return `otpauth://totp/${issuer}:${encodeURIComponent(label)}?secret=${secret}&issuer=${issuer}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  }
+
+  async enrollmentData(label, secret) {
+    const otpauthUrl = this.otpauthUrl(label, secret);
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await qrcode.toDataURL(otpauthUrl)
+    };
+  }
+
+  // Primeiro passo da ativação por app: o segredo só vale depois do primeiro código certo
+  async startTotpEnrollment(account) {
+    const secret = this.generateSecret();
+    await setTwoFactorPendingSecret(account.userId, secret);
+    return this.enrollmentData(account.email || account.phone || `usuario-${account.userId}`, secret);
+  }
+
+  generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      let code = '';
+      for (let j = 0; j < 10; j++) {
+        code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+      }
+      codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+    return codes;
+  }
+
+  // Substitui os códigos anteriores; os novos só são mostrados agora
+  async issueRecoveryCodes(userId) {
+    const codes = this.generateRecoveryCodes();
+    await replaceRecoveryCodes(userId, codes.map(recoveryCodeHash));
+    return codes;
+  }
+
+  async verifyTotp(userId, secret, code) {
+    const step = matchTotp(secret, code);
+    if (step === null) return false;
+    return claimTwoFactorStep(userId, step);
+  }
+
+  async verifyWhatsApp(account, code) {
+    try {
+      const userId = await verifyPhoneCode(account.phone, code, 'two_factor');
+      return userId === account.userId ? { valid: true } : { valid: false, error: 'Código inválido ou já utilizado' };
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.message,
+        codeInvalidated: !!error.codeInvalidated
+      };
+    }
+  }
+
+  // Confere o código do segundo fator de uma conta (getUserTwoFactor).
+  // { valid, usedRecovery, error, codeInvalidated }
+  async verify(account, rawCode, { allowRecovery = true } = {}) {
+    const code = normalizeCode(rawCode);
+    const invalid = { valid: false, error: 'Código inválido' };
+
+    if (!code) {
+      return { valid: false, error: 'Informe o código de verificação' };
+    }
+
+    if (isRecoveryCode(code)) {
+      if (!allowRecovery) {
+        return { valid: false, error: 'Use o código do app autenticador ou do WhatsApp' };
+      }
+      const used = await consumeRecoveryCode(account.userId, recoveryCodeHash(code));
+      return used ? { valid: true, usedRecovery: true } : { valid: false, error: 'Código de recuperação inválido ou já utilizado' };
+    }
+
+    if (account.method === 'totp') {
+      return await this.verifyTotp(account.userId, account.secret, code) ? { valid: true } : invalid;
+    }
+
+    if (account.method === 'whatsapp') {
+      return this.verifyWhatsApp(account, code);
+    }
+
+    return invalid;
+  }
+
+  // Ativação: o código prova que o app foi configurado (totp) ou que o WhatsApp recebe
+  // (whatsapp). Devolve os códigos de recuperação, ou { error }
+  async enable(account, method, rawCode) {
+    const code = normalizeCode(rawCode);
+
+    if (method === 'totp') {
+      const step = account.pendingSecret ? matchTotp(account.pendingSecret, code) : null;
+      if (step === null) {
+        return { success: false, error: account.pendingSecret ? 'Código inválido' : 'Gere um novo QR code para ativar' };
+      }
+      await enableTwoFactor(account.userId, 'totp', account.pendingSecret);
+      await claimTwoFactorStep(account.userId, step);
+    } else if (method === 'whatsapp') {
+      const result = await this.verifyWhatsApp(account, code);
+      if (!result.valid) {
+        return { success: false, error: result.error, codeInvalidated: result.codeInvalidated };
+      }
+      await enableTwoFactor(account.userId, 'whatsapp');
+    } else {
+      return { success: false, error: 'Método inválido' };
+    }
+
+    const recoveryCodes = await this.issueRecoveryCodes(account.userId);
+    return { success: true, recoveryCodes };
+  }
+
+  async disable(userId) {
+    await disableTwoFactor(userId);
+  }
+}
+
+let instance = null;
+
+function getTwoFactor() {
+  if (!instance) {
+    instance = new TwoFactor();
+  }
+  return instance;
+}
+
+module.exports = {
+  getTwoFactor,
+  TwoFactor,
+  totpCode,
+  matchTotp
+};
@@ -0,0 +1,453 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { DatabaseSessionStore } = require('./session-store');
+const {
+  listWhatsAppNumbers,
+  getWhatsAppNumber,
+  createWhatsAppNumber,
+  updateWhatsAppNumber,
+  deleteWhatsAppNumber
+} = require('./database');
+const {
+  PRIMARY_SESSION_ID,
+  isRetryableError,
+  isUnavailableError
+} = require('./whatsapp-service');
+const { createTransport, getDefaultTransportType, TRANSPORT_TYPES } = require('./whatsapp-transports');
+
+class WhatsAppPool {
+  constructor() {
+    this.io = null;
+    this.adminSockets = new Set();
+    this.members = new Map();
+    this.numbers = new Map();
+    this.strategy = process.env.WHATSAPP_POOL_STRATEGY === 'round-robin' ? 'round-robin' : 'lru';
+    this.roundRobinIndex = 0;
+    this.initialized = false;
+    this.healthCheckInterval = null;
+
+    // O principal existe desde o início para as rotas antigas do painel
+    this.numbers.set(PRIMARY_SESSION_ID, {
+      id: null,
+      session_id: PRIMARY_SESSION_ID,
+      label: 'Principal',
+      phone: null,
+      state: 'active',
+      transport: getDefaultTransportType(),
+      config: {}
+    });
+    this.createMember(this.numbers.get(PRIMARY_SESSION_ID));
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+    this.members.forEach(member => member.setSocketIO(io));
+  }
+
+  subscribeAdmin(socketId) {
+    const primary = this.getPrimary();
+    if (primary) {
+      primary.subscribeAdmin(socketId);
+    } else {
+      this.adminSockets.add(socketId);
+    }
+
+    if (this.io) {
+      this.io.to(socketId).emit('whatsapp:pool', this.getNumbers());
+    }
+  }
+
+  unsubscribeAdmin(socketId) {
+    this.adminSockets.delete(socketId);
+  }
+
+  // WhatsAppService do número principal, quando ele usa whatsapp-web.js (rotas antigas do painel)
+  getPrimary() {
+    return this.members.get(PRIMARY_SESSION_ID)?.service || null;
+  }
+
+
+  createMember(number) {
+    const member = createTransport(number.transport, {
+      sessionId: number.session_id,
+      label: number.label,
+      phone: number.phone,
+      config: number.config || {},
+      adminSockets: this.adminSockets,
+      onReady: (transport) => this.handleMemberReady(transport),
+      onBanned: (transport, reason) => this.handleMemberBanned(transport, reason)
+    });
+
+    if (this.io) {
+      member.setSocketIO(this.io);
+    }
+
+    this.members.set(number.session_id, member);
+    return member;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    let numbers = null;
+    try {
+      numbers = await listWhatsAppNumbers();
+    } catch (error) {
+      console.error('[Pool] Erro ao carregar números:', error.message);
+    }
+
+    // Sem a tabela do pool: só o número principal, como antes
+    if (!numbers) {
+      numbers = [this.numbers.get(PRIMARY_SESSION_ID)];
+    }
+
+    for (const number of numbers) {
+      const transport = number.transport || getDefaultTransportType();
+      const current = this.members.get(number.session_id);
+
+      // O principal foi criado com o transporte padrão; troca se o banco disser outro
+      if (current && current.type !== transport) {
+        await current.shutdown();
+        this.members.delete(number.session_id);
+      }
+
+      this.numbers.set(number.session_id, { ...number, transport });
+
+      let member = this.members.get(number.session_id);
+      if (!member) {
+        member = this.createMember(this.numbers.get(number.session_id));
+      } else {
+        member.setLabel(number.label);
+      }
+
+      // Números nunca pareados ou banidos só conectam quando o admin pedir
+      if (number.state === 'pending' || number.state === 'banned') {
+        continue;
+      }
+
+      member.initialize().catch(error => {
+        console.error(`[Pool] Erro ao iniciar ${number.session_id}:`, error.message);
+      });
+    }
+
+    this.startHealthCheck();
+
+    console.log(`[Pool] ${this.members.size} número(s) de WhatsApp carregado(s), estratégia ${this.strategy}`);
+  }
+
+  // whatsapp-web.js tem health check próprio; os transportes HTTP são verificados aqui
+  startHealthCheck() {
+    if (this.healthCheckInterval) return;
+
+    this.healthCheckInterval = setInterval(async () => {
+      for (const [sessionId, member] of this.members) {
+        if (member.type === 'webjs' || this.numbers.get(sessionId)?.state === 'pending') continue;
+
+        const before = member.getStatus();
+        const health = await member.healthCheck();
+        if (before !== health.status) {
+          member.addLog(`Health check: ${before} -> ${health.status}${health.error ? ` (${health.error})` : ''}`);
+          this.emitPoolUpdate();
+        }
+      }
+    }, 120000);
+  }
+
+
+  isSelectable(sessionId) {
+    const number = this.numbers.get(sessionId);
+    const member = this.members.get(sessionId);
+    return !!number && !!member &&
+      number.state === 'active' &&
+      member.getStatus() === 'connected';
+  }
+
+  pickMember(exclude = new Set()) {
+    const candidates = [...this.members.keys()]
+      .filter(sessionId => !exclude.has(sessionId) && this.isSelectable(sessionId))
+      .map(sessionId => this.members.get(sessionId));
+
+    if (candidates.length === 0) return null;
+
+    if (this.strategy === 'round-robin') {
+      const member = candidates[this.roundRobinIndex % candidates.length];
+      this.roundRobinIndex++;
+      return member;
+    }
+
+    const lastUsed = member => member.stats.lastUsed ? new Date(member.stats.lastUsed).getTime() : 0;
+    return candidates.sort((a, b) => lastUsed(a) - lastUsed(b))[0];
+  }
+
+  isAvailable() {
+    return [...this.members.keys()].some(sessionId => this.isSelectable(sessionId));
+  }
+
+  get status() {
+    const statuses = [...this.members.entries()]
+      .filter(([sessionId]) => this.numbers.get(sessionId)?.state === 'active')
+      .map(([, member]) => member.getStatus());
+
+    if (statuses.includes('connected')) return 'connected';
+    if (statuses.includes('connecting')) return 'connecting';
+    return 'disconnected';
+  }
+
+
+  // Tenta cada número saudável; troca de número só em falhas do próprio número
+  async dispatch(method, args) {
+    const tried = new Set();
+    let lastError = null;
+
+    let member = this.pickMember(tried);
+    while (member) {
+      tried.add(member.sessionId);
+
+      try {
+        const result = await member[method](...args);
+        this.touchNumber(member.sessionId);
+        return { ...result, sessionId: member.sessionId };
+      } catch (error) {
+        lastError = error;
+
+        if (!isRetryableError(error) && !isUnavailableError(error)) {
+          throw error;
+        }
+
+        member.addLog(`Falha neste número, tentando outro do pool: ${error.message}`);
+        updateWhatsAppNumber(member.sessionId, { last_error: error.message }).catch(() => {});
+      }
+
+      member = this.pickMember(tried);
+    }
+
+    if (lastError) throw lastError;
+    throw new Error('Sistema temporariamente offline. Tente novamente em alguns minutos.');
+  }
+
+  sendMessage(phone, message) {
+    return this.dispatch('sendText', [phone, message]);
+  }
+
+  sendAudio(phone, audioBase64, mimetype, caption = '') {
+    return this.dispatch('sendAudio', [phone, audioBase64, mimetype, caption]);
+  }
+
+  sendMedia(phone, mediaBase64, mimetype, caption = '') {
+    return this.dispatch('sendMedia', [phone, mediaBase64, mimetype, caption]);
+  }
+
+  touchNumber(sessionId) {
+    const number = this.numbers.get(sessionId);
+    if (number) {
+      number.last_used_at = new Date().toISOString();
+    }
+
+    updateWhatsAppNumber(sessionId, { last_used_at: new Date().toISOString() }).catch(error => {
+      console.error(`[Pool] Erro ao registrar uso de ${sessionId}:`, error.message);
+    });
+  }
+
+
+  async handleMemberReady(member) {
+    const number = this.numbers.get(member.sessionId);
+    if (!number) return;
+
+    const updates = { phone: member.phone, last_error: null };
+    if (number.state === 'pending' || number.state === 'banned') {
+      updates.state = 'active';
+    }
+
+    Object.assign(number, updates);
+    this.emitPoolUpdate();
+
+    try {
+      await updateWhatsAppNumber(member.sessionId, updates);
+    } catch (error) {
+      console.error(`[Pool] Erro ao atualizar número ${member.sessionId}:`, error.message);
+    }
+  }
+
+  async handleMemberBanned(member, reason) {
+    const number = this.numbers.get(member.sessionId);
+    if (number) {
+      number.state = 'banned';
+      number.last_error = reason;
+    }
+
+    console.error(`[Pool] Número ${member.label} (${member.phone || member.sessionId}) banido: ${reason}`);
+    this.emitPoolUpdate();
+
+    try {
+      await updateWhatsAppNumber(member.sessionId, { state: 'banned', last_error: reason });
+    } catch (error) {
+      console.error(`[Pool] Erro ao marcar número ${member.sessionId} como banido:`, error.message);
+    }
+  }
+
+
+  async addNumber(label, transport = getDefaultTransportType(), config = {}) {
+    if (!TRANSPORT_TYPES.includes(transport)) {
+      throw new Error(`Transporte inválido. Use: ${TRANSPORT_TYPES.join(', ')}`);
+    }
+
+    const sessionId = `whatsapp-${crypto.randomBytes(6).toString('hex')}`;
+    const number = await createWhatsAppNumber({ sessionId, label, transport, config });
+
+    this.numbers.set(sessionId, number);
+    this.createMember(number);
+    this.emitPoolUpdate();
+
+    return number;
+  }
+
+  async getNumberOrThrow(numberId) {
+    const number = await getWhatsAppNumber(numberId);
+    if (!number) {
+      throw new Error('Número não encontrado');
+    }
+
+    this.numbers.set(number.session_id, { ...this.numbers.get(number.session_id), ...number });
+    return number;
+  }
+
+  async pairNumber(numberId) {
+    const number = await this.getNumberOrThrow(numberId);
+    const member = this.members.get(number.session_id) || this.createMember(number);
+
+    await member.initialize();
+
+    return { sessionId: number.session_id, status: member.getStatus(), qrCode: member.qrCode };
+  }
+
+  async pauseNumber(numberId) {
+    const number = await this.getNumberOrThrow(numberId);
+
+    await updateWhatsAppNumber(number.session_id, { state: 'paused' });
+    this.numbers.get(number.session_id).state = 'paused';
+    this.members.get(number.session_id)?.addLog('Número pausado pelo admin - fora do balanceamento');
+    this.emitPoolUpdate();
+  }
+
+  async resumeNumber(numberId) {
+    const number = await this.getNumberOrThrow(numberId);
+
+    if (number.state === 'pending') {
+      throw new Error('Pareie o número antes de ativá-lo');
+    }
+
+    await updateWhatsAppNumber(number.session_id, { state: 'active' });
+    this.numbers.get(number.session_id).state = 'active';
+
+    const member = this.members.get(number.session_id) || this.createMember(number);
+    member.addLog('Número reativado pelo admin');
+    if (member.getStatus() === 'disconnected') {
+      member.initialize().catch(error => {
+        console.error(`[Pool] Erro ao reativar ${number.session_id}:`, error.message);
+      });
+    }
+    this.emitPoolUpdate();
+  }
+
+  async removeNumber(numberId) {
+    const number = await this.getNumberOrThrow(numberId);
+
+    if (number.session_id === PRIMARY_SESSION_ID) {
+      throw new Error('O número principal não pode ser removido, apenas pausado');
+    }
+
+    const member = this.members.get(number.session_id);
+    if (member) {
+      await member.shutdown({ logout: true });
+      this.members.delete(number.session_id);
+    }
+
+    // Garante que a sessão salva não fique para trás se o logout não rodou
+    await new DatabaseSessionStore({ sessionId: number.session_id }).delete();
+    await deleteWhatsAppNumber(numberId);
+
+    this.numbers.delete(number.session_id);
+    this.emitPoolUpdate();
+  }
+
+
+  getNumbers() {
+    return [...this.numbers.values()].map(number => {
+      const member = this.members.get(number.session_id);
+      return {
+        id: number.id,
+        sessionId: number.session_id,
+        label: number.label,
+        phone: member?.phone || number.phone || null,
+        transport: number.transport || getDefaultTransportType(),
+        state: number.state,
+        status: member ? member.getStatus() : 'disconnected',
+        qrCode: member ? member.qrCode : null,
+        stats: member ? { ...member.stats } : null,
+        lastUsedAt: number.last_used_at || null,
+        lastError: number.last_error || null,
+        selectable: this.isSelectable(number.session_id)
+      };
+    });
+  }
+
+  emitPoolUpdate() {
+    if (!this.io) return;
+    const numbers = this.getNumbers();
+    this.adminSockets.forEach(socketId => {
+      this.io.to(socketId).emit('whatsapp:pool', numbers);
+    });
+  }
+
+  getStats() {
+    return this.getNumbers().map((number, index) => ({
+      tokenNumber: index + 1,
+      tokenPreview: number.phone || number.label,
+      sessionId: number.sessionId,
+      state: number.state,
+      available: number.selectable,
+      successCount: number.stats?.successCount || 0,
+      failureCount: number.stats?.failureCount || 0,
+      lastUsed: number.stats?.lastUsed || null
+    }));
+  }
+
+  async testAllTokens(testPhone, testMessage) {
+    const results = [];
+    let tokenNumber = 0;
+
+    for (const [sessionId, member] of this.members) {
+      tokenNumber++;
+
+      if (!this.isSelectable(sessionId)) {
+        results.push({ tokenNumber, sessionId, status: 'INDISPONÍVEL', error: `Status: ${member.getStatus()}` });
+        continue;
+      }
+
+      try {
+        const response = await member.sendText(testPhone, testMessage);
+        results.push({ tokenNumber, sessionId, status: 'OK', response });
+      } catch (error) {
+        results.push({ tokenNumber, sessionId, status: 'ERRO', error: error.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+let instance = null;
+
+function getWhatsAppPool() {
+  if (!instance) {
+    instance = new WhatsAppPool();
+  }
+  return instance;
+}
+
+module.exports = {
+  getWhatsAppPool,
+  WhatsAppPool
+};
@@ -4,7 +4,7 @@ const { Client, RemoteAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const { DatabaseSessionStore } = require('./session-store');
 const { getWhatsAppStats, saveWhatsAppStats } = require('./database');
-const { uploadAudio } = require('./supabase-store');
+const { getInboundPipeline } = require('./inbound-pipeline');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -69,13 +69,73 @@ async function convertAudioToOgg(base64Data, inputMimetype) {
   }
 }
 
+// Erros transitórios do whatsapp-web.js/Puppeteer que costumam se resolver em nova tentativa
+const RETRYABLE_ERROR_PATTERNS = [
+  'WidFactory',
+  'Evaluation failed',
+  'markedUnread',
+  'getChat',
+  'sendSeen',
+  'not ready',
+  'Protocol error',
+  'Target closed',
+  'Session closed',
+  'Store',
+  'undefined'
+];
+
+// Cliente indisponível no momento (offline, reconectando ou ainda inicializando)
+const UNAVAILABLE_ERROR_PATTERNS = [
+  'temporariamente offline',
+  'WhatsApp desconectado',
+  'não está pronto'
+];
+
+function isRetryableError(error) {
+  if (error?.retryable === true) return true;
+  const message = error?.message || '';
+  return RETRYABLE_ERROR_PATTERNS.some(pattern => message.includes(pattern));
+}
+
+function isUnavailableError(error) {
+  if (error?.unavailable === true) return true;
+  const message = error?.message || '';
+  return UNAVAILABLE_ERROR_PATTERNS.some(pattern => message.includes(pattern));
+}
+
+function normalizeWhatsAppNumber(phone) {
+  let cleanPhone = phone.replace(/\D/g, '');
+
+  if (cleanPhone.length === 11 || cleanPhone.length === 10) {
+    cleanPhone = '55' + cleanPhone;
+  }
+
+  if (cleanPhone.length < 12 || cleanPhone.length > 13) {
+    throw new Error(`Número inválido: ${cleanPhone}. Use formato: 5511999999999`);
+  }
+
+  return cleanPhone;
+}
+
+const PRIMARY_SESSION_ID = 'whatsapp-main';
+
+// Motivos de desconexão que indicam número banido: não adianta reconectar
+const BANNED_DISCONNECT_REASONS = ['TOS_BLOCK', 'SMB_TOS_BLOCK'];
+
 class WhatsAppService {
-  constructor() {
+  constructor(options = {}) {
+    this.sessionId = options.sessionId || PRIMARY_SESSION_ID;
+    this.label = options.label || 'Principal';
+    this.isPrimary = this.sessionId === PRIMARY_SESSION_ID;
+    this.phone = null;
+    this.onReady = options.onReady || null;
+    this.onBanned = options.onBanned || null;
+
     this.client = null;
     this.qrCode = null;
     this._status = 'disconnected'; 
     this.io = null;
-    this.adminSockets = new Set();
+    this.adminSockets = options.adminSockets || new Set();
     this.logs = [];
     this.stats = {
       successCount: 0,
@@ -140,7 +200,7 @@ class WhatsAppService {
     if (this._statsLoaded) return;
 
     try {
-      const savedStats = await getWhatsAppStats();
+      const savedStats = await getWhatsAppStats(this.sessionId);
       if (savedStats) {
         this.stats.successCount = savedStats.successCount || 0;
         this.stats.failureCount = savedStats.failureCount || 0;
@@ -165,7 +225,7 @@ class WhatsAppService {
     this._statsSaveTimeout = setTimeout(async () => {
       try {
         const status = includeStatus ? this._status : null;
-        await saveWhatsAppStats(this.stats, status);
+        await saveWhatsAppStats(this.stats, status, this.sessionId);
       } catch (error) {
         console.error(`[WhatsApp] Erro ao salvar stats no banco: ${error.message}`);
       }
@@ -175,7 +235,7 @@ class WhatsAppService {
 
   async saveStatusNow() {
     try {
-      await saveWhatsAppStats(this.stats, this._status);
+      await saveWhatsAppStats(this.stats, this._status, this.sessionId);
     } catch (error) {
       console.error(`[WhatsApp] Erro ao salvar status no banco: ${error.message}`);
     }
@@ -184,7 +244,8 @@ class WhatsAppService {
   addLog(message) {
     const log = {
       timestamp: new Date().toISOString(),
-      message
+      sessionId: this.sessionId,
+      message: this.isPrimary ? message : `[${this.label}] ${message}`
     };
     this.logs.push(log);
 
@@ -233,14 +294,27 @@ class WhatsAppService {
   }
 
 
+  // O número principal mantém os eventos antigos do painel; todos emitem whatsapp:number:*
+  emitSessionEvent(event, data) {
+    if (this.isPrimary) {
+      this.emitToAdmins(`whatsapp:${event}`, data);
+    }
+    this.emitToAdmins(`whatsapp:number:${event}`, {
+      sessionId: this.sessionId,
+      label: this.label,
+      data
+    });
+  }
+
   emitStatusUpdate(overrideStatus = null, overrideQrCode = undefined) {
     const statusData = {
+      sessionId: this.sessionId,
       status: overrideStatus !== null ? overrideStatus : this._status,
       qrCode: overrideQrCode !== undefined ? overrideQrCode : this.qrCode,
       stats: { ...this.stats },
       _timestamp: Date.now() 
     };
-    this.emitToAdmins('whatsapp:status', statusData);
+    this.emitSessionEvent('status', statusData);
   }
 
   subscribeAdmin(socketId) {
@@ -275,7 +349,7 @@ class WhatsAppService {
 
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       this.addLog(`Máximo de tentativas de reconexão atingido (${this.maxReconnectAttempts}). Reconexão manual necessária.`);
-      this.emitToAdmins('whatsapp:reconnect_failed', {
+      this.emitSessionEvent('reconnect_failed', {
         reason: 'max_attempts',
         message: 'Número máximo de tentativas atingido. Por favor, reconecte manualmente.'
       });
@@ -422,7 +496,7 @@ class WhatsAppService {
         this.addLog('QR Code habilitado para exibição');
  
         if (this.qrCode) {
-          this.emitToAdmins('whatsapp:qr', this.qrCode);
+          this.emitSessionEvent('qr', this.qrCode);
           this.emitStatusUpdate('connecting');
         }
       }
@@ -481,10 +555,12 @@ class WhatsAppService {
     }
 
    
-    const store = new DatabaseSessionStore({ sessionId: 'whatsapp-main' });
+    const store = new DatabaseSessionStore({ sessionId: this.sessionId });
 
     this.client = new Client({
       authStrategy: new RemoteAuth({
+        // Sem clientId o principal continua usando a pasta local que já existia
+        clientId: this.isPrimary ? undefined : this.sessionId,
         store: store,
         backupSyncIntervalMs: 300000,
         dataPath: './.wwebjs_auth'
@@ -502,7 +578,7 @@ class WhatsAppService {
    
         if (this._showQrCode) {
           this.addLog('Exibindo QR Code - escaneie com seu WhatsApp');
-          this.emitToAdmins('whatsapp:qr', this.qrCode);
+          this.emitSessionEvent('qr', this.qrCode);
           this.emitStatusUpdate('connecting');
         } else {
           this.addLog('QR Code armazenado (aguardando delay para exibir)');
@@ -568,11 +644,16 @@ class WhatsAppService {
         this.addLog(`Aviso: não foi possível aplicar patch sendSeen: ${err.message}`);
       }
 
+      this.phone = this.client.info?.wid?.user || null;
       this.addLog('WhatsApp conectado e pronto!');
       this.emitStatusUpdate();
 
 
       this.saveStatusNow();
+
+      if (this.onReady) {
+        this.onReady(this);
+      }
     });
 
   
@@ -599,7 +680,12 @@ class WhatsAppService {
       this.saveStatusNow();
 
  
-      if (reason !== 'LOGOUT') {
+      if (BANNED_DISCONNECT_REASONS.includes(reason)) {
+        this.addLog(`Número banido pelo WhatsApp (${reason}). Reconexão automática desativada.`);
+        if (this.onBanned) {
+          this.onBanned(this, reason);
+        }
+      } else if (reason !== 'LOGOUT') {
         this.scheduleReconnect(reason);
       }
     });
@@ -624,8 +710,8 @@ class WhatsAppService {
           return;
         }
 
-        let messageText = msg.body || '';
-        let audioUrl = null;
+        const messageText = msg.body || '';
+        let media = null;
         let fromPhone = null;
         const originalFrom = msg.from;
 
@@ -634,23 +720,9 @@ class WhatsAppService {
        
         if (msg.hasMedia) {
           try {
-            const media = await msg.downloadMedia();
-            if (media && (media.mimetype.startsWith('audio/') || media.mimetype === 'audio/ogg; codecs=opus')) {
-              this.addLog(`Áudio recebido: ${media.mimetype}`);
-
-           
-              const uploadResult = await uploadAudio(media.data, media.mimetype, 'replies');
-              if (uploadResult.success) {
-                audioUrl = uploadResult.url;
-                this.addLog(`Áudio salvo: ${audioUrl}`);
-
-               
-                if (!messageText) {
-                  messageText = '[Mensagem de áudio]';
-                }
-              } else {
-                this.addLog(`Erro ao salvar áudio: ${uploadResult.error}`);
-              }
+            const downloaded = await msg.downloadMedia();
+            if (downloaded) {
+              media = { data: downloaded.data, mimetype: downloaded.mimetype };
             }
           } catch (mediaError) {
             this.addLog(`Erro ao processar mídia: ${mediaError.message}`);
@@ -728,125 +800,15 @@ class WhatsAppService {
     
         const isLid = originalFrom.includes('@lid');
 
-        this.addLog(`Mensagem de ${fromPhone} (isLid: ${isLid}): ${messageText.substring(0, 50)}...`);
-
-
-        const { saveReplyFromWebhook, findMessageByPhone, blockUser, unblockUser, createNotification, getPhoneByLid, findRecentMessageWithoutReply, saveLidMapping } = require('./database');
-
-
-        const msgLower = messageText.toLowerCase().trim();
-        if (msgLower === 'bloquear' || msgLower === 'desbloquear') {
-          this.addLog(`🚫 Comando de ${msgLower} detectado de ${fromPhone}`);
-
-          // Tentar resolver LID para número real antes de buscar
-          let phoneToSearch = fromPhone;
-          let lastMessage = null;
-
-          if (isLid) {
-            const mappedPhone = await getPhoneByLid(fromPhone);
-            if (mappedPhone) {
-              phoneToSearch = mappedPhone;
-              this.addLog(`📱 LID ${fromPhone} resolvido para ${mappedPhone}`);
-              lastMessage = await findMessageByPhone(phoneToSearch, 'whatsapp');
-            }
-          }
-
-          // Se não achou com LID mapeado, buscar pelo número diretamente
-          if (!lastMessage) {
-            lastMessage = await findMessageByPhone(fromPhone, 'whatsapp');
-          }
-
-          // Fallback: buscar mensagem recente sem resposta (para LIDs não mapeados)
-          if (!lastMessage && isLid) {
-            this.addLog(`🔍 Tentando encontrar mensagem recente sem resposta para LID não mapeado...`);
-            lastMessage = await findRecentMessageWithoutReply('whatsapp', 60);
-            if (lastMessage) {
-              // Salvar o mapeamento para futuras mensagens
-              await saveLidMapping(fromPhone, lastMessage.phone);
-              this.addLog(`💾 Mapeamento LID salvo: ${fromPhone} -> ${lastMessage.phone}`);
-            }
-          }
-
-          if (lastMessage) {
-            const userId = lastMessage.user_id.toString();
-            // Usar o número real da mensagem original (não o LID)
-            const realPhone = lastMessage.phone;
-            const phoneMasked = `****${realPhone.slice(-4)}`;
-
-            this.addLog(`📞 Usando número real para bloqueio: ${realPhone}`);
-
-            if (msgLower === 'bloquear') {
-              const blockResult = await blockUser(realPhone, lastMessage.user_id);
-              this.addLog(`🚫 Bloqueio: ${JSON.stringify(blockResult)}`);
-              await this.sendMessage(realPhone, '✅ Você bloqueou este remetente.\n\nVocê não receberá mais mensagens anônimas desta pessoa.\n\nPara desbloquear, envie: *desbloquear*');
-
-
-              const notifResult = await createNotification(
-                lastMessage.user_id,
-                'blocked',
-                'Você foi bloqueado',
-                `O número ${phoneMasked} bloqueou você. Não será possível enviar mensagens para este número.`,
-                realPhone
-              );
-
-
-              if (this.io) {
-                this.io.to(`user:${userId}`).emit('user-blocked', {
-                  phone: realPhone,
-                  notificationId: notifResult.notification?.id || null,
-                  message: `O número ${phoneMasked} bloqueou você.`,
-                  blockedAt: new Date().toISOString()
-                });
-                this.addLog(`📢 Usuário ${userId} notificado sobre bloqueio`);
-              }
-            } else {
-              const unblockResult = await unblockUser(realPhone, lastMessage.user_id);
-              this.addLog(`✅ Desbloqueio: ${JSON.stringify(unblockResult)}`);
-              await this.sendMessage(realPhone, '✅ Remetente desbloqueado.\n\nVocê voltará a receber mensagens anônimas desta pessoa.');
-
-
-              const notifResult = await createNotification(
-                lastMessage.user_id,
-                'unblocked',
-                'Você foi desbloqueado',
-                `O número ${phoneMasked} desbloqueou você. Você pode enviar mensagens novamente.`,
-                realPhone
-              );
-
-
-              if (this.io) {
-                this.io.to(`user:${userId}`).emit('user-unblocked', {
-                  phone: realPhone,
-                  notificationId: notifResult.notification?.id || null,
-                  message: `O número ${phoneMasked} desbloqueou você.`,
-                  unblockedAt: new Date().toISOString()
-                });
-                this.addLog(`📢 Usuário ${userId} notificado sobre desbloqueio`);
-              }
-            }
-          } else {
-            this.addLog(`❌ Nenhuma mensagem encontrada para bloquear/desbloquear de ${fromPhone}`);
-          }
-          return; 
-        }
-
-        this.addLog(`Chamando saveReplyFromWebhook com isLid=${isLid}, audioUrl=${audioUrl ? 'sim' : 'não'}...`);
-        const result = await saveReplyFromWebhook(fromPhone, messageText, 'whatsapp', isLid, audioUrl);
-
-        if (result && this.io) {
-
-          const userId = result.originalMessage.user_id.toString();
-          this.io.to(`user:${userId}`).emit('new-reply', {
-            ...result.reply,
-            original_message: result.originalMessage.message,
-            audio_url: audioUrl
-          });
-          this.addLog(`✅ Resposta salva e notificada para usuário ${userId}${audioUrl ? ' (com áudio)' : ''}`);
-        } else if (result) {
-          this.addLog(`✅ Resposta salva para usuário ${result.originalMessage.user_id}, mas Socket.IO não disponível`);
-        } else {
-          this.addLog(`❌ Nenhuma mensagem original encontrada para ${fromPhone} (isLid: ${isLid})`);
-        }
+        await getInboundPipeline().process({
+          source: 'whatsapp-web',
+          from: fromPhone,
+          isLid,
+          text: messageText,
+          media,
+          reply: (phone, text) => this.sendMessage(phone, text),
+          log: (message) => this.addLog(message)
+        });
       } catch (error) {
         this.addLog(`Erro ao processar mensagem: ${error.message}`);
         console.error('[WhatsApp] Erro ao processar mensagem recebida:', error);
@@ -930,17 +892,7 @@ class WhatsAppService {
     }
 
 
-    let cleanPhone = phone.replace(/\D/g, '');
-
-
-    if (cleanPhone.length === 11 || cleanPhone.length === 10) {
-      cleanPhone = '55' + cleanPhone;
-    }
-
-
-    if (cleanPhone.length < 12 || cleanPhone.length > 13) {
-      throw new Error(`Número inválido: ${cleanPhone}. Use formato: 5511999999999`);
-    }
+    const cleanPhone = normalizeWhatsAppNumber(phone);
 
     // Aguarda o cliente estar totalmente pronto antes da primeira tentativa
     if (!await this.isClientReady()) {
@@ -983,7 +935,7 @@ class WhatsAppService {
         this.addLog(`Mensagem enviada para ${cleanPhone}${attempt > 1 ? ` (tentativa ${attempt})` : ''}`);
 
       
-        this.emitToAdmins('whatsapp:stats', { ...this.stats });
+        this.emitSessionEvent('stats', { ...this.stats });
 
        
         this.saveStats();
@@ -998,20 +950,7 @@ class WhatsAppService {
         lastError = error;
 
   
-        const isRetryableError =
-          error.message.includes('WidFactory') ||
-          error.message.includes('Evaluation failed') ||
-          error.message.includes('markedUnread') ||
-          error.message.includes('getChat') ||
-          error.message.includes('sendSeen') ||
-          error.message.includes('not ready') ||
-          error.message.includes('Protocol error') ||
-          error.message.includes('Target closed') ||
-          error.message.includes('Session closed') ||
-          error.message.includes('Store') ||
-          error.message.includes('undefined');
-
-        if (isRetryableError && attempt < maxRetries) {
+        if (isRetryableError(error) && attempt < maxRetries) {
           this.addLog(`Erro recuperável na tentativa ${attempt}: ${error.message}. Aguardando ${retryDelay}ms...`);
           await new Promise(resolve => setTimeout(resolve, retryDelay));
           continue;
@@ -1028,7 +967,7 @@ class WhatsAppService {
     this.addLog(`Erro ao enviar para ${cleanPhone} após ${maxRetries} tentativas: ${lastError.message}`);
 
     
-    this.emitToAdmins('whatsapp:stats', { ...this.stats });
+    this.emitSessionEvent('stats', { ...this.stats });
 
     
     this.saveStats();
@@ -1054,15 +993,7 @@ class WhatsAppService {
     }
 
 
-    let cleanPhone = phone.replace(/\D/g, '');
-
-    if (cleanPhone.length === 11 || cleanPhone.length === 10) {
-      cleanPhone = '55' + cleanPhone;
-    }
-
-    if (cleanPhone.length < 12 || cleanPhone.length > 13) {
-      throw new Error(`Número inválido: ${cleanPhone}. Use formato: 5511999999999`);
-    }
+    const cleanPhone = normalizeWhatsAppNumber(phone);
 
     // Aguarda o cliente estar totalmente pronto antes da primeira tentativa
     if (!await this.isClientReady()) {
@@ -1131,7 +1062,7 @@ class WhatsAppService {
         this.stats._lastUpdate = Date.now();
         this.addLog(`Áudio enviado para ${cleanPhone}${attempt > 1 ? ` (tentativa ${attempt})` : ''}`);
 
-        this.emitToAdmins('whatsapp:stats', { ...this.stats });
+        this.emitSessionEvent('stats', { ...this.stats });
         this.saveStats();
 
         return {
@@ -1154,20 +1085,7 @@ class WhatsAppService {
           stack: error.stack
         });
 
-        const isRetryableError =
-          error.message.includes('WidFactory') ||
-          error.message.includes('Evaluation failed') ||
-          error.message.includes('markedUnread') ||
-          error.message.includes('getChat') ||
-          error.message.includes('sendSeen') ||
-          error.message.includes('not ready') ||
-          error.message.includes('Protocol error') ||
-          error.message.includes('Target closed') ||
-          error.message.includes('Session closed') ||
-          error.message.includes('Store') ||
-          error.message.includes('undefined');
-
-        if (isRetryableError && attempt < maxRetries) {
+        if (isRetryableError(error) && attempt < maxRetries) {
           this.addLog(`Erro recuperável na tentativa ${attempt} (áudio): ${error.message}. Aguardando ${retryDelay}ms...`);
           await new Promise(resolve => setTimeout(resolve, retryDelay));
           continue;
@@ -1181,12 +1099,98 @@ class WhatsAppService {
     this.stats._lastUpdate = Date.now();
     this.addLog(`Erro ao enviar áudio para ${cleanPhone} após ${maxRetries} tentativas: ${lastError.message}`);
 
-    this.emitToAdmins('whatsapp:stats', { ...this.stats });
+    this.emitSessionEvent('stats', { ...this.stats });
     this.saveStats();
 
     throw new Error(`Falha ao enviar áudio: ${lastError.message}`);
   }
 
+  // Imagem ou vídeo já moderados (metadados removidos); a legenda vai junto da mídia
+  async sendMedia(phone, mediaBase64, mimetype, caption = '') {
+    if (!this.client) {
+      throw new Error('Sistema temporariamente offline. Tente novamente em alguns minutos.');
+    }
+
+    if (this._status === 'disconnected') {
+      throw new Error('WhatsApp desconectado. Aguarde a reconexão automática ou entre em contato com o suporte.');
+    }
+
+
+    const cleanPhone = normalizeWhatsAppNumber(phone);
+
+    if (!await this.isClientReady()) {
+      this.addLog('Cliente não está pronto (mídia), aguardando inicialização completa...');
+      const ready = await this.waitForClientReady(30000);
+      if (!ready) {
+        throw new Error('Cliente WhatsApp não está pronto. Tente novamente em alguns segundos.');
+      }
+    }
+
+    const maxRetries = 3;
+    const retryDelay = 3000;
+    const isVideo = String(mimetype).startsWith('video/');
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        if (attempt > 1) {
+          this.addLog(`Tentativa ${attempt}/${maxRetries} (mídia) - aguardando cliente ficar pronto...`);
+          await this.waitForClientReady(15000);
+        }
+
+        const numberId = await this.client.getNumberId(cleanPhone);
+
+        if (!numberId) {
+          throw new Error(`O número ${cleanPhone} não está registrado no WhatsApp`);
+        }
+
+        const chatId = numberId._serialized;
+        this.addLog(`Enviando ${isVideo ? 'vídeo' : 'imagem'} para ${chatId}: mimetype=${mimetype}, tamanho=${mediaBase64.length} chars`);
+
+        const media = new MessageMedia(mimetype, mediaBase64, isVideo ? 'video.mp4' : 'imagem');
+        const result = await this.client.sendMessage(chatId, media, {
+          caption: caption || undefined,
+          sendSeen: false
+        });
+
+        this.stats.successCount++;
+        this.stats.lastUsed = new Date();
+        this.stats._lastUpdate = Date.now();
+        this.addLog(`Mídia enviada para ${cleanPhone}${attempt > 1 ? ` (tentativa ${attempt})` : ''}`);
+
+        this.emitSessionEvent('stats', { ...this.stats });
+        this.saveStats();
+
+        return {
+          success: true,
+          data: { messageId: result.id._serialized },
+          tokenUsed: 1,
+          attempts: attempt
+        };
+      } catch (error) {
+        lastError = error;
+        this.addLog(`[ERRO MÍDIA] Tentativa ${attempt}: ${error.message}`);
+
+        if (isRetryableError(error) && attempt < maxRetries) {
+          this.addLog(`Erro recuperável na tentativa ${attempt} (mídia): ${error.message}. Aguardando ${retryDelay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, retryDelay));
+          continue;
+        }
+
+        break;
+      }
+    }
+
+    this.stats.failureCount++;
+    this.stats._lastUpdate = Date.now();
+    this.addLog(`Erro ao enviar mídia para ${cleanPhone} após ${maxRetries} tentativas: ${lastError.message}`);
+
+    this.emitSessionEvent('stats', { ...this.stats });
+    this.saveStats();
+
+    throw new Error(`Falha ao enviar mídia: ${lastError.message}`);
+  }
+
   async disconnect() {
  
     this.cleanup();
@@ -1261,7 +1265,7 @@ class WhatsAppService {
     let effectiveQrCode = this.qrCode;
 
     try {
-      const dbStats = await getWhatsAppStats();
+      const dbStats = await getWhatsAppStats(this.sessionId);
       if (dbStats) {
         stats = {
           successCount: dbStats.successCount || 0,
@@ -1297,6 +1301,9 @@ class WhatsAppService {
     }
 
     return {
+      sessionId: this.sessionId,
+      label: this.label,
+      phone: this.phone,
       status: effectiveStatus,
       qrCode: effectiveQrCode,
       stats: { ...stats },
@@ -1315,6 +1322,9 @@ class WhatsAppService {
 
   getStatus() {
     return {
+      sessionId: this.sessionId,
+      label: this.label,
+      phone: this.phone,
       status: this._status,
       qrCode: this.qrCode,
       stats: { ...this.stats },
@@ -1359,16 +1369,17 @@ class WhatsAppService {
   }
 }
 
-let instance = null;
-
 function getWhatsAppService() {
-  if (!instance) {
-    instance = new WhatsAppService();
-  }
-  return instance;
+  // O pool cria e mantém a sessão principal
+  return require('./whatsapp-pool').getWhatsAppPool().getPrimary();
 }
 
 module.exports = {
   getWhatsAppService,
-  WhatsAppService
+  WhatsAppService,
+  PRIMARY_SESSION_ID,
+  convertAudioToOgg,
+  normalizeWhatsAppNumber,
+  isRetryableError,
+  isUnavailableError
 };
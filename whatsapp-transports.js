@@ -0,0 +1,484 @@
+require('dotenv').config();
+
+const { getWhatsAppStats, saveWhatsAppStats } = require('./database');
+const { uploadAudio, uploadMedia } = require('./supabase-store');
+const {
+  WhatsAppService,
+  convertAudioToOgg,
+  normalizeWhatsAppNumber
+} = require('./whatsapp-service');
+
+// Todo transporte expõe: initialize, sendText, sendAudio, sendMedia, getStatus, healthCheck e shutdown.
+// sendText/sendAudio/sendMedia resolvem com { success, data: { messageId }, attempts } e rejeitam com
+// erros marcados como retryable (tentar de novo) ou unavailable (trocar de número).
+
+const TRANSPORT_TYPES = ['webjs', 'cloud_api', 'wasender', 'fake'];
+
+function transportError(message, { retryable = false, unavailable = false, status = null } = {}) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.unavailable = unavailable;
+  error.status = status;
+  return error;
+}
+
+async function requestJson(url, options, label) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw transportError(`${label}: falha de rede (${error.message})`, { retryable: true });
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = body?.error?.message || body?.message || response.statusText;
+    throw transportError(`${label}: HTTP ${response.status} - ${detail}`, {
+      retryable: response.status === 429 || response.status >= 500,
+      unavailable: response.status === 401 || response.status === 403,
+      status: response.status
+    });
+  }
+
+  return body;
+}
+
+
+// whatsapp-web.js: delega para o WhatsAppService (Chromium + sessão RemoteAuth)
+class WebJsTransport {
+  constructor(options) {
+    this.type = 'webjs';
+    this.sessionId = options.sessionId;
+    this.label = options.label;
+    this.service = new WhatsAppService(options);
+  }
+
+  get stats() { return this.service.stats; }
+  get phone() { return this.service.phone; }
+  get qrCode() { return this.service._showQrCode ? this.service.qrCode : null; }
+
+  setSocketIO(io) {
+    this.service.setSocketIO(io);
+  }
+
+  setLabel(label) {
+    this.label = label;
+    this.service.label = label;
+  }
+
+  async initialize() {
+    await this.service.loadStats();
+    this.service.resetReconnectAttempts();
+    await this.service.initialize();
+  }
+
+  sendText(phone, text) {
+    return this.service.sendMessage(phone, text);
+  }
+
+  sendAudio(phone, audioBase64, mimetype, caption = '') {
+    return this.service.sendAudio(phone, audioBase64, mimetype, caption);
+  }
+
+  sendMedia(phone, mediaBase64, mimetype, caption = '') {
+    return this.service.sendMedia(phone, mediaBase64, mimetype, caption);
+  }
+
+  getStatus() {
+    return this.service.client ? this.service.status : 'disconnected';
+  }
+
+  async healthCheck() {
+    const healthy = await this.service.isClientReady();
+    return { healthy, status: this.getStatus(), lastHealthCheck: this.service.lastHealthCheck };
+  }
+
+  addLog(message) {
+    this.service.addLog(message);
+  }
+
+  async shutdown({ logout = false } = {}) {
+    if (logout && this.service.client) {
+      await this.service.logout();
+    } else {
+      await this.service.disconnect();
+    }
+    this.service.cleanup();
+  }
+}
+
+
+// Base dos transportes HTTP: estatísticas, logs e status a partir do health check
+class HttpTransport {
+  constructor(options) {
+    this.sessionId = options.sessionId;
+    this.label = options.label;
+    this.onReady = options.onReady || null;
+    this.io = null;
+    this.adminSockets = options.adminSockets || new Set();
+    this.phone = options.phone || null;
+    this.qrCode = null;
+    this.status = 'disconnected';
+    this.stats = { successCount: 0, failureCount: 0, lastUsed: null };
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  setLabel(label) {
+    this.label = label;
+  }
+
+  addLog(message) {
+    const log = {
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId,
+      message: `[${this.label}] ${message}`
+    };
+    console.log(`[${this.type}] ${log.message}`);
+
+    if (!this.io) return;
+    this.adminSockets.forEach(socketId => {
+      this.io.to(socketId).emit('whatsapp:log', log);
+    });
+  }
+
+  async initialize() {
+    const savedStats = await getWhatsAppStats(this.sessionId);
+    this.stats.successCount = savedStats.successCount || 0;
+    this.stats.failureCount = savedStats.failureCount || 0;
+    this.stats.lastUsed = savedStats.lastUsed || null;
+
+    this.status = 'connecting';
+    const health = await this.healthCheck();
+
+    if (health.healthy) {
+      this.addLog('Transporte conectado e pronto!');
+      if (this.onReady) {
+        this.onReady(this);
+      }
+    } else {
+      this.addLog(`Transporte indisponível: ${health.error || health.status}`);
+    }
+  }
+
+  getStatus() {
+    return this.status;
+  }
+
+  async track(action, phone) {
+    try {
+      const result = await action();
+      this.stats.successCount++;
+      this.stats.lastUsed = new Date();
+      this.addLog(`Mensagem enviada para ${phone}`);
+      this.persistStats();
+      return { success: true, data: result, attempts: 1 };
+    } catch (error) {
+      this.stats.failureCount++;
+      this.addLog(`Erro ao enviar para ${phone}: ${error.message}`);
+      this.persistStats();
+
+      if (error.unavailable) {
+        this.status = 'disconnected';
+      }
+      throw error;
+    }
+  }
+
+  persistStats() {
+    saveWhatsAppStats(this.stats, this.status, this.sessionId);
+  }
+
+  async shutdown() {
+    this.status = 'disconnected';
+  }
+}
+
+
+// API oficial (Meta Cloud API). Texto livre só é entregue dentro da janela de 24h do destinatário.
+class CloudApiTransport extends HttpTransport {
+  constructor(options) {
+    super(options);
+    this.type = 'cloud_api';
+    const config = options.config || {};
+    this.phoneNumberId = config.phoneNumberId || process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID;
+    this.accessToken = config.accessToken || process.env.WHATSAPP_CLOUD_ACCESS_TOKEN;
+    this.apiVersion = config.apiVersion || process.env.WHATSAPP_CLOUD_API_VERSION || 'v19.0';
+    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+  }
+
+  get headers() {
+    return { Authorization: `Bearer ${this.accessToken}` };
+  }
+
+  ensureConfigured() {
+    if (!this.phoneNumberId || !this.accessToken) {
+      throw transportError('Cloud API não configurada (phone number id / access token)', { unavailable: true });
+    }
+  }
+
+  async sendPayload(payload) {
+    this.ensureConfigured();
+    const body = await requestJson(`${this.baseUrl}/${this.phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messaging_product: 'whatsapp', ...payload })
+    }, 'Cloud API');
+
+    return { messageId: body.messages?.[0]?.id || null };
+  }
+
+  async sendText(phone, text) {
+    const to = normalizeWhatsAppNumber(phone);
+    return this.track(() => this.sendPayload({ to, type: 'text', text: { body: text } }), to);
+  }
+
+  async sendAudio(phone, audioBase64, mimetype, caption = '') {
+    const to = normalizeWhatsAppNumber(phone);
+
+    return this.track(async () => {
+      this.ensureConfigured();
+      const converted = await convertAudioToOgg(audioBase64, mimetype);
+
+      const form = new FormData();
+      form.append('messaging_product', 'whatsapp');
+      form.append('type', 'audio/ogg');
+      form.append('file', new Blob([Buffer.from(converted.base64, 'base64')], { type: 'audio/ogg' }), 'ptt.ogg');
+
+      const media = await requestJson(`${this.baseUrl}/${this.phoneNumberId}/media`, {
+        method: 'POST',
+        headers: this.headers,
+        body: form
+      }, 'Cloud API');
+
+      const result = await this.sendPayload({ to, type: 'audio', audio: { id: media.id } });
+
+      if (caption) {
+        await this.sendPayload({ to, type: 'text', text: { body: caption } });
+      }
+
+      return result;
+    }, to);
+  }
+
+  async sendMedia(phone, mediaBase64, mimetype, caption = '') {
+    const to = normalizeWhatsAppNumber(phone);
+    const type = mimetype.startsWith('video/') ? 'video' : 'image';
+
+    return this.track(async () => {
+      this.ensureConfigured();
+
+      const form = new FormData();
+      form.append('messaging_product', 'whatsapp');
+      form.append('type', mimetype);
+      form.append('file', new Blob([Buffer.from(mediaBase64, 'base64')], { type: mimetype }), type);
+
+      const media = await requestJson(`${this.baseUrl}/${this.phoneNumberId}/media`, {
+        method: 'POST',
+        headers: this.headers,
+        body: form
+      }, 'Cloud API');
+
+      return this.sendPayload({ to, type, [type]: { id: media.id, ...(caption ? { caption } : {}) } });
+    }, to);
+  }
+
+  async healthCheck() {
+    try {
+      this.ensureConfigured();
+      const body = await requestJson(`${this.baseUrl}/${this.phoneNumberId}?fields=display_phone_number,quality_rating`, {
+        headers: this.headers
+      }, 'Cloud API');
+
+      this.phone = body.display_phone_number ? body.display_phone_number.replace(/\D/g, '') : this.phone;
+      this.status = 'connected';
+      return { healthy: true, status: this.status, qualityRating: body.quality_rating || null };
+    } catch (error) {
+      this.status = 'disconnected';
+      return { healthy: false, status: this.status, error: error.message };
+    }
+  }
+}
+
+
+// WASender: sessão de WhatsApp hospedada, com envio por API REST
+class WasenderTransport extends HttpTransport {
+  constructor(options) {
+    super(options);
+    this.type = 'wasender';
+    const config = options.config || {};
+    this.apiKey = config.apiKey || process.env.WASENDER_API_KEY;
+    this.baseUrl = config.baseUrl || process.env.WASENDER_API_URL || 'https://www.wasenderapi.com/api';
+  }
+
+  async post(path, payload) {
+    if (!this.apiKey) {
+      throw transportError('WASender não configurado (WASENDER_API_KEY)', { unavailable: true });
+    }
+
+    const body = await requestJson(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    }, 'WASender');
+
+    return { messageId: body.data?.msgId || body.data?.messageId || null };
+  }
+
+  async sendText(phone, text) {
+    const to = normalizeWhatsAppNumber(phone);
+    return this.track(() => this.post('/send-message', { to: `+${to}`, text }), to);
+  }
+
+  async sendAudio(phone, audioBase64, mimetype, caption = '') {
+    const to = normalizeWhatsAppNumber(phone);
+
+    return this.track(async () => {
+      // A API recebe o áudio por URL: sobe para o storage antes
+      const converted = await convertAudioToOgg(audioBase64, mimetype);
+      const upload = await uploadAudio(converted.base64, 'audio/ogg', 'outbound');
+
+      if (!upload.success) {
+        throw transportError(`Erro ao salvar áudio: ${upload.error}`, { retryable: true });
+      }
+
+      const result = await this.post('/send-message', { to: `+${to}`, audioUrl: upload.url });
+
+      if (caption) {
+        await this.post('/send-message', { to: `+${to}`, text: caption });
+      }
+
+      return result;
+    }, to);
+  }
+
+  async sendMedia(phone, mediaBase64, mimetype, caption = '') {
+    const to = normalizeWhatsAppNumber(phone);
+
+    return this.track(async () => {
+      const upload = await uploadMedia(mediaBase64, mimetype, 'outbound');
+
+      if (!upload.success) {
+        throw transportError(`Erro ao salvar mídia: ${upload.error}`, { retryable: true });
+      }
+
+      const urlField = mimetype.startsWith('video/') ? 'videoUrl' : 'imageUrl';
+      return this.post('/send-message', { to: `+${to}`, [urlField]: upload.url, ...(caption ? { text: caption } : {}) });
+    }, to);
+  }
+
+  async healthCheck() {
+    try {
+      if (!this.apiKey) {
+        throw transportError('WASender não configurado (WASENDER_API_KEY)', { unavailable: true });
+      }
+
+      const body = await requestJson(`${this.baseUrl}/status`, {
+        headers: { Authorization: `Bearer ${this.apiKey}` }
+      }, 'WASender');
+
+      this.status = body.status === 'connected' ? 'connected' : 'disconnected';
+      return { healthy: this.status === 'connected', status: this.status, remoteStatus: body.status };
+    } catch (error) {
+      this.status = 'disconnected';
+      return { healthy: false, status: this.status, error: error.message };
+    }
+  }
+}
+
+
+// Transporte em memória para testes: guarda os envios e permite simular falhas
+class FakeTransport extends HttpTransport {
+  constructor(options = {}) {
+    super({ sessionId: 'fake', label: 'Fake', ...options });
+    this.type = 'fake';
+    this.sent = [];
+    this.failures = [];
+    this.healthy = true;
+  }
+
+  persistStats() {}
+
+  failNext(error) {
+    this.failures.push(error);
+  }
+
+  async deliver(entry) {
+    if (this.failures.length > 0) {
+      throw this.failures.shift();
+    }
+
+    const messageId = `fake_${Date.now()}_${this.sent.length + 1}`;
+    this.sent.push({ ...entry, messageId, sentAt: new Date().toISOString() });
+    return { messageId };
+  }
+
+  async sendText(phone, text) {
+    const to = normalizeWhatsAppNumber(phone);
+    return this.track(() => this.deliver({ type: 'text', to, text }), to);
+  }
+
+  async sendAudio(phone, audioBase64, mimetype, caption = '') {
+    const to = normalizeWhatsAppNumber(phone);
+    return this.track(() => this.deliver({ type: 'audio', to, mimetype, size: audioBase64.length, caption }), to);
+  }
+
+  async sendMedia(phone, mediaBase64, mimetype, caption = '') {
+    const to = normalizeWhatsAppNumber(phone);
+    return this.track(() => this.deliver({ type: mimetype.startsWith('video/') ? 'video' : 'image', to, mimetype, size: mediaBase64.length, caption }), to);
+  }
+
+  async initialize() {
+    this.status = 'connecting';
+    const health = await this.healthCheck();
+    if (health.healthy && this.onReady) {
+      this.onReady(this);
+    }
+  }
+
+  async healthCheck() {
+    this.status = this.healthy ? 'connected' : 'disconnected';
+    return { healthy: this.healthy, status: this.status };
+  }
+
+  reset() {
+    this.sent = [];
+    this.failures = [];
+    this.healthy = true;
+  }
+}
+
+
+function getDefaultTransportType() {
+  const type = process.env.WHATSAPP_TRANSPORT || 'webjs';
+  return TRANSPORT_TYPES.includes(type) ? type : 'webjs';
+}
+
+function createTransport(type, options) {
+  switch (type || getDefaultTransportType()) {
+    case 'cloud_api':
+      return new CloudApiTransport(options);
+    case 'wasender':
+      return new WasenderTransport(options);
+    case 'fake':
+      return new FakeTransport(options);
+    case 'webjs':
+      return new WebJsTransport(options);
+    default:
+      throw new Error(`Transporte de WhatsApp desconhecido: ${type}`);
+  }
+}
+
+module.exports = {
+  TRANSPORT_TYPES,
+  createTransport,
+  getDefaultTransportType,
+  transportError,
+  WebJsTransport,
+  CloudApiTransport,
+  WasenderTransport,
+  FakeTransport
+};